@@ -0,0 +1,411 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+sc_require('system/response');
+
+/**
+  @class
+
+  A response class that answers requests with canned responses instead of
+  sending them to a server, for use in unit tests.  It is only available in
+  debug mode.
+
+  Install it with `SC.MockResponse.install()` so that every request that
+  would use `SC.XHRResponse` uses it instead, then describe the responses
+  with `respondTo()`.  Requests still go through the request manager, so
+  listeners, interceptors, retries and timeouts work as they do with real
+  requests.
+
+      module("MyApp.dataSource", {
+        setup: function() {
+          SC.MockResponse.install();
+          SC.MockResponse.respondTo('GET', '/contacts', { body: [{ id: 1 }] });
+          SC.MockResponse.respondTo('DELETE', /^\/contacts\/(\d+)$/, { status: 204, delay: 20 });
+          SC.MockResponse.respondTo('POST', '/contacts', { error: "Network failure" });
+        },
+
+        teardown: function() {
+          SC.MockResponse.uninstall();
+        }
+      });
+
+  A canned response is a hash with any of the following properties:
+
+   - `status` -- the status code. The default is 200.
+   - `headers` -- a hash of response headers.
+   - `body` -- the body, as a string or as an object that is encoded as JSON.
+   - `chunks` -- the body as an array of strings, which are passed to `chunk`
+     and `ndjson` listeners one at a time as if they arrived separately.
+   - `delay` -- if set, the response arrives after this many milliseconds.
+     Otherwise it arrives as soon as the request is sent.
+   - `error` -- fails the request as if it did not reach the server, with
+     a status of 0 and this error message.
+   - `timeout` -- if `YES`, the response never arrives, so that the timeout
+     of the request is reached.
+   - `times` -- answer only this many requests, then let the next matching
+     canned response answer.
+
+  You can also pass a function that returns such a hash.  It is called with
+  the request and, for regular expression addresses, the match.
+
+  Requests that no canned response matches fail with a 404 status.  The
+  requests that were answered are kept in `SC.MockResponse.sentRequests`.
+
+  ## Recording Fixtures
+
+  Instead of writing canned responses by hand, you can record them from a
+  real server.  Call `SC.MockResponse.startRecording()`, use the application
+  normally, then call `SC.MockResponse.stopRecording()`, which returns the
+  responses as a JSON string you can save as a fixture file.  Pass the
+  fixtures to `SC.MockResponse.loadFixtures()` in your tests to replay them.
+  Requests that were sent several times while recording are answered in the
+  order they were recorded.
+
+  @extends SC.Response
+  @since SproutCore 2.0
+*/
+SC.MockResponse = SC.Response.extend(
+/** @scope SC.MockResponse.prototype */ {
+
+  /**
+    The canned response answering the request.
+
+    @type Hash
+    @default null
+  */
+  cannedResponse: null,
+
+  /**
+    The response headers of the canned response.
+
+    @field
+    @type Hash
+  */
+  headers: function() {
+    return this.getPath('cannedResponse.headers') || {};
+  }.property('cannedResponse').cacheable(),
+
+  /**
+    Returns a header value if found.  Header names are not case sensitive.
+
+    @param {String} key The header key
+    @returns {String}
+  */
+  header: function(key) {
+    var headers = this.get('headers'),
+        lowerKey = key.toLowerCase(),
+        name;
+
+    for (name in headers) {
+      if (headers.hasOwnProperty(name) && name.toLowerCase() === lowerKey) { return headers[name]; }
+    }
+
+    return null;
+  },
+
+  /**
+    The body of the canned response, encoded as JSON if needed.
+
+    @field
+    @type String
+  */
+  encodedBody: function() {
+    var chunks = this.getPath('cannedResponse.chunks'),
+        body = chunks ? chunks.join('') : this.getPath('cannedResponse.body');
+
+    if (SC.none(body)) { return null; }
+    return SC.typeOf(body) === SC.T_STRING ? body : SC.json.encode(body);
+  }.property('cannedResponse').cacheable(),
+
+  /**
+    Finds the canned response for the request and answers with it.
+  */
+  invokeTransport: function() {
+    var canned = SC.MockResponse.cannedResponseFor(this.get('request'));
+
+    SC.MockResponse.sentRequests.push(this.get('request'));
+
+    if (canned.timeout) { return; }
+
+    if (SC.none(canned.delay)) {
+      this._finishRequest(canned);
+    } else {
+      SC.run(function() {
+        this._mockTimer = SC.Timer.schedule({
+          target: this,
+          action: function() { this._finishRequest(canned); },
+          interval: canned.delay,
+          repeats: NO
+        });
+      }, this);
+    }
+  },
+
+  /**
+    Stops a delayed canned response from arriving.
+  */
+  cancelTransport: function() {
+    if (this._mockTimer) {
+      this._mockTimer.invalidate();
+      this._mockTimer = null;
+    }
+  },
+
+  /** @private */
+  _finishRequest: function(canned) {
+    var status = canned.error ? 0 : (canned.status || 200);
+
+    this._mockTimer = null;
+    if (this.get('timedOut')) { return; }
+
+    if (canned.chunks && status >= 200 && status < 300 && this.get('isStreaming')) {
+      SC.run(function() {
+        canned.chunks.forEach(function(chunk) { this.didReceiveChunk(chunk); }, this);
+      }, this);
+    }
+
+    this.receive(function(proceed) {
+      if (!proceed) { return; }
+
+      var error;
+
+      this.set('cannedResponse', canned);
+
+      if (status < 200 || status >= 300) {
+        error = SC.$error(canned.error || "HTTP Request failed", "Request", status);
+        error.set("errorValue", this);
+        this.set('isError', YES);
+        this.set('errorObject', error);
+      }
+
+      this.set('status', status);
+    }, this);
+  }
+
+});
+
+SC.MockResponse.mixin(
+/** @scope SC.MockResponse */ {
+
+  /**
+    The registered canned responses, in the order they are tried.
+
+    @type Array
+    @default []
+  */
+  fixtures: [],
+
+  /**
+    The requests answered by mock responses, in the order they were sent.
+
+    @type Array
+    @default []
+  */
+  sentRequests: [],
+
+  /**
+    The responses recorded since `startRecording()` was called, or null when
+    not recording.
+
+    @type Array
+    @default null
+  */
+  recordedFixtures: null,
+
+  /**
+    Makes every request that would use `SC.XHRResponse` use the receiver
+    instead.
+
+    @returns {SC.MockResponse} receiver
+  */
+  install: function() {
+    SC.Request.manager.set('responseClass', this);
+    return this;
+  },
+
+  /**
+    Goes back to sending requests to the server and forgets the canned
+    responses and sent requests.
+
+    @returns {SC.MockResponse} receiver
+  */
+  uninstall: function() {
+    if (SC.Request.manager.get('responseClass') === this) {
+      SC.Request.manager.set('responseClass', null);
+    }
+    return this.reset();
+  },
+
+  /**
+    Forgets the canned responses and sent requests.
+
+    @returns {SC.MockResponse} receiver
+  */
+  reset: function() {
+    SC.MockResponse.fixtures = [];
+    SC.MockResponse.sentRequests = [];
+    return this;
+  },
+
+  /**
+    Registers a canned response for requests with the given method and
+    address.  The first matching canned response answers a request, so
+    register the more specific ones first.
+
+    @param {String} type the HTTP method, or '*' for any method
+    @param {String|RegExp} address the address, with or without the query string, or a regular expression for it
+    @param {Hash|Function} response the canned response or a function returning it
+    @returns {Hash} the fixture, which can be passed to removeFixture()
+  */
+  respondTo: function(type, address, response) {
+    var fixture = { type: type.toUpperCase(), address: address, response: response || {} };
+
+    if (SC.typeOf(fixture.response) === SC.T_HASH) { fixture.times = fixture.response.times; }
+    SC.MockResponse.fixtures.push(fixture);
+    return fixture;
+  },
+
+  /**
+    Removes a fixture returned by respondTo().
+
+    @param {Hash} fixture the fixture to remove
+    @returns {SC.MockResponse} receiver
+  */
+  removeFixture: function(fixture) {
+    SC.MockResponse.fixtures.removeObject(fixture);
+    return this;
+  },
+
+  /**
+    Registers canned responses recorded with `startRecording()`.
+
+    @param {Array|String} fixtures the recorded responses, or their JSON
+    @returns {SC.MockResponse} receiver
+  */
+  loadFixtures: function(fixtures) {
+    var last = {};
+
+    if (SC.typeOf(fixtures) === SC.T_STRING) { fixtures = SC.json.decode(fixtures); }
+
+    // find the last response for each request, which keeps answering once
+    // the earlier ones are used up.
+    fixtures.forEach(function(fixture, idx) {
+      last[fixture.type + ' ' + fixture.address] = idx;
+    });
+
+    fixtures.forEach(function(fixture, idx) {
+      var key = fixture.type + ' ' + fixture.address,
+          response = SC.mixin({}, fixture);
+
+      delete response.type;
+      delete response.address;
+      if (last[key] !== idx && SC.none(response.times)) { response.times = 1; }
+
+      this.respondTo(fixture.type, fixture.address, response);
+    }, this);
+
+    return this;
+  },
+
+  /**
+    Returns the canned response for the request, or a 404 response if there
+    is none.
+
+    @param {SC.Request} request the request
+    @returns {Hash} the canned response
+  */
+  cannedResponseFor: function(request) {
+    var fixtures = SC.MockResponse.fixtures,
+        type = (request.get('type') || 'GET').toUpperCase(),
+        address = request.get('address') || '',
+        fixture, match, response, i, len;
+
+    for (i = 0, len = fixtures.length; i < len; i++) {
+      fixture = fixtures[i];
+      if (fixture.type !== '*' && fixture.type !== type) { continue; }
+      if (fixture.times === 0) { continue; }
+
+      match = this._matchAddress(fixture.address, address);
+      if (!match) { continue; }
+
+      response = fixture.response;
+      if (SC.typeOf(response) === SC.T_FUNCTION) { response = response(request, match) || {}; }
+
+      if (!SC.none(fixture.times)) { fixture.times--; }
+
+      return response;
+    }
+
+    //@if(debug)
+    SC.warn("Developer Warning: SC.MockResponse has no response for %@ %@.".fmt(type, address));
+    //@endif
+
+    return { status: 404 };
+  },
+
+  /**
+    Starts recording every response received through `SC.Request.manager`.
+
+    @returns {SC.MockResponse} receiver
+  */
+  startRecording: function() {
+    // record the responses before other interceptors change them, since
+    // they will change them again when the responses are replayed.
+    if (!SC.MockResponse.recordedFixtures) {
+      SC.MockResponse.recordedFixtures = [];
+      SC.Request.manager.addInterceptor(this._recorder, 0);
+    }
+    return this;
+  },
+
+  /**
+    Stops recording and returns the recorded responses as JSON, ready to be
+    saved as a fixture file and passed to `loadFixtures()`.
+
+    @returns {String} the recorded responses
+  */
+  stopRecording: function() {
+    var ret = SC.json.encode(SC.MockResponse.recordedFixtures || []);
+
+    SC.Request.manager.removeInterceptor(this._recorder);
+    SC.MockResponse.recordedFixtures = null;
+
+    return ret;
+  },
+
+  /** @private */
+  _matchAddress: function(pattern, address) {
+    if (SC.typeOf(pattern) === SC.T_STRING) {
+      return (address === pattern || address.split('?')[0] === pattern) ? [address] : null;
+    }
+    return pattern.exec(address);
+  },
+
+  /** @private
+    The interceptor that records the responses.
+  */
+  _recorder: {
+    didReceive: function(request, response) {
+      var recorded = SC.MockResponse.recordedFixtures,
+          body = response.get('body'),
+          status = response.get('status');
+
+      if (!recorded || response.get('isCancelled')) { return; }
+
+      // keep the body readable unless it could not be decoded.
+      if (!response.get('isJSON') || SC.typeOf(body) === SC.T_ERROR) { body = response.get('encodedBody'); }
+
+      recorded.push(SC.mixin({
+        type: (request.get('type') || 'GET').toUpperCase(),
+        address: request.get('address'),
+        headers: response.get('headers') || {},
+        body: body
+      }, status === 0 ? { error: response.getPath('errorObject.message') || "HTTP Request failed" } : { status: status }));
+    }
+  }
+
+});
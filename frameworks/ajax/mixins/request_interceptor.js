@@ -0,0 +1,91 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+/**
+  @namespace
+
+  A request interceptor sees every request sent through `SC.Request.manager`
+  and every response that comes back.  Use one for concerns that apply to all
+  requests, such as adding authentication or CSRF headers, signing requests
+  or unwrapping response envelopes, instead of repeating them on each
+  request.
+
+  Add interceptors with `SC.Request.manager.addInterceptor()`.  They are
+  called in the order they were added, after the `willSend()` callback of the
+  request and before its `didReceive()` callback.
+
+      MyApp.authInterceptor = SC.Object.create(SC.RequestInterceptor, {
+
+        willSend: function(request, response) {
+          request.header('Authorization', 'Bearer ' + MyApp.session.get('token'));
+        },
+
+        didReceive: function(request, response) {
+          if (response.get('status') !== 401) { return; }
+
+          // Hold the response while the token is refreshed, then send the
+          // request again.  willSend() adds the new token.
+          response.pause();
+          MyApp.session.refreshToken(function(didRefresh) {
+            if (didRefresh) { response.resend(); }
+            else { response.resume(); }
+          });
+        }
+
+      });
+
+      SC.Request.manager.addInterceptor(MyApp.authInterceptor);
+
+  ## Pausing
+
+  Either callback may call `pause()` on the response to stop it from going
+  any further, for example while waiting for another request.  The remaining
+  interceptors are not called until `resume()` is called on the response.
+  Call `resend()` instead to send the request again from the beginning, or
+  `cancel()` to drop it.  A paused response does not count towards the
+  `maxRequests` of the manager.
+
+  @since SproutCore 2.0
+*/
+SC.RequestInterceptor = {
+
+  /**
+    Walk like a duck.
+
+    @type Boolean
+  */
+  isRequestInterceptor: YES,
+
+  /**
+    Invoked before the request is frozen and handed to the transport.  You
+    may change the request, for example by adding headers or changing its
+    address or body.  Call `response.cancel()` to keep the request from being
+    sent.
+
+    This is called again each time the response is retried or resent.
+
+    @param {SC.Request} request A copy of the request object, not frozen
+    @param {SC.Response} response The object that will wrap the response
+  */
+  willSend: function(request, response) {},
+
+  /**
+    Invoked after a response has been received and before the `didReceive()`
+    callback of the request and the listeners are notified.  You may change
+    the response, for example by replacing its `body`, `status` or
+    `errorObject`.  Call `response.cancel()` to keep the listeners from being
+    notified.
+
+    Responses that are going to be retried according to the `retryPolicy` of
+    the request are not passed to interceptors.
+
+    @param {SC.Request} request A copy of the request object, frozen
+    @param {SC.Response} response The response
+  */
+  didReceive: function(request, response) {}
+
+};
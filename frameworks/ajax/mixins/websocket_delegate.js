@@ -86,5 +86,24 @@ SC.WebSocketDelegate = {
   */
   webSocketDidError: function (webSocket, event) {},
 
+  /**
+    Called when the webSocket stops trying to reconnect after
+    `maxReconnectAttempts` failed attempts.
+
+    @param webSocket {SC.WebSocket} The webSocket object
+    @param attempts {Number} The number of attempts
+  */
+  webSocketDidGiveUp: function (webSocket, attempts) {},
+
+  /**
+    Called when the latency of the connection rises above `degradedLatency`.
+    The `isDegraded` property of the webSocket becomes false again once the
+    latency is back to normal.
+
+    @param webSocket {SC.WebSocket} The webSocket object
+    @param latency {Number} The latency in milliseconds
+  */
+  webSocketDidDegrade: function (webSocket, latency) {},
+
 };
 
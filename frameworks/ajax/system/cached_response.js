@@ -0,0 +1,141 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+sc_require('system/response');
+
+/**
+  @class
+
+  The response to a GET request that is shared with identical requests or
+  answered from the cache of the request manager.
+
+  When `deduplicatesRequests` or `usesCache` is set on `SC.Request.manager`,
+  GET requests get an instance of this class instead of their
+  `responseClass`.  Each one is answered either from a fresh entry of the
+  cache or by a single request, sent with the `responseClass`, that all the
+  identical requests in flight wait for.  Apart from that, it behaves like
+  any other response: its listeners, interceptors, timeout and retry policy
+  work as usual.
+
+  @extends SC.Response
+  @since SproutCore 2.0
+*/
+SC.CachedResponse = SC.Response.extend(
+/** @scope SC.CachedResponse.prototype */ {
+
+  /**
+    Walk like a duck.
+
+    @type Boolean
+  */
+  isCachedResponse: YES,
+
+  /**
+    The stored response this response was answered with.  A hash with the
+    `status`, `headers` and `body` of the response, and more properties if it
+    is an entry of the cache.
+
+    @type Hash
+    @default null
+  */
+  cacheEntry: null,
+
+  /**
+    YES if the response was answered from a fresh entry of the cache without
+    asking the server.
+
+    @type Boolean
+    @default NO
+  */
+  isFromCache: NO,
+
+  /**
+    The response headers.
+
+    @field
+    @type Hash
+  */
+  headers: function() {
+    return this.getPath('cacheEntry.headers') || {};
+  }.property('cacheEntry').cacheable(),
+
+  /**
+    Returns a header value if found.  Header names are not case sensitive.
+
+    @param {String} key The header key
+    @returns {String}
+  */
+  header: function(key) {
+    return SC.Request.manager.get('cache').header(this.get('headers'), key);
+  },
+
+  /**
+    The encoded body of the stored response.
+
+    @field
+    @type String
+  */
+  encodedBody: function() {
+    var entry = this.get('cacheEntry');
+    return entry ? entry.body : null;
+  }.property('cacheEntry').cacheable(),
+
+  /**
+    Asks the request manager for a fresh entry of the cache, or to wait for
+    the shared request.
+  */
+  invokeTransport: function() {
+    var entry = SC.Request.manager.shareRequest(this);
+
+    this.set('isFromCache', !!entry);
+    if (entry) {
+      this.answerWith(entry);
+    } else {
+      // do not hold a slot while waiting, the shared request needs one.
+      SC.Request.manager.transportDidClose(this);
+    }
+  },
+
+  /**
+    Stops waiting for the shared request.
+  */
+  cancelTransport: function() {
+    SC.Request.manager.unshareRequest(this);
+  },
+
+  /**
+    Answers the response with a stored response.  Called by the request
+    manager once the shared request completes.
+
+    @param {Hash} entry the status, headers and body of the response
+    @returns {SC.CachedResponse} receiver
+  */
+  answerWith: function(entry) {
+    if (this.get('isCancelled') || this.get('timedOut')) { return this; }
+
+    this.receive(function(proceed) {
+      if (!proceed) { return; }
+
+      var status = entry.status,
+          error;
+
+      this.set('cacheEntry', entry);
+
+      if (status < 200 || status >= 300) {
+        error = SC.$error(entry.errorMessage || "HTTP Request failed", "Request", status);
+        error.set("errorValue", this);
+        this.set('isError', YES);
+        this.set('errorObject', error);
+      }
+
+      this.set('status', status);
+    }, this);
+
+    return this;
+  }
+
+});
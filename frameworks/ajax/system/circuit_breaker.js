@@ -0,0 +1,300 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+/**
+  @class
+
+  Tracks the health of a single host and stops requests to it while it is
+  failing.
+
+  `SC.Request.manager` creates one circuit breaker per host when its
+  `usesCircuitBreakers` property is `YES`.  You can get the breaker for an
+  address with `SC.Request.manager.circuitBreakerFor(address)` and observe
+  its `state`, for example to show that a backend is unavailable.
+
+  The breaker starts `CLOSED`, which lets every request through.  A response
+  that times out, does not reach the server or has a 5xx status counts as a
+  failure.  After `failureThreshold` failures in a row the breaker opens.
+  While it is `OPEN`, requests to the host fail immediately without being
+  sent: their response has a status of 0, `isShortCircuited` set to `YES` and
+  an error object with the message "Circuit open".
+
+  After `resetTimeout` milliseconds the breaker becomes `HALF_OPEN` and lets
+  a single trial request through.  If it succeeds the breaker closes again,
+  otherwise it opens for another `resetTimeout`.  If the trial request is
+  cancelled, or has not come back after another `resetTimeout`, the next
+  request becomes the trial.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.CircuitBreaker = SC.Object.extend(
+/** @scope SC.CircuitBreaker.prototype */ {
+
+  /**
+    The host this breaker watches.
+
+    @type String
+    @default null
+  */
+  host: null,
+
+  /**
+    The number of failures in a row that opens the breaker.
+
+    @type Number
+    @default 5
+  */
+  failureThreshold: 5,
+
+  /**
+    How long the breaker stays open before letting a trial request through,
+    in milliseconds.
+
+    @type Number
+    @default 30000
+  */
+  resetTimeout: 30000,
+
+  /**
+    The current state, one of `SC.CircuitBreaker.CLOSED`,
+    `SC.CircuitBreaker.OPEN` or `SC.CircuitBreaker.HALF_OPEN`.
+
+    @type String
+    @default SC.CircuitBreaker.CLOSED
+  */
+  state: 'closed',
+
+  /**
+    The number of failures in a row.
+
+    @type Number
+    @default 0
+  */
+  failureCount: 0,
+
+  /**
+    The time the breaker last opened.
+
+    @type Date
+    @default null
+  */
+  openedAt: null,
+
+  /**
+    Whether requests to the host are currently refused.
+
+    @field
+    @type Boolean
+  */
+  isOpen: function() {
+    return this.get('state') === SC.CircuitBreaker.OPEN;
+  }.property('state').cacheable(),
+
+  // ..........................................................
+  // METHODS
+  //
+
+  /**
+    Returns `YES` if a request to the host may be sent now.  In the
+    `HALF_OPEN` state, only the first request is allowed until its response
+    comes back or is cancelled.  A trial request that has not come back after
+    `resetTimeout` milliseconds no longer holds up other requests.
+
+    @param {SC.Response} [response] the response about to be sent
+    @returns {Boolean}
+  */
+  allowsRequest: function(response) {
+    var K = SC.CircuitBreaker;
+
+    switch (this.get('state')) {
+    case K.OPEN:
+      return NO;
+    case K.HALF_OPEN:
+      if (this._sccb_trialIsInFlight && !this._sccb_trialDidExpire()) { return NO; }
+      this._sccb_trialIsInFlight = YES;
+      this._sccb_trialResponse = response || null;
+      this._sccb_trialStartedAt = new Date().getTime();
+      return YES;
+    default:
+      return YES;
+    }
+  },
+
+  /**
+    Called by the response when it is cancelled.  If it was the trial
+    request, the next request is let through as the trial instead.
+
+    @param {SC.Response} response the response
+    @returns {SC.CircuitBreaker} receiver
+  */
+  responseDidCancel: function(response) {
+    if (this._sccb_trialIsInFlight && this._sccb_trialResponse === response) {
+      this._sccb_clearTrial();
+    }
+    return this;
+  },
+
+  /**
+    Called by the response with its final status.  Updates the state of the
+    breaker.
+
+    @param {SC.Response} response the response
+    @returns {SC.CircuitBreaker} receiver
+  */
+  responseDidComplete: function(response) {
+    if (this.isFailure(response)) {
+      this.recordFailure();
+    } else {
+      this.recordSuccess();
+    }
+    return this;
+  },
+
+  /**
+    Returns `YES` if the response counts as a failure of the host.  Override
+    to change which responses count.
+
+    @param {SC.Response} response the response
+    @returns {Boolean}
+  */
+  isFailure: function(response) {
+    var status = response.get('status');
+    return status === 0 || status >= 500;
+  },
+
+  /**
+    Records a successful response, closing the breaker.
+
+    @returns {SC.CircuitBreaker} receiver
+  */
+  recordSuccess: function() {
+    this._sccb_clearTrial();
+    this._sccb_invalidateTimer();
+
+    this.beginPropertyChanges();
+    this.set('failureCount', 0);
+    this.set('state', SC.CircuitBreaker.CLOSED);
+    this.endPropertyChanges();
+
+    return this;
+  },
+
+  /**
+    Records a failed response, opening the breaker once there have been
+    `failureThreshold` failures in a row or if the trial request failed.
+
+    @returns {SC.CircuitBreaker} receiver
+  */
+  recordFailure: function() {
+    var count = this.get('failureCount') + 1;
+
+    this.set('failureCount', count);
+    if (this.get('state') === SC.CircuitBreaker.HALF_OPEN || count >= this.get('failureThreshold')) {
+      this.open();
+    }
+
+    return this;
+  },
+
+  /**
+    Opens the breaker and schedules the move to `HALF_OPEN`.
+
+    @returns {SC.CircuitBreaker} receiver
+  */
+  open: function() {
+    this._sccb_clearTrial();
+    this._sccb_invalidateTimer();
+
+    this.beginPropertyChanges();
+    this.set('openedAt', new Date());
+    this.set('state', SC.CircuitBreaker.OPEN);
+    this.endPropertyChanges();
+
+    this._sccb_timer = SC.Timer.schedule({
+      target: this,
+      action: this._sccb_resetTimeoutDidElapse,
+      interval: this.get('resetTimeout'),
+      repeats: NO
+    });
+
+    return this;
+  },
+
+  /**
+    Closes the breaker and forgets previous failures.
+
+    @returns {SC.CircuitBreaker} receiver
+  */
+  reset: function() {
+    return this.recordSuccess();
+  },
+
+  /** @private */
+  _sccb_resetTimeoutDidElapse: function() {
+    this._sccb_timer = null;
+    this.set('state', SC.CircuitBreaker.HALF_OPEN);
+  },
+
+  /** @private */
+  _sccb_trialDidExpire: function() {
+    return new Date().getTime() - this._sccb_trialStartedAt >= this.get('resetTimeout');
+  },
+
+  /** @private */
+  _sccb_clearTrial: function() {
+    this._sccb_trialIsInFlight = NO;
+    this._sccb_trialResponse = null;
+  },
+
+  /** @private */
+  _sccb_invalidateTimer: function() {
+    if (this._sccb_timer) {
+      this._sccb_timer.invalidate();
+      this._sccb_timer = null;
+    }
+  },
+
+  /** @private */
+  destroy: function() {
+    this._sccb_invalidateTimer();
+    return sc_super();
+  }
+
+});
+
+SC.CircuitBreaker.mixin(
+/** @scope SC.CircuitBreaker */ {
+
+  /**
+    Requests are sent normally.
+
+    @static
+    @constant
+    @type String
+  */
+  CLOSED: 'closed',
+
+  /**
+    Requests fail without being sent.
+
+    @static
+    @constant
+    @type String
+  */
+  OPEN: 'open',
+
+  /**
+    A single trial request is let through.
+
+    @static
+    @constant
+    @type String
+  */
+  HALF_OPEN: 'halfOpen'
+
+});
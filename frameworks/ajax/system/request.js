@@ -6,6 +6,11 @@
 // ==========================================================================
 
 sc_require('system/response');
+sc_require('system/retry_policy');
+sc_require('system/circuit_breaker');
+sc_require('system/response_cache');
+sc_require('system/cached_response');
+sc_require('mixins/request_interceptor');
 
 /**
   @class
@@ -180,6 +185,55 @@ sc_require('system/response');
                           .notify(200, targetObject, 'gotOK')
                           .send();
 
+  ### Retrying Failed Requests
+
+  A request can be sent again automatically when it fails with a temporary
+  error, such as a timeout or a 503 status. Use the `retry()` helper method to
+  give the request an `SC.RetryPolicy`, either an instance or a hash of
+  options for a new one. The listeners are only notified once the request
+  succeeds or runs out of retries.
+
+  For example,
+
+      request = SC.Request.getUrl(resourceAddress)
+                          .json()
+                          .retry({ maxRetries: 5, baseDelay: 500 })
+                          .notify(200, targetObject, 'gotOK')
+                          .send();
+
+  Set `usesCircuitBreakers` on `SC.Request.manager` to also stop sending
+  requests to a host while it is failing. @see SC.CircuitBreaker.
+
+  ### Intercepting All Requests
+
+  To change every request before it is sent, or every response before its
+  listeners are notified, add an interceptor to `SC.Request.manager`. For
+  example, to send a CSRF token with every request,
+
+      SC.Request.manager.addInterceptor({
+        willSend: function(request, response) {
+          request.header('X-CSRF-Token', MyApp.csrfToken);
+        }
+      });
+
+  Interceptors can also hold a response while they do some asynchronous work
+  and then resend it. @see SC.RequestInterceptor.
+
+  ### Sharing and Caching Responses
+
+  Set `deduplicatesRequests` on `SC.Request.manager` to send a GET request
+  only once while identical requests are in flight, and `usesCache` to keep
+  responses according to their `Cache-Control`, `ETag`, `Last-Modified` and
+  `Vary` headers. Requests are identical if they have the same address and
+  format and the same `Accept` and `Authorization` headers.
+  @see SC.CachedResponse and SC.ResponseCache.
+
+  ### Testing
+
+  In unit tests, call `SC.MockResponse.install()` to answer requests with
+  canned responses instead of sending them to a server.  SC.MockResponse is
+  only available in debug mode. @see SC.MockResponse.
+
   @extends SC.Object
   @extends SC.Copyable
   @extends SC.Freezable
@@ -335,10 +389,24 @@ SC.Request = SC.Object.extend(SC.Copyable, SC.Freezable,
   */
   timeout: null,
 
+  /**
+    The policy used to send the request again if it fails. You can set this
+    with the retry() helper method.
+
+    @type SC.RetryPolicy
+    @default null
+  */
+  retryPolicy: null,
+
   /**
     The body of the request.  May be an object if isJSON or isXML is set,
     otherwise should be a string.
 
+    The body may also be a `FormData`, `Blob`, `ArrayBuffer`, typed array or
+    `URLSearchParams` object, which is sent as is.  The browser sets the
+    Content-Type header for these, including the boundary of multipart
+    `FormData` bodies.
+
     @type Object|String
     @default null
   */
@@ -354,7 +422,7 @@ SC.Request = SC.Object.extend(SC.Copyable, SC.Freezable,
   encodedBody: function() {
     // TODO: support XML
     var ret = this.get('body');
-    if (ret && this.get('isJSON')) { ret = SC.json.encode(ret); }
+    if (ret && this.get('isJSON') && !SC.Request.isRawBody(ret)) { ret = SC.json.encode(ret); }
     return ret;
   }.property('isJSON', 'isXML', 'body').cacheable(),
 
@@ -419,7 +487,7 @@ SC.Request = SC.Object.extend(SC.Copyable, SC.Freezable,
   concatenatedProperties: 'COPY_KEYS',
 
   /** @private */
-  COPY_KEYS: ['attachIdentifyingHeaders', 'allowCredentials', 'isAsynchronous', 'isJSON', 'isXML', 'address', 'type', 'timeout', 'body', 'responseClass', 'willSend', 'didSend', 'willReceive', 'didReceive'],
+  COPY_KEYS: ['attachIdentifyingHeaders', 'allowCredentials', 'isAsynchronous', 'isJSON', 'isXML', 'address', 'type', 'timeout', 'retryPolicy', 'body', 'responseClass', 'willSend', 'didSend', 'willReceive', 'didReceive'],
 
   /**
     Returns a copy of the current request. This will only copy certain
@@ -536,6 +604,18 @@ SC.Request = SC.Object.extend(SC.Copyable, SC.Freezable,
     return this.set('timeout', timeout);
   },
 
+  /**
+    Sets the policy used to send the request again if it fails.
+
+    @param {SC.RetryPolicy|Hash|Boolean} policy A policy, a hash of options for a new SC.RetryPolicy, YES for the default policy or NO for none. Default YES.
+    @returns {SC.Request} receiver
+  */
+  retry: function(policy) {
+    if (policy === undefined || policy === YES) { policy = {}; }
+    if (policy && !policy.isRetryPolicy) { policy = SC.RetryPolicy.create(policy); }
+    return this.set('retryPolicy', policy || null);
+  },
+
   /**
     Converts the current request to use JSON.
 
@@ -573,8 +653,8 @@ SC.Request = SC.Object.extend(SC.Copyable, SC.Freezable,
     }
 
     // Set the Content-Type header only if not specified and the request
-    // includes a body.
-    if (!hasContentType && !!this.get('body')) {
+    // includes a body that the browser does not describe itself.
+    if (!hasContentType && !!this.get('body') && !SC.Request.isRawBody(this.get('body'))) {
       if (this.get('isJSON')) {
         this.header('Content-Type', 'application/json');
       } else if (this.get('isXML')) {
@@ -672,6 +752,30 @@ SC.Request = SC.Object.extend(SC.Copyable, SC.Freezable,
       req.notify('upload.progress', this, this.reqUploadDidProgress); // Handle 'progress' events on the XMLHttpRequestUpload
       req.send();
 
+    `uploadProgress` is an alias for `upload.progress`.
+
+    ## Reading the Body as It Arrives
+
+    Two more event names let you process a large body while it is still
+    being received, instead of waiting for the whole response.  Listeners for
+    `chunk` are called with the response and each new piece of the body as a
+    string.  Listeners for `ndjson` are called with the response and an array
+    of the objects parsed from each complete line of a newline delimited JSON
+    body.  Only successful responses are read this way, and the last piece
+    arrives before the status code listeners are notified.
+
+    For example, to load records into a store as they arrive,
+
+      SC.Request.getUrl('/contacts.ndjson')
+        .notify('ndjson', this, function(response, dataHashes) {
+          store.loadRecords(MyApp.Contact, dataHashes);
+        })
+        .notify(this, this.contactsDidLoad)
+        .send();
+
+    With SC.XHRResponse, the body is read on each progress event if the
+    browser supports XMLHttpRequest Level 2, and all at once otherwise.
+
     ## Callback Format
 
     Your notification callback should expect to receive the Response object as
@@ -721,6 +825,8 @@ SC.Request = SC.Object.extend(SC.Copyable, SC.Freezable,
       }
     }
 
+    if (statusOrEvent === 'uploadProgress') { statusOrEvent = 'upload.progress'; }
+
     // Prepare listeners for this object and notification target.
     var listeners = this.get('listeners');
     if (!listeners) { this.set('listeners', listeners = {}); }
@@ -794,6 +900,22 @@ SC.Request.mixin(
     var req = this.create().set('address', address).set('type', 'PATCH');
     if(body) { req.set('body', body) ; }
     return req ;
+  },
+
+  /**
+    Returns YES if the body is a `FormData`, `Blob`, `ArrayBuffer`, typed
+    array or `URLSearchParams` object, which is sent without being encoded.
+
+    @param {Object} body the body of a request
+    @returns {Boolean}
+  */
+  isRawBody: function(body) {
+    if (!body || typeof body !== 'object') { return NO; }
+
+    return (typeof FormData !== 'undefined' && body instanceof FormData) ||
+      (typeof Blob !== 'undefined' && body instanceof Blob) ||
+      (typeof ArrayBuffer !== 'undefined' && (body instanceof ArrayBuffer || (ArrayBuffer.isView && ArrayBuffer.isView(body)))) ||
+      (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams);
   }
 
 });
@@ -838,6 +960,102 @@ SC.Request.manager = SC.Object.create(
   */
   pending: [],
 
+  /**
+    Whether to keep an SC.CircuitBreaker for each host that stops requests to
+    the host while it is failing.
+
+    @type Boolean
+    @default NO
+  */
+  usesCircuitBreakers: NO,
+
+  /**
+    The number of failures in a row that opens the circuit breaker of a host.
+
+    @type Number
+    @default 5
+  */
+  circuitBreakerThreshold: 5,
+
+  /**
+    How long the circuit breaker of a host stays open before letting a trial
+    request through, in milliseconds.
+
+    @type Number
+    @default 30000
+  */
+  circuitBreakerTimeout: 30000,
+
+  /**
+    The circuit breakers by host.
+
+    @type Hash
+    @default {}
+  */
+  circuitBreakers: {},
+
+  /**
+    If set, requests that would use SC.XHRResponse, the default responseClass,
+    use this class instead.  This lets you replace the transport of all
+    requests, for example with SC.MockResponse in unit tests.
+
+    @type SC.Response
+    @default null
+  */
+  responseClass: null,
+
+  /**
+    Whether GET requests for an address that is already being requested wait
+    for the request in flight instead of sending another one.  Each request
+    still gets its own response, an SC.CachedResponse.
+
+    Only requests with the same key, as returned by the `keyFor()` method of
+    `cache`, wait for each other.  Requests that have a different value for a
+    header named by the `Vary` header of the response are sent again.
+
+    Requests with progress or body listeners, synchronous requests and
+    requests with a `Cache-Control: no-store` header are always sent.
+
+    @type Boolean
+    @default NO
+  */
+  deduplicatesRequests: NO,
+
+  /**
+    Whether to keep the responses to GET requests in `cache` and answer
+    requests from it while the responses are fresh.  Stale responses are
+    revalidated with conditional requests.  Like with
+    `deduplicatesRequests`, requests get an SC.CachedResponse.
+
+    A request with a `Cache-Control: no-cache` header always asks the server,
+    and one with `Cache-Control: no-store` bypasses the cache.
+
+    @type Boolean
+    @default NO
+  */
+  usesCache: NO,
+
+  /**
+    The cache of responses used when `usesCache` is YES.  Use it to inspect
+    and clear the cached responses.
+
+    @type SC.ResponseCache
+  */
+  cache: SC.ResponseCache.create(),
+
+  /** @private The requests shared by SC.CachedResponse objects. */
+  _sharedRequests: [],
+
+  /**
+    The interceptors every request and response goes through, in order.  Use
+    addInterceptor() and removeInterceptor() to change them.
+
+    @see SC.RequestInterceptor
+    @type Array
+    @default []
+  */
+  interceptors: [],
+
 
   // ..........................................................
   // METHODS
@@ -856,9 +1074,174 @@ SC.Request.manager = SC.Object.create(
     // create low-level transport.  copy all critical data for request over
     // so that if the request has been reconfigured the transport will still
     // work.
-    var response = request.get('responseClass').create({ request: request });
+    var responseClass = this.sharesRequest(request) ? SC.CachedResponse : this.responseClassFor(request),
+        response = responseClass.create({ request: request });
+
+    return this.enqueueResponse(response);
+  },
+
+  /**
+    Returns the class of the responses that send the request to the server:
+    its responseClass, or the responseClass of the manager if that is set and
+    the request uses the default SC.XHRResponse.
+
+    @param {SC.Request} request the request
+    @returns {SC.Response} the response class
+  */
+  responseClassFor: function(request) {
+    var responseClass = request.get('responseClass');
+
+    if (responseClass === SC.XHRResponse) { responseClass = this.get('responseClass') || responseClass; }
+    return responseClass;
+  },
+
+  /**
+    Returns YES if the request gets an SC.CachedResponse that shares its
+    request with identical requests or is answered from the cache.
+
+    @param {SC.Request} request the request
+    @returns {Boolean}
+  */
+  sharesRequest: function(request) {
+    var listeners = request.get('listeners'),
+        key;
+
+    if (!this.get('deduplicatesRequests') && !this.get('usesCache')) { return NO; }
+    if ((request.get('type') || 'GET').toUpperCase() !== 'GET' || !request.get('isAsynchronous')) { return NO; }
+    if (/no-store/i.test(request.header('Cache-Control') || '')) { return NO; }
+
+    // progress and body listeners need their own transport.
+    for (key in listeners) {
+      if (listeners.hasOwnProperty(key) && isNaN(parseInt(key, 10))) { return NO; }
+    }
+
+    return YES;
+  },
+
+  /**
+    Called by an SC.CachedResponse when it is fired.  Returns a fresh entry
+    of the cache to answer it with, or makes it wait for a shared request to
+    its address and returns null.  The shared request is sent with the
+    responseClass of the request, without its listeners.
+
+    @param {SC.CachedResponse} response the response
+    @returns {Hash} the entry of the cache, or null
+  */
+  shareRequest: function(response) {
+    var request = response.get('request'),
+        key = this.get('cache').keyFor(request),
+        cache = this.get('usesCache') ? this.get('cache') : null,
+        entry = cache ? cache.entryFor(request) : null,
+        shared, sharedRequest;
+
+    if (cache && cache.isFresh(entry) && !/no-cache/i.test(request.header('Cache-Control') || '')) { return entry; }
+
+    if (this.get('deduplicatesRequests')) { shared = this._sharedRequestFor('key', key); }
+
+    if (shared) {
+      shared.followers.push(response);
+    } else {
+      // the shared request notifies the waiting responses only, which retry
+      // on their own.
+      sharedRequest = request.copy();
+      sharedRequest.set('source', null);
+      sharedRequest.set('listeners', null);
+      sharedRequest.set('retryPolicy', null);
+      if (entry) { cache.prepareConditionalRequest(sharedRequest, entry); }
+
+      shared = {
+        key: key,
+        address: request.get('address'),
+        entry: entry,
+        followers: [response],
+        response: this.responseClassFor(sharedRequest).create({ request: sharedRequest })
+      };
+      this._sharedRequests.push(shared);
+      this.enqueueResponse(shared.response);
+    }
+
+    return null;
+  },
+
+  /**
+    Stops an SC.CachedResponse from waiting for its shared request.
+
+    @param {SC.CachedResponse} response the response
+    @returns {SC.Request.manager} receiver
+  */
+  unshareRequest: function(response) {
+    this._sharedRequests.forEach(function(shared) {
+      shared.followers.removeObject(response);
+    });
+    return this;
+  },
+
+  /**
+    Called by every response once it is received and has gone through the
+    interceptors, or when it is cancelled.  Answers the responses waiting for
+    it if it is a shared request, storing it in the cache if needed.
+
+    @param {SC.Response} response the response
+    @returns {SC.Request.manager} receiver
+  */
+  responseDidFinish: function(response) {
+    var shared = this._sharedRequestFor('response', response),
+        cache = this.get('cache'),
+        request = response.get('request'),
+        entry, stored, fresh;
+
+    if (!shared) { return this; }
+    this._sharedRequests.removeObject(shared);
+
+    // a cancelled shared request is sent again for the responses waiting.
+    if (response.get('isCancelled')) {
+      shared.followers.forEach(function(follower) {
+        entry = this.shareRequest(follower);
+        if (entry) { follower.answerWith(entry); }
+      }, this);
+      return this;
+    }
 
-    // add to pending queue
+    entry = {
+      address: shared.address,
+      status: response.get('status'),
+      headers: response.get('headers') || {},
+      body: response.get('encodedBody'),
+      errorMessage: response.getPath('errorObject.message')
+    };
+    entry.vary = cache.varyFor(entry.headers, request);
+
+    if (this.get('usesCache')) {
+      if (entry.status === 304 && shared.entry) {
+        entry = cache.revalidateEntry(shared.entry, entry);
+      } else {
+        stored = cache.storeResponse(entry, request);
+        if (stored) { entry = stored; }
+      }
+    }
+
+    // responses waiting with a different value for a header the response
+    // varies on are sent again.  The first one is always answered so that
+    // this ends.
+    shared.followers.forEach(function(follower, idx) {
+      if (idx === 0 || cache.entryMatchesRequest(entry, follower.get('request'))) {
+        follower.answerWith(entry);
+      } else {
+        fresh = this.shareRequest(follower);
+        if (fresh) { follower.answerWith(fresh); }
+      }
+    }, this);
+    return this;
+  },
+
+  /**
+    Adds a response to the pending queue and fires it if there is an open
+    slot. Responses that are retried come back through here.
+
+    @param {SC.Response} response the response to queue
+    @returns {SC.Response} the response
+  */
+  enqueueResponse: function(response) {
     this.get('pending').pushObject(response);
     this.fireRequestIfNeeded();
 
@@ -887,6 +1270,9 @@ SC.Request.manager = SC.Object.create(
       inflight.removeObject(response);
       this.fireRequestIfNeeded();
       return YES;
+    } else if (response.get('retryTimer') || response.get('isPaused')) {
+      response.cancel();
+      return YES;
     }
 
     return NO;
@@ -903,6 +1289,11 @@ SC.Request.manager = SC.Object.create(
       inflight = this.get('inflight'),
       pending = this.get('pending');
 
+    // responses waiting for a shared request are not in either queue.
+    this._sharedRequests.slice().forEach(function(shared) {
+      shared.followers.slice().forEach(function(follower) { follower.cancel(); });
+    });
+
     if(pendingLen || inflightLen) {
       // Iterate backwards.
       for( var i = inflightLen - 1; i >= 0; i--) {
@@ -969,6 +1360,78 @@ SC.Request.manager = SC.Object.create(
   */
   isInFlight: function(response) {
     return this.get('inflight').contains(response);
+  },
+
+  /**
+    Adds an interceptor that every request and response will go through.
+    Interceptors are called in order, so the interceptor is added to the end
+    unless you pass an index.
+
+    @param {SC.RequestInterceptor} interceptor the interceptor to add
+    @param {Number} [idx] the position to add the interceptor at
+    @returns {SC.Request.manager} receiver
+  */
+  addInterceptor: function(interceptor, idx) {
+    var interceptors = this.get('interceptors');
+
+    if (SC.none(idx)) { idx = interceptors.length; }
+    interceptors.insertAt(idx, interceptor);
+
+    return this;
+  },
+
+  /**
+    Removes an interceptor added with addInterceptor().  Requests that are
+    already being intercepted still call it.
+
+    @param {SC.RequestInterceptor} interceptor the interceptor to remove
+    @returns {SC.Request.manager} receiver
+  */
+  removeInterceptor: function(interceptor) {
+    this.get('interceptors').removeObject(interceptor);
+    return this;
+  },
+
+  /** @private */
+  _sharedRequestFor: function(key, value) {
+    return this._sharedRequests.find(function(shared) { return shared[key] === value; }) || null;
+  },
+
+  /**
+    Returns the circuit breaker for the host of the address, creating it if
+    needed. Returns null unless usesCircuitBreakers is YES.
+
+    @param {String} address the address of a request
+    @returns {SC.CircuitBreaker} the circuit breaker or null
+  */
+  circuitBreakerFor: function(address) {
+    if (!this.get('usesCircuitBreakers')) { return null; }
+
+    var host = this.hostFor(address),
+        breakers = this.get('circuitBreakers'),
+        ret = breakers[host];
+
+    if (!ret) {
+      ret = breakers[host] = SC.CircuitBreaker.create({
+        host: host,
+        failureThreshold: this.get('circuitBreakerThreshold'),
+        resetTimeout: this.get('circuitBreakerTimeout')
+      });
+    }
+
+    return ret;
+  },
+
+  /**
+    Returns the host of the address, or the host of the current page for
+    relative addresses.
+
+    @param {String} address the address of a request
+    @returns {String} the host
+  */
+  hostFor: function(address) {
+    var parts = /^[\w\+\.\-]+:\/\/([^\/?#]*)/.exec(address || '');
+    return (parts ? parts[1] : window.location.host).toLowerCase();
   }
 
 });
@@ -151,6 +151,19 @@ SC.Response = SC.Object.extend(
     return this.getPath('request.listeners');
   }.property('request').cacheable(),
 
+  /**
+    YES if there are `chunk` or `ndjson` listeners, which are given the body
+    as it arrives.
+
+    @field
+    @type Boolean
+    @observes listeners
+  */
+  isStreaming: function() {
+    var listeners = this.get('listeners');
+    return !!listeners && !!(listeners.chunk || listeners.ndjson);
+  }.property('listeners').cacheable(),
+
   /**
     The response status code.
 
@@ -172,10 +185,15 @@ SC.Response = SC.Object.extend(
     if there is a JSON parsing error. If isJSON was set, will be parsed
     automatically.
 
+    Request interceptors may set a different body, for example to unwrap an
+    envelope, which is kept until the encoded body changes.
+
     @field
     @type {Hash|String|SC.Error}
   */
-  body: function() {
+  body: function(key, value) {
+    if (value !== undefined) { return value; }
+
     // TODO: support XML
     // TODO: why not use the content-type header?
     var ret = this.get('encodedBody');
@@ -231,6 +249,41 @@ SC.Response = SC.Object.extend(
   */
   timeoutTimer: null,
 
+  /**
+    The number of times the request has been sent again according to the
+    `retryPolicy` of the request.
+
+    @type Number
+    @default 0
+  */
+  retryCount: 0,
+
+  /**
+    The timer waiting to send the request again, if a retry is scheduled.
+
+    @type SC.Timer
+    @default null
+  */
+  retryTimer: null,
+
+  /**
+    Set to YES if the request was not sent because the circuit breaker for
+    its host was open.
+
+    @type Boolean
+    @default NO
+  */
+  isShortCircuited: NO,
+
+  /**
+    Set to YES while a request interceptor holds the response.
+
+    @see SC.RequestInterceptor
+    @type Boolean
+    @default NO
+  */
+  isPaused: NO,
+
 
   // ..........................................................
   // METHODS
@@ -243,17 +296,40 @@ SC.Response = SC.Object.extend(
   */
   fire: function() {
     var req = this.get('request'),
-        source = req ? req.get('source') : null;
+        source = req ? req.get('source') : null,
+        breaker;
+
+    // first give the source and then the interceptors a chance to fixup the
+    // request and response.  A response that was paused by an interceptor
+    // continues with the next interceptor.
+    if (!this._interceptors) {
+      if (source && source.willSend) { source.willSend(req, this); }
+      this._startInterceptors('willSend');
+    }
+
+    // while paused, give up the slot so that other requests can be sent, for
+    // example the one the interceptor is waiting for.
+    if (!this._runInterceptors()) {
+      SC.Request.manager.transportDidClose(this);
+      return;
+    }
 
-    // first give the source a chance to fixup the request and response
     // then freeze req so no more changes can happen.
-    if (source && source.willSend) { source.willSend(req, this); }
     req.freeze();
 
     // if the source did not cancel the request, then invoke the transport
     // to actually trigger the request.  This might receive a response
-    // immediately if it is synchronous.
-    if (!this.get('isCancelled')) { this.invokeTransport(); }
+    // immediately if it is synchronous.  If the host is failing, fail right
+    // away instead.
+    if (!this.get('isCancelled')) {
+      breaker = this.isCachedResponse ? null : SC.Request.manager.circuitBreakerFor(this.get('address'));
+      if (breaker && !breaker.allowsRequest(this)) {
+        this._shortCircuit();
+        return;
+      }
+
+      this.invokeTransport();
+    }
 
     // If the request specified a timeout value, then set a timer for it now.
     var timeout = req.get('timeout');
@@ -303,8 +379,11 @@ SC.Response = SC.Object.extend(
 
     var req = this.get('request');
     var source = req ? req.get('source') : null;
+    var willRetry = NO;
 
     SC.run(function() {
+      var breaker, policy;
+
       // invoke the source, giving a chance to fixup the response or (more
       // likely) cancel the request.
       if (source && source.willReceive) { source.willReceive(req, this); }
@@ -312,15 +391,23 @@ SC.Response = SC.Object.extend(
       // invoke the callback.  note if the response was cancelled or not
       callback.call(context, !this.get('isCancelled'));
 
-      // if we weren't cancelled, then give the source first crack at handling
-      // the response.  if the source doesn't want listeners to be notified,
-      // it will cancel the response.
-      if (!this.get('isCancelled') && source && source.didReceive) {
-        source.didReceive(req, this);
+      // let the circuit breaker of the host know how the request went, then
+      // check whether a failed request should be sent again instead of
+      // notifying anyone.
+      if (!this.get('isCancelled') && !this.get('isShortCircuited')) {
+        breaker = this.isCachedResponse ? null : SC.Request.manager.circuitBreakerFor(this.get('address'));
+        if (breaker) { breaker.responseDidComplete(this); }
+
+        policy = req ? req.get('retryPolicy') : null;
+        willRetry = !!policy && this.get('isError') && policy.shouldRetry(this, this.get('retryCount'));
       }
 
-      // notify listeners if we weren't cancelled.
-      if (!this.get('isCancelled')) { this.notify(); }
+      if (!willRetry) {
+        this._startInterceptors('didReceive');
+        this._didReceive();
+      } else {
+        this._scheduleRetry();
+      }
     }, this);
 
     // no matter what, remove from inflight queue
@@ -334,12 +421,131 @@ SC.Response = SC.Object.extend(
   */
   cancel: function() {
     if (!this.get('isCancelled')) {
+      var retryTimer = this.get('retryTimer'),
+          breaker;
+
+      if (retryTimer) {
+        retryTimer.invalidate();
+        this.set('retryTimer', null);
+      }
+
+      this._interceptors = null;
+      this.set('isPaused', NO);
       this.set('isCancelled', YES);
       this.cancelTransport();
+
+      // if this was the trial request of a half open breaker, let the next
+      // request through instead.
+      breaker = this.isCachedResponse ? null : SC.Request.manager.circuitBreakerFor(this.get('address'));
+      if (breaker) { breaker.responseDidCancel(this); }
+
       SC.Request.manager.transportDidClose(this);
+      SC.Request.manager.responseDidFinish(this);
     }
   },
 
+  /**
+    Called by the transport with each new piece of the body as it arrives.
+    Notifies the `chunk` listeners with the text and the `ndjson` listeners
+    with the objects parsed from each complete line.  Lines that are not
+    valid JSON are skipped.
+
+    You do not need to pass the last piece, which is taken from
+    `encodedBody` once the response is received.
+
+    @param {String} text the new piece of the body
+    @param {Boolean} [isLast] YES if the body is complete
+    @returns {SC.Response} receiver
+  */
+  didReceiveChunk: function(text, isLast) {
+    var listeners = this.get('listeners'),
+        lines, objects;
+
+    if (!listeners) { return this; }
+    text = text || '';
+    this._chunkOffset = (this._chunkOffset || 0) + text.length;
+
+    if (text && listeners.chunk) { this._notifyListeners(listeners, 'chunk', [text]); }
+
+    if (listeners.ndjson) {
+      lines = ((this._ndjsonBuffer || '') + text).split('\n');
+      this._ndjsonBuffer = isLast ? '' : lines.pop();
+
+      objects = this._parseJSONLines(lines);
+      if (objects.length) { this._notifyListeners(listeners, 'ndjson', [objects]); }
+    }
+
+    return this;
+  },
+
+  /**
+    Stops the response from going any further until `resume()`, `resend()`
+    or `cancel()` is called.  Only request interceptors should call this,
+    from their `willSend()` or `didReceive()` callbacks.
+
+    @see SC.RequestInterceptor
+    @returns {SC.Response} receiver
+  */
+  pause: function() {
+    //@if(debug)
+    if (!this._isIntercepting) {
+      SC.warn("Developer Warning: SC.Response#pause() should only be called by request interceptors.");
+    }
+    //@endif
+
+    this.set('isPaused', YES);
+    return this;
+  },
+
+  /**
+    Continues a paused response with the next interceptor.  A request that
+    was paused before it was sent is queued again, and a response that was
+    paused after it was received goes on to notify its listeners.
+
+    @returns {SC.Response} receiver
+  */
+  resume: function() {
+    if (!this.get('isPaused')) { return this; }
+    this.set('isPaused', NO);
+
+    // if the interceptor resumed before returning, the remaining interceptors
+    // are simply called next.
+    if (this._isIntercepting) { return this; }
+
+    if (this._interceptorHook === 'willSend') {
+      SC.Request.manager.enqueueResponse(this);
+    } else {
+      SC.run(this._didReceive, this);
+    }
+
+    return this;
+  },
+
+  /**
+    Sends the request again with the same response object, which is reset
+    first.  The request goes through the `willSend()` callback and the
+    interceptors again, so they can change it.  This is typically used by an
+    interceptor after it fixed what made the request fail, such as an expired
+    authentication token.
+
+    @returns {SC.Response} receiver
+  */
+  resend: function() {
+    if (this.get('isCancelled')) { return this; }
+
+    this._interceptors = null;
+    this.set('isPaused', NO);
+
+    // wait for the current response to be closed if called by an interceptor
+    if (this._isIntercepting) {
+      this.invokeNext(this._resend);
+    } else {
+      this._resend();
+    }
+
+    return this;
+  },
+
   /**
     Default method just closes the connection.
 
@@ -377,12 +583,194 @@ SC.Response = SC.Object.extend(
   */
   cancelTransport: function() {},
 
+  /**
+    @private
+
+    Schedules the request to be sent again after the delay given by the retry
+    policy of the request.
+  */
+  _scheduleRetry: function() {
+    var policy = this.getPath('request.retryPolicy'),
+        delay = policy.delayFor(this, this.get('retryCount'));
+
+    this.set('retryTimer', SC.Timer.schedule({
+      target: this,
+      action: this._retry,
+      interval: Math.max(delay, 1),
+      repeats: NO
+    }));
+  },
+
+  /**
+    @private
+
+    Sends the request again according to its retry policy.
+  */
+  _retry: function() {
+    this.set('retryTimer', null);
+    if (this.get('isCancelled')) { return; }
+
+    this.incrementProperty('retryCount');
+    this._resend();
+  },
+
+  /**
+    @private
+
+    Resets the response and puts it back in the queue of the request manager.
+    The request is replaced by an unfrozen copy, so that it can be changed
+    again before it is sent.
+  */
+  _resend: function() {
+    if (this.get('isCancelled')) { return; }
+
+    this.beginPropertyChanges();
+    this.set('request', this.get('request').copy());
+    this.set('isError', NO);
+    this.set('errorObject', null);
+    this.set('timedOut', null);
+    this.set('status', -100);
+    this.notifyPropertyChange('encodedBody');
+    this.endPropertyChanges();
+
+    this._chunkOffset = 0;
+    this._ndjsonBuffer = '';
+
+    SC.Request.manager.enqueueResponse(this);
+  },
+
+  /**
+    @private
+
+    Gets the interceptors of the request manager ready to be called with the
+    given callback.
+  */
+  _startInterceptors: function(hook) {
+    this._interceptorHook = hook;
+    this._interceptors = SC.Request.manager.get('interceptors').slice();
+  },
+
+  /**
+    @private
+
+    Calls the remaining interceptors in order.  Returns NO if one of them
+    paused, resent or cancelled the response.
+  */
+  _runInterceptors: function() {
+    var interceptors = this._interceptors,
+        hook = this._interceptorHook,
+        interceptor;
+
+    this._isIntercepting = YES;
+    while (interceptors.length && !this.get('isCancelled')) {
+      interceptor = interceptors.shift();
+      if (interceptor[hook]) { interceptor[hook](this.get('request'), this); }
+
+      if (this.get('isPaused') || this._interceptors !== interceptors) {
+        this._isIntercepting = NO;
+        return NO;
+      }
+    }
+
+    this._isIntercepting = NO;
+    this._interceptors = null;
+    return YES;
+  },
+
+  /**
+    @private
+
+    Runs the response through the interceptors, then the source and the
+    listeners.
+  */
+  _didReceive: function() {
+    var req = this.get('request'),
+        source = req ? req.get('source') : null;
+
+    // a paused response continues when it is resumed.
+    if (!this._runInterceptors()) { return; }
+
+    // answer the responses waiting for this one.
+    if (!this.get('isCancelled')) { SC.Request.manager.responseDidFinish(this); }
+
+    // pass the rest of the body to listeners that read it as it arrives.
+    if (!this.get('isCancelled') && !this.get('isError') && this.get('isStreaming')) {
+      this.didReceiveChunk(this._unreadBody(), YES);
+    }
+
+    // if we weren't cancelled, then give the source first crack at handling
+    // the response.  if the source doesn't want listeners to be notified,
+    // it will cancel the response.
+    if (!this.get('isCancelled') && source && source.didReceive) {
+      source.didReceive(req, this);
+    }
+
+    // notify listeners if we weren't cancelled.
+    if (!this.get('isCancelled')) { this.notify(); }
+  },
+
+  /**
+    @private
+
+    Fails the response without sending the request, because the circuit
+    breaker for its host is open.
+  */
+  _shortCircuit: function() {
+    this.set('isShortCircuited', YES);
+
+    this.receive(function(proceed) {
+      if (!proceed) { return; }
+
+      var error = SC.$error("Circuit open", "Request", 0);
+      error.set("errorValue", this);
+      this.set('isError', YES);
+      this.set('errorObject', error);
+      this.set('status', 0);
+    }, this);
+  },
+
+  /**
+    @private
+
+    Returns the part of the encoded body that was not passed to
+    didReceiveChunk() yet.
+  */
+  _unreadBody: function() {
+    var body = this.get('encodedBody');
+    return SC.typeOf(body) === SC.T_STRING ? body.slice(this._chunkOffset || 0) : '';
+  },
+
+  /**
+    @private
+
+    Parses each non-empty line as JSON.
+  */
+  _parseJSONLines: function(lines) {
+    var ret = [], line, i, len;
+
+    for (i = 0, len = lines.length; i < len; i++) {
+      line = lines[i].trim();
+      if (!line) { continue; }
+
+      try {
+        ret.push(SC.json.decode(line));
+      } catch (e) {
+        //@if(debug)
+        SC.warn("Developer Warning: %@ skipped a line that is not valid JSON: %@".fmt(this, line));
+        //@endif
+      }
+    }
+
+    return ret;
+  },
+
   /**
     @private
 
     Will notify each listener. Returns true if any of the listeners handle.
+    Extra arguments are passed after the response.
   */
-  _notifyListeners: function(listeners, status) {
+  _notifyListeners: function(listeners, status, extraArgs) {
     var notifiers = listeners[status], args, target, action;
     if (!notifiers) { return NO; }
 
@@ -392,6 +780,7 @@ SC.Response = SC.Object.extend(
     for (var i = 0; i < len; i++) {
       var notifier = notifiers[i];
       args = (notifier.args || []).copy();
+      if (extraArgs) { args.unshift.apply(args, extraArgs); }
       args.unshift(this);
 
       target = notifier.target;
@@ -541,8 +930,9 @@ SC.XHRResponse = SC.Response.extend(
         if (listeners) {
           for (var key in listeners) {
 
-            // Make sure the key is not an HTTP numeric status code.
-            if (isNaN(parseInt(key, 10))) {
+            // Make sure the key is not an HTTP numeric status code or one of
+            // the events that read the body.
+            if (isNaN(parseInt(key, 10)) && key !== 'chunk' && key !== 'ndjson') {
               // We still allow multiple notifiers on progress events, but we
               // don't try to optimize this by using a single listener, because
               // it is highly unlikely that the developer will add duplicate
@@ -564,6 +954,11 @@ SC.XHRResponse = SC.Response.extend(
           }
         }
 
+        // Read the body as it arrives if anyone listens to it.
+        if (this.get('isStreaming')) {
+          SC.Event.add(rawRequest, 'progress', this, this._readChunk);
+        }
+
         if (SC.platform.get('supportsXHR2LoadEndEvent')) {
           SC.Event.add(rawRequest, 'loadend', this, this.finishRequest);
         } else {
@@ -685,6 +1080,10 @@ SC.XHRResponse = SC.Response.extend(
       if (SC.platform.get('supportsXHR2ProgressEvent')) {
         // XMLHttpRequest Level 2
 
+        if (this.get('isStreaming')) {
+          SC.Event.remove(rawRequest, 'progress', this, this._readChunk);
+        }
+
         if (SC.platform.get('supportsXHR2LoadEndEvent')) {
           SC.Event.remove(rawRequest, 'loadend', this, this.finishRequest);
         } else {
@@ -698,8 +1097,9 @@ SC.XHRResponse = SC.Response.extend(
         if (listeners) {
           for (var key in listeners) {
 
-            // Make sure the key is not an HTTP numeric status code.
-            if (isNaN(parseInt(key, 10))) {
+            // Make sure the key is not an HTTP numeric status code or one of
+            // the events that read the body.
+            if (isNaN(parseInt(key, 10)) && key !== 'chunk' && key !== 'ndjson') {
               listenersForKey = listeners[key];
               for (var i = 0, len = listenersForKey.length; i < len; i++) {
                 listener = listenersForKey[i];
@@ -724,6 +1124,32 @@ SC.XHRResponse = SC.Response.extend(
       return YES;
     }
     return NO;
+  },
+
+  /**
+    @private
+
+    Passes the part of the body received since the last progress event to
+    didReceiveChunk(), if the response is successful so far.
+  */
+  _readChunk: function(evt) {
+    var rawRequest = this.get('rawRequest'),
+        status, text;
+
+    if (!rawRequest || rawRequest.readyState < 3) { return; }
+
+    try {
+      status = rawRequest.status;
+      text = rawRequest.responseText;
+    } catch (e) {
+      return;
+    }
+
+    if (status < 200 || status >= 300 || !text) { return; }
+
+    SC.run(function() {
+      this.didReceiveChunk(text.slice(this._chunkOffset || 0));
+    }, this);
   }
 
 });
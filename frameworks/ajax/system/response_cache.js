@@ -0,0 +1,374 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+/**
+  @class
+
+  Keeps the successful responses to GET requests so they can be answered
+  without going to the server, following the `Cache-Control`, `Expires`,
+  `ETag` and `Last-Modified` headers of the responses.
+
+  `SC.Request.manager` uses an instance of this class, in its `cache`
+  property, when its `usesCache` property is `YES`.  While an entry is fresh,
+  requests for its address are answered from the cache.  Once it is stale, a
+  conditional request is sent with the `If-None-Match` and
+  `If-Modified-Since` headers, and a `304 Not Modified` response is answered
+  with the cached body.
+
+  Responses are only kept if they can be revalidated or say how long they
+  stay fresh, and never if they have `Cache-Control: no-store` or
+  `Vary: *`.  `Cache-Control: no-cache` responses are kept but revalidated
+  every time.
+
+  Entries are kept per request method, address, format (JSON, XML or plain)
+  and value of the `keyHeaders`, so for example requests sent with different
+  `Authorization` headers never share an entry.  An entry is only used for
+  requests with the same values for the request headers named by the `Vary`
+  header of its response.
+
+  Entries are hashes with the following properties: `key`, `address`,
+  `status`, `headers`, `body`, `vary` (the values of the request headers
+  named by `Vary`), `etag`, `lastModified`, `storedAt` and `expiresAt` (in
+  milliseconds, or null if the entry must always be revalidated).
+
+      // see what is cached
+      SC.Request.manager.get('cache').get('addresses');
+
+      // forget one address, or everything
+      SC.Request.manager.get('cache').removeEntry('/contacts');
+      SC.Request.manager.get('cache').clear();
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.ResponseCache = SC.Object.extend(
+/** @scope SC.ResponseCache.prototype */ {
+
+  /**
+    The largest number of entries to keep.  The entries stored longest ago
+    are removed first.
+
+    @type Number
+    @default 100
+  */
+  maxEntries: 100,
+
+  /**
+    The request headers that keep separate entries for the same address, in
+    addition to the ones named by the `Vary` header of the responses.
+
+    @type Array
+    @default ['Accept', 'Authorization']
+  */
+  keyHeaders: ['Accept', 'Authorization'],
+
+  /**
+    The addresses with an entry in the cache, from the oldest to the newest.
+
+    @field
+    @type Array
+  */
+  addresses: function() {
+    var entries = this._scrc_entries;
+    return this._scrc_keys.map(function(key) { return entries[key].address; }).uniq();
+  }.property().cacheable(),
+
+  /**
+    The number of entries in the cache.
+
+    @field
+    @type Number
+  */
+  length: function() {
+    return this._scrc_keys.length;
+  }.property('addresses').cacheable(),
+
+  // ..........................................................
+  // METHODS
+  //
+
+  /**
+    Returns the key of the entry for a request: its method, address, format
+    and the values of its `keyHeaders`.  A string is taken as the address of
+    a plain GET request.
+
+    @param {SC.Request|String} request the request or its address
+    @returns {String} the key
+  */
+  keyFor: function(request) {
+    if (SC.typeOf(request) === SC.T_STRING) { request = SC.Request.getUrl(request); }
+
+    var headers = request.get('headers'),
+        format = request.get('isJSON') ? 'json' : (request.get('isXML') ? 'xml' : ''),
+        parts = [(request.get('type') || 'GET').toUpperCase(), request.get('address'), format];
+
+    this.get('keyHeaders').forEach(function(name) {
+      parts.push(this.header(headers, name) || '');
+    }, this);
+
+    return parts.join('\n');
+  },
+
+  /**
+    Returns the entry for the request, fresh or not, or null if there is none
+    or the response varies on a header the request has a different value for.
+    A string is taken as the address of a plain GET request.
+
+    @param {SC.Request|String} request the request or its address
+    @returns {Hash} the entry
+  */
+  entryFor: function(request) {
+    if (SC.typeOf(request) === SC.T_STRING) { request = SC.Request.getUrl(request); }
+
+    var entry = this._scrc_entries[this.keyFor(request)];
+    return entry && this.entryMatchesRequest(entry, request) ? entry : null;
+  },
+
+  /**
+    Returns YES if the request has the same values as the request of the
+    entry for the headers named by the `Vary` header of its response.
+
+    @param {Hash} entry an entry of the cache, or a hash with its `vary`
+    @param {SC.Request} request the request
+    @returns {Boolean}
+  */
+  entryMatchesRequest: function(entry, request) {
+    var vary = entry.vary,
+        headers = request.get('headers'),
+        name;
+
+    if (vary === '*') { return NO; }
+
+    for (name in vary) {
+      if (vary.hasOwnProperty(name) && (this.header(headers, name) || null) !== vary[name]) { return NO; }
+    }
+
+    return YES;
+  },
+
+  /**
+    Returns the values of the request headers named by the `Vary` header of
+    a response, keyed by their lowercase names, or `'*'` if the response
+    varies on more than request headers.
+
+    @param {Hash} headers the headers of the response
+    @param {SC.Request} request the request of the response
+    @returns {Hash|String} the values
+  */
+  varyFor: function(headers, request) {
+    var value = this.header(headers, 'Vary'),
+        requestHeaders = request ? request.get('headers') : {},
+        ret = {},
+        names;
+
+    if (!value) { return ret; }
+
+    names = value.split(',').map(function(name) { return name.trim().toLowerCase(); });
+    if (names.indexOf('*') >= 0) { return '*'; }
+
+    names.forEach(function(name) {
+      if (name) { ret[name] = this.header(requestHeaders, name) || null; }
+    }, this);
+
+    return ret;
+  },
+
+  /**
+    Returns YES if the entry can be used without asking the server.
+
+    @param {Hash} entry an entry of the cache
+    @returns {Boolean}
+  */
+  isFresh: function(entry) {
+    return !!entry && !SC.none(entry.expiresAt) && Date.now() < entry.expiresAt;
+  },
+
+  /**
+    Stores a response if its headers allow it, replacing any entry for the
+    same request.  `Cache-Control: no-store` and `Vary: *` remove the entry
+    instead.
+
+    @param {Hash} response the address, status, headers and body of a response
+    @param {SC.Request} [request] the request of the response, a plain GET
+      request to the address if not given
+    @returns {Hash} the new entry, or null if the response was not stored
+  */
+  storeResponse: function(response, request) {
+    var headers = response.headers || {},
+        cacheControl = this._scrc_cacheControl(headers),
+        key, vary, entry;
+
+    request = request || SC.Request.getUrl(response.address);
+    key = this.keyFor(request);
+    vary = this.varyFor(headers, request);
+
+    if (response.status !== 200 || cacheControl['no-store'] || vary === '*') {
+      if (cacheControl['no-store'] || vary === '*') { this._scrc_removeKey(key); }
+      return null;
+    }
+
+    entry = {
+      key: key,
+      address: response.address,
+      status: response.status,
+      headers: headers,
+      body: response.body,
+      vary: vary,
+      etag: this.header(headers, 'ETag'),
+      lastModified: this.header(headers, 'Last-Modified'),
+      storedAt: Date.now()
+    };
+    entry.expiresAt = this._scrc_expiresAt(headers, cacheControl, entry.storedAt);
+
+    // there is no point in keeping what can neither be reused nor revalidated
+    if (SC.none(entry.expiresAt) && !entry.etag && !entry.lastModified) { return null; }
+
+    this._scrc_addEntry(entry);
+    return entry;
+  },
+
+  /**
+    Updates an entry after the server answered a conditional request with
+    `304 Not Modified`, using the freshness headers of that response.
+
+    @param {Hash} entry the entry that was revalidated
+    @param {Hash} response the headers of the 304 response
+    @returns {Hash} the updated entry
+  */
+  revalidateEntry: function(entry, response) {
+    var headers = SC.mixin({}, entry.headers, (response && response.headers) || {}),
+        ret = SC.mixin({}, entry, { headers: headers, storedAt: Date.now() });
+
+    ret.expiresAt = this._scrc_expiresAt(headers, this._scrc_cacheControl(headers), ret.storedAt);
+    this._scrc_addEntry(ret);
+    return ret;
+  },
+
+  /**
+    Adds the headers of a conditional request for the entry to the request.
+
+    @param {SC.Request} request the request to change
+    @param {Hash} entry the stale entry
+    @returns {SC.Request} the request
+  */
+  prepareConditionalRequest: function(request, entry) {
+    if (entry.etag) { request.header('If-None-Match', entry.etag); }
+    if (entry.lastModified) { request.header('If-Modified-Since', entry.lastModified); }
+    return request;
+  },
+
+  /**
+    Removes the entries for the address, whatever the requests that stored
+    them.
+
+    @param {String} address the address of a GET request
+    @returns {SC.ResponseCache} receiver
+  */
+  removeEntry: function(address) {
+    var entries = this._scrc_entries;
+
+    this._scrc_keys.filter(function(key) {
+      return entries[key].address === address;
+    }).forEach(this._scrc_removeKey, this);
+
+    return this;
+  },
+
+  /**
+    Removes all entries.
+
+    @returns {SC.ResponseCache} receiver
+  */
+  clear: function() {
+    this._scrc_entries = {};
+    this._scrc_keys = [];
+    this.notifyPropertyChange('addresses');
+    return this;
+  },
+
+  /**
+    Returns the value of a header, ignoring the case of the name.
+
+    @param {Hash} headers the headers
+    @param {String} name the name of the header
+    @returns {String} the value, or null
+  */
+  header: function(headers, name) {
+    var lowerName = name.toLowerCase(), key;
+
+    for (key in headers) {
+      if (headers.hasOwnProperty(key) && key.toLowerCase() === lowerName) { return headers[key]; }
+    }
+
+    return null;
+  },
+
+  /** @private */
+  init: function() {
+    sc_super();
+    this._scrc_entries = {};
+    this._scrc_keys = [];
+  },
+
+  /** @private */
+  _scrc_addEntry: function(entry) {
+    var keys = this._scrc_keys,
+        max = this.get('maxEntries');
+
+    keys.removeObject(entry.key);
+    keys.push(entry.key);
+    this._scrc_entries[entry.key] = entry;
+
+    while (keys.length > max) { delete this._scrc_entries[keys.shift()]; }
+    this.notifyPropertyChange('addresses');
+  },
+
+  /** @private */
+  _scrc_removeKey: function(key) {
+    if (this._scrc_entries[key]) {
+      delete this._scrc_entries[key];
+      this._scrc_keys.removeObject(key);
+      this.notifyPropertyChange('addresses');
+    }
+  },
+
+  /** @private
+    Parses the Cache-Control header into a hash of directives.
+  */
+  _scrc_cacheControl: function(headers) {
+    var value = this.header(headers, 'Cache-Control'),
+        ret = {};
+
+    if (value) {
+      value.split(',').forEach(function(directive) {
+        var parts = directive.trim().toLowerCase().split('=');
+        if (parts[0]) { ret[parts[0]] = parts.length > 1 ? parts[1].replace(/"/g, '') : YES; }
+      });
+    }
+
+    return ret;
+  },
+
+  /** @private
+    Returns when an entry stops being fresh, or null if it must always be
+    revalidated.
+  */
+  _scrc_expiresAt: function(headers, cacheControl, storedAt) {
+    var maxAge, expires;
+
+    if (cacheControl['no-cache']) { return null; }
+
+    maxAge = parseInt(cacheControl['max-age'], 10);
+    if (!isNaN(maxAge)) { return maxAge > 0 ? storedAt + maxAge * 1000 : null; }
+
+    expires = Date.parse(this.header(headers, 'Expires'));
+    if (!isNaN(expires)) { return expires > storedAt ? expires : null; }
+
+    return null;
+  }
+
+});
@@ -0,0 +1,184 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+/**
+  @class
+
+  Describes when and how often a failed request is sent again.
+
+  Give a request a retry policy with the `retry()` helper method, passing
+  either an `SC.RetryPolicy` instance or a hash of options for a new one.
+  When a response fails with one of the `retryableStatuses`, the same
+  response object is sent again after an exponentially growing delay, up to
+  `maxRetries` times.  Listeners registered with `notify()` are only called
+  with the final result.
+
+      SC.Request.getUrl(resourceAddress)
+                 .json()
+                 .retry({ maxRetries: 5, baseDelay: 500 })
+                 .notify(200, this, 'gotOK')
+                 .notify(this, 'gotError')
+                 .send();
+
+  The delay before retry number `n` (starting at 0) is `baseDelay *
+  multiplier^n`, capped at `maxDelay` and reduced by a random amount of up to
+  `jitter` times the delay, so that many clients do not retry in lockstep.  If
+  the server sends a `Retry-After` header, the delay is at least as long as it
+  asks for.
+
+  Since sending a request twice must not change the outcome, only requests
+  with an idempotent HTTP method are retried unless `retriesNonIdempotent` is
+  set.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.RetryPolicy = SC.Object.extend(
+/** @scope SC.RetryPolicy.prototype */ {
+
+  /**
+    Walk like a duck.
+
+    @type Boolean
+    @default YES
+  */
+  isRetryPolicy: YES,
+
+  /**
+    The maximum number of times a request is sent again.
+
+    @type Number
+    @default 3
+  */
+  maxRetries: 3,
+
+  /**
+    The delay before the first retry, in milliseconds.
+
+    @type Number
+    @default 250
+  */
+  baseDelay: 250,
+
+  /**
+    The factor the delay grows by with each retry.
+
+    @type Number
+    @default 2
+  */
+  multiplier: 2,
+
+  /**
+    The longest delay between two attempts, in milliseconds.
+
+    @type Number
+    @default 30000
+  */
+  maxDelay: 30000,
+
+  /**
+    The fraction of the delay that is randomized, between 0 and 1.  Set to 0
+    for fixed delays.
+
+    @type Number
+    @default 0.5
+  */
+  jitter: 0.5,
+
+  /**
+    The response statuses that are worth retrying.  A status of 0 means that
+    the request timed out or did not reach the server.
+
+    @type Array
+    @default [0, 408, 429, 500, 502, 503, 504]
+  */
+  retryableStatuses: [0, 408, 429, 500, 502, 503, 504],
+
+  /**
+    The HTTP methods that can safely be sent more than once.
+
+    @type Array
+    @default ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+  */
+  idempotentMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+
+  /**
+    If `YES`, requests with other methods, such as `POST` and `PATCH`, are
+    retried as well.  Only set this if the server can detect duplicates.
+
+    @type Boolean
+    @default NO
+  */
+  retriesNonIdempotent: NO,
+
+  /**
+    Whether to wait at least as long as the `Retry-After` header of the
+    response asks for.
+
+    @type Boolean
+    @default YES
+  */
+  respectsRetryAfter: YES,
+
+  /**
+    Returns `YES` if the failed response should be sent again.  Override to
+    make the decision yourself.
+
+    @param {SC.Response} response the failed response
+    @param {Number} retryCount the number of retries so far
+    @returns {Boolean}
+  */
+  shouldRetry: function(response, retryCount) {
+    var type = (response.get('type') || 'GET').toUpperCase();
+
+    if (response.get('isCancelled') || response.get('isShortCircuited')) { return NO; }
+    if (retryCount >= this.get('maxRetries')) { return NO; }
+    if (!this.get('retriesNonIdempotent') && this.get('idempotentMethods').indexOf(type) < 0) { return NO; }
+
+    return this.get('retryableStatuses').indexOf(response.get('status')) >= 0;
+  },
+
+  /**
+    Returns the number of milliseconds to wait before sending the response
+    again.
+
+    @param {SC.Response} response the failed response
+    @param {Number} retryCount the number of retries so far
+    @returns {Number}
+  */
+  delayFor: function(response, retryCount) {
+    var maxDelay = this.get('maxDelay'),
+        jitter = this.get('jitter'),
+        delay = this.get('baseDelay') * Math.pow(this.get('multiplier'), retryCount),
+        retryAfter;
+
+    delay = Math.min(delay, maxDelay);
+    if (jitter) { delay = delay * (1 - jitter * Math.random()); }
+
+    if (this.get('respectsRetryAfter') && response.header) {
+      retryAfter = this._scrp_retryAfter(response.header('Retry-After'));
+      if (retryAfter !== null) { delay = Math.max(delay, Math.min(retryAfter, maxDelay)); }
+    }
+
+    return Math.round(delay);
+  },
+
+  /** @private
+    Converts a `Retry-After` header, in seconds or as an HTTP date, to
+    milliseconds.
+  */
+  _scrp_retryAfter: function(value) {
+    var date;
+
+    if (SC.none(value) || value === '') { return null; }
+    if (/^\d+$/.test(value)) { return parseInt(value, 10) * 1000; }
+
+    date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+});
@@ -29,6 +29,9 @@ sc_require('mixins/websocket_delegate');
       // Send a message through the WebSocket.
       ws.send('hello server');
 
+  For remote procedure calls, channel subscriptions and acknowledged messages,
+  see `SC.WebSocketProtocol`.
+
   @since SproutCore 1.11
   @extends SC.Object
   @extends SC.DelegateSupport
@@ -100,12 +103,144 @@ SC.WebSocket = SC.Object.extend(SC.DelegateSupport, SC.WebSocketDelegate,
   */
   reconnectInterval: 10000, // 10 seconds
 
+  /**
+    The factor by which the interval to wait before trying to reconnect grows
+    after each failed attempt.  Set to 1 to always wait `reconnectInterval`.
+
+    @see #reconnectIntervalFor
+    @type Number
+    @default 2
+  */
+  reconnectBackoff: 2,
+
+  /**
+    The longest interval in milliseconds to wait before trying to reconnect.
+
+    @type Number
+    @default 300000
+  */
+  maxReconnectInterval: 300000, // 5 minutes
+
+  /**
+    The number of attempts to reconnect after which the WebSocket gives up,
+    or null to try forever.  When it gives up, `hasGivenUp` becomes true and
+    the `webSocketDidGiveUp` delegate method is called.
+
+    @type Number
+    @default null
+  */
+  maxReconnectAttempts: null,
+
+  /**
+    The interval in milliseconds at which to send `heartbeatMessage` to the
+    server while the connection is open, or 0 to send no heartbeats.
+
+    The server should answer each heartbeat with `pongMessage`.  If no
+    message at all arrives within `heartbeatTimeout` of a heartbeat, the
+    connection is considered dead: it is closed and, with `autoReconnect`, a
+    new one is opened.  This finds the connections that were dropped by a
+    proxy without being closed.
+
+    @type Number
+    @default 0
+  */
+  heartbeatInterval: 0,
+
+  /**
+    The time in milliseconds to wait for a message after sending a heartbeat.
+
+    @type Number
+    @default 10000
+  */
+  heartbeatTimeout: 10000, // 10 seconds
+
+  /**
+    The message sent as a heartbeat.  It is always sent as is, even if
+    `isJSON` is true.
+
+    @type String
+    @default 'ping'
+  */
+  heartbeatMessage: 'ping',
+
+  /**
+    The message the server answers heartbeats with.  It is not passed on to
+    the delegate and the listeners.
+
+    @type String
+    @default 'pong'
+  */
+  pongMessage: 'pong',
+
+  /**
+    The `latency` above which the connection is degraded.  When it becomes
+    degraded, `isDegraded` becomes true and the `webSocketDidDegrade`
+    delegate method is called.
+
+    @type Number
+    @default 2000
+  */
+  degradedLatency: 2000, // 2 seconds
+
+  // ..........................................................
+  // CONNECTION QUALITY
+  //
+
+  /**
+    The time in milliseconds the server took to answer the last heartbeat,
+    or null before the first answer.
+
+    @type Number
+    @default null
+    @readOnly
+  */
+  latency: null,
+
+  /**
+    Whether the `latency` is above `degradedLatency` or not.
+
+    @type Boolean
+    @default false
+    @readOnly
+  */
+  isDegraded: false,
+
+  /**
+    The number of times the connection was opened again after being closed.
+
+    @type Number
+    @default 0
+    @readOnly
+  */
+  reconnectCount: 0,
+
+  /**
+    The number of attempts to reconnect since the connection was closed.  It
+    is reset once the connection opens or when you call `connect()`.
+
+    @type Number
+    @default 0
+    @readOnly
+  */
+  reconnectAttempts: 0,
+
+  /**
+    Whether the WebSocket stopped trying to reconnect after
+    `maxReconnectAttempts` or not.  Calling `connect()` tries again.
+
+    @type Boolean
+    @default false
+    @readOnly
+  */
+  hasGivenUp: false,
+
   // ..........................................................
   // PUBLIC METHODS
   //
 
   /**
-    Open the WebSocket connection.
+    Open the WebSocket connection.  If it was closed, the reconnection
+    attempts start over.
 
     @returns {SC.WebSocket} The SC.WebSocket object.
   */
@@ -113,6 +248,13 @@ SC.WebSocket = SC.Object.extend(SC.DelegateSupport, SC.WebSocketDelegate,
     // If not supported or already connected, return.
     if (!SC.platform.supportsWebSocket || this.socket) return this;
 
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+    this.set('hasGivenUp', false);
+    if (!this._isReconnecting) this.set('reconnectAttempts', 0);
+
     // Connect.
     try {
       var socket = this.socket = new WebSocket(this.get('server')),
@@ -253,6 +395,30 @@ SC.WebSocket = SC.Object.extend(SC.DelegateSupport, SC.WebSocketDelegate,
     return this;
   },
 
+  /**
+    Returns the interval in milliseconds to wait before an attempt to
+    reconnect.  The default multiplies `reconnectInterval` by
+    `reconnectBackoff` for each previous attempt, up to
+    `maxReconnectInterval`.  Override this to add some randomness, for
+    instance.
+
+    @param {Number} attempt The number of the attempt, starting at 1.
+    @returns {Number} The interval in milliseconds.
+  */
+  reconnectIntervalFor: function(attempt) {
+    var interval = this.get('reconnectInterval') * Math.pow(this.get('reconnectBackoff'), attempt - 1);
+    return Math.min(interval, this.get('maxReconnectInterval'));
+  },
+
+  /** @private */
+  destroy: function() {
+    this._stopHeartbeat();
+    if (this._reconnectTimer) clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+
+    return sc_super();
+  },
+
   // ..........................................................
   // PRIVATE METHODS
   //
@@ -265,6 +431,11 @@ SC.WebSocket = SC.Object.extend(SC.DelegateSupport, SC.WebSocketDelegate,
 
     this.set('isConnected', true);
 
+    if (this._hasOpened) this.set('reconnectCount', this.get('reconnectCount') + 1);
+    this._hasOpened = true;
+    this.set('reconnectAttempts', 0);
+    this._startHeartbeat();
+
     var ret = del.webSocketDidOpen(this, event);
     if (ret !== true) this._notifyListeners('onopen', event);
 
@@ -282,6 +453,10 @@ SC.WebSocket = SC.Object.extend(SC.DelegateSupport, SC.WebSocketDelegate,
         ret;
 
       message = data = messageEvent.data;
+
+      // Heartbeat answers are not passed on.
+      if (this._didReceiveHeartbeat(data)) return;
+
       ret = del.webSocketDidReceiveMessage(this, data);
 
       if (ret !== true) {
@@ -305,6 +480,7 @@ SC.WebSocket = SC.Object.extend(SC.DelegateSupport, SC.WebSocketDelegate,
     this.set('isConnected', false);
     this.set('isAuth', null);
     this.socket = null;
+    this._stopHeartbeat();
 
     var ret = del.webSocketDidClose(this, closeEvent);
 
@@ -360,8 +536,122 @@ SC.WebSocket = SC.Object.extend(SC.DelegateSupport, SC.WebSocketDelegate,
   tryReconnect: function() {
     if (!this.get('autoReconnect')) return;
 
+    var attempts = this.get('reconnectAttempts'),
+      maxAttempts = this.get('maxReconnectAttempts'),
+      that = this;
+
+    if (!SC.none(maxAttempts) && attempts >= maxAttempts) {
+      this.set('hasGivenUp', true);
+      this.get('objectDelegate').webSocketDidGiveUp(this, attempts);
+      return;
+    }
+
+    this.set('reconnectAttempts', ++attempts);
+    this._reconnectTimer = setTimeout(function() {
+      that._reconnectTimer = null;
+      that._isReconnecting = true;
+      that.connect();
+      that._isReconnecting = false;
+    }, this.reconnectIntervalFor(attempts));
+  },
+
+  /**
+    @private
+
+    Sends a heartbeat every `heartbeatInterval`.
+  */
+  _startHeartbeat: function() {
+    var interval = this.get('heartbeatInterval'),
+      that = this;
+
+    this._stopHeartbeat();
+    if (!interval) return;
+
+    this._heartbeatTimer = setInterval(function() {
+      SC.run(function() { that._sendHeartbeat(); });
+    }, interval);
+  },
+
+  /**
+    @private
+  */
+  _stopHeartbeat: function() {
+    if (this._heartbeatTimer) clearInterval(this._heartbeatTimer);
+    if (this._heartbeatTimeoutTimer) clearTimeout(this._heartbeatTimeoutTimer);
+    this._heartbeatTimer = this._heartbeatTimeoutTimer = this._heartbeatSentAt = null;
+  },
+
+  /**
+    @private
+  */
+  _sendHeartbeat: function() {
     var that = this;
-    setTimeout(function() { that.connect(); }, this.get('reconnectInterval'));
+
+    if (!this.socket || this.isConnected !== true) return;
+
+    this.socket.send(this.get('heartbeatMessage'));
+    this._heartbeatSentAt = Date.now();
+
+    if (!this._heartbeatTimeoutTimer) {
+      this._heartbeatTimeoutTimer = setTimeout(function() {
+        SC.run(function() { that._heartbeatDidTimeOut(); });
+      }, this.get('heartbeatTimeout'));
+    }
+  },
+
+  /**
+    @private
+
+    Any message shows that the connection is alive.  Returns true if the
+    message is the answer to a heartbeat.
+  */
+  _didReceiveHeartbeat: function(data) {
+    var sentAt = this._heartbeatSentAt,
+      latency;
+
+    if (this._heartbeatTimeoutTimer) {
+      clearTimeout(this._heartbeatTimeoutTimer);
+      this._heartbeatTimeoutTimer = null;
+    }
+
+    if (!this.get('heartbeatInterval') || data !== this.get('pongMessage')) return false;
+
+    if (sentAt) {
+      latency = Date.now() - sentAt;
+      this._heartbeatSentAt = null;
+      this.set('latency', latency);
+
+      if (latency > this.get('degradedLatency')) {
+        if (!this.get('isDegraded')) {
+          this.set('isDegraded', true);
+          this.get('objectDelegate').webSocketDidDegrade(this, latency);
+        }
+      } else {
+        this.set('isDegraded', false);
+      }
+    }
+
+    return true;
+  },
+
+  /**
+    @private
+
+    The connection is dead: close it without waiting for the closing
+    handshake, which may never complete.
+  */
+  _heartbeatDidTimeOut: function() {
+    var socket = this.socket;
+
+    this._heartbeatTimeoutTimer = null;
+    if (!socket) return;
+
+    socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+    try {
+      socket.close();
+    } catch (e) {}
+
+    this.onClose({ type: 'close', code: 1006, reason: 'Heartbeat timeout', wasClean: false });
   },
 
   /**
@@ -431,6 +721,49 @@ SC.WebSocket = SC.Object.extend(SC.DelegateSupport, SC.WebSocketDelegate,
   */
   queue: null,
 
+  /**
+    @private
+
+    Whether the connection was ever opened, to count the reconnections.
+
+    @type Boolean
+    @default false
+  */
+  _hasOpened: false,
+
+  /**
+    @private
+
+    The timers of the pending reconnection and of the heartbeats.
+
+    @type Number
+    @default null
+  */
+  _reconnectTimer: null,
+  _heartbeatTimer: null,
+  _heartbeatTimeoutTimer: null,
+
+  /**
+    @private
+
+    Whether `connect()` is called by the reconnection timer rather than by
+    the application.
+
+    @type Boolean
+    @default false
+  */
+  _isReconnecting: false,
+
+  /**
+    @private
+
+    When the unanswered heartbeat was sent.
+
+    @type Number
+    @default null
+  */
+  _heartbeatSentAt: null,
+
 });
 
 // Class Methods
@@ -0,0 +1,457 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+/*globals Promise */
+
+sc_require('system/websocket');
+
+/**
+  @class
+
+  A message protocol on top of an `SC.WebSocket`, for remote procedure calls,
+  channel subscriptions and acknowledged messages.
+
+  The protocol listens to the messages of the web socket and handles the ones
+  it knows about.  Other messages are passed on to the other `onmessage`
+  listeners of the web socket as usual, so the protocol can be added to an
+  existing connection.  The web socket must use JSON (`isJSON: true`, the
+  default).
+
+      var ws = SC.WebSocket.create({ server: 'ws://server' }),
+          protocol = SC.WebSocketProtocol.create({ webSocket: ws });
+
+      ws.connect();
+
+      // call a method on the server
+      protocol.call('contacts.find', { name: 'Joe' }).then(function(result) {
+        // ...
+      });
+
+      // or notify a target
+      protocol.call('contacts.find', { name: 'Joe' }, this, 'contactsDidLoad');
+
+      // receive the messages of a channel
+      protocol.subscribe('chat', this, 'chatDidReceive');
+      protocol.publish('chat', { text: 'Hi!' });
+
+      // send a message until the server acknowledges it
+      protocol.deliver({ op: 'save', id: 3 });
+
+  ## Messages
+
+  Every message is a JSON object with a `type`:
+
+    - `{ type: 'call', id: 1, method: 'contacts.find', params: {} }` calls a
+      method.  The server answers with `{ type: 'reply', id: 1, result: [] }`
+      or `{ type: 'reply', id: 1, error: { message: 'Not found', code: 404 } }`.
+    - `{ type: 'subscribe', channel: 'chat' }` and
+      `{ type: 'unsubscribe', channel: 'chat' }` change the subscriptions, and
+      `{ type: 'publish', channel: 'chat', data: {} }` sends to a channel.  The
+      server sends `{ type: 'message', channel: 'chat', data: {} }` to the
+      subscribers.
+    - `{ type: 'deliver', id: 2, data: {} }` sends a message that the server
+      acknowledges with `{ type: 'ack', id: 2 }`.  In the same way, the client
+      acknowledges the `message` messages that have an `id`.
+
+  ## Reconnecting
+
+  Each time the web socket opens, after `tryReconnect` for instance, the
+  subscriptions are sent again and the messages that were not acknowledged
+  are re-sent.  A message may therefore arrive more than once: the server
+  should use its `id` to ignore the copies.
+
+  Calls are not sent again, because the server may have run them already.  If
+  the connection closes before the reply arrives, they fail once
+  `callTimeout` has elapsed.
+
+  The protocol listens to the `onopen` event of the web socket, so the
+  `webSocketDidOpen` method of its delegate must not return `true`.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.WebSocketProtocol = SC.Object.extend(
+/** @scope SC.WebSocketProtocol.prototype */ {
+
+  /**
+    The web socket to use.  It does not need to be connected yet.
+
+    @type SC.WebSocket
+    @default null
+  */
+  webSocket: null,
+
+  /**
+    The number of milliseconds to wait for the reply to a call before it
+    fails.  Set to 0 to wait forever.
+
+    @type Number
+    @default 10000
+  */
+  callTimeout: 10000,
+
+  /**
+    The names of the channels with at least one subscriber.
+
+    @field
+    @type Array
+  */
+  channels: function() {
+    return SC.keys(this._scwp_channels);
+  }.property().cacheable(),
+
+  /**
+    The number of messages sent with `deliver()` that the server has not
+    acknowledged yet.
+
+    @type Number
+    @default 0
+  */
+  unacknowledgedCount: 0,
+
+  // ..........................................................
+  // METHODS
+  //
+
+  /**
+    Calls a method on the server.
+
+    If a target and action are given, the action is called with the protocol,
+    the result and, if the call failed, an `SC.Error`.  Otherwise, a promise
+    is returned that is resolved with the result, or rejected with the
+    `SC.Error`.
+
+    @param {String} method the name of the method
+    @param {Object} params the parameters of the method
+    @param {Object} target the target of the action (optional)
+    @param {String|Function} action the method to call on the target (optional)
+    @returns {Promise|SC.WebSocketProtocol} a promise, or the receiver if a target is given
+  */
+  call: function(method, params, target, action) {
+    var id = this._scwp_nextId++,
+        call = { id: id, method: method },
+        callTimeout = this.get('callTimeout'),
+        ret = this;
+
+    if (target) {
+      call.target = target;
+      call.action = action;
+    } else {
+      ret = new Promise(function(resolve, reject) {
+        call.resolve = resolve;
+        call.reject = reject;
+      });
+    }
+
+    if (callTimeout) {
+      call.timer = SC.Timer.schedule({
+        target: this,
+        action: function() { this._scwp_callTimedOut(id); },
+        interval: callTimeout
+      });
+    }
+
+    this._scwp_calls[id] = call;
+    this.get('webSocket').send({ type: 'call', id: id, method: method, params: params });
+
+    return ret;
+  },
+
+  /**
+    Subscribes to a channel.  The action is called with the protocol, the
+    data and the name of the channel for each message of the channel.
+
+    @param {String} channel the name of the channel
+    @param {Object} target the target of the action
+    @param {String|Function} action the method to call on the target
+    @returns {SC.WebSocketProtocol} receiver
+  */
+  subscribe: function(channel, target, action) {
+    var channels = this._scwp_channels,
+        isNew = !channels[channel];
+
+    if (isNew) { channels[channel] = []; }
+    channels[channel].push({ target: target, action: action });
+
+    if (isNew) {
+      this.notifyPropertyChange('channels');
+      if (this._scwp_isOpen()) { this._scwp_send({ type: 'subscribe', channel: channel }); }
+    }
+
+    return this;
+  },
+
+  /**
+    Removes a subscription to a channel.  Without a target, removes all the
+    subscriptions to the channel.  Once a channel has no subscriptions left,
+    the server is told to stop sending its messages.
+
+    @param {String} channel the name of the channel
+    @param {Object} target the target of the subscription (optional)
+    @param {String|Function} action the action of the subscription (optional)
+    @returns {SC.WebSocketProtocol} receiver
+  */
+  unsubscribe: function(channel, target, action) {
+    var channels = this._scwp_channels,
+        subscriptions = channels[channel];
+
+    if (!subscriptions) { return this; }
+
+    if (target) {
+      subscriptions = subscriptions.filter(function(subscription) {
+        return subscription.target !== target || (action && subscription.action !== action);
+      });
+    } else {
+      subscriptions = [];
+    }
+
+    if (subscriptions.length) {
+      channels[channel] = subscriptions;
+    } else {
+      delete channels[channel];
+      this.notifyPropertyChange('channels');
+      if (this._scwp_isOpen()) { this._scwp_send({ type: 'unsubscribe', channel: channel }); }
+    }
+
+    return this;
+  },
+
+  /**
+    Sends data to the subscribers of a channel.
+
+    @param {String} channel the name of the channel
+    @param {Object} data the data to send
+    @returns {SC.WebSocketProtocol} receiver
+  */
+  publish: function(channel, data) {
+    this.get('webSocket').send({ type: 'publish', channel: channel, data: data });
+    return this;
+  },
+
+  /**
+    Sends data that the server must acknowledge.  The message is kept until it
+    is acknowledged, and is sent again each time the web socket opens.
+
+    If a target and action are given, the action is called with the protocol
+    and the data once the message is acknowledged.  Otherwise, a promise is
+    returned that is resolved with the data at that time.
+
+    @param {Object} data the data to send
+    @param {Object} target the target of the action (optional)
+    @param {String|Function} action the method to call on the target (optional)
+    @returns {Promise|SC.WebSocketProtocol} a promise, or the receiver if a target is given
+  */
+  deliver: function(data, target, action) {
+    var id = this._scwp_nextId++,
+        message = { id: id, data: data },
+        ret = this;
+
+    if (target) {
+      message.target = target;
+      message.action = action;
+    } else {
+      ret = new Promise(function(resolve) { message.resolve = resolve; });
+    }
+
+    this._scwp_unacknowledged.push(message);
+    this.set('unacknowledgedCount', this._scwp_unacknowledged.length);
+
+    if (this._scwp_isOpen()) { this._scwp_send({ type: 'deliver', id: id, data: data }); }
+
+    return ret;
+  },
+
+  /**
+    Stops listening to the web socket.  Pending calls fail and the messages
+    that were not acknowledged are forgotten.
+  */
+  destroy: function() {
+    var webSocket = this.get('webSocket'),
+        listeners = webSocket ? webSocket.get('listeners') : null,
+        calls = this._scwp_calls,
+        id;
+
+    if (listeners) {
+      ['onopen', 'onmessage'].forEach(function(event) {
+        if (listeners[event]) {
+          listeners[event] = listeners[event].filter(function(listener) { return listener.target !== this; }, this);
+        }
+      }, this);
+    }
+
+    for (id in calls) {
+      if (calls.hasOwnProperty(id)) {
+        this._scwp_finishCall(calls[id], null, SC.$error("The WebSocket protocol was destroyed", "WebSocket"));
+      }
+    }
+
+    this._scwp_unacknowledged = [];
+    this._scwp_channels = {};
+
+    return sc_super();
+  },
+
+  // ..........................................................
+  // PRIVATE
+  //
+
+  /** @private */
+  init: function() {
+    var webSocket = this.get('webSocket'),
+        listeners;
+
+    sc_super();
+
+    this._scwp_nextId = 1;
+    this._scwp_calls = {};
+    this._scwp_channels = {};
+    this._scwp_unacknowledged = [];
+
+    //@if(debug)
+    if (!webSocket) {
+      SC.warn("Developer Warning: SC.WebSocketProtocol needs a webSocket.");
+    } else if (!webSocket.get('isJSON')) {
+      SC.warn("Developer Warning: SC.WebSocketProtocol needs a webSocket with isJSON set to true.");
+    }
+    //@endif
+
+    if (webSocket) {
+      // handle protocol messages before the other listeners.
+      webSocket.notify('onopen', this, '_scwp_webSocketDidOpen');
+      webSocket.notify('onmessage', this, '_scwp_webSocketDidReceive');
+
+      listeners = webSocket.get('listeners');
+      listeners.onopen.unshift(listeners.onopen.pop());
+      listeners.onmessage.unshift(listeners.onmessage.pop());
+    }
+  },
+
+  /** @private */
+  _scwp_isOpen: function() {
+    var webSocket = this.get('webSocket');
+    return !!webSocket && webSocket.get('isConnected') === true;
+  },
+
+  /** @private */
+  _scwp_send: function(message) {
+    this.get('webSocket').send(message);
+  },
+
+  /** @private
+    Sends the subscriptions and the messages that were not acknowledged.
+  */
+  _scwp_webSocketDidOpen: function() {
+    var channels = this._scwp_channels,
+        channel;
+
+    for (channel in channels) {
+      if (channels.hasOwnProperty(channel)) { this._scwp_send({ type: 'subscribe', channel: channel }); }
+    }
+
+    this._scwp_unacknowledged.forEach(function(message) {
+      this._scwp_send({ type: 'deliver', id: message.id, data: message.data });
+    }, this);
+
+    return NO;
+  },
+
+  /** @private
+    Handles the protocol messages.  Returns YES so that the other listeners
+    of the web socket do not get them.
+  */
+  _scwp_webSocketDidReceive: function(webSocket, message) {
+    var type = message ? message.type : null;
+
+    switch (type) {
+    case 'reply':
+      this._scwp_didReceiveReply(message);
+      return YES;
+    case 'ack':
+      this._scwp_didReceiveAck(message.id);
+      return YES;
+    case 'message':
+      if (SC.none(message.channel)) { return NO; }
+      this._scwp_didReceiveChannelMessage(message);
+      return YES;
+    default:
+      return NO;
+    }
+  },
+
+  /** @private */
+  _scwp_didReceiveReply: function(message) {
+    var call = this._scwp_calls[message.id],
+        error = message.error,
+        errorObject = null;
+
+    if (!call) { return; }
+
+    if (error) {
+      errorObject = SC.$error(error.message || error, "WebSocket", error, error.code);
+    }
+
+    this._scwp_finishCall(call, message.result, errorObject);
+  },
+
+  /** @private */
+  _scwp_didReceiveAck: function(id) {
+    var unacknowledged = this._scwp_unacknowledged,
+        message = unacknowledged.findProperty('id', id);
+
+    if (!message) { return; }
+
+    unacknowledged.removeObject(message);
+    this.set('unacknowledgedCount', unacknowledged.length);
+
+    if (message.resolve) {
+      message.resolve(message.data);
+    } else {
+      this._scwp_callAction(message.target, message.action, [this, message.data]);
+    }
+  },
+
+  /** @private */
+  _scwp_didReceiveChannelMessage: function(message) {
+    var subscriptions = this._scwp_channels[message.channel];
+
+    if (subscriptions) {
+      subscriptions.slice().forEach(function(subscription) {
+        this._scwp_callAction(subscription.target, subscription.action, [this, message.data, message.channel]);
+      }, this);
+    }
+
+    if (!SC.none(message.id)) { this._scwp_send({ type: 'ack', id: message.id }); }
+  },
+
+  /** @private */
+  _scwp_callTimedOut: function(id) {
+    var call = this._scwp_calls[id];
+    if (call) {
+      call.timer = null;
+      this._scwp_finishCall(call, null, SC.$error("The call to %@ timed out".fmt(call.method), "Timeout"));
+    }
+  },
+
+  /** @private */
+  _scwp_finishCall: function(call, result, error) {
+    delete this._scwp_calls[call.id];
+    if (call.timer) { call.timer.invalidate(); }
+
+    if (call.resolve) {
+      if (error) { call.reject(error); } else { call.resolve(result); }
+    } else {
+      this._scwp_callAction(call.target, call.action, [this, result, error]);
+    }
+  },
+
+  /** @private */
+  _scwp_callAction: function(target, action, args) {
+    if (SC.typeOf(action) === SC.T_STRING) { action = target[action]; }
+    action.apply(target, args);
+  }
+
+});
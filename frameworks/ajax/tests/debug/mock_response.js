@@ -0,0 +1,144 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module, test, ok, equals, same, stop, start, MockTest */
+
+var mock = SC.MockResponse;
+
+window.MockTest = SC.Object.create();
+
+// Answers like a real server would, to record from.
+MockTest.ServerResponse = SC.MockResponse.extend({
+  invokeTransport: function() {
+    this._finishRequest({ status: 201, headers: { 'X-Server': 'yes' }, body: '{"id": 7}' });
+  }
+});
+
+module("SC.MockResponse", {
+  setup: function() {
+    mock.install();
+  },
+
+  teardown: function() {
+    mock.uninstall();
+  }
+});
+
+test("install() and uninstall()", function() {
+  var response = SC.Request.getUrl('/a').send(),
+      custom = SC.Response.extend();
+
+  ok(SC.kindOf(response, SC.MockResponse), "requests should use the mock response");
+  ok(SC.kindOf(SC.Request.getUrl('/a').set('responseClass', custom).send(), custom), "requests with their own responseClass should keep it");
+
+  mock.uninstall();
+  equals(SC.Request.manager.get('responseClass'), null, "manager should not have a responseClass anymore");
+  same(mock.sentRequests, [], "sent requests should be forgotten");
+});
+
+test("canned responses by method and address", function() {
+  var response;
+
+  mock.respondTo('GET', '/contacts', { body: [{ id: 1 }], headers: { 'Content-Type': 'application/json' } });
+  mock.respondTo('*', /^\/contacts\/(\d+)$/, function(request, match) {
+    return { status: request.get('type') === 'DELETE' ? 204 : 200, body: { id: parseInt(match[1], 10) } };
+  });
+
+  response = SC.Request.getUrl('/contacts?page=2').json().send();
+  equals(response.get('status'), 200, "status should default to 200");
+  same(response.get('body'), [{ id: 1 }], "body should be encoded and decoded as JSON");
+  equals(response.header('content-type'), 'application/json', "header names should not be case sensitive");
+
+  response = SC.Request.getUrl('/contacts/3').json().send();
+  same(response.get('body'), { id: 3 }, "functions should get the match");
+  equals(SC.Request.deleteUrl('/contacts/3').send().get('status'), 204, "functions should get the request");
+
+  response = SC.Request.postUrl('/contacts').send();
+  equals(response.get('status'), 404, "unmatched requests should fail with 404");
+  ok(response.get('isError'), "unmatched requests are errors");
+
+  same(mock.sentRequests.getEach('address'), ['/contacts?page=2', '/contacts/3', '/contacts/3', '/contacts'], "sentRequests");
+});
+
+test("times and the order of canned responses", function() {
+  var fixture = mock.respondTo('GET', '/status', { status: 503, times: 2 });
+  mock.respondTo('GET', '/status', { status: 200 });
+
+  same([1, 2, 3].map(function() { return SC.Request.getUrl('/status').send().get('status'); }), [503, 503, 200], "statuses");
+
+  mock.removeFixture(fixture);
+  equals(mock.fixtures.length, 1, "fixture should be removed");
+});
+
+test("errors", function() {
+  mock.respondTo('GET', '/down', { error: "Network failure" });
+
+  var response = SC.Request.getUrl('/down').send();
+  equals(response.get('status'), 0, "status");
+  ok(response.get('isError'), "isError");
+  equals(response.getPath('errorObject.message'), "Network failure", "error message");
+});
+
+test("delayed responses", function() {
+  var response;
+
+  mock.respondTo('GET', '/slow', { body: 'done', delay: 20 });
+
+  stop(2000);
+  response = SC.Request.getUrl('/slow').notify(this, function(response) {
+    equals(response.get('body'), 'done', "body");
+    window.start();
+  }).send();
+
+  equals(response.get('status'), -100, "response should not have arrived yet");
+});
+
+test("timeouts", function() {
+  mock.respondTo('GET', '/hang', { timeout: YES });
+
+  stop(2000);
+  SC.run(function() {
+    SC.Request.getUrl('/hang').set('timeout', 20).notify(this, function(response) {
+      ok(response.get('timedOut'), "request should time out");
+      equals(response.get('status'), 0, "status");
+      window.start();
+    }).send();
+  });
+});
+
+test("recording and replaying fixtures", function() {
+  var fixtures, responses;
+
+  mock.uninstall();
+  SC.Request.manager.set('responseClass', MockTest.ServerResponse);
+
+  mock.startRecording();
+  SC.Request.postUrl('/contacts').json().send({ name: 'Joe' });
+  SC.Request.getUrl('/down').set('responseClass', SC.MockResponse).send();
+  fixtures = mock.stopRecording();
+
+  same(SC.json.decode(fixtures), [
+    { type: 'POST', address: '/contacts', headers: { 'X-Server': 'yes' }, body: { id: 7 }, status: 201 },
+    { type: 'GET', address: '/down', headers: {}, body: null, status: 404 }
+  ], "fixtures should be recorded as JSON");
+  equals(SC.Request.manager.get('interceptors').length, 0, "recorder should be removed");
+
+  mock.install();
+  mock.loadFixtures(fixtures);
+  responses = [SC.Request.postUrl('/contacts').json().send(), SC.Request.getUrl('/down').send()];
+
+  same(responses.map(function(r) { return r.get('status'); }), [201, 404], "statuses should be replayed");
+  same(responses[0].get('body'), { id: 7 }, "body should be replayed");
+  equals(responses[0].header('X-Server'), 'yes', "headers should be replayed");
+});
+
+test("replaying a request recorded several times", function() {
+  mock.loadFixtures([
+    { type: 'GET', address: '/count', body: '1' },
+    { type: 'GET', address: '/count', body: '2' }
+  ]);
+
+  same([1, 2, 3].map(function() { return SC.Request.getUrl('/count').send().get('body'); }), ['1', '2', '2'], "responses should be replayed in order, repeating the last one");
+});
@@ -0,0 +1,196 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module, test, ok, equals, same, stop, start, BreakerTest */
+
+var manager = SC.Request.manager, statuses, sent;
+
+window.BreakerTest = SC.Object.create();
+
+// Answers each request with the next status in `statuses`.
+BreakerTest.Response = SC.Response.extend({
+  invokeTransport: function() {
+    var status = statuses.length ? statuses.shift() : 200;
+    sent++;
+
+    this.receive(function(proceed) {
+      if (!proceed) { return; }
+      if (status < 200 || status >= 300) {
+        this.set('isError', YES);
+        this.set('errorObject', SC.$error("HTTP Request failed", "Request", status));
+      }
+      this.set('status', status);
+    }, this);
+  }
+});
+
+// Sends the request but never answers it.
+BreakerTest.PendingResponse = SC.Response.extend({
+  invokeTransport: function() { sent++; }
+});
+
+module("SC.CircuitBreaker", {
+  setup: function() {
+    statuses = [];
+    sent = 0;
+    manager.set('circuitBreakers', {});
+    manager.set('usesCircuitBreakers', YES);
+    manager.set('circuitBreakerThreshold', 2);
+    manager.set('circuitBreakerTimeout', 50);
+  },
+
+  teardown: function() {
+    manager.set('usesCircuitBreakers', NO);
+    manager.set('circuitBreakerThreshold', 5);
+    manager.set('circuitBreakerTimeout', 30000);
+    manager.set('circuitBreakers', {});
+    statuses = null;
+  }
+});
+
+function send(address, responseClass) {
+  return SC.Request.getUrl(address || 'http://api.example.com/things')
+                   .set('responseClass', responseClass || BreakerTest.Response)
+                   .send();
+}
+
+test("one breaker per host", function() {
+  var breaker = manager.circuitBreakerFor('http://API.example.com/a');
+
+  equals(breaker.get('host'), 'api.example.com', "host");
+  equals(manager.circuitBreakerFor('https://api.example.com/b?c=d'), breaker, "same host should share the breaker");
+  ok(manager.circuitBreakerFor('http://other.example.com/') !== breaker, "other hosts should have their own breaker");
+  equals(manager.circuitBreakerFor('/relative').get('host'), window.location.host, "relative addresses use the page host");
+  equals(breaker.get('failureThreshold'), 2, "should use the manager's threshold");
+
+  manager.set('usesCircuitBreakers', NO);
+  equals(manager.circuitBreakerFor('http://api.example.com/'), null, "no breakers unless usesCircuitBreakers");
+});
+
+test("failures open the breaker and short-circuit requests", function() {
+  var breaker = manager.circuitBreakerFor('http://api.example.com/'),
+      states = [], response;
+
+  breaker.addObserver('state', function() { states.push(breaker.get('state')); });
+
+  statuses = [404, 500];
+  send();
+  send();
+  equals(breaker.get('failureCount'), 1, "4xx should not count as failures");
+  equals(breaker.get('state'), SC.CircuitBreaker.CLOSED, "breaker should stay closed");
+
+  statuses = [503];
+  send();
+  equals(breaker.get('state'), SC.CircuitBreaker.OPEN, "breaker should open after two failures in a row");
+  ok(breaker.get('isOpen'), "isOpen");
+  same(states, [SC.CircuitBreaker.OPEN], "observers should be notified");
+
+  response = send();
+  equals(sent, 3, "request should not be sent while the breaker is open");
+  ok(response.get('isShortCircuited'), "isShortCircuited");
+  ok(response.get('isError'), "short-circuited responses are errors");
+  equals(response.get('status'), 0, "status");
+
+  send('http://other.example.com/');
+  equals(sent, 4, "other hosts are not affected");
+});
+
+test("a successful response resets the failure count", function() {
+  var breaker = manager.circuitBreakerFor('http://api.example.com/');
+
+  statuses = [500, 200, 500];
+  send(); send(); send();
+
+  equals(breaker.get('failureCount'), 1, "failureCount");
+  equals(breaker.get('state'), SC.CircuitBreaker.CLOSED, "breaker should stay closed");
+});
+
+test("the breaker lets a trial request through after resetTimeout", function() {
+  var breaker = manager.circuitBreakerFor('http://api.example.com/');
+
+  statuses = [500, 500];
+  send(); send();
+  ok(breaker.get('isOpen'), "precond - breaker is open");
+
+  setTimeout(function() {
+    SC.run(function() {
+      equals(breaker.get('state'), SC.CircuitBreaker.HALF_OPEN, "breaker should be half open");
+      ok(breaker.allowsRequest(), "the trial request is allowed");
+      ok(!breaker.allowsRequest(), "further requests wait for the trial");
+      breaker.responseDidComplete(SC.Response.create({ status: 200 }));
+      equals(breaker.get('state'), SC.CircuitBreaker.CLOSED, "successful trial closes the breaker");
+    });
+    window.start();
+  }, 120);
+
+  stop(2000);
+});
+
+test("a failed trial request opens the breaker again", function() {
+  var breaker = manager.circuitBreakerFor('http://api.example.com/');
+
+  breaker.open();
+  breaker.set('state', SC.CircuitBreaker.HALF_OPEN);
+
+  statuses = [503];
+  send();
+  equals(sent, 1, "trial request should be sent");
+  equals(breaker.get('state'), SC.CircuitBreaker.OPEN, "breaker should open again");
+});
+
+test("short-circuited responses are not retried", function() {
+  var breaker = manager.circuitBreakerFor('http://api.example.com/'), response;
+
+  breaker.open();
+  response = SC.Request.getUrl('http://api.example.com/things')
+                       .set('responseClass', BreakerTest.Response)
+                       .retry({ baseDelay: 1 })
+                       .send();
+
+  equals(response.get('retryTimer'), null, "should not schedule a retry");
+  equals(sent, 0, "should not be sent");
+});
+
+test("cancelling the trial request lets the next request through", function() {
+  var breaker = manager.circuitBreakerFor('http://api.example.com/'), trial, response;
+
+  breaker.open();
+  breaker.set('state', SC.CircuitBreaker.HALF_OPEN);
+
+  trial = send(null, BreakerTest.PendingResponse);
+  equals(sent, 1, "trial request should be sent");
+
+  response = send(null, BreakerTest.PendingResponse);
+  ok(response.get('isShortCircuited'), "further requests wait for the trial");
+
+  trial.cancel();
+  response = send(null, BreakerTest.PendingResponse);
+  ok(!response.get('isShortCircuited'), "next request should become the trial");
+  equals(sent, 2, "next request should be sent");
+
+  response.cancel();
+});
+
+test("a trial request that does not come back expires after resetTimeout", function() {
+  var breaker = manager.circuitBreakerFor('http://api.example.com/'), trial;
+
+  breaker.open();
+  breaker.set('state', SC.CircuitBreaker.HALF_OPEN);
+
+  trial = send(null, BreakerTest.PendingResponse);
+  ok(send(null, BreakerTest.PendingResponse).get('isShortCircuited'), "further requests wait for the trial");
+
+  setTimeout(function() {
+    SC.run(function() {
+      ok(breaker.allowsRequest(), "next request should become the trial");
+      ok(!breaker.allowsRequest(), "further requests wait for the new trial");
+      trial.cancel();
+      ok(!breaker.allowsRequest(), "cancelling the expired trial should not affect the new one");
+    });
+    window.start();
+  }, 80);
+
+  stop(2000);
+});
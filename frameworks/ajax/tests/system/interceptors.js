@@ -0,0 +1,223 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module, test, ok, equals, same, stop, start, InterceptorTest */
+
+var manager = SC.Request.manager, statuses, sent, interceptors;
+
+window.InterceptorTest = SC.Object.create();
+
+// Answers each request with the next status in `statuses` and a JSON body.
+InterceptorTest.Response = SC.Response.extend({
+  encodedBody: null,
+
+  invokeTransport: function() {
+    var status = statuses.length ? statuses.shift() : 200,
+        req = this.get('request');
+
+    sent.push({ address: req.get('address'), token: req.header('X-Token'), isFrozen: req.get('isFrozen') });
+
+    this.receive(function(proceed) {
+      if (!proceed) { return; }
+      if (status < 200 || status >= 300) {
+        this.set('isError', YES);
+        this.set('errorObject', SC.$error("HTTP Request failed", "Request", status));
+      }
+      this.set('encodedBody', '{"data": %@}'.fmt(status));
+      this.set('status', status);
+    }, this);
+  }
+});
+
+module("SC.Request.manager interceptors", {
+  setup: function() {
+    statuses = [];
+    sent = [];
+    interceptors = [];
+  },
+
+  teardown: function() {
+    interceptors.forEach(function(interceptor) { manager.removeInterceptor(interceptor); });
+    statuses = sent = interceptors = null;
+  }
+});
+
+function intercept(interceptor, idx) {
+  interceptors.push(interceptor);
+  manager.addInterceptor(interceptor, idx);
+  return interceptor;
+}
+
+function request(address) {
+  return SC.Request.getUrl(address || '/intercepted').json()
+                   .set('responseClass', InterceptorTest.Response);
+}
+
+test("addInterceptor() and removeInterceptor()", function() {
+  var a = intercept({}), b = intercept({}), c = intercept({}, 0);
+
+  same(manager.get('interceptors'), [c, a, b], "interceptors should be added in order or at the index");
+
+  manager.removeInterceptor(a);
+  same(manager.get('interceptors'), [c, b], "interceptor should be removed");
+});
+
+test("willSend() can change the request before it is sent", function() {
+  var calls = [];
+
+  intercept(SC.Object.create(SC.RequestInterceptor, {
+    willSend: function(request, response) {
+      calls.push('first');
+      ok(!request.get('isFrozen'), "request should not be frozen yet");
+      request.header('X-Token', 'secret');
+    }
+  }));
+
+  intercept({
+    willSend: function(request, response) {
+      calls.push('second');
+      request.set('address', request.get('address') + '?signed=' + request.header('X-Token'));
+    }
+  });
+
+  request().set('willSend', function() { calls.push('request'); }).send();
+
+  same(calls, ['request', 'first', 'second'], "the request callback and then the interceptors should be called in order");
+  same(sent, [{ address: '/intercepted?signed=secret', token: 'secret', isFrozen: YES }], "the changed request should be sent");
+});
+
+test("didReceive() can change the response before listeners are notified", function() {
+  var calls = [];
+
+  intercept({
+    didReceive: function(request, response) {
+      calls.push('interceptor');
+      response.set('body', response.get('body').data);
+    }
+  });
+
+  request().set('didReceive', function(request, response) {
+    calls.push('request');
+    equals(response.get('body'), 200, "the request callback should get the changed body");
+  }).notify(this, function(response) {
+    calls.push('listener');
+    equals(response.get('body'), 200, "listeners should get the changed body");
+  }).send();
+
+  same(calls, ['interceptor', 'request', 'listener'], "interceptors should be called before the request callback and the listeners");
+});
+
+test("cancelling the response in didReceive()", function() {
+  var notified = NO;
+
+  intercept({ didReceive: function(request, response) { response.cancel(); } });
+  request().notify(this, function() { notified = YES; }).send();
+
+  ok(!notified, "listeners should not be notified");
+});
+
+test("pausing a request before it is sent", function() {
+  var paused, response;
+
+  intercept({
+    willSend: function(request, response) {
+      if (!paused) { paused = response.pause(); }
+    }
+  });
+  intercept({ willSend: function(request) { request.header('X-Token', 'later'); } });
+
+  response = request().send();
+  ok(response.get('isPaused'), "response should be paused");
+  equals(sent.length, 0, "request should not be sent");
+  ok(!manager.isInFlight(response), "paused response should not hold a slot");
+
+  response.resume();
+  ok(!response.get('isPaused'), "response should not be paused anymore");
+  same(sent, [{ address: '/intercepted', token: 'later', isFrozen: YES }], "request should be sent after the remaining interceptors");
+  equals(response.get('status'), 200, "status");
+});
+
+test("pausing and resuming before returning", function() {
+  intercept({ willSend: function(request, response) { response.pause().resume(); } });
+  intercept({ willSend: function(request) { request.header('X-Token', 'next'); } });
+
+  request().send();
+  equals(sent.length, 1, "request should be sent");
+  equals(sent[0].token, 'next', "the next interceptor should be called");
+});
+
+test("cancelling a paused response", function() {
+  var response, notified = NO;
+
+  intercept({ willSend: function(request, response) { response.pause(); } });
+
+  response = request().notify(this, function() { notified = YES; }).send();
+  ok(manager.cancel(response), "manager should cancel the paused response");
+  ok(!response.get('isPaused'), "response should not be paused anymore");
+
+  response.resume();
+  equals(sent.length, 0, "request should not be sent");
+  ok(!notified, "listeners should not be notified");
+});
+
+test("pausing a response to refresh a token and resend it", function() {
+  var token = 'expired', notified = [];
+  statuses = [401];
+
+  intercept({
+    willSend: function(request) {
+      request.header('X-Token', token);
+    },
+
+    didReceive: function(request, response) {
+      if (response.get('status') !== 401) { return; }
+
+      response.pause();
+      setTimeout(function() {
+        token = 'fresh';
+        response.resend();
+      }, 10);
+    }
+  });
+
+  request().notify(this, function(response) {
+    notified.push(response.get('status'));
+
+    same(sent.getEach('token'), ['expired', 'fresh'], "request should be sent again with the new token");
+    ok(sent[1].isFrozen, "the resent request should be frozen again");
+    same(notified, [200], "listeners should only see the final response");
+    ok(!response.get('isError'), "response should not be an error");
+    equals(response.get('body').data, 200, "body should be the new one");
+    window.start();
+  }).send();
+
+  stop(2000);
+});
+
+test("resending from didReceive() before returning", function() {
+  var calls = 0;
+  statuses = [401];
+
+  intercept({
+    didReceive: function(request, response) {
+      calls++;
+      if (response.get('status') === 401) { response.resend(); }
+    }
+  });
+  intercept({
+    didReceive: function(request, response) {
+      equals(response.get('status'), 200, "later interceptors should only see the resent response");
+    }
+  });
+
+  request().notify(this, function(response) {
+    equals(calls, 2, "interceptor should be called for both responses");
+    equals(sent.length, 2, "request should be sent twice");
+    equals(response.get('status'), 200, "status");
+    window.start();
+  }).send();
+
+  stop(2000);
+});
@@ -0,0 +1,273 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module, test, ok, equals, same, stop, start */
+
+var manager = SC.Request.manager, mock = SC.MockResponse, cache;
+
+module("SC.Request.manager deduplicatesRequests", {
+  setup: function() {
+    mock.install();
+    mock.respondTo('GET', '/slow', { body: 'slow', delay: 20 });
+    mock.respondTo('GET', '/other', { body: 'other', delay: 20 });
+    manager.set('deduplicatesRequests', YES);
+  },
+
+  teardown: function() {
+    manager.cancelAll();
+    manager.set('deduplicatesRequests', NO);
+    mock.uninstall();
+  }
+});
+
+test("identical GET requests in flight share one request", function() {
+  var bodies = [], responses;
+
+  function collect(response) { bodies.push(response.get('body')); }
+
+  responses = [
+    SC.Request.getUrl('/slow').notify(this, collect).send(),
+    SC.Request.getUrl('/slow').notify(this, collect).send(),
+    SC.Request.getUrl('/other').notify(this, collect).send()
+  ];
+
+  ok(responses.every(function(r) { return r.isCachedResponse; }), "requests should get cached responses");
+  equals(mock.sentRequests.length, 2, "only one request per address should be sent");
+
+  stop(2000);
+  setTimeout(function() {
+    same(bodies.sort(), ['other', 'slow', 'slow'], "every listener should be notified");
+    ok(!responses[0].get('isFromCache'), "responses are not from the cache");
+    equals(responses[1].header('x-missing'), null, "header() should work");
+
+    SC.Request.getUrl('/slow').send();
+    equals(mock.sentRequests.length, 3, "a later request should be sent again");
+    window.start();
+  }, 100);
+});
+
+test("requests that are not shared", function() {
+  SC.Request.getUrl('/slow').send();
+  SC.Request.postUrl('/slow').send();
+  SC.Request.getUrl('/slow').notify('progress', this, function() {}).send();
+  SC.Request.getUrl('/slow').header('Cache-Control', 'no-store').send();
+
+  equals(mock.sentRequests.length, 4, "POST requests, requests with progress listeners and no-store requests should be sent");
+
+  manager.set('deduplicatesRequests', NO);
+  ok(!SC.Request.getUrl('/slow').send().isCachedResponse, "requests should not be shared by default");
+});
+
+test("requests with different formats or headers are not shared", function() {
+  SC.Request.getUrl('/slow').send();
+  SC.Request.getUrl('/slow').header('accept', 'text/plain').send();
+  SC.Request.getUrl('/slow').json().send();
+  SC.Request.getUrl('/slow').xml().send();
+  SC.Request.getUrl('/slow').header('Authorization', 'Bearer a').send();
+  SC.Request.getUrl('/slow').header('Authorization', 'Bearer b').send();
+  equals(mock.sentRequests.length, 6, "every request should be sent");
+
+  SC.Request.getUrl('/slow').header('Authorization', 'Bearer a').header('X-Other', 'c').send();
+  equals(mock.sentRequests.length, 6, "other headers should not matter");
+});
+
+test("waiting requests with other values for the Vary headers are sent again", function() {
+  var bodies = [];
+
+  function collect(response) { bodies.push(response.get('body')); }
+
+  mock.respondTo('GET', '/greeting', function(request) {
+    return { body: request.header('X-Lang') || 'none', headers: { 'Vary': 'X-Lang' }, delay: 20 };
+  });
+
+  SC.Request.getUrl('/greeting').header('X-Lang', 'en').notify(this, collect).send();
+  SC.Request.getUrl('/greeting').header('X-Lang', 'en').notify(this, collect).send();
+  SC.Request.getUrl('/greeting').header('X-Lang', 'fr').notify(this, collect).send();
+  equals(mock.sentRequests.length, 1, "requests should wait for the first one");
+
+  stop(2000);
+  setTimeout(function() {
+    equals(mock.sentRequests.length, 2, "request with another X-Lang should be sent again");
+    same(bodies.sort(), ['en', 'en', 'fr'], "each request should get the response for its X-Lang");
+    window.start();
+  }, 150);
+});
+
+test("cancelling a waiting response", function() {
+  var notified = [], first, second;
+
+  first = SC.Request.getUrl('/slow').notify(this, function() { notified.push('first'); }).send();
+  second = SC.Request.getUrl('/slow').notify(this, function() { notified.push('second'); }).send();
+  second.cancel();
+  ok(second.get('isCancelled'), "response should be cancelled");
+
+  stop(2000);
+  setTimeout(function() {
+    same(notified, ['first'], "only the remaining response should be notified");
+    window.start();
+  }, 100);
+});
+
+test("cancelAll() cancels the waiting responses", function() {
+  var notified = NO;
+
+  SC.Request.getUrl('/slow').notify(this, function() { notified = YES; }).send();
+  SC.Request.getUrl('/slow').notify(this, function() { notified = YES; }).send();
+  manager.cancelAll();
+
+  stop(2000);
+  setTimeout(function() {
+    ok(!notified, "listeners should not be notified");
+    window.start();
+  }, 100);
+});
+
+module("SC.Request.manager usesCache", {
+  setup: function() {
+    mock.install();
+    cache = manager.get('cache');
+    cache.clear();
+    manager.set('usesCache', YES);
+  },
+
+  teardown: function() {
+    manager.set('usesCache', NO);
+    cache.clear();
+    mock.uninstall();
+  }
+});
+
+test("fresh responses are answered from the cache", function() {
+  var response;
+
+  mock.respondTo('GET', '/contacts', { body: '[1]', headers: { 'Cache-Control': 'public, max-age=60' } });
+
+  response = SC.Request.getUrl('/contacts').json().send();
+  same(response.get('body'), [1], "first response should come from the server");
+  ok(!response.get('isFromCache'), "isFromCache");
+
+  response = SC.Request.getUrl('/contacts').json().send();
+  equals(mock.sentRequests.length, 1, "second request should not be sent");
+  ok(response.get('isFromCache'), "isFromCache");
+  equals(response.get('status'), 200, "status");
+  same(response.get('body'), [1], "body should come from the cache");
+  equals(response.header('cache-control'), 'public, max-age=60', "headers should come from the cache");
+
+  same(cache.get('addresses'), ['/contacts'], "addresses");
+  equals(cache.entryFor(SC.Request.getUrl('/contacts').json()).body, '[1]', "entryFor()");
+  equals(cache.entryFor('/contacts'), null, "entryFor() a plain request");
+
+  SC.Request.getUrl('/contacts').header('Cache-Control', 'no-cache').send();
+  equals(mock.sentRequests.length, 2, "no-cache requests should be sent");
+
+  cache.removeEntry('/contacts');
+  equals(cache.get('length'), 0, "entry should be removed");
+  SC.Request.getUrl('/contacts').send();
+  equals(mock.sentRequests.length, 3, "request should be sent again");
+});
+
+test("responses that are not kept", function() {
+  mock.respondTo('GET', '/secret', { body: 'a', headers: { 'Cache-Control': 'no-store, max-age=60' } });
+  mock.respondTo('GET', '/plain', { body: 'b' });
+  mock.respondTo('GET', '/missing', { status: 404, headers: { 'Cache-Control': 'max-age=60' } });
+
+  ['/secret', '/plain', '/missing'].forEach(function(address) {
+    SC.Request.getUrl(address).send();
+    SC.Request.getUrl(address).send();
+  });
+
+  equals(mock.sentRequests.length, 6, "every request should be sent");
+  equals(cache.get('length'), 0, "nothing should be cached");
+});
+
+test("stale responses are revalidated with ETag", function() {
+  var response;
+
+  mock.respondTo('GET', '/contacts', function(request) {
+    if (request.header('If-None-Match') === '"v1"') { return { status: 304, headers: { 'Cache-Control': 'max-age=60' } }; }
+    return { body: 'contacts', headers: { 'ETag': '"v1"', 'Cache-Control': 'no-cache' } };
+  });
+
+  SC.Request.getUrl('/contacts').send();
+  ok(cache.entryFor('/contacts'), "response should be kept for revalidation");
+  ok(!cache.isFresh(cache.entryFor('/contacts')), "entry should not be fresh");
+
+  response = SC.Request.getUrl('/contacts').send();
+  equals(mock.sentRequests.length, 2, "a conditional request should be sent");
+  equals(mock.sentRequests[1].header('If-None-Match'), '"v1"', "If-None-Match");
+  equals(response.get('status'), 200, "304 should be answered with the cached response");
+  ok(!response.get('isError'), "response should not be an error");
+  equals(response.get('body'), 'contacts', "body");
+
+  ok(cache.isFresh(cache.entryFor('/contacts')), "304 headers should update the freshness");
+  SC.Request.getUrl('/contacts').send();
+  equals(mock.sentRequests.length, 2, "fresh entry should be used");
+});
+
+test("stale responses are revalidated with Last-Modified", function() {
+  var date = 'Wed, 21 Oct 2015 07:28:00 GMT';
+
+  mock.respondTo('GET', '/notes', function(request) {
+    return request.header('If-Modified-Since') === date ? { status: 304 } : { body: 'notes', headers: { 'Last-Modified': date } };
+  });
+
+  SC.Request.getUrl('/notes').send();
+  equals(SC.Request.getUrl('/notes').send().get('body'), 'notes', "body");
+  equals(mock.sentRequests[1].header('If-Modified-Since'), date, "If-Modified-Since");
+});
+
+test("maxEntries", function() {
+  cache.set('maxEntries', 2);
+  mock.respondTo('GET', /^\/items\/\d$/, { body: 'item', headers: { 'Cache-Control': 'max-age=60' } });
+
+  ['/items/1', '/items/2', '/items/3'].forEach(function(address) { SC.Request.getUrl(address).send(); });
+
+  same(cache.get('addresses'), ['/items/2', '/items/3'], "oldest entry should be removed");
+  cache.set('maxEntries', 100);
+});
+
+test("entries are kept per format, Accept and Authorization", function() {
+  mock.respondTo('GET', '/me', function(request) {
+    return { body: request.header('Authorization'), headers: { 'Cache-Control': 'private, max-age=60' } };
+  });
+
+  equals(SC.Request.getUrl('/me').header('Authorization', 'Bearer a').send().get('body'), 'Bearer a', "first user");
+  equals(SC.Request.getUrl('/me').header('Authorization', 'Bearer b').send().get('body'), 'Bearer b', "second user should not get the first user's entry");
+  equals(mock.sentRequests.length, 2, "both requests should be sent");
+
+  ok(SC.Request.getUrl('/me').header('Authorization', 'Bearer a').send().get('isFromCache'), "same user should get the entry");
+  SC.Request.getUrl('/me').header('Authorization', 'Bearer a').header('Accept', 'text/plain').send();
+  SC.Request.getUrl('/me').header('Authorization', 'Bearer a').json().send();
+  equals(mock.sentRequests.length, 4, "other Accept headers and formats should be sent");
+
+  equals(cache.get('length'), 4, "length");
+  same(cache.get('addresses'), ['/me'], "addresses");
+  cache.removeEntry('/me');
+  equals(cache.get('length'), 0, "removeEntry() should remove every entry for the address");
+});
+
+test("entries are only used for requests with the same Vary headers", function() {
+  var response;
+
+  mock.respondTo('GET', '/greeting', function(request) {
+    return { body: request.header('X-Lang'), headers: { 'Cache-Control': 'max-age=60', 'Vary': 'Accept-Encoding, X-Lang' } };
+  });
+
+  SC.Request.getUrl('/greeting').header('X-Lang', 'en').send();
+  same(cache.entryFor(SC.Request.getUrl('/greeting').header('X-Lang', 'en')).vary, { 'accept-encoding': null, 'x-lang': 'en' }, "vary");
+
+  ok(SC.Request.getUrl('/greeting').header('x-lang', 'en').send().get('isFromCache'), "same value should use the entry");
+
+  response = SC.Request.getUrl('/greeting').header('X-Lang', 'fr').send();
+  ok(!response.get('isFromCache'), "other value should be sent");
+  equals(response.get('body'), 'fr', "body");
+  equals(mock.sentRequests.length, 2, "sentRequests");
+
+  mock.respondTo('GET', '/anything', { body: 'a', headers: { 'Cache-Control': 'max-age=60', 'Vary': '*' } });
+  SC.Request.getUrl('/anything').send();
+  SC.Request.getUrl('/anything').send();
+  equals(mock.sentRequests.length, 4, "Vary: * responses should not be used again");
+  same(cache.get('addresses'), ['/greeting'], "Vary: * responses should not be kept");
+});
@@ -0,0 +1,150 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module, test, ok, equals, same, stop, start, RetryTest */
+
+var statuses, sent;
+
+window.RetryTest = SC.Object.create();
+
+// Answers each attempt with the next status in `statuses`.
+RetryTest.Response = SC.Response.extend({
+  invokeTransport: function() {
+    var status = statuses.length ? statuses.shift() : 200;
+    sent.push(this.get('retryCount'));
+
+    this.receive(function(proceed) {
+      if (!proceed) { return; }
+      if (status < 200 || status >= 300) {
+        this.set('isError', YES);
+        this.set('errorObject', SC.$error("HTTP Request failed", "Request", status));
+      }
+      this.set('status', status);
+    }, this);
+  }
+});
+
+module("SC.Request retries", {
+  setup: function() {
+    statuses = [];
+    sent = [];
+  },
+
+  teardown: function() {
+    statuses = sent = null;
+  }
+});
+
+function request(type, policy) {
+  return SC.Request.create({ type: type, address: '/retry', responseClass: RetryTest.Response })
+                   .retry(SC.merge({ baseDelay: 1, jitter: 0 }, policy));
+}
+
+test("retry() helper", function() {
+  var req = SC.Request.getUrl('/retry');
+
+  equals(req.get('retryPolicy'), null, "requests have no retry policy by default");
+  ok(req.retry().get('retryPolicy').isRetryPolicy, "retry() should create a default policy");
+  equals(req.retry({ maxRetries: 7 }).get('retryPolicy').get('maxRetries'), 7, "retry() should accept options");
+  equals(req.retry(NO).get('retryPolicy'), null, "retry(NO) should remove the policy");
+  equals(req.retry({ maxRetries: 2 }).copy().get('retryPolicy').get('maxRetries'), 2, "copies should keep the policy");
+});
+
+test("delayFor() grows exponentially up to maxDelay", function() {
+  var policy = SC.RetryPolicy.create({ baseDelay: 100, multiplier: 3, maxDelay: 1000, jitter: 0 }),
+      response = SC.Response.create();
+
+  same([0, 1, 2, 3].map(function(n) { return policy.delayFor(response, n); }), [100, 300, 900, 1000], "delays");
+});
+
+test("delayFor() jitter and Retry-After", function() {
+  var policy = SC.RetryPolicy.create({ baseDelay: 1000, jitter: 0.5 }),
+      random = Math.random,
+      response = SC.Response.create({ header: function(key) { return key === 'Retry-After' ? '5' : null; } });
+
+  Math.random = function() { return 1; };
+  try {
+    equals(policy.delayFor(SC.Response.create(), 0), 500, "jitter should remove up to half of the delay");
+    equals(policy.delayFor(response, 0), 5000, "Retry-After should set the least delay");
+  } finally {
+    Math.random = random;
+  }
+});
+
+test("shouldRetry() considers the status and the method", function() {
+  var policy = SC.RetryPolicy.create();
+
+  function check(type, status, retryCount) {
+    var req = SC.Request.create({ type: type, address: '/retry' });
+    return policy.shouldRetry(SC.Response.create({ request: req, status: status }), retryCount || 0);
+  }
+
+  ok(check('GET', 503), "503 should be retried");
+  ok(check('GET', 0), "timeouts and network errors should be retried");
+  ok(!check('GET', 404), "404 should not be retried");
+  ok(check('PUT', 503), "PUT is idempotent");
+  ok(!check('POST', 503), "POST is not idempotent");
+  ok(!check('GET', 503, 3), "should stop after maxRetries");
+
+  policy.set('retriesNonIdempotent', YES);
+  ok(check('POST', 503), "POST should be retried with retriesNonIdempotent");
+});
+
+test("a failing request is sent again until it succeeds", function() {
+  var notified = [];
+  statuses = [503, 500, 200];
+
+  request('GET').notify(this, function(response) {
+    notified.push(response.get('status'));
+    same(sent, [0, 1, 2], "should have sent three attempts");
+    equals(response.get('retryCount'), 2, "retryCount");
+    ok(!response.get('isError'), "final response should not be an error");
+    same(notified, [200], "listeners should only see the final result");
+    window.start();
+  }).send();
+
+  stop(2000);
+});
+
+test("listeners get the last failure after maxRetries", function() {
+  statuses = [503, 503, 503, 503];
+
+  request('GET', { maxRetries: 2 }).notify(this, function(response) {
+    same(sent, [0, 1, 2], "should stop after two retries");
+    equals(response.get('status'), 503, "status");
+    ok(response.get('isError'), "response should be an error");
+    window.start();
+  }).send();
+
+  stop(2000);
+});
+
+test("non-idempotent requests are not retried", function() {
+  statuses = [503, 200];
+  stop(2000);
+
+  request('POST').notify(this, function(response) {
+    same(sent, [0], "should not retry a POST");
+    equals(response.get('status'), 503, "status");
+    window.start();
+  }).send();
+});
+
+test("cancelling a response waiting to retry", function() {
+  var response, notified = NO;
+  statuses = [503, 200];
+
+  response = request('GET', { baseDelay: 50 }).notify(this, function() { notified = YES; }).send();
+  ok(response.get('retryTimer'), "should wait to retry");
+  ok(SC.Request.manager.cancel(response), "manager should cancel the response");
+
+  setTimeout(function() {
+    same(sent, [0], "should not have sent again");
+    ok(!notified, "listeners should not be notified");
+    window.start();
+  }, 100);
+
+  stop(2000);
+});
@@ -0,0 +1,119 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module, test, ok, equals, same, FormData, Blob */
+
+var mock = SC.MockResponse, received;
+
+module("SC.Request bodies", {
+  setup: function() {
+    mock.install();
+  },
+
+  teardown: function() {
+    mock.uninstall();
+  }
+});
+
+test("raw bodies are not encoded", function() {
+  var bodies = [new FormData(), new Blob(['abc']), new ArrayBuffer(4), new Uint8Array(4)];
+
+  bodies.forEach(function(body) {
+    var request = SC.Request.postUrl('/upload').json().set('body', body);
+    ok(SC.Request.isRawBody(body), "isRawBody() should detect " + SC.typeOf(body));
+    equals(request.get('encodedBody'), body, "encodedBody should be the body itself");
+  });
+
+  ok(!SC.Request.isRawBody({ a: 1 }), "hashes are not raw bodies");
+  ok(!SC.Request.isRawBody('abc'), "strings are not raw bodies");
+  equals(SC.Request.postUrl('/upload').json().set('body', { a: 1 }).get('encodedBody'), '{"a":1}', "other bodies should still be encoded");
+});
+
+test("raw bodies leave the Content-Type header to the browser", function() {
+  SC.Request.postUrl('/upload').json().send(new FormData());
+  SC.Request.postUrl('/upload').json().send({ a: 1 });
+
+  equals(mock.sentRequests[0].header('Content-Type'), null, "FormData bodies should not get a Content-Type");
+  equals(mock.sentRequests[1].header('Content-Type'), 'application/json', "JSON bodies should get a Content-Type");
+});
+
+test("uploadProgress is an alias for upload.progress", function() {
+  var request = SC.Request.postUrl('/upload').notify('uploadProgress', this, function() {});
+  equals(request.get('listeners')['upload.progress'].length, 1, "listener should be registered for upload.progress");
+});
+
+module("SC.Response body reading", {
+  setup: function() {
+    received = [];
+    mock.install();
+  },
+
+  teardown: function() {
+    mock.uninstall();
+    received = null;
+  }
+});
+
+function record(name) {
+  return function(response, value) { received.push([name, value]); };
+}
+
+test("chunk listeners get the body as it arrives", function() {
+  mock.respondTo('GET', '/stream', { chunks: ['ab', 'cd'] });
+
+  SC.Request.getUrl('/stream')
+    .notify('chunk', this, record('chunk'))
+    .notify(200, this, function(response) { received.push(['status', response.get('body')]); })
+    .send();
+
+  same(received, [['chunk', 'ab'], ['chunk', 'cd'], ['status', 'abcd']], "chunks should arrive before the status listeners");
+});
+
+test("ndjson listeners get the objects of complete lines", function() {
+  mock.respondTo('GET', '/contacts.ndjson', { chunks: ['{"id": 1}\n{"id"', ': 2}\n', 'oops\n\n{"id": 3}'] });
+
+  SC.Request.getUrl('/contacts.ndjson').notify('ndjson', this, record('ndjson')).send();
+
+  same(received, [
+    ['ndjson', [{ id: 1 }]],
+    ['ndjson', [{ id: 2 }]],
+    ['ndjson', [{ id: 3 }]]
+  ], "lines should be parsed once complete, skipping blank and invalid lines");
+});
+
+test("bodies that arrive at once are read when the response is received", function() {
+  mock.respondTo('GET', '/contacts.ndjson', { body: '{"id": 1}\n{"id": 2}\n' });
+
+  SC.Request.getUrl('/contacts.ndjson').notify('ndjson', this, record('ndjson')).send();
+
+  same(received, [['ndjson', [{ id: 1 }, { id: 2 }]]], "the whole body should be read");
+});
+
+test("failed responses are not read", function() {
+  mock.respondTo('GET', '/broken', { status: 500, chunks: ['{"id": 1}\n'] });
+
+  SC.Request.getUrl('/broken').notify('ndjson', this, record('ndjson')).send();
+
+  same(received, [], "listeners should not be notified");
+});
+
+test("SC.XHRResponse reads the response text on progress events", function() {
+  var request = SC.Request.getUrl('/stream').notify('ndjson', this, record('ndjson')),
+      response = SC.XHRResponse.create({ request: request }),
+      rawRequest = { readyState: 3, status: 200, responseText: '{"id": 1}\n{"i' };
+
+  response.set('rawRequest', rawRequest);
+  ok(response.get('isStreaming'), "response should be streaming");
+
+  response._readChunk();
+  rawRequest.responseText += 'd": 2}\n';
+  response._readChunk();
+
+  rawRequest.status = 500;
+  rawRequest.responseText += '{"id": 3}\n';
+  response._readChunk();
+
+  same(received, [['ndjson', [{ id: 1 }]], ['ndjson', [{ id: 2 }]]], "new text should be read while the status is successful");
+});
@@ -0,0 +1,192 @@
+// ==========================================================================
+// Project:   SC.WebSocket
+// Copyright: ©2013 Nicolas BADIA and contributors
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module, test, ok, equals, same, stop, start */
+
+var webSocket, sent, delegate;
+
+// Opens the WebSocket on a fake socket that records what is sent.
+function open() {
+  SC.run(function() {
+    webSocket.socket = {
+      readyState: SC.WebSocket.OPEN,
+      send: function(data) { sent.push(data); },
+      close: function() { this.isClosed = true; }
+    };
+    webSocket.onOpen({ type: 'open' });
+  });
+}
+
+module("SC.WebSocket reconnection", {
+  setup: function() {
+    delegate = SC.Object.create(SC.WebSocketDelegate, {
+      gaveUp: null,
+      webSocketDidGiveUp: function(webSocket, attempts) { this.gaveUp = attempts; }
+    });
+
+    webSocket = SC.WebSocket.create({
+      server: 'ws://server',
+      delegate: delegate,
+      reconnectInterval: 10,
+      connects: 0,
+      connect: function() { this.connects++; return this; }
+    });
+  },
+
+  teardown: function() {
+    webSocket.destroy();
+    webSocket = delegate = null;
+  }
+});
+
+test("reconnectIntervalFor()", function() {
+  webSocket.set('reconnectInterval', 1000);
+  webSocket.set('maxReconnectInterval', 5000);
+
+  same([1, 2, 3, 4].map(function(attempt) { return webSocket.reconnectIntervalFor(attempt); }), [1000, 2000, 4000, 5000], "intervals should grow exponentially up to the maximum");
+
+  webSocket.set('reconnectBackoff', 1);
+  equals(webSocket.reconnectIntervalFor(4), 1000, "a backoff of 1 should keep the interval fixed");
+});
+
+test("reconnecting and giving up", function() {
+  webSocket.set('maxReconnectAttempts', 2);
+
+  webSocket.tryReconnect();
+  equals(webSocket.get('reconnectAttempts'), 1, "reconnectAttempts");
+
+  stop(1000);
+  setTimeout(function() {
+    equals(webSocket.connects, 1, "connect() should have been called");
+
+    webSocket.tryReconnect();
+    webSocket.tryReconnect();
+
+    equals(webSocket.get('reconnectAttempts'), 2, "attempts should stop at maxReconnectAttempts");
+    ok(webSocket.get('hasGivenUp'), "hasGivenUp");
+    equals(delegate.gaveUp, 2, "webSocketDidGiveUp should be called");
+    window.start();
+  }, 50);
+});
+
+test("connect() starts the attempts over", function() {
+  var WebSocket = window.WebSocket, sockets = 0;
+
+  window.WebSocket = function() { sockets++; };
+  webSocket.connect = SC.WebSocket.prototype.connect;
+  webSocket.set('maxReconnectAttempts', 1);
+
+  webSocket.tryReconnect();
+  webSocket.tryReconnect();
+  ok(webSocket.get('hasGivenUp'), "precond - hasGivenUp");
+
+  webSocket.connect();
+  equals(sockets, 1, "a socket should be opened");
+  equals(webSocket.get('reconnectAttempts'), 0, "reconnectAttempts should be reset");
+  ok(!webSocket.get('hasGivenUp'), "hasGivenUp should be reset");
+
+  webSocket.socket = null;
+  webSocket.tryReconnect();
+
+  stop(1000);
+  setTimeout(function() {
+    equals(sockets, 2, "the reconnection should open a socket");
+    equals(webSocket.get('reconnectAttempts'), 1, "reconnecting should not reset reconnectAttempts");
+    webSocket.socket = null;
+    window.WebSocket = WebSocket;
+    window.start();
+  }, 50);
+});
+
+test("opening counts the reconnections", function() {
+  sent = [];
+
+  open();
+  equals(webSocket.get('reconnectCount'), 0, "the first connection is not a reconnection");
+
+  SC.run(function() { webSocket.onClose({ type: 'close' }); });
+  equals(webSocket.get('reconnectAttempts'), 1, "reconnectAttempts");
+
+  open();
+  equals(webSocket.get('reconnectCount'), 1, "reconnectCount");
+  equals(webSocket.get('reconnectAttempts'), 0, "reconnectAttempts should be reset");
+});
+
+module("SC.WebSocket heartbeats", {
+  setup: function() {
+    sent = [];
+    delegate = SC.Object.create(SC.WebSocketDelegate, {
+      degradedLatency: null,
+      closed: 0,
+      webSocketDidDegrade: function(webSocket, latency) { this.degradedLatency = latency; },
+      webSocketDidClose: function() { this.closed++; return true; }
+    });
+
+    webSocket = SC.WebSocket.create({
+      server: 'ws://server',
+      delegate: delegate,
+      isJSON: false,
+      autoReconnect: false,
+      heartbeatInterval: 10,
+      heartbeatTimeout: 30
+    });
+  },
+
+  teardown: function() {
+    webSocket.destroy();
+    webSocket = delegate = sent = null;
+  }
+});
+
+test("heartbeats measure the latency", function() {
+  var messages = [];
+
+  webSocket.notify(this, function(webSocket, message) { messages.push(message); });
+  open();
+
+  stop(1000);
+  setTimeout(function() {
+    ok(sent.length > 0 && sent[0] === 'ping', "heartbeats should be sent");
+
+    SC.run(function() {
+      webSocket.onMessage({ data: 'pong' });
+      webSocket.onMessage({ data: 'hello' });
+    });
+
+    ok(webSocket.get('latency') !== null, "latency should be measured");
+    ok(!webSocket.get('isDegraded'), "connection should not be degraded");
+    same(messages, ['hello'], "answers to heartbeats should not be passed on");
+    window.start();
+  }, 25);
+});
+
+test("slow answers degrade the connection", function() {
+  webSocket.set('degradedLatency', -1);
+  open();
+
+  stop(1000);
+  setTimeout(function() {
+    SC.run(function() { webSocket.onMessage({ data: 'pong' }); });
+
+    ok(webSocket.get('isDegraded'), "isDegraded");
+    equals(delegate.degradedLatency, webSocket.get('latency'), "webSocketDidDegrade should get the latency");
+    window.start();
+  }, 25);
+});
+
+test("connections that stop answering are closed", function() {
+  var socket;
+
+  open();
+  socket = webSocket.socket;
+
+  stop(1000);
+  setTimeout(function() {
+    ok(socket.isClosed, "socket should be closed");
+    ok(!webSocket.get('isConnected'), "isConnected");
+    equals(delegate.closed, 1, "webSocketDidClose should be called");
+    window.start();
+  }, 80);
+});
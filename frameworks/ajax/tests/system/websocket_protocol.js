@@ -0,0 +1,200 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module, test, ok, equals, same, stop, start */
+
+var webSocket, protocol, sent;
+
+// Opens the web socket on a fake socket that records what is sent.
+function open() {
+  SC.run(function() {
+    webSocket.socket = { readyState: SC.WebSocket.OPEN, send: function(data) { sent.push(JSON.parse(data)); } };
+    webSocket.onOpen({ type: 'open' });
+  });
+}
+
+function close() {
+  SC.run(function() { webSocket.onClose({ type: 'close' }); });
+}
+
+function receive(message) {
+  SC.run(function() { webSocket.onMessage({ data: JSON.stringify(message) }); });
+}
+
+module("SC.WebSocketProtocol", {
+  setup: function() {
+    sent = [];
+    webSocket = SC.WebSocket.create({ server: 'ws://server', autoReconnect: NO });
+    protocol = SC.WebSocketProtocol.create({ webSocket: webSocket });
+  },
+
+  teardown: function() {
+    protocol.destroy();
+    webSocket.destroy();
+    webSocket = protocol = sent = null;
+  }
+});
+
+test("calls resolve their promise with the reply", function() {
+  var promise;
+
+  open();
+  promise = protocol.call('contacts.find', { name: 'Joe' });
+
+  same(sent, [{ type: 'call', id: 1, method: 'contacts.find', params: { name: 'Joe' } }], "call should be sent");
+
+  stop(1000);
+  promise.then(function(result) {
+    same(result, [{ id: 3 }], "promise should be resolved with the result");
+    window.start();
+  });
+
+  receive({ type: 'reply', id: 1, result: [{ id: 3 }] });
+});
+
+test("failed calls reject their promise", function() {
+  var promise;
+
+  open();
+  promise = protocol.call('contacts.find');
+
+  stop(1000);
+  promise.then(null, function(error) {
+    ok(SC.kindOf(error, SC.Error), "promise should be rejected with an SC.Error");
+    equals(error.get('message'), 'Not found', "message");
+    equals(error.get('code'), 404, "code");
+    window.start();
+  });
+
+  receive({ type: 'reply', id: 1, error: { message: 'Not found', code: 404 } });
+});
+
+test("calls can notify a target", function() {
+  var target = SC.Object.create({
+        results: [],
+        didFind: function(protocol, result, error) { this.results.push([result, error]); }
+      });
+
+  open();
+  equals(protocol.call('a', null, target, 'didFind'), protocol, "call should return the protocol");
+  protocol.call('b', null, target, 'didFind');
+
+  receive({ type: 'reply', id: 2, result: 'b' });
+  receive({ type: 'reply', id: 1, result: 'a' });
+  receive({ type: 'reply', id: 1, result: 'again' });
+
+  same(target.results, [['b', null], ['a', null]], "replies should be matched to their calls by id");
+});
+
+test("calls time out", function() {
+  protocol.set('callTimeout', 20);
+  open();
+
+  stop(1000);
+  SC.run(function() {
+    protocol.call('slow', null, this, function(protocol, result, error) {
+      ok(error, "call should fail");
+      equals(error.get('label'), 'Timeout', "error label");
+      window.start();
+    });
+  });
+});
+
+test("calls made before the web socket opens are queued", function() {
+  protocol.call('early', null, this, function() {});
+  same(sent, [], "nothing should be sent yet");
+
+  open();
+  equals(sent.length, 1, "call should be sent once open");
+  equals(sent[0].method, 'early', "method");
+});
+
+test("channels", function() {
+  var received = [],
+      target = { didReceive: function(protocol, data, channel) { received.push([channel, data]); } };
+
+  protocol.subscribe('chat', target, 'didReceive');
+  same(protocol.get('channels'), ['chat'], "channels");
+
+  open();
+  same(sent, [{ type: 'subscribe', channel: 'chat' }], "subscriptions should be sent once open");
+
+  protocol.subscribe('chat', target, function() { received.push('second'); });
+  protocol.subscribe('news', target, 'didReceive');
+  protocol.publish('chat', { text: 'Hi!' });
+  same(sent.slice(1), [
+    { type: 'subscribe', channel: 'news' },
+    { type: 'publish', channel: 'chat', data: { text: 'Hi!' } }
+  ], "only new channels should be subscribed");
+
+  receive({ type: 'message', channel: 'chat', data: 'hello' });
+  receive({ type: 'message', channel: 'news', data: 'extra', id: 7 });
+  same(received, [['chat', 'hello'], 'second', ['news', 'extra']], "subscribers should get the messages of their channels");
+  same(sent[sent.length - 1], { type: 'ack', id: 7 }, "messages with an id should be acknowledged");
+
+  sent = [];
+  protocol.unsubscribe('chat', target, 'didReceive');
+  same(sent, [], "channel should stay subscribed while it has subscribers");
+  protocol.unsubscribe('chat');
+  same(sent, [{ type: 'unsubscribe', channel: 'chat' }], "channel should be unsubscribed");
+  same(protocol.get('channels'), ['news'], "channels");
+});
+
+test("subscriptions survive reconnects", function() {
+  protocol.subscribe('chat', this, function() {});
+  open();
+  close();
+  sent = [];
+  open();
+
+  same(sent, [{ type: 'subscribe', channel: 'chat' }], "subscriptions should be sent again");
+});
+
+test("delivered messages are sent again until they are acknowledged", function() {
+  var acknowledged = [];
+
+  open();
+  protocol.deliver({ op: 'save' }, this, function(protocol, data) { acknowledged.push(data); });
+  protocol.deliver({ op: 'delete' }, this, function(protocol, data) { acknowledged.push(data); });
+  equals(protocol.get('unacknowledgedCount'), 2, "unacknowledgedCount");
+
+  receive({ type: 'ack', id: 1 });
+  same(acknowledged, [{ op: 'save' }], "target should be notified of the acknowledgement");
+
+  close();
+  protocol.deliver({ op: 'create' });
+  sent = [];
+  open();
+
+  same(sent, [
+    { type: 'deliver', id: 2, data: { op: 'delete' } },
+    { type: 'deliver', id: 3, data: { op: 'create' } }
+  ], "messages that were not acknowledged should be sent again");
+  equals(protocol.get('unacknowledgedCount'), 2, "unacknowledgedCount");
+});
+
+test("other messages are passed on to the listeners of the web socket", function() {
+  var messages = [];
+
+  webSocket.notify(this, function(webSocket, message) { messages.push(message); });
+  open();
+
+  receive({ type: 'reply', id: 99 });
+  receive({ type: 'other' });
+  receive({ hello: 'world' });
+
+  same(messages, [{ type: 'other' }, { hello: 'world' }], "listeners should get the messages of other protocols");
+});
+
+test("destroy()", function() {
+  var error;
+
+  open();
+  protocol.call('pending', null, this, function(protocol, result, err) { error = err; });
+  protocol.destroy();
+
+  ok(error, "pending calls should fail");
+  equals(webSocket.get('listeners').onmessage.length, 0, "listeners should be removed");
+});
@@ -98,6 +98,22 @@ SC.CascadeDataSource = SC.DataSource.extend(
   },
 
 
+  /** @private - just cascades */
+  fetchRange: function(store, query, range) {
+    var sources = this.get('dataSources'),
+        len     = sources ? sources.length : 0,
+        ret     = NO,
+        cur, source, idx;
+
+    for(idx=0; (ret !== YES) && idx<len; idx++) {
+      source = sources.objectAt(idx);
+      cur = source.fetchRange ? source.fetchRange.apply(source, arguments) : NO;
+      ret = this._handleResponse(ret, cur);
+    }
+
+    return ret ;
+  },
+
   /** @private - just cascades */
   retrieveRecords: function(store, storeKeys, ids) {
     var sources = this.get('dataSources'),
@@ -59,6 +59,9 @@ SC.MIXED_STATE = '__MIXED__';
    * `commitRecords()` &mdash; called if the the store has changes
      pending and its `commitRecords()` method is invoked.
 
+  Remote queries with a `pageSize` are loaded one page at a time with
+  `fetchRange()` instead of `fetch()`.
+
   The data store will call the `commitRecords()` method when records
   need to be created, updated, or deleted. If the server that the data source
   connects to handles these three actions in a uniform manner, it may be
@@ -281,6 +284,37 @@ SC.DataSource = SC.Object.extend( /** @scope SC.DataSource.prototype */ {
     return NO ; // do not handle anything!
   },
 
+  /**
+    Invoked by the store whenever it needs a range of the results of a paged
+    remote query, i.e. a remote query with a `pageSize`.  The store calls
+    this method instead of `fetch()` for paged queries, first for the first
+    page and then for each page as its records are accessed.
+
+    The range is a hash with the index of the first result, `start`, and the
+    number of results, `length`.  Load the records in the range into the
+    store, then pass their store keys and the total number of results to
+    SC.Store#dataSourceDidFetchRange():
+
+        fetchRange: function(store, query, range) {
+          SC.Request.getUrl('/messages?offset=%@&limit=%@'.fmt(range.start, range.length))
+            .json().notify(this, function(response) {
+              var storeKeys = store.loadRecords(MyApp.Message, response.get('body').messages);
+              store.dataSourceDidFetchRange(query, range, storeKeys, response.get('body').total);
+            }).send();
+          return YES;
+        }
+
+    If the request fails, call SC.Store#dataSourceDidErrorQuery() as usual.
+
+    @param {SC.Store} store the requesting store
+    @param {SC.Query} query the paged query
+    @param {Hash} range the range of results to load
+    @returns {Boolean} YES if you can handle fetching the range, NO otherwise
+  */
+  fetchRange: function(store, query, range) {
+    return NO ; // do not handle anything!
+  },
+
   /**
     Called by the store whenever it needs to load a specific set of store
     keys.  The default implementation will call retrieveRecord() for each
@@ -0,0 +1,484 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+sc_require('data_sources/data_source');
+sc_require('models/record');
+
+/** @class
+
+  A data source that talks to a conventional REST/JSON backend using
+  `SC.Request`.  Rather than overriding every entry point of `SC.DataSource`,
+  you map each record type to the URL of its resource and the data source
+  takes care of issuing the requests and calling the proper store callbacks.
+
+  ## Configuring a REST Data Source
+
+  Map record types to their resource URLs with the `resources` hash.  The
+  keys are the property paths of the record types, since the classes may not
+  have been loaded yet when the data source is defined:
+
+      MyApp.dataSource = SC.RESTDataSource.create({
+        rootURL: '/api/v1',
+
+        resources: {
+          'MyApp.Contact': '/contacts',
+          'MyApp.Group': '/groups'
+        }
+      });
+
+      MyApp.store = SC.Store.create().from(MyApp.dataSource);
+
+  With the above configuration, the data source will use the following
+  requests:
+
+   * `fetch()` &mdash; `GET /api/v1/contacts`
+   * `retrieveRecord()` &mdash; `GET /api/v1/contacts/:id`
+   * `createRecord()` &mdash; `POST /api/v1/contacts`
+   * `updateRecord()` &mdash; `PUT /api/v1/contacts/:id`
+   * `destroyRecord()` &mdash; `DELETE /api/v1/contacts/:id`
+
+  If a record type is not mapped, but one of its superclasses is (i.e. a
+  polymorphic record type), the superclass's resource is used.  Record types
+  that can't be mapped at all are left unhandled (the methods return `NO`) so
+  that the data source can be used within an `SC.CascadeDataSource`.
+
+  ## Queries
+
+  Local queries simply load all of the records of the query's record type.
+  For remote queries, the query's `parameters` are encoded as the query
+  string of the request and the ordered results are passed back to the store
+  with `dataSourceDidFetchQuery()`.  To send something other than the
+  parameters, override `queryParametersFor()`.
+
+  ## Envelopes and Ids
+
+  By default the data source expects the server to return bare JSON objects
+  for single records and bare JSON arrays for collections.  If your server
+  wraps its payloads, set `recordKey` and `recordsKey`, for example
+  `recordKey: 'contact'` and `recordsKey: 'contacts'` for a server that
+  returns `{ "contact": { ... } }` and `{ "contacts": [ ... ] }`.  For
+  anything more involved override `encodeRecordBody()`,
+  `decodeRecordBody()` and `decodeRecordsBody()`.
+
+  The id of a record is read from its `primaryKey` in the returned data
+  hash.  Override `idForDataHash()` if your server returns ids some other way
+  and override `urlForRecord()` if your server doesn't address records as
+  `resource/:id`.
+
+  @extends SC.DataSource
+  @since SproutCore 2.0
+*/
+SC.RESTDataSource = SC.DataSource.extend(
+  /** @scope SC.RESTDataSource.prototype */ {
+
+  // ..........................................................
+  // PROPERTIES
+  //
+
+  /**
+    The URL prepended to each resource URL.
+
+    @type String
+    @default ''
+  */
+  rootURL: '',
+
+  /**
+    A hash of record type property paths to resource URLs.
+
+    @type Hash
+    @default null
+  */
+  resources: null,
+
+  /**
+    If set, the record data hash sent to and returned from the server is
+    wrapped in an object under this key.
+
+    @type String
+    @default null
+  */
+  recordKey: null,
+
+  /**
+    If set, the array of data hashes returned from the server for a query is
+    wrapped in an object under this key.
+
+    @type String
+    @default null
+  */
+  recordsKey: null,
+
+  /**
+    Whether to normalize records using `SC.Record#normalize` before
+    serializing them in create and update requests.
+
+    @type Boolean
+    @default YES
+  */
+  shouldNormalizeRecords: YES,
+
+  /**
+    The HTTP method used to update existing records.  Set this to 'PATCH' if
+    your server prefers it.
+
+    @type String
+    @default 'PUT'
+  */
+  updateMethod: 'PUT',
+
+  // ..........................................................
+  // URL & SERIALIZATION HOOKS
+  //
+
+  /**
+    Returns the resource URL for the given record type, including the
+    `rootURL`, or `null` if the record type is not mapped to a resource.
+
+    @param {SC.Record} recordType the record type
+    @returns {String} the resource URL or null
+  */
+  urlForRecordType: function(recordType) {
+    var cache = this._scrds_urls,
+        key, resources, path, url, type;
+
+    if (!recordType) return null;
+    if (!cache) cache = this._scrds_urls = {};
+
+    key = SC.guidFor(recordType);
+    if (cache[key] !== undefined) return cache[key];
+
+    resources = this.get('resources');
+    url = null;
+
+    // Look for the record type or its closest mapped superclass.
+    type = recordType;
+    while (!url && type && type !== SC.Record) {
+      for (path in resources) {
+        if (resources.hasOwnProperty(path) && SC.objectForPropertyPath(path) === type) {
+          url = resources[path];
+          break;
+        }
+      }
+      type = type.superclass;
+    }
+
+    if (url) url = this.get('rootURL') + url;
+
+    return (cache[key] = url);
+  },
+
+  /**
+    Returns the URL for a single record.  The default appends the escaped id
+    to the resource URL.
+
+    @param {SC.Record} recordType the record type
+    @param {String} id the record id
+    @returns {String} the record URL or null
+  */
+  urlForRecord: function(recordType, id) {
+    var url = this.urlForRecordType(recordType);
+    if (!url) return null;
+    return SC.none(id) ? url : url + '/' + encodeURIComponent(id);
+  },
+
+  /**
+    Returns the hash of parameters to encode in the query string when
+    fetching the query.  The default returns the query parameters for remote
+    queries and nothing for local queries.
+
+    @param {SC.Query} query the query being fetched
+    @returns {Hash} parameters or null
+  */
+  queryParametersFor: function(query) {
+    return query.get('isRemote') ? query.get('parameters') : null;
+  },
+
+  /**
+    Encodes a hash of parameters as a URL query string, e.g.
+    `{ a: 1, b: [2, 3] }` becomes 'a=1&b=2&b=3'.  Null parameters are skipped.
+
+    @param {Hash} params the parameters
+    @returns {String} encoded query string
+  */
+  encodeQueryParameters: function(params) {
+    var ret = [], key, value, idx, len;
+
+    for (key in params) {
+      if (!params.hasOwnProperty(key)) continue;
+      value = params[key];
+      if (SC.none(value)) continue;
+
+      if (SC.typeOf(value) === SC.T_ARRAY) {
+        for (idx = 0, len = value.length; idx < len; idx++) {
+          ret.push(encodeURIComponent(key) + '=' + encodeURIComponent(value[idx]));
+        }
+      } else {
+        if (value.isRecord) value = value.get('id');
+        ret.push(encodeURIComponent(key) + '=' + encodeURIComponent(value));
+      }
+    }
+
+    return ret.join('&');
+  },
+
+  /**
+    Returns the id contained in a data hash returned by the server.  The
+    default reads the record type's `primaryKey`.
+
+    @param {SC.Record} recordType the record type
+    @param {Hash} dataHash the data hash
+    @returns {String} the id
+  */
+  idForDataHash: function(recordType, dataHash) {
+    return dataHash ? dataHash[recordType.prototype.primaryKey] : undefined;
+  },
+
+  /**
+    Returns the body to send to the server for the given record.  The
+    default normalizes the record (see `shouldNormalizeRecords`) and uses
+    `SC.Record#toJSON`, wrapping the result with `recordKey` if set.
+
+    @param {SC.Store} store the store
+    @param {Number} storeKey the record store key
+    @returns {Object} the request body
+  */
+  encodeRecordBody: function(store, storeKey) {
+    var record = store.materializeRecord(storeKey),
+        recordKey = this.get('recordKey'),
+        ret;
+
+    if (this.get('shouldNormalizeRecords')) record.normalize();
+    ret = record.toJSON();
+
+    if (recordKey) {
+      var wrapper = {};
+      wrapper[recordKey] = ret;
+      ret = wrapper;
+    }
+
+    return ret;
+  },
+
+  /**
+    Returns the data hash of a single record contained in a response body,
+    unwrapping it with `recordKey` if set.
+
+    @param {SC.Record} recordType the record type
+    @param {Object} body the decoded response body
+    @returns {Hash} data hash or null
+  */
+  decodeRecordBody: function(recordType, body) {
+    var recordKey = this.get('recordKey');
+    if (body && recordKey) body = body[recordKey];
+    return (body && SC.typeOf(body) === SC.T_HASH) ? body : null;
+  },
+
+  /**
+    Returns the array of data hashes contained in a response body for a
+    query, unwrapping it with `recordsKey` if set.
+
+    @param {SC.Record} recordType the record type
+    @param {Object} body the decoded response body
+    @param {SC.Query} query the query that was fetched
+    @returns {Array} data hashes
+  */
+  decodeRecordsBody: function(recordType, body, query) {
+    var recordsKey = this.get('recordsKey');
+    if (body && recordsKey) body = body[recordsKey];
+    return SC.typeOf(body) === SC.T_ARRAY ? body : [];
+  },
+
+  /**
+    Creates the request used for each call to the server.  Override this to
+    add headers or to configure the request further.
+
+    @param {String} type the HTTP method
+    @param {String} address the URL
+    @returns {SC.Request} the request
+  */
+  createRequest: function(type, address) {
+    return SC.Request.create({ type: type, address: address }).json();
+  },
+
+  // ..........................................................
+  // FETCHING
+  //
+
+  /** @private */
+  fetch: function(store, query) {
+    var recordType = query.get('recordType'),
+        url = this.urlForRecordType(recordType),
+        params, qs;
+
+    if (!url) return NO;
+
+    params = this.queryParametersFor(query);
+    qs = params ? this.encodeQueryParameters(params) : '';
+    if (qs) url += (url.indexOf('?') >= 0 ? '&' : '?') + qs;
+
+    this.createRequest('GET', url)
+      .notify(this, this._scrds_didFetch, store, query)
+      .send();
+
+    return YES;
+  },
+
+  /** @private */
+  _scrds_didFetch: function(response, store, query) {
+    var recordType = query.get('recordType'),
+        body, hashes, ids, storeKeys;
+
+    if (SC.ok(response) && SC.ok(body = response.get('body'))) {
+      hashes = this.decodeRecordsBody(recordType, body, query);
+      ids = hashes.map(function(hash) { return this.idForDataHash(recordType, hash); }, this);
+      storeKeys = store.loadRecords(recordType, hashes, ids);
+
+      if (query.get('isRemote')) store.dataSourceDidFetchQuery(query, storeKeys);
+      else store.dataSourceDidFetchQuery(query);
+    } else {
+      store.dataSourceDidErrorQuery(query, this._scrds_errorFor(response, body));
+    }
+
+    return YES;
+  },
+
+  // ..........................................................
+  // SINGLE RECORD ACTIONS
+  //
+
+  /** @private */
+  retrieveRecord: function(store, storeKey, id) {
+    var recordType = store.recordTypeFor(storeKey),
+        url = this.urlForRecord(recordType, id || store.idFor(storeKey));
+
+    if (!url) return NO;
+
+    this._scrds_send(store, storeKey, this.createRequest('GET', url));
+    return YES;
+  },
+
+  /** @private */
+  createRecord: function(store, storeKey, params) {
+    var recordType = store.recordTypeFor(storeKey),
+        url = this.urlForRecordType(recordType);
+
+    if (!url) return NO;
+
+    this._scrds_send(store, storeKey, this.createRequest('POST', url), this.encodeRecordBody(store, storeKey));
+    return YES;
+  },
+
+  /** @private */
+  updateRecord: function(store, storeKey, params) {
+    var recordType = store.recordTypeFor(storeKey),
+        url = this.urlForRecord(recordType, store.idFor(storeKey));
+
+    if (!url) return NO;
+
+    this._scrds_send(store, storeKey, this.createRequest(this.get('updateMethod'), url), this.encodeRecordBody(store, storeKey));
+    return YES;
+  },
+
+  /** @private */
+  destroyRecord: function(store, storeKey, params) {
+    var recordType = store.recordTypeFor(storeKey),
+        url = this.urlForRecord(recordType, store.idFor(storeKey));
+
+    if (!url) return NO;
+
+    this._scrds_send(store, storeKey, this.createRequest('DELETE', url));
+    return YES;
+  },
+
+  /** @private
+    Cancels any in-flight requests for the given store keys.
+  */
+  cancel: function(store, storeKeys) {
+    var responses = this._scrds_responses,
+        ret, cur, response;
+
+    storeKeys.forEach(function(storeKey) {
+      response = responses ? responses[storeKey] : null;
+      if (response) {
+        delete responses[storeKey];
+        SC.Request.manager.cancel(response);
+        store.dataSourceDidCancel(storeKey);
+        cur = YES;
+      } else {
+        cur = NO;
+      }
+
+      if (ret === undefined) ret = cur;
+      else if (ret !== cur) ret = SC.MIXED_STATE;
+    }, this);
+
+    return ret || NO;
+  },
+
+  // ..........................................................
+  // PRIVATE
+  //
+
+  /** @private
+    Sends the request for the record and remembers the response so that it
+    may be cancelled.
+  */
+  _scrds_send: function(store, storeKey, request, body) {
+    var manager = SC.Request.manager,
+        responses = this._scrds_responses,
+        response;
+
+    if (!responses) responses = this._scrds_responses = {};
+
+    request.notify(this, this._scrds_didReceive, store, storeKey);
+    response = request.send(body);
+
+    // Synchronous transports may already have completed.
+    if (manager.isPending(response) || manager.isInFlight(response)) {
+      responses[storeKey] = response;
+    }
+  },
+
+  /** @private
+    Handles the response to any of the single record actions.
+  */
+  _scrds_didReceive: function(response, store, storeKey) {
+    var recordType = store.recordTypeFor(storeKey),
+        status = store.peekStatus(storeKey),
+        K = SC.Record,
+        body, hash, id;
+
+    if (this._scrds_responses) delete this._scrds_responses[storeKey];
+
+    // The record may have been cancelled or unloaded in the mean time.
+    if (!(status & K.BUSY)) return YES;
+
+    if (SC.ok(response) && SC.ok(body = response.get('body'))) {
+      if (status === K.BUSY_DESTROYING) {
+        store.dataSourceDidDestroy(storeKey);
+      } else {
+        hash = this.decodeRecordBody(recordType, body);
+        id = hash ? this.idForDataHash(recordType, hash) : null;
+        store.dataSourceDidComplete(storeKey, hash, id);
+      }
+    } else {
+      store.dataSourceDidError(storeKey, this._scrds_errorFor(response, body));
+    }
+
+    return YES;
+  },
+
+  /** @private
+    Returns the error object for a failed response.
+  */
+  _scrds_errorFor: function(response, body) {
+    if (body && body.isError) return body;
+    return response.get('errorObject') || SC.$error("Request failed", "Request", response.get('status'));
+  }
+
+});
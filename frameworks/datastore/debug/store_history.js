@@ -0,0 +1,395 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+/** @class
+
+  A store history records every change a store makes to its data hashes and
+  statuses, along with the data source callbacks that caused them.  Use it to
+  find out how a record got into its current state, or to rebuild the store
+  as it was at an earlier point.
+
+  To record the history of a store, set `historyIsActive` on the store:
+
+      MyApp.store = SC.Store.create({ historyIsActive: YES });
+
+      // later, in the console
+      MyApp.store.get('history').explain(MyApp.Contact, '1');
+      // 0 12:01:03.551 writeDataHash EMPTY -> READY_CLEAN
+      // 1 12:01:09.104 writeStatus READY_CLEAN -> READY_DIRTY
+      // 2 12:01:10.660 dataSourceDidError READY_DIRTY
+
+  Each entry in `entries` is a hash with the following properties:
+
+   - `index`, the position of the entry in the history,
+   - `timestamp`, the time of the entry in milliseconds,
+   - `action`, `writeDataHash`, `writeStatus`, `removeDataHash` or the name of
+     a `dataSourceDid*` callback,
+   - `isChange`, YES for changes to the store and NO for callbacks,
+   - `storeKey`, `recordType` and `id` of the record,
+   - `previousStatus` and `status` of the record,
+   - `dataHash`, a copy of the record's data hash after the change, and
+   - `stack`, the stack trace if `capturesStackTraces` is YES.
+
+  NOTE: This is only available in debug mode!
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.StoreHistory = SC.Object.extend(
+/** @scope SC.StoreHistory.prototype */ {
+
+  /**
+    The store being recorded.
+
+    @type SC.Store
+    @default null
+  */
+  store: null,
+
+  /**
+    The recorded entries, oldest first.
+
+    @type Array
+    @default []
+  */
+  entries: null,
+
+  /**
+    If set, only this many of the most recent entries are kept.  Note that
+    once entries have been dropped, `storeAt()` can only rebuild the records
+    that changed since.
+
+    @type Number
+    @default null
+  */
+  maxLength: null,
+
+  /**
+    If YES, a stack trace is saved with every entry.  This is slow, but shows
+    exactly which code changed a record.
+
+    @type Boolean
+    @default NO
+  */
+  capturesStackTraces: NO,
+
+  /**
+    The number of recorded entries.
+
+    @field
+    @type Number
+  */
+  length: function() {
+    return this.entries.length;
+  }.property(),
+
+  /** @private */
+  init: function() {
+    sc_super();
+    this.reset();
+  },
+
+  /**
+    Removes every entry.
+
+    @returns {SC.StoreHistory} receiver
+  */
+  reset: function() {
+    this.propertyWillChange('length');
+    this.entries = [];
+    this._scsh_index = 0;
+    this.propertyDidChange('length');
+    return this;
+  },
+
+  // ..........................................................
+  // RECORDING
+  //
+
+  /**
+    Called by the store after it changes a data hash or status.
+
+    @param {String} action the store method that made the change
+    @param {Number} storeKey the store key
+    @param {Number} previousStatus the status before the change
+    @returns {SC.StoreHistory} receiver
+  */
+  pushChange: function(action, storeKey, previousStatus) {
+    var store = this.get('store'),
+        dataHash = store.dataHashes[storeKey];
+
+    return this._scsh_push({
+      action: action,
+      isChange: YES,
+      storeKey: storeKey,
+      previousStatus: previousStatus,
+      status: store.peekStatus(storeKey),
+      dataHash: dataHash ? SC.clone(dataHash, YES) : null
+    });
+  },
+
+  /**
+    Called by the store when one of its `dataSourceDid*` callbacks is
+    invoked, before it makes any changes.
+
+    @param {String} action the name of the callback
+    @param {Number} storeKey the store key
+    @param {Object} info (optional) the error or new id passed to the callback
+    @returns {SC.StoreHistory} receiver
+  */
+  pushCallback: function(action, storeKey, info) {
+    var status = this.get('store').peekStatus(storeKey);
+
+    return this._scsh_push({
+      action: action,
+      isChange: NO,
+      storeKey: storeKey,
+      previousStatus: status,
+      status: status,
+      info: (info && info.isError) ? info.get('message') : (info === undefined ? null : info)
+    });
+  },
+
+  /** @private */
+  _scsh_push: function(entry) {
+    var entries = this.entries,
+        maxLength = this.get('maxLength');
+
+    if (this._scsh_isReplaying) return this;
+
+    entry.index = this._scsh_index++;
+    entry.timestamp = Date.now();
+    entry.recordType = SC.Store.recordTypeFor(entry.storeKey);
+    entry.id = SC.Store.idFor(entry.storeKey);
+    if (this.get('capturesStackTraces')) entry.stack = new Error().stack;
+
+    this.propertyWillChange('length');
+    entries.push(entry);
+    if (maxLength && entries.length > maxLength) entries.splice(0, entries.length - maxLength);
+    this.propertyDidChange('length');
+
+    return this;
+  },
+
+  // ..........................................................
+  // INSPECTING
+  //
+
+  /**
+    Returns the entries for a record.  Pass either a record, a record type
+    and id, or a store key.
+
+    @param {SC.Record|Number} recordType the record type, record, or store key
+    @param {String} id (optional) the record id
+    @returns {Array} the entries
+  */
+  entriesFor: function(recordType, id) {
+    var storeKey = this._scsh_storeKeyFor(recordType, id);
+
+    return this.entries.filter(function(entry) {
+      return entry.storeKey === storeKey;
+    });
+  },
+
+  /**
+    Returns a readable description of how a record got into its current
+    state, one entry per line.  Takes the same arguments as `entriesFor()`.
+
+    @param {SC.Record|Number} recordType the record type, record, or store key
+    @param {String} id (optional) the record id
+    @returns {String} the description
+  */
+  explain: function(recordType, id) {
+    var that = this;
+
+    return this.entriesFor(recordType, id).map(function(entry) {
+      var ret = [entry.index, that._scsh_timeString(entry.timestamp), entry.action];
+
+      if (entry.isChange) {
+        ret.push(that.statusString(entry.previousStatus), '->', that.statusString(entry.status));
+      } else {
+        ret.push(that.statusString(entry.status));
+        if (!SC.none(entry.info)) ret.push('(%@)'.fmt(entry.info));
+      }
+
+      return ret.join(' ');
+    }).join('\n');
+  },
+
+  /**
+    Returns the name of a record status, such as `READY_DIRTY`.
+
+    @param {Number} status the status
+    @returns {String} the name
+  */
+  statusString: function(status) {
+    var K = SC.Record, prop;
+
+    for (prop in K) {
+      if (prop.match(/^[A-Z_]+$/) && K[prop] === status && prop !== 'CLEAN' && prop !== 'DIRTY') return prop;
+    }
+
+    return String(status);
+  },
+
+  /** @private */
+  _scsh_storeKeyFor: function(recordType, id) {
+    if (SC.typeOf(recordType) === SC.T_NUMBER) return recordType;
+    if (recordType && recordType.isRecord) return recordType.get('storeKey');
+    return recordType.storeKeyFor(id);
+  },
+
+  /** @private */
+  _scsh_timeString: function(timestamp) {
+    var date = new Date(timestamp);
+
+    return '%@:%@:%@.%@'.fmt(
+      this._scsh_pad(date.getHours(), 2),
+      this._scsh_pad(date.getMinutes(), 2),
+      this._scsh_pad(date.getSeconds(), 2),
+      this._scsh_pad(date.getMilliseconds(), 3));
+  },
+
+  /** @private */
+  _scsh_pad: function(value, length) {
+    value = String(value);
+    while (value.length < length) value = '0' + value;
+    return value;
+  },
+
+  // ..........................................................
+  // REPLAYING
+  //
+
+  /**
+    Returns the state of every recorded record after the entry with the
+    passed index.  The returned hash maps store keys to the last change
+    entry for the record.
+
+    @param {Number} index (optional) the entry index, defaults to the last entry
+    @returns {Hash} the changes by store key
+  */
+  snapshotAt: function(index) {
+    var entries = this.entries,
+        ret = {}, idx, len, entry;
+
+    for (idx = 0, len = entries.length; idx < len; idx++) {
+      entry = entries[idx];
+      if (!SC.none(index) && entry.index > index) break;
+      if (entry.isChange) ret[entry.storeKey] = entry;
+    }
+
+    return ret;
+  },
+
+  /**
+    Writes the state of every recorded record after the entry with the
+    passed index into a store.  Changes made while replaying are not
+    recorded.
+
+    @param {SC.Store} store the store to write to
+    @param {Number} index (optional) the entry index, defaults to the last entry
+    @returns {SC.Store} the store
+  */
+  replay: function(store, index) {
+    var snapshot = this.snapshotAt(index),
+        key, entry, storeKey, recordType;
+
+    this._scsh_isReplaying = YES;
+
+    for (key in snapshot) {
+      if (!snapshot.hasOwnProperty(key)) continue;
+      entry = snapshot[key];
+
+      // use the id so that imported entries map to this session's store keys
+      recordType = entry.recordType;
+      if (recordType && !SC.none(entry.id)) {
+        storeKey = recordType.storeKeyFor(entry.id);
+      } else {
+        storeKey = entry.storeKey;
+        if (recordType) SC.Store.replaceRecordTypeFor(storeKey, recordType);
+      }
+
+      if (entry.dataHash) {
+        store.writeDataHash(storeKey, SC.clone(entry.dataHash, YES), entry.status);
+      } else {
+        store.removeDataHash(storeKey, entry.status);
+      }
+      store.dataHashDidChange(storeKey);
+    }
+
+    this._scsh_isReplaying = NO;
+
+    return store;
+  },
+
+  /**
+    Returns a new store containing every recorded record as it was after
+    the entry with the passed index.
+
+    @param {Number} index (optional) the entry index, defaults to the last entry
+    @returns {SC.Store} the new store
+  */
+  storeAt: function(index) {
+    return this.replay(SC.Store.create(), index);
+  },
+
+  // ..........................................................
+  // EXPORTING
+  //
+
+  /**
+    Returns the entries as plain JSON-compatible objects.  Record types are
+    replaced by their class names and stack traces are left out.
+
+    @returns {Array} the entries
+  */
+  toJSON: function() {
+    return this.entries.map(function(entry) {
+      var ret = SC.clone(entry);
+
+      ret.recordType = entry.recordType ? SC._object_className(entry.recordType) : null;
+      delete ret.stack;
+      return ret;
+    });
+  },
+
+  /**
+    Returns the entries as a JSON string.
+
+    @returns {String} the JSON
+  */
+  exportJSON: function() {
+    return SC.json.encode(this.toJSON());
+  },
+
+  /**
+    Replaces the entries with entries exported by `exportJSON()`, so that
+    they can be inspected or replayed in another session.
+
+    @param {String|Array} json the exported entries
+    @returns {SC.StoreHistory} receiver
+  */
+  importJSON: function(json) {
+    var entries = (SC.typeOf(json) === SC.T_STRING) ? SC.json.decode(json) : json,
+        last = entries[entries.length - 1];
+
+    entries = entries.map(function(entry) {
+      var ret = SC.clone(entry);
+      ret.recordType = entry.recordType ? SC.objectForPropertyPath(entry.recordType) : null;
+      return ret;
+    });
+
+    this.propertyWillChange('length');
+    this.entries = entries;
+    this._scsh_index = last ? last.index + 1 : 0;
+    this.propertyDidChange('length');
+
+    return this;
+  }
+
+});
@@ -0,0 +1,47 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+/**
+  @namespace
+
+  A store conflict delegate is consulted by a nested store when it finds
+  changes that can not be merged automatically with its parent store.  Set
+  it as the `conflictDelegate` of the nested store:
+
+      var nestedStore = MyApp.store.chain({
+        mergesConflicts: YES,
+        conflictDelegate: MyApp.conflictController
+      });
+
+  @since SproutCore 2.0
+*/
+SC.StoreConflictDelegate = {
+
+  /**
+    Walk like a duck.
+
+    @type Boolean
+    @default YES
+  */
+  isStoreConflictDelegate: YES,
+
+  /**
+    Called by `SC.NestedStore#mergeChanges()` with the conflicts that could
+    not be merged automatically.
+
+    Conflicts that you resolve before returning are applied to the nested
+    store right away.  Conflicts that remain unresolved stay in the nested
+    store's `conflicts` property, so that you can resolve them later, for
+    example after asking the user, and apply them with
+    `SC.NestedStore#resolveConflict()`.
+
+    @param {SC.NestedStore} store the nested store
+    @param {Array} conflicts array of `SC.StoreConflict` objects
+  */
+  storeDidDetectConflicts: function(store, conflicts) {}
+
+};
@@ -0,0 +1,195 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+sc_require('models/record');
+sc_require('models/record_attribute');
+
+/** @class
+
+  Describes an attribute whose value is computed from other properties of
+  the record, including its related records, instead of being read from the
+  data hash.
+
+  Use the `SC.Record.derived()` helper to define one.  List the properties
+  the value depends on in `dependsOn`, like the dependent keys of a computed
+  property.  Paths such as `'lineItems.@each.amount'` are observed from the
+  first time the value is computed until the record is destroyed or unloaded.
+
+      MyApp.Order = SC.Record.extend({
+        firstName: SC.Record.attr(String),
+        lastName: SC.Record.attr(String),
+        lineItems: SC.Record.toMany('MyApp.LineItem'),
+
+        fullName: SC.Record.derived(function(record) {
+          return [record.get('firstName'), record.get('lastName')].compact().join(' ');
+        }, { dependsOn: ['firstName', 'lastName'] }),
+
+        total: SC.Record.derived(function(record) {
+          return record.get('lineItems').reduce(function(sum, item) {
+            return sum + (item.get('amount') || 0);
+          }, 0);
+        }, { type: Number, dependsOn: ['lineItems.@each.amount'], isPersisted: YES })
+      });
+
+  The value is cached until one of the properties it depends on changes.
+  Since the store notifies records whenever their data hashes change, this
+  works for changes made in the application and for changes loaded from the
+  data source alike.
+
+  Derived attributes are read only.  If `isPersisted` is `YES`, the store
+  writes the current value to the data hash, converted with the transform
+  for the attribute `type`, whenever the record is committed.
+
+  @extends SC.RecordAttribute
+  @see SC.Record.derived
+  @since SproutCore 2.0
+*/
+SC.DerivedAttribute = SC.RecordAttribute.extend(
+  /** @scope SC.DerivedAttribute.prototype */ {
+
+  /**
+    Walk like a duck.
+
+    @type Boolean
+    @default YES
+  */
+  isDerivedAttribute: YES,
+
+  /**
+    The function that computes the value.  It is called with the record as
+    `this` and with the record and the key as arguments.
+
+    @type Function
+    @default null
+  */
+  compute: null,
+
+  /**
+    The keys or property paths the value depends on.
+
+    @type Array
+    @default null
+  */
+  dependsOn: null,
+
+  /**
+    If `YES`, the value is written to the data hash when the record is
+    committed, so that it is sent to the data source.
+
+    @type Boolean
+    @default NO
+  */
+  isPersisted: NO,
+
+  /**
+    Derived attributes are not editable.
+
+    @type Boolean
+    @default NO
+  */
+  isEditable: NO,
+
+  // ..........................................................
+  // LOW-LEVEL METHODS
+  //
+
+  /** @private - computes the value instead of reading the data hash. */
+  call: function(record, key, value) {
+    var compute = this.get('compute');
+
+    if (this._scda_paths) this._scda_observePaths(record, key);
+    return compute ? compute.call(record, record, key) : null;
+  },
+
+  /** @private
+    Observes the property paths the value depends on, the first time the
+    value is computed.  These are observers rather than dependent keys, which
+    do not support @each.  They are removed when the record is destroyed or
+    unloaded.
+  */
+  _scda_observePaths: function(record, key) {
+    var observers = record._scda_observers,
+        paths = this._scda_paths,
+        observer;
+
+    if (observers && observers[key]) return;
+    // peek, so that computing the value does not cache the record status
+    if (record.get('store').peekStatus(record.get('storeKey')) & SC.Record.DESTROYED) return;
+
+    if (!observers) {
+      observers = record._scda_observers = {};
+      record.addObserver('status', SC.DerivedAttribute, SC.DerivedAttribute._scda_recordStatusDidChange);
+    }
+
+    observer = function() { this.notifyPropertyChange(key); };
+    observers[key] = { paths: paths, observer: observer };
+    paths.forEach(function(path) {
+      record.addObserver(path, record, observer);
+    });
+  },
+
+  // ..........................................................
+  // INTERNAL SUPPORT
+  //
+
+  /** @private */
+  init: function() {
+    sc_super();
+
+    var dependsOn = this.get('dependsOn') || [],
+        keys = [], paths = [];
+
+    if (SC.typeOf(dependsOn) === SC.T_STRING) dependsOn = dependsOn.w();
+    dependsOn.forEach(function(dep) {
+      if (dep.indexOf('.') >= 0) paths.push(dep);
+      else keys.push(dep);
+    });
+
+    // plain keys are registered by SC.Record.extend(), like the dependent
+    // keys of computed properties.
+    this.dependentKeys = keys;
+    this._scda_paths = paths.length ? paths : null;
+  }
+
+});
+
+SC.DerivedAttribute.mixin(
+  /** @scope SC.DerivedAttribute */ {
+
+  /** @private
+    Removes the observers of the property paths that the derived attributes
+    of the record depend on.  Called when the record is destroyed or
+    unloaded.
+  */
+  _scda_releaseObservers: function(record) {
+    var observers = record._scda_observers,
+        key;
+
+    if (!observers) return;
+
+    record.removeObserver('status', this, this._scda_recordStatusDidChange);
+    for (key in observers) {
+      if (!observers.hasOwnProperty(key)) continue;
+      this._scda_removePathObservers(record, observers[key]);
+    }
+
+    record._scda_observers = null;
+  },
+
+  /** @private */
+  _scda_removePathObservers: function(record, item) {
+    item.paths.forEach(function(path) {
+      record.removeObserver(path, record, item.observer);
+    });
+  },
+
+  /** @private */
+  _scda_recordStatusDidChange: function(record) {
+    if (record.get('status') & SC.Record.DESTROYED) this._scda_releaseObservers(record);
+  }
+
+});
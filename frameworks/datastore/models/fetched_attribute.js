@@ -22,6 +22,23 @@ sc_require('models/record_attribute');
   The return value is usually an `SC.RecordArray` that will populate with the
   record data so that you can display it.
 
+  If you only need the number of related records, set `isCount` to `YES`.
+  The attribute then returns the count of the records, which is fetched
+  from the data source as a remote aggregate query the first time you get
+  the attribute (see `SC.Query#aggregates`).  The value is `null` until the
+  data source has answered, and the attribute notifies observers when the
+  count arrives or changes.
+
+      MyApp.Post = SC.Record.extend({
+        commentCount: SC.Record.fetch('MyApp.Comment', { isCount: YES })
+      });
+
+  The data source receives a remote query for the record type, with the
+  `link`, `owner` and `rel` params in its `parameters` and a `count`
+  aggregate, and answers it with `dataSourceDidFetchAggregates()`:
+
+      store.dataSourceDidFetchAggregates(query, [{ count: 42 }]);
+
   @extends SC.RecordAttribute
   @since SproutCore 1.0
 */
@@ -54,12 +71,21 @@ SC.FetchedAttribute = SC.RecordAttribute.extend(
 
   /**
     Optional query key to pass to find.  Otherwise type class will be
-    passed.
+    passed.  Counts are fetched with a remote query for this record type.
 
     @type String
   */
   queryKey: null,
 
+  /**
+    If `YES`, the attribute returns the number of related records, counted
+    by the data source, instead of the records themselves.
+
+    @type Boolean
+    @default NO
+  */
+  isCount: NO,
+
   /**
     Fetched attributes are not editable
 
@@ -87,10 +113,49 @@ SC.FetchedAttribute = SC.RecordAttribute.extend(
     if (paramOwnerKey) params[paramOwnerKey] = record ;
     if (paramRelKey)   params[paramRelKey]   = this.get('key') || key ;
 
+    if (this.get('isCount')) return this._scfa_countFor(record, key, params);
+
     // make request - should return SC.RecordArray instance
     return store.find(queryKey, params);
   },
 
+  /** @private
+    Returns the count of the related records.  The aggregate array with the
+    count is fetched once per record and key, and notifies the record when
+    it changes until the record is destroyed or unloaded.
+  */
+  _scfa_countFor: function(record, key, params) {
+    var counts = record._scfa_counts,
+        count  = counts ? counts[key] : null,
+        group, query;
+
+    if (!count) {
+      if (record.get('status') & SC.Record.DESTROYED) return null;
+
+      if (!counts) {
+        counts = record._scfa_counts = {};
+        record.addObserver('status', SC.FetchedAttribute, SC.FetchedAttribute._scfa_recordStatusDidChange);
+      }
+
+      query = SC.Query.remote(this.get('queryKey') || this.get('typeClass'), {
+        parameters: params,
+        aggregates: { count: 'COUNT(*)' }
+      });
+
+      count = counts[key] = {
+        array: record.get('store').find(query),
+        observer: function() { this.notifyPropertyChange(key); }
+      };
+      count.array.addObserver('[]', record, count.observer);
+      count.array.addObserver('status', record, count.observer);
+    }
+
+    if (!(count.array.get('status') & SC.Record.READY)) return null;
+
+    group = count.array.objectAt(0);
+    return group ? group.get('count') : 0;
+  },
+
   /** @private - fetched attributes are read only. */
   fromType: function(record, key, value) {
     return value;
@@ -98,3 +163,34 @@ SC.FetchedAttribute = SC.RecordAttribute.extend(
 
 }) ;
 
+SC.FetchedAttribute.mixin(
+  /** @scope SC.FetchedAttribute */ {
+
+  /** @private
+    Stops observing the counts fetched for the record and destroys their
+    aggregate arrays.  Called when the record is destroyed or unloaded.
+  */
+  _scfa_releaseCounts: function(record) {
+    var counts = record._scfa_counts,
+        key, count;
+
+    if (!counts) return;
+
+    record.removeObserver('status', this, this._scfa_recordStatusDidChange);
+    for (key in counts) {
+      if (!counts.hasOwnProperty(key)) continue;
+      count = counts[key];
+      count.array.removeObserver('[]', record, count.observer);
+      count.array.removeObserver('status', record, count.observer);
+      count.array.destroy();
+    }
+
+    record._scfa_counts = null;
+  },
+
+  /** @private */
+  _scfa_recordStatusDidChange: function(record) {
+    if (record.get('status') & SC.Record.DESTROYED) this._scfa_releaseCounts(record);
+  }
+
+});
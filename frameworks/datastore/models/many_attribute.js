@@ -27,6 +27,7 @@ sc_require('system/many_array');
       contacts: SC.Record.toMany('MyApp.Contact', {
         inverse: 'group', // set the key used to represent the inverse
         isMaster: YES|NO, // indicate whether changing this should dirty
+        destroyRule: 'nullify'|'cascade'|'deny', // what destroying this record does to the related records
         transform: function(), // transforms value <=> storeKey,
         isEditable: YES|NO, make editable or not,
         through: 'taggings' // set a relationship this goes through
@@ -49,7 +50,8 @@ sc_require('system/many_array');
 
   *Note:* You must update the relationship after the new records are successfully
   committed and have real ids. This is done by calling `updateNewRecordId()`
-  on the many array. In the future this should be automatic.
+  on the many array.  The store does it for you if the relationship is the
+  `inverse` of a relationship of the new records.
 
   @extends SC.RecordAttribute
   @since SproutCore 1.0
@@ -78,6 +80,24 @@ SC.ManyAttribute = SC.RecordAttribute.extend(
   */
   isMaster: YES,
 
+  /**
+    Determines what happens to the related records when this record is
+    destroyed:
+
+     - `'nullify'` removes this record from the `inverse` relationship of the
+       related records.
+     - `'cascade'` destroys the related records as well.
+     - `'deny'` refuses to destroy this record while it has related records,
+       throwing `SC.Record.DESTROY_DENIED_ERROR`.
+
+    If not set, destroying this record leaves the related records alone.
+
+    @type String
+    @default null
+    @since SproutCore 2.0
+  */
+  destroyRule: null,
+
   /**
     If set and you have an inverse relationship, will be used to determine the
     order of an object when it is added to an array. You can pass a function
@@ -98,7 +118,8 @@ SC.ManyAttribute = SC.RecordAttribute.extend(
 
     *Note:* You must update the relationship after the new records are successfully
     committed and have real ids. This is done by calling `updateNewRecordId()`
-    on the many array. In the future this should be automatic.
+    on the many array.  The store does it for you if the relationship is the
+    `inverse` of a relationship of the new records.
 
     If you wish to turn this off, SC.ManyArray will throw an exception if you
     add a record without an id to the relationship. If you use temporary `id`s
@@ -458,6 +458,7 @@ SC.Record = SC.Object.extend(
 
     this.get('store').recordDidChange(null, null, this.get('storeKey'), key);
     this.notifyPropertyChange('status');
+    this.notifyPropertyChange('validationErrors');
 
     // If there are any aggregate records, we might need to propagate our new
     // status to them.
@@ -560,6 +561,7 @@ SC.Record = SC.Object.extend(
       else {
         // We must still inform the store of the change so that it can track the change across stores.
         store.dataHashDidChange(storeKey, null, undefined, key);
+        this.notifyPropertyChange('validationErrors');
       }
     }
     return this;
@@ -658,6 +660,7 @@ SC.Record = SC.Object.extend(
         this.beginPropertyChanges();
         keys.forEach(function(k) { this.notifyPropertyChange(k); }, this);
         this.notifyPropertyChange('status');
+        this.notifyPropertyChange('validationErrors');
         this.endPropertyChanges();
 
       } else {
@@ -711,6 +714,8 @@ SC.Record = SC.Object.extend(
       valueForKey = this[key];
       if (valueForKey) {
         typeClass = valueForKey.typeClass;
+        // derived values only belong in the data hash if they are persisted
+        if (valueForKey.isDerivedAttribute && !valueForKey.get('isPersisted')) continue;
         if (typeClass) {
           keyForDataHash = valueForKey.get('key') || key; // handle alt keys
 
@@ -852,6 +857,61 @@ SC.Record = SC.Object.extend(
     return this;
   },
 
+  // ..........................................................
+  // VALIDATION
+  //
+
+  /**
+    A hash of the errors for each attribute whose value breaks the rules set
+    on the attribute, such as `isRequired`, `minimum` or `pattern`.  Returns
+    null if all the attributes are valid.
+
+        var errors = contact.get('validationErrors');
+        if (errors) alert(errors.email.get('message'));
+
+    See `SC.RecordAttribute` for the available rules.
+
+    @type Hash
+    @property
+  */
+  validationErrors: function() {
+    var recordType = this.constructor,
+        keys = recordType.__sc_validation_keys,
+        ret = null, idx, len, key, error;
+
+    // if the attribute keys of the recordType are not set up yet, make sure
+    // to create the cache first
+    if (!keys) {
+      keys = [];
+      for (key in this) {
+        if (this[key] && this[key].isRecordAttribute) keys.push(key);
+      }
+      recordType.__sc_validation_keys = keys;
+    }
+
+    for (idx = 0, len = keys.length; idx < len; idx++) {
+      key = keys[idx];
+      error = this[key].validateValue(this, key, this.get(key));
+      if (error !== YES) {
+        if (!ret) ret = {};
+        ret[key] = error;
+      }
+    }
+
+    return ret;
+  }.property().cacheable(),
+
+  /**
+    `YES` if all the attributes of the record are valid.
+
+    @type Boolean
+    @property
+    @dependsOn validationErrors
+  */
+  isValid: function() {
+    return !this.get('validationErrors');
+  }.property('validationErrors').cacheable(),
+
   // ..........................................................
   // EMULATE SC.ERROR API
   //
@@ -1375,6 +1435,17 @@ SC.Record.mixin( /** @scope SC.Record */ {
   */
   BUSY_ERROR: SC.$error("Busy"),
 
+  /**
+    Error for when you try to destroy a record that still has related records
+    through a relationship with the `'deny'` destroy rule.
+
+    @static
+    @constant
+    @type SC.Error
+    @since SproutCore 2.0
+  */
+  DESTROY_DENIED_ERROR: SC.$error("Destroy Denied"),
+
   /**
     Generic unknown record error
 
@@ -1450,6 +1521,28 @@ SC.Record.mixin( /** @scope SC.Record */ {
     return SC.FetchedAttribute.attr(recordType, opts);
   },
 
+  /**
+    Returns an `SC.DerivedAttribute` whose value is computed by the passed
+    function from other properties of the record.  List those properties in
+    the `dependsOn` option so that the value is recomputed when they change.
+
+    Use this helper when you define SC.Record subclasses.
+
+        MyApp.Contact = SC.Record.extend({
+          fullName: SC.Record.derived(function(record) {
+            return record.get('firstName') + ' ' + record.get('lastName');
+          }, { dependsOn: ['firstName', 'lastName'] })
+        });
+
+    @param {Function} compute the function that computes the value
+    @param {Hash} opts the options for the attribute
+    @returns {SC.DerivedAttribute} created instance
+  */
+  derived: function(compute, opts) {
+    opts = SC.mixin({}, opts, { compute: compute });
+    return SC.DerivedAttribute.attr(opts.type, opts);
+  },
+
   /**
     Will return one of the following:
 
@@ -1612,7 +1705,24 @@ SC.Record.mixin( /** @scope SC.Record */ {
 
   /** @private - enhance extend to notify SC.Query and ensure polymorphic subclasses are marked as polymorphic as well. */
   extend: function() {
-    var ret = SC.Object.extend.apply(this, arguments);
+    var ret = SC.Object.extend.apply(this, arguments),
+        proto = ret.prototype,
+        properties = proto._properties || [],
+        key, value;
+
+    // SC.Object only registers the dependent keys of functions, so register
+    // those of derived attributes here.
+    for (key in proto) {
+      value = proto[key];
+      if (value && value.isDerivedAttribute && value.dependentKeys.length && properties.indexOf(key) < 0) {
+        if (properties === proto._properties) properties = properties.slice();
+        properties.push(key);
+      }
+    }
+    proto._properties = properties;
+
+    // the attribute keys cached for validation are copied from the superclass
+    ret.__sc_validation_keys = null;
 
     if (SC.Query) SC.Query._scq_didDefineRecordType(ret);
 
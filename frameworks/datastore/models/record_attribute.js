@@ -34,6 +34,14 @@ sc_require('models/record');
   Notice that we are not using .get() to avoid another transform which would
   trigger an infinite loop.
 
+  Attributes can also describe the values they accept.  The record reports
+  any values that break these rules in its `validationErrors` property:
+
+      age: SC.Record.attr(Number, { isRequired: YES, minimum: 0 }),
+      code: SC.Record.attr(String, { minLength: 2, maxLength: 8, pattern: /^[A-Z]+$/ }),
+      email: SC.Record.attr(String, { validator: 'email' }),
+      tags: SC.Record.toMany('MyApp.Tag', { maxLength: 5 })
+
   You usually will not work with RecordAttribute objects directly, though you
   may extend the class in any way that you like to create a custom attribute.
 
@@ -95,13 +103,98 @@ SC.RecordAttribute = SC.Object.extend(
 
   /**
     If `YES`, then the attribute is required and will fail validation unless
-    the property is set to a non-null or undefined value.
+    the property is set to a value other than `null`, `undefined` or an empty
+    string.  Required `toMany` relationships must have at least one record.
 
     @type Boolean
     @default NO
   */
   isRequired: NO,
 
+  /**
+    The smallest value the attribute accepts, compared with `SC.compare()`.
+    Use it with numbers, dates and other comparable values.
+
+    @type Object
+    @default null
+  */
+  minimum: null,
+
+  /**
+    The largest value the attribute accepts, compared with `SC.compare()`.
+
+    @type Object
+    @default null
+  */
+  maximum: null,
+
+  /**
+    The minimum length of a string value, or the minimum number of records in
+    a `toMany` relationship.
+
+    @type Number
+    @default null
+  */
+  minLength: null,
+
+  /**
+    The maximum length of a string value, or the maximum number of records in
+    a `toMany` relationship.
+
+    @type Number
+    @default null
+  */
+  maxLength: null,
+
+  /**
+    A regular expression that string values must match.
+
+    @type RegExp
+    @default null
+  */
+  pattern: null,
+
+  /**
+    An `SC.Validator` used to validate the value.  You can pass a validator
+    instance, a validator class or a key such as `'email'`, which is looked up
+    the same way as the validator of a form field.  The validator sees the
+    value converted with its `fieldValueForObject()` method, just as it would
+    in a text field.
+
+    Validator classes live in the foundation framework, so your application
+    must include it to use validator classes or keys.
+
+    @type SC.Validator|String
+    @default null
+  */
+  validator: null,
+
+  /**
+    A function that performs any custom validation.  It is called with the
+    record, the key and the value, after the other rules have passed.  Return
+    `YES` if the value is valid, or `NO`, an error message or an `SC.Error`
+    if it is not.
+
+        endDate: SC.Record.attr(SC.DateTime, {
+          validate: function(record, key, value) {
+            return SC.compare(value, record.get('startDate')) >= 0 || "%@ must be after the start date".fmt(key);
+          }
+        })
+
+    @type Function
+    @default null
+  */
+  validate: null,
+
+  /**
+    The human readable name of the attribute used in validation errors.  If
+    not set, the attribute's property name is used.
+
+    @type String
+    @default null
+  */
+  errorLabel: null,
+
   /**
     If `NO` then attempts to edit the attribute will be ignored.
 
@@ -110,6 +203,16 @@ SC.RecordAttribute = SC.Object.extend(
   */
   isEditable: YES,
 
+  /**
+    If `YES`, stores keep an index of this attribute's values, which local
+    queries use to find matching records without testing every record of
+    the type.  See `SC.StoreIndex`.
+
+    @type Boolean
+    @default NO
+  */
+  indexed: NO,
+
   /**
     If set when using the Date format, expect the ISO8601 date format.
     This is the default.
@@ -317,6 +420,95 @@ SC.RecordAttribute = SC.Object.extend(
     return value ;
   },
 
+  /**
+    Validates a value of the attribute against the rules set on it.  Missing
+    values are only checked by `isRequired`.
+
+    @param {SC.Record} record The record instance
+    @param {String} key The key used to access this attribute on the record
+    @param {Object} value The property value
+    @returns {Boolean|SC.Error} YES if the value is valid, an error otherwise
+  */
+  validateValue: function(record, key, value) {
+    var label = this.get('errorLabel') || key,
+        minimum = this.get('minimum'),
+        maximum = this.get('maximum'),
+        minLength = this.get('minLength'),
+        maxLength = this.get('maxLength'),
+        pattern = this.get('pattern'),
+        validate = this.get('validate'),
+        length, ret;
+
+    length = SC.none(value) ? 0 : (value.isSCArray ? value.get('length') : value.length);
+    if (SC.none(value) || value === '' || (value.isSCArray && !length)) {
+      if (!this.get('isRequired')) return YES;
+      return SC.$error("%@ is required".fmt(label), label, value);
+    }
+
+    if (!SC.none(minimum) && SC.compare(value, minimum) < 0) {
+      return SC.$error("%@ must be at least %@".fmt(label, minimum), label, value);
+    }
+
+    if (!SC.none(maximum) && SC.compare(value, maximum) > 0) {
+      return SC.$error("%@ must be at most %@".fmt(label, maximum), label, value);
+    }
+
+    if (!SC.none(minLength) && length < minLength) {
+      return SC.$error("%@ is too short (minimum is %@)".fmt(label, minLength), label, value);
+    }
+
+    if (!SC.none(maxLength) && length > maxLength) {
+      return SC.$error("%@ is too long (maximum is %@)".fmt(label, maxLength), label, value);
+    }
+
+    if (pattern && !pattern.test(String(value))) {
+      return SC.$error("%@ is invalid".fmt(label), label, value);
+    }
+
+    if (this.get('validator')) {
+      ret = this._scra_validateWithValidator(record, key, value, label);
+      if (ret !== YES) return ret;
+    }
+
+    if (validate) {
+      ret = validate.call(this, record, key, value);
+      if (ret === NO) return SC.$error("%@ is invalid".fmt(label), label, value);
+      if (SC.typeOf(ret) === SC.T_STRING) return SC.$error(ret, label, value);
+      if (ret && ret.isError) return ret;
+    }
+
+    return YES;
+  },
+
+  /** @private
+    Runs the `SC.Validator` of the attribute, passing it a stand-in for the
+    form field it normally validates.
+  */
+  _scra_validateWithValidator: function(record, key, value, label) {
+    var validator = this._scra_validator, field, ret;
+
+    if (!validator) {
+      validator = this.get('validator');
+      if (!validator.validateSubmit) {
+        //@if(debug)
+        if (!SC.Validator) {
+          SC.throw("The validator of %@ requires the foundation framework".fmt(key));
+        }
+        //@endif
+        validator = SC.Validator.findFor(null, null, validator);
+      }
+      validator = this._scra_validator = validator;
+    }
+
+    field = SC.Object.create({ fieldKey: key, errorLabel: label });
+    field.set('fieldValue', validator.fieldValueForObject(value, null, field));
+
+    ret = validator.validateSubmit(null, field);
+    field.destroy();
+
+    return ret;
+  },
+
   /**
     Apply needs to implemented for sc_super to work.
 
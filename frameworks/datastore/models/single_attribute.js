@@ -18,6 +18,7 @@ sc_require('models/record_attribute');
       group: SC.Record.toOne('MyApp.Group', {
         inverse: 'contacts', // set the key used to represent the inverse
         isMaster: YES|NO, // indicate whether changing this should dirty
+        destroyRule: 'nullify'|'cascade'|'deny', // what destroying this record does to the related records
         transform: function(), // transforms value <=> storeKey,
         isEditable: YES|NO, make editable or not
       });
@@ -47,6 +48,23 @@ SC.SingleAttribute = SC.RecordAttribute.extend(
   */
   isMaster: YES,
 
+  /**
+    Determines what happens to the related records when this record is
+    destroyed:
+
+     - `'nullify'` removes this record from the `inverse` relationship of the
+       related records.
+     - `'cascade'` destroys the related records as well.
+     - `'deny'` refuses to destroy this record while it has related records,
+       throwing `SC.Record.DESTROY_DENIED_ERROR`.
+
+    If not set, destroying this record leaves the related records alone.
+
+    @type String
+    @default null
+    @since SproutCore 2.0
+  */
+  destroyRule: null,
 
   /**
     @private - implements support for handling inverse relationships.
@@ -0,0 +1,212 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+sc_require('storage_adapters/storage_adapter');
+
+/** @class
+
+  A storage adapter backed by an IndexedDB object store.
+
+  The database is opened lazily the first time the adapter is used.  All
+  entries live in a single object store named by `objectStoreName` and every
+  call to `update()` is applied in one read-write transaction.
+
+      MyApp.store = SC.PersistentStore.create({
+        storageAdapter: SC.IndexedDBStorageAdapter.create({
+          databaseName: 'my_app'
+        })
+      }).from('MyApp.DataSource');
+
+  @extends SC.StorageAdapter
+  @since SproutCore 2.0
+*/
+SC.IndexedDBStorageAdapter = SC.StorageAdapter.extend(
+  /** @scope SC.IndexedDBStorageAdapter.prototype */ {
+
+  /**
+    The name of the IndexedDB database.
+
+    @type String
+    @default 'sproutcore'
+  */
+  databaseName: 'sproutcore',
+
+  /**
+    The name of the object store the entries are kept in.
+
+    @type String
+    @default 'records'
+  */
+  objectStoreName: 'records',
+
+  /**
+    The database version.  Increase this if you change `objectStoreName` for
+    an existing database so that the new object store is created.
+
+    @type Number
+    @default 1
+  */
+  version: 1,
+
+  /**
+    YES if IndexedDB is available in this browser.
+
+    @type Boolean
+  */
+  isSupported: function() {
+    return !!this._scidb_factory();
+  }.property().cacheable(),
+
+  /** @private The open IDBDatabase */
+  _scidb_db: null,
+
+  /** @private Callbacks waiting for the database to open */
+  _scidb_waiting: null,
+
+  /** @private */
+  _scidb_factory: function() {
+    return (typeof window !== 'undefined') ? window.indexedDB : null;
+  },
+
+  /**
+    Opens the database if needed and invokes the callback with the open
+    `IDBDatabase` or an error.
+
+    @param {Function} callback invoked with the database or an error
+    @returns {SC.IndexedDBStorageAdapter} receiver
+  */
+  open: function(callback) {
+    var factory = this._scidb_factory(),
+        objectStoreName = this.get('objectStoreName'),
+        that = this, request;
+
+    if (this._scidb_db) {
+      callback(this._scidb_db);
+      return this;
+    }
+
+    if (this._scidb_waiting) {
+      this._scidb_waiting.push(callback);
+      return this;
+    }
+
+    if (!factory) {
+      callback(SC.Error.desc("IndexedDB is not supported", "IndexedDB"));
+      return this;
+    }
+
+    this._scidb_waiting = [callback];
+
+    request = factory.open(this.get('databaseName'), this.get('version'));
+
+    request.onupgradeneeded = function() {
+      var db = request.result;
+      if (!db.objectStoreNames.contains(objectStoreName)) {
+        db.createObjectStore(objectStoreName);
+      }
+    };
+
+    request.onsuccess = function() {
+      that._scidb_didOpen(request.result);
+    };
+
+    request.onerror = function() {
+      that._scidb_didOpen(SC.Error.desc("Could not open database", "IndexedDB", request.error));
+    };
+
+    return this;
+  },
+
+  /** @private */
+  _scidb_didOpen: function(result) {
+    var waiting = this._scidb_waiting, idx, len;
+
+    if (SC.ok(result)) this._scidb_db = result;
+    this._scidb_waiting = null;
+
+    for (idx = 0, len = waiting.length; idx < len; idx++) waiting[idx](result);
+  },
+
+  /** @private
+    Opens a transaction on the object store and hands it to `action`.  The
+    callback is invoked with `result` once the transaction completes.
+  */
+  _scidb_transaction: function(mode, action, callback) {
+    var objectStoreName = this.get('objectStoreName');
+
+    this.open(function(db) {
+      var transaction, result = YES;
+
+      if (!SC.ok(db)) {
+        if (callback) callback(db);
+        return;
+      }
+
+      transaction = db.transaction(objectStoreName, mode);
+
+      transaction.oncomplete = function() {
+        if (callback) callback(result);
+      };
+
+      transaction.onerror = transaction.onabort = function() {
+        if (callback) callback(SC.Error.desc("Transaction failed", "IndexedDB", transaction.error));
+        callback = null;
+      };
+
+      result = action(transaction.objectStore(objectStoreName)) || YES;
+    });
+
+    return this;
+  },
+
+  /** @see SC.StorageAdapter#readAll */
+  readAll: function(callback) {
+    return this._scidb_transaction('readonly', function(objectStore) {
+      var entries = {},
+          request = objectStore.openCursor();
+
+      request.onsuccess = function() {
+        var cursor = request.result;
+        if (cursor) {
+          entries[cursor.key] = cursor.value;
+          cursor['continue']();
+        }
+      };
+
+      return entries;
+    }, callback);
+  },
+
+  /** @see SC.StorageAdapter#update */
+  update: function(changes, callback) {
+    return this._scidb_transaction('readwrite', function(objectStore) {
+      var key, value;
+
+      for (key in changes) {
+        if (!changes.hasOwnProperty(key)) continue;
+        value = changes[key];
+        if (value === null) objectStore['delete'](key);
+        else objectStore.put(value, key);
+      }
+    }, callback);
+  },
+
+  /** @see SC.StorageAdapter#clear */
+  clear: function(callback) {
+    return this._scidb_transaction('readwrite', function(objectStore) {
+      objectStore.clear();
+    }, callback);
+  },
+
+  /** @private */
+  destroy: function() {
+    if (this._scidb_db) this._scidb_db.close();
+    this._scidb_db = null;
+    return sc_super();
+  }
+
+});
@@ -0,0 +1,68 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+sc_require('storage_adapters/storage_adapter');
+
+/** @class
+
+  A storage adapter that keeps its entries in memory.  Nothing survives a
+  page reload, which makes this adapter useful in unit tests and as a
+  fallback on platforms without IndexedDB.
+
+  Callbacks are invoked synchronously.  Values are copied as they are written
+  and read so that later changes to the store's data hashes do not leak into
+  the stored values.
+
+  @extends SC.StorageAdapter
+  @since SproutCore 2.0
+*/
+SC.MemoryStorageAdapter = SC.StorageAdapter.extend(
+  /** @scope SC.MemoryStorageAdapter.prototype */ {
+
+  /**
+    The stored values, keyed by key.
+
+    @type Hash
+    @default {}
+  */
+  entries: null,
+
+  /** @private */
+  init: function() {
+    sc_super();
+    if (!this.entries) this.entries = {};
+  },
+
+  /** @see SC.StorageAdapter#readAll */
+  readAll: function(callback) {
+    if (callback) callback(SC.copy(this.entries, YES));
+    return this;
+  },
+
+  /** @see SC.StorageAdapter#update */
+  update: function(changes, callback) {
+    var entries = this.entries, key, value;
+
+    for (key in changes) {
+      if (!changes.hasOwnProperty(key)) continue;
+      value = changes[key];
+      if (value === null) delete entries[key];
+      else entries[key] = SC.copy(value, YES);
+    }
+
+    if (callback) callback(YES);
+    return this;
+  },
+
+  /** @see SC.StorageAdapter#clear */
+  clear: function(callback) {
+    this.entries = {};
+    if (callback) callback(YES);
+    return this;
+  }
+
+});
@@ -0,0 +1,74 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+/** @class
+
+  A storage adapter is the bridge between an `SC.PersistentStore` and some
+  kind of durable, client-side storage.  The store hands the adapter plain
+  JSON-compatible values keyed by string and the adapter is responsible for
+  keeping them across page reloads.
+
+  Storage APIs in the browser are asynchronous, so every method takes an
+  optional callback.  Callbacks are invoked with the result of the operation
+  or with an `SC.Error` if the operation failed.  Use `SC.ok()` to tell the
+  two apart.
+
+  To write your own adapter, subclass `SC.StorageAdapter` and implement
+  `readAll()`, `update()` and `clear()`.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.StorageAdapter = SC.Object.extend(
+  /** @scope SC.StorageAdapter.prototype */ {
+
+  /**
+    Walk like a duck.
+
+    @type Boolean
+    @default YES
+  */
+  isStorageAdapter: YES,
+
+  /**
+    Reads every stored entry.  The callback is invoked with a hash of the
+    stored values keyed by the keys they were written with.
+
+    @param {Function} callback invoked with the entries or an error
+    @returns {SC.StorageAdapter} receiver
+  */
+  readAll: function(callback) {
+    if (callback) callback(SC.Error.desc("readAll() is not implemented"));
+    return this;
+  },
+
+  /**
+    Writes a batch of changes.  The passed hash maps keys to the values to
+    store.  Keys mapped to `null` will be removed.  Adapters should apply the
+    batch as a single operation whenever the underlying storage allows it.
+
+    @param {Hash} changes the values to write, keyed by key
+    @param {Function} callback invoked with `YES` or an error
+    @returns {SC.StorageAdapter} receiver
+  */
+  update: function(changes, callback) {
+    if (callback) callback(SC.Error.desc("update() is not implemented"));
+    return this;
+  },
+
+  /**
+    Removes every stored entry.
+
+    @param {Function} callback invoked with `YES` or an error
+    @returns {SC.StorageAdapter} receiver
+  */
+  clear: function(callback) {
+    if (callback) callback(SC.Error.desc("clear() is not implemented"));
+    return this;
+  }
+
+});
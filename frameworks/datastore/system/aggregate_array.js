@@ -0,0 +1,459 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+sc_require('system/record_array');
+
+/**
+  @class
+
+  An `AggregateArray` is a live list of the groups of an `SC.Query` with
+  `groupBy` or `aggregates` set.  You will not create aggregate arrays
+  yourself; `SC.Store#find` returns one when you pass it such a query.
+
+  Each item in the array is an `SC.Object` with the query's `groupBy`
+  properties set to the group's values, the query's `aggregates` set to the
+  computed values, and `storeKeys` set to the store keys of the records in
+  the group.  Items are ordered by their `groupBy` values.
+
+  The records of the query are kept in an ordinary `SC.RecordArray`, which
+  is available as `recordArray`.  Whenever the store reports changed store
+  keys, only the groups that those records leave or join are recomputed.
+  Group objects are reused, so you can observe their aggregate values
+  directly.  The array itself only reports a change when groups are added
+  or removed.
+
+  Remote queries can be grouped by the data source, which passes the
+  resulting rows to `SC.Store#dataSourceDidFetchAggregates`.  If the data
+  source instead returns the matching records with
+  `SC.Store#dataSourceDidFetchQuery`, they are grouped in the client.
+
+  @extends SC.Object
+  @extends SC.Enumerable
+  @extends SC.Array
+  @since SproutCore 2.0
+*/
+SC.AggregateArray = SC.Object.extend(SC.Enumerable, SC.Array,
+  /** @scope SC.AggregateArray.prototype */ {
+
+  /**
+    Walk like a duck.
+
+    @type Boolean
+    @default YES
+  */
+  isAggregateArray: YES,
+
+  /**
+    The store that owns this aggregate array.
+
+    @type SC.Store
+  */
+  store: null,
+
+  /**
+    The `SC.Query` object this aggregate array is based upon.
+
+    @type SC.Query
+  */
+  query: null,
+
+  /**
+    The record array with the records matching the query.
+
+    @type SC.RecordArray
+  */
+  recordArray: null,
+
+  /**
+    Reflects the status of `recordArray`.
+
+    @type Number
+  */
+  status: SC.Record.EMPTY,
+
+  /**
+    Set to `YES` when the groups need to be updated before returning any
+    results.
+
+    @type Boolean
+  */
+  needsFlush: YES,
+
+  // ..........................................................
+  // ARRAY PRIMITIVES
+  //
+
+  /** @private */
+  length: function() {
+    this.flush();
+    return this._scaa_groups ? this._scaa_groups.length : 0;
+  }.property().cacheable(),
+
+  /** @private */
+  objectAt: function(idx) {
+    this.flush();
+    return this._scaa_groups ? this._scaa_groups[idx] : undefined;
+  },
+
+  /** @private
+    Aggregate arrays are not editable.
+  */
+  replace: function() {
+    SC.RecordArray.NOT_EDITABLE.throw();
+  },
+
+  // ..........................................................
+  // HELPER METHODS
+  //
+
+  /**
+    Asks the data source to refresh the query.
+
+    @returns {SC.AggregateArray} receiver
+  */
+  refresh: function() {
+    this.get('store').refreshQuery(this.get('query'));
+    return this;
+  },
+
+  /**
+    Recomputes every group.
+
+    @returns {SC.AggregateArray} receiver
+  */
+  reload: function() {
+    this.get('recordArray').reload();
+    this.flush(YES);
+    return this;
+  },
+
+  /**
+    Destroys the aggregate array along with its record array, and
+    deregisters it with the owner store.
+
+    @returns {SC.AggregateArray} receiver
+  */
+  destroy: function() {
+    var recordArray = this.get('recordArray');
+
+    if (!this.get('isDestroyed')) {
+      this.get('store').aggregateArrayWillDestroy(this);
+      if (recordArray) {
+        recordArray.removeObserver('status', this, this._scaa_statusDidChange);
+        recordArray.removeObserver('storeKeys', this, this._scaa_storeKeysDidChange);
+        recordArray.destroy();
+      }
+    }
+
+    sc_super();
+  },
+
+  // ..........................................................
+  // STORE CALLBACKS
+  //
+
+  /** @private
+    Called by the store after the record arrays have been notified of
+    changed store keys.  Saves the keys so that their groups can be updated.
+
+    @param {SC.Array} storeKeys the effected store keys
+    @param {SC.Set} recordTypes the record types for the storeKeys.
+    @returns {SC.AggregateArray} receiver
+  */
+  storeDidChangeStoreKeys: function(storeKeys, recordTypes) {
+    if (!this.get('query').containsRecordTypes(recordTypes)) return this;
+
+    var changed = this._scaa_changedStoreKeys;
+    if (!changed) changed = this._scaa_changedStoreKeys = SC.IndexSet.create();
+    changed.addEach(storeKeys);
+
+    this.set('needsFlush', YES);
+    if (this._scaa_groups) this.flush();
+
+    return this;
+  },
+
+  /** @private
+    Called by the store when the data source returns the groups of a remote
+    query.
+
+    @param {Array} rows hashes of group values and aggregate values
+    @returns {SC.AggregateArray} receiver
+  */
+  storeDidFetchAggregates: function(rows) {
+    var groups = rows.map(function(row) {
+      return SC.Object.create(row);
+    });
+
+    this._scaa_rows = rows;
+    this._scaa_replaceGroups(groups);
+    return this;
+  },
+
+  /**
+    Updates the groups for any changed store keys.  This is called
+    automatically whenever you access the array, but you can call it yourself
+    to force the groups to update immediately.
+
+    @param {Boolean} _flush to recompute every group - use reload() to trigger it
+    @returns {SC.AggregateArray} receiver
+  */
+  flush: function(_flush) {
+    if (this._scaa_insideFlush) {
+      this.set('needsFlush', YES);
+      return this;
+    }
+
+    if (!this.get('needsFlush') && !_flush) return this;
+    this.set('needsFlush', NO);
+
+    var recordArray = this.get('recordArray'),
+        changed = this._scaa_changedStoreKeys,
+        storeKeys, dirty;
+
+    if (!recordArray || !this.get('store')) return this;
+
+    this._scaa_insideFlush = YES;
+
+    storeKeys = recordArray.flush().get('storeKeys');
+
+    // groups returned by the data source stay until it returns records
+    if (!this._scaa_rows || storeKeys) {
+      this._scaa_rows = null;
+
+      if (!this._scaa_groups || _flush || !changed) {
+        dirty = this._scaa_regroup(storeKeys);
+      } else {
+        dirty = this._scaa_update(changed, storeKeys);
+
+        // membership changed without being reported, e.g. while the record
+        // array was paced or after the data source returned new store keys
+        if (this._scaa_memberCount !== (storeKeys ? storeKeys.get('length') : 0)) {
+          dirty = this._scaa_regroup(storeKeys, dirty);
+        }
+      }
+
+      this._scaa_commit(dirty);
+    }
+
+    if (changed) changed.clear();
+    this._scaa_insideFlush = NO;
+
+    return this;
+  },
+
+  // ..........................................................
+  // INTERNAL SUPPORT
+  //
+
+  /** @private
+    Moves every record into its group.  Existing group objects are reused.
+  */
+  _scaa_regroup: function(storeKeys, dirty) {
+    var groupIdFor = this._scaa_groupIdFor,
+        storeKey;
+
+    if (!dirty) dirty = {};
+
+    for (storeKey in groupIdFor) {
+      if (groupIdFor.hasOwnProperty(storeKey)) this._scaa_assign(parseInt(storeKey, 10), null, dirty);
+    }
+
+    if (storeKeys) {
+      storeKeys.forEach(function(storeKey) {
+        this._scaa_assign(storeKey, this._scaa_groupIdForStoreKey(storeKey), dirty);
+      }, this);
+    }
+
+    return dirty;
+  },
+
+  /** @private
+    Moves the changed records into their new groups.
+  */
+  _scaa_update: function(changed, storeKeys) {
+    var dirty = {};
+
+    changed.forEach(function(storeKey) {
+      var isMember = !!storeKeys && storeKeys.indexOf(storeKey) >= 0;
+      this._scaa_assign(storeKey, isMember ? this._scaa_groupIdForStoreKey(storeKey) : null, dirty);
+    }, this);
+
+    return dirty;
+  },
+
+  /** @private
+    Removes a record from its current group and adds it to the group with
+    the passed id, marking both groups as dirty.
+  */
+  _scaa_assign: function(storeKey, groupId, dirty) {
+    var groupIdFor = this._scaa_groupIdFor,
+        members = this._scaa_members,
+        oldId = groupIdFor[storeKey];
+
+    if (oldId !== undefined) {
+      members[oldId].removeObject(storeKey);
+      delete groupIdFor[storeKey];
+      this._scaa_memberCount--;
+      dirty[oldId] = YES;
+    }
+
+    if (groupId !== null) {
+      if (!members[groupId]) members[groupId] = [];
+      members[groupId].push(storeKey);
+      groupIdFor[storeKey] = groupId;
+      this._scaa_memberCount++;
+      dirty[groupId] = YES;
+    }
+  },
+
+  /** @private
+    Returns the id of the group a record belongs to, saving the group values
+    for new groups.
+  */
+  _scaa_groupIdForStoreKey: function(storeKey) {
+    var record = this.get('store').materializeRecord(storeKey),
+        values = this.get('query').groupValuesFor(record),
+        groupId = values.map(function(value) { return SC.guidFor(value); }).join(':');
+
+    if (!this._scaa_values[groupId]) this._scaa_values[groupId] = values;
+    return groupId;
+  },
+
+  /** @private
+    Recomputes the aggregates of the dirty groups, and adds and removes
+    groups as needed.
+  */
+  _scaa_commit: function(dirty) {
+    var query = this.get('query'),
+        store = this.get('store'),
+        groupKeys = query.get('groupKeys'),
+        groupsById = this._scaa_groupsById,
+        members = this._scaa_members,
+        values = this._scaa_values,
+        didChange = NO,
+        groupId, group, storeKeys, records, hash, idx;
+
+    // without groupBy, every record is in a single group that always exists
+    if (!groupKeys.length) dirty[''] = YES;
+
+    for (groupId in dirty) {
+      if (!dirty.hasOwnProperty(groupId)) continue;
+
+      storeKeys = members[groupId] || [];
+      group = groupsById[groupId];
+
+      if (!storeKeys.length && groupKeys.length) {
+        if (group) {
+          delete groupsById[groupId];
+          didChange = YES;
+        }
+        delete members[groupId];
+        delete values[groupId];
+        continue;
+      }
+
+      records = storeKeys.map(function(storeKey) { return store.materializeRecord(storeKey); });
+      hash = query.computeAggregates(records);
+      hash.storeKeys = storeKeys.slice();
+
+      if (group) {
+        group.beginPropertyChanges();
+        for (idx in hash) {
+          if (hash.hasOwnProperty(idx)) group.setIfChanged(idx, hash[idx]);
+        }
+        group.endPropertyChanges();
+      } else {
+        for (idx = 0; idx < groupKeys.length; idx++) hash[groupKeys[idx]] = values[groupId][idx];
+        group = groupsById[groupId] = SC.Object.create(hash);
+        group._scaa_groupId = groupId;
+        didChange = YES;
+      }
+    }
+
+    if (didChange || !this._scaa_groups) {
+      this._scaa_replaceGroups(this._scaa_sortedGroups());
+    }
+  },
+
+  /** @private
+    Returns the groups ordered by their group values.
+  */
+  _scaa_sortedGroups: function() {
+    var groupsById = this._scaa_groupsById,
+        values = this._scaa_values,
+        ret = [], groupId;
+
+    for (groupId in groupsById) {
+      if (groupsById.hasOwnProperty(groupId)) ret.push(groupsById[groupId]);
+    }
+
+    return ret.sort(function(a, b) {
+      var aValues = values[a._scaa_groupId] || [],
+          bValues = values[b._scaa_groupId] || [],
+          result = 0, idx, len;
+
+      for (idx = 0, len = aValues.length; result === 0 && idx < len; idx++) {
+        result = SC.compare(aValues[idx], bValues[idx]);
+      }
+
+      return result;
+    });
+  },
+
+  /** @private
+    Replaces the groups and notifies array observers.
+  */
+  _scaa_replaceGroups: function(groups) {
+    var oldLength = this._scaa_groups ? this._scaa_groups.length : 0;
+
+    this.arrayContentWillChange(0, oldLength, groups.length);
+    this._scaa_groups = groups;
+    this.arrayContentDidChange(0, oldLength, groups.length);
+  },
+
+  /** @private */
+  _scaa_statusDidChange: function() {
+    this.setIfChanged('status', this.get('recordArray').get('status'));
+  },
+
+  /** @private
+    Remote queries only change their store keys when the data source returns
+    them.  Local queries are usually updated through
+    `storeDidChangeStoreKeys()`, so only flush at the end of the run loop in
+    case the change was not reported, e.g. while the record array is paced.
+  */
+  _scaa_storeKeysDidChange: function() {
+    if (this._scaa_insideFlush) return;
+
+    this.set('needsFlush', YES);
+    if (this.get('query').get('isRemote')) this.flush();
+    else this.invokeOnce(this.flush);
+  },
+
+  /** @private */
+  init: function() {
+    var recordArray;
+
+    sc_super();
+
+    this._scaa_groups = null;
+    this._scaa_groupsById = {};
+    this._scaa_groupIdFor = {};
+    this._scaa_members = {};
+    this._scaa_values = { '': [] };
+    this._scaa_memberCount = 0;
+
+    recordArray = this.get('recordArray');
+    if (recordArray) {
+      recordArray.addObserver('status', this, this._scaa_statusDidChange);
+      recordArray.addObserver('storeKeys', this, this._scaa_storeKeysDidChange);
+      this._scaa_statusDidChange();
+    }
+  }
+
+});
@@ -468,6 +468,31 @@ SC.ManyArray = SC.Object.extend(SC.Enumerable, SC.Array,
     return this;
   },
 
+  /**
+    Called by the store whenever one of the records in the array is unloaded.
+    Drops the cached record so that it is materialized again the next time it
+    is requested.
+
+    @param {Number} storeKey the store key of the unloaded record
+    @returns {SC.ManyArray} receiver
+  */
+  recordDidUnload: function (storeKey) {
+    var recs = this._records,
+      idx, len;
+
+    if (!recs) return this; // nothing cached
+
+    for (idx = 0, len = recs.length; idx < len; idx++) {
+      if (recs[idx] && recs[idx].get('storeKey') === storeKey) {
+        this.arrayContentWillChange(idx, 1, 1);
+        recs[idx] = null;
+        this.arrayContentDidChange(idx, 1, 1);
+      }
+    }
+
+    return this;
+  },
+
   /** @private binary search to find insertion location */
   _findInsertionLocation: function (rec, min, max, orderBy) {
     var idx   = min + Math.floor((max - min) / 2),
@@ -6,6 +6,7 @@
 // ==========================================================================
 
 sc_require('system/store');
+sc_require('system/store_conflict');
 
 /**
   @class
@@ -74,6 +75,33 @@ SC.NestedStore = SC.Store.extend(
   */
   lockOnRead: YES,
 
+  /**
+    If YES, `commitChanges()` tries to merge changes that conflict with the
+    parent store instead of throwing an exception.  See `mergeChanges()`.
+
+    @type Boolean
+    @default NO
+  */
+  mergesConflicts: NO,
+
+  /**
+    An object implementing `SC.StoreConflictDelegate` that is asked to
+    resolve conflicts that can not be merged automatically.
+
+    @type SC.StoreConflictDelegate
+    @default null
+  */
+  conflictDelegate: null,
+
+  /**
+    The `SC.StoreConflict` objects left unresolved by the last call to
+    `mergeChanges()`, or null if there are none.
+
+    @type Array
+    @default null
+  */
+  conflicts: null,
+
   /** @private
     Array contains the base revision for an attribute hash when it was first
     cloned from the parent store.  If the attribute hash is edited and
@@ -93,6 +121,16 @@ SC.NestedStore = SC.Store.extend(
   */
   locks: null,
 
+  /** @private
+    The data hashes of the parent store at the time each record was locked.
+    These are used as the common base of the three-way merge performed by
+    `mergeChanges()`.
+
+    @type Array
+    @default null
+  */
+  bases: null,
+
   /** @private
     An array that includes the store keys that have changed since the store
     was last committed.  This array is used to sync data hash changes between
@@ -132,6 +170,11 @@ SC.NestedStore = SC.Store.extend(
   */
   commitChanges: function(force) {
     if (this.get('hasChanges')) {
+      // keep the changes until the remaining conflicts are resolved
+      if (!force && this.get('mergesConflicts') && this.get('conflictedStoreKeys')) {
+        if (this.mergeChanges().length > 0) return this;
+      }
+
       var pstore = this.get('parentStore');
       pstore.commitChangesFromNestedStore(this, this.get('chainedChanges'), force);
     }
@@ -179,6 +222,103 @@ SC.NestedStore = SC.Store.extend(
     return ret;
   }.property('chainedChanges').cacheable(),
 
+  // ..........................................................
+  // MERGING
+  //
+
+  /**
+    Merges the changes of every record in `conflictedStoreKeys` with the
+    changes made to it in the parent store.
+
+    The data hash of each record is compared attribute by attribute with the
+    parent's data hash and the data hash the nested store started from.
+    Changes that do not overlap are merged into the nested store right away.
+    Attributes that were changed on both sides are returned as
+    `SC.StoreConflict` objects.  The `conflictDelegate` is given a chance to
+    resolve them first, and any that remain unresolved are also set as the
+    `conflicts` property.
+
+    Once every conflict has been resolved and applied with
+    `resolveConflict()`, `commitChanges()` will succeed.
+
+    @returns {Array} the unresolved `SC.StoreConflict` objects
+  */
+  mergeChanges: function() {
+    var storeKeys = this.get('conflictedStoreKeys') || [],
+        delegate = this.get('conflictDelegate'),
+        ret = [], idx, len, conflict;
+
+    for (idx = 0, len = storeKeys.length; idx < len; idx++) {
+      conflict = this.conflictFor(storeKeys[idx]);
+      if (!this.resolveConflict(conflict)) ret.push(conflict);
+    }
+
+    if (ret.length > 0 && delegate && delegate.storeDidDetectConflicts) {
+      delegate.storeDidDetectConflicts(this, ret);
+      ret = ret.filter(function(conflict) {
+        return !this.resolveConflict(conflict);
+      }, this);
+    }
+
+    this.set('conflicts', ret.length > 0 ? ret : null);
+    return ret;
+  },
+
+  /**
+    Returns an `SC.StoreConflict` comparing the record with the passed store
+    key in this store, in the parent store, and when this store started
+    editing it.
+
+    @param {Number} storeKey the store key
+    @returns {SC.StoreConflict} the conflict
+  */
+  conflictFor: function(storeKey) {
+    var pstore = this.get('parentStore'),
+        bases = this.bases,
+        parentDataHash = pstore.dataHashes[storeKey];
+
+    return SC.StoreConflict.create({
+      store: this,
+      storeKey: storeKey,
+      baseDataHash: bases ? bases[storeKey] : null,
+      parentDataHash: parentDataHash ? SC.clone(parentDataHash, YES) : null,
+      childDataHash: this.dataHashes[storeKey],
+      parentStatus: pstore.peekStatus(storeKey),
+      childStatus: this.peekStatus(storeKey)
+    });
+  },
+
+  /**
+    Applies a resolved conflict to this store.  The record's data hash is
+    replaced with the resolved data hash and the record is considered to be
+    based on the current version in the parent store, so that it no longer
+    conflicts.
+
+    @param {SC.StoreConflict} conflict the conflict
+    @returns {Boolean} YES if the conflict was resolved and applied
+  */
+  resolveConflict: function(conflict) {
+    if (!conflict.get('isResolved')) return NO;
+
+    var storeKey = conflict.get('storeKey'),
+        pstore = this.get('parentStore'),
+        conflicts = this.get('conflicts');
+
+    this.writeDataHash(storeKey, conflict.resolvedDataHash(), conflict.resolvedStatus());
+    this.dataHashDidChange(storeKey);
+
+    this.locks[storeKey] = pstore.revisions[storeKey] || 1;
+    this.bases[storeKey] = conflict.get('parentDataHash');
+    this.notifyPropertyChange('conflictedStoreKeys');
+
+    if (conflicts && conflicts.indexOf(conflict) >= 0) {
+      conflicts = conflicts.without(conflict);
+      this.set('conflicts', conflicts.length > 0 ? conflicts : null);
+    }
+
+    return YES;
+  },
+
   /**
     Propagate this store's successful changes to its parent (if exists). At the end, it clears the
     local, private status of the committed records therefore the method can be called several times
@@ -195,7 +335,8 @@ SC.NestedStore = SC.Store.extend(
           revisions  = this.revisions,
           statuses   = this.statuses,
           editables  = this.editables,
-          locks      = this.locks;
+          locks      = this.locks,
+          bases      = this.bases;
 
       var successfulChanges = chainedChanges.filter( function(storeKey) {
         var state = this.readStatus(storeKey);
@@ -216,6 +357,7 @@ SC.NestedStore = SC.Store.extend(
         if (revisions && revisions.hasOwnProperty(storeKey)) { delete revisions[storeKey]; }
         if (editables) { delete editables[storeKey]; }
         if (locks) { delete locks[storeKey]; }
+        if (bases) { delete bases[storeKey]; }
         if (statuses && statuses.hasOwnProperty(storeKey)) { delete statuses[storeKey]; }
 
         chainedChanges.remove(storeKey);
@@ -291,8 +433,10 @@ SC.NestedStore = SC.Store.extend(
 
     // also, reset private temporary objects
     this.set('hasChanges', false);
-    this.chainedChanges = this.locks = this.editables = null;
+    this.chainedChanges = this.locks = this.editables = this.bases = null;
     this.changelog = null ;
+    this.set('conflicts', null);
+    this._scst_indexes = null;
 
     // TODO: Notify record instances
   },
@@ -385,6 +529,9 @@ SC.NestedStore = SC.Store.extend(
     // create locks if needed
     if (!locks) locks = this.locks = [];
 
+    // remember what we branched from for merging
+    this._saveBase(storeKey);
+
     // fixup editables
     editables = this.editables;
     if (editables) editables[storeKey] = 0;
@@ -432,6 +579,29 @@ SC.NestedStore = SC.Store.extend(
     return this ;
   },
 
+  /** @private
+    Saves the parent store's current data hash for the store key as the base
+    for `mergeChanges()`, unless one has been saved already.  The hash is
+    cloned if the parent store may still edit it in place.
+  */
+  _saveBase: function(storeKey) {
+    var bases = this.bases, pstore, editState, hash;
+
+    if (!bases) bases = this.bases = [];
+    if (bases.hasOwnProperty(storeKey)) return this;
+
+    pstore = this.get('parentStore');
+    hash = pstore.dataHashes[storeKey];
+    while (pstore && (editState = pstore.storeKeyEditState(storeKey)) === SC.Store.INHERITED) {
+      pstore = pstore.get('parentStore');
+    }
+
+    if (hash && editState === SC.Store.EDITABLE) hash = SC.clone(hash, YES);
+    bases[storeKey] = hash || null;
+
+    return this;
+  },
+
   /** @private - adds chaining support */
   readDataHash: function(storeKey) {
     if (this.get('lockOnRead')) this._lock(storeKey);
@@ -454,6 +624,12 @@ SC.NestedStore = SC.Store.extend(
   writeDataHash: function(storeKey, hash, status) {
     var locks = this.locks, didLock = NO, rev ;
 
+    //@if(debug)
+    var previousStatus = this.peekStatus(storeKey);
+    //@endif
+
+    if (!locks || !locks[storeKey]) this._saveBase(storeKey);
+
     // Update our dataHash and/or status, depending on what was passed in.
     // Note that if no new hash was passed in, we'll lock the storeKey to
     // properly fork our dataHash from our parent store.  Similarly, if no
@@ -490,6 +666,12 @@ SC.NestedStore = SC.Store.extend(
     // propagate the data to the child records
     this._updateChildRecordHashes(storeKey, hash, status);
 
+    //@if(debug)
+    if (this.get('historyIsActive')) {
+      this.get('history').pushChange(hash ? 'writeDataHash' : 'writeStatus', storeKey, previousStatus);
+    }
+    //@endif
+
     return this ;
   },
 
@@ -499,7 +681,10 @@ SC.NestedStore = SC.Store.extend(
     // record optimistic lock revision
     var locks = this.locks;
     if (!locks) locks = this.locks = [];
-    if (!locks[storeKey]) locks[storeKey] = this.revisions[storeKey] || 1;
+    if (!locks[storeKey]) {
+      this._saveBase(storeKey);
+      locks[storeKey] = this.revisions[storeKey] || 1;
+    }
 
     return sc_super();
   },
@@ -559,6 +744,12 @@ SC.NestedStore = SC.Store.extend(
 
   /** @private - adapt for nested store */
   commitChangesFromNestedStore: function(nestedStore, changes, force) {
+    var locks = this.locks, idx;
+
+    // save the bases before the changes overwrite our data hashes
+    for (idx = 0; idx < changes.length; idx++) {
+      if (!locks || !locks[changes[idx]]) this._saveBase(changes[idx]);
+    }
 
     sc_super();
 
@@ -0,0 +1,601 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+sc_require('system/store');
+sc_require('storage_adapters/storage_adapter');
+
+/**
+  @class
+
+  A persistent store mirrors its data hashes and record statuses into an
+  `SC.StorageAdapter` so that local changes survive a page reload, and holds
+  back commits while the browser is offline.
+
+  Setting up a persistent store is just like setting up a regular store with
+  the addition of a storage adapter:
+
+      MyApp.store = SC.PersistentStore.create({
+        storageAdapter: SC.IndexedDBStorageAdapter.create({ databaseName: 'my_app' })
+      }).from('MyApp.DataSource');
+
+      MyApp.store.restore(function() {
+        // the store now contains the records saved by the last session
+      });
+
+  Persistence
+  ---
+
+  Whenever a record's data hash or status changes, the store writes the
+  record to the storage adapter at the end of the run loop.  `restore()`
+  reads the saved records back into the store using the same storeKeys and
+  statuses that the rest of the store uses.  Records that were `READY_NEW`,
+  `READY_DIRTY` or `DESTROYED_DIRTY` are added back to the changelog, so that
+  the next call to `commitRecords()` sends them to the data source.
+
+  Records that were in the middle of a commit when the page was closed are
+  restored to the status they had before the commit began.  This means that
+  such a record may be sent to the data source a second time.
+
+  Records are identified in storage by the class name of their record type
+  and their id.  Record types must therefore be reachable from a global
+  namespace, or you must override `nameForRecordType()` and
+  `recordTypeForName()`.
+
+  Offline Commits
+  ---
+
+  While `isOnline` is `NO`, `commitRecords()` does not reach the data source.
+  Instead the commit is added to `pendingCommits`, which is also saved to the
+  storage adapter.  When `isOnline` becomes `YES` again the pending commits
+  are replayed in the order they were made.  By default `isOnline` follows
+  the browser's `online` and `offline` events.
+
+  Note that callbacks passed to `commitRecords()` can not be saved, so commits
+  restored from storage are replayed without them.
+
+  @extends SC.Store
+  @since SproutCore 2.0
+*/
+SC.PersistentStore = SC.Store.extend(
+/** @scope SC.PersistentStore.prototype */ {
+
+  /**
+    The storage adapter the store is saved to.  You may set this to an
+    `SC.StorageAdapter` instance or class, or to a property path that
+    resolves to one.
+
+    @type SC.StorageAdapter|String
+    @default null
+  */
+  storageAdapter: null,
+
+  /**
+    If YES, `READY_CLEAN` records are saved as well as records with local
+    changes.  This lets an application show the data it last loaded while
+    offline.  Set this to NO to only save records with uncommitted changes.
+
+    @type Boolean
+    @default YES
+  */
+  persistsCleanRecords: YES,
+
+  /**
+    If YES, `isOnline` is updated from the browser's `online` and `offline`
+    events.
+
+    @type Boolean
+    @default YES
+  */
+  monitorsConnectivity: YES,
+
+  /**
+    YES while the data source can be reached.  While this is NO, commits are
+    queued in `pendingCommits` instead of being sent to the data source.
+
+    @type Boolean
+    @default YES
+  */
+  isOnline: YES,
+
+  /**
+    YES while `restore()` is reading from the storage adapter.
+
+    @type Boolean
+    @default NO
+  */
+  isRestoring: NO,
+
+  /**
+    YES once `restore()` has finished.
+
+    @type Boolean
+    @default NO
+  */
+  isRestored: NO,
+
+  /**
+    The commits that were made while offline, in the order they were made.
+    Each commit is a hash with the `storeKeys` to commit (or `null` to commit
+    every change), and the `params` and `callbacks` passed to
+    `commitRecords()`.
+
+    @type Array
+    @default []
+  */
+  pendingCommits: null,
+
+  // ..........................................................
+  // RECORD TYPE NAMES
+  //
+
+  /**
+    Returns the name used to identify the record type in storage.  By
+    default this is the class name of the record type.
+
+    @param {SC.Record} recordType the record type
+    @returns {String} the name, or null if the record type has none
+  */
+  nameForRecordType: function(recordType) {
+    var name = SC._object_className(recordType);
+    return (name && name !== 'Anonymous') ? name : null;
+  },
+
+  /**
+    Returns the record type for a name returned by `nameForRecordType()`.
+
+    @param {String} name the name
+    @returns {SC.Record} the record type, or null if it can not be found
+  */
+  recordTypeForName: function(name) {
+    var ret = name ? SC.objectForPropertyPath(name) : null;
+    return (ret && ret.isClass) ? ret : null;
+  },
+
+  // ..........................................................
+  // PERSISTENCE
+  //
+
+  /**
+    Reads the records and pending commits saved by a previous session back
+    into the store.  Records that have been loaded into the store since it
+    was created are not replaced.
+
+    Once the store has been restored, any pending commits are replayed if
+    the store is online.
+
+    @param {Function} callback invoked with YES or an error when finished
+    @returns {SC.PersistentStore} receiver
+  */
+  restore: function(callback) {
+    var adapter = this._getStorageAdapter(),
+        that = this;
+
+    if (!adapter) SC.PersistentStore.NO_STORAGE_ADAPTER_ERROR.throw();
+
+    this.set('isRestoring', YES);
+    adapter.readAll(function(entries) {
+      SC.run(function() {
+        that._scps_didReadAll(entries);
+        if (callback) callback(SC.ok(entries) ? YES : entries);
+      });
+    });
+
+    return this;
+  },
+
+  /** @private */
+  _scps_didReadAll: function(entries) {
+    var queueKey = SC.PersistentStore.QUEUE_KEY,
+        key, queue;
+
+    if (SC.ok(entries)) {
+      this._scps_isReading = YES;
+      for (key in entries) {
+        if (!entries.hasOwnProperty(key)) continue;
+        if (key === queueKey) queue = entries[key];
+        else this._scps_restoreEntry(key, entries[key]);
+      }
+      this._scps_isReading = NO;
+
+      if (this.changelog && this.changelog.get('length') > 0) {
+        this.set('hasChanges', YES);
+      }
+      if (queue) this._scps_restoreQueue(queue);
+    } else {
+      SC.warn("SC.PersistentStore could not be restored: %@".fmt(entries));
+    }
+
+    this.beginPropertyChanges();
+    this.set('isRestoring', NO);
+    this.set('isRestored', YES);
+    this.endPropertyChanges();
+
+    if (this.get('isOnline')) this.replayPendingCommits();
+  },
+
+  /** @private */
+  _scps_restoreEntry: function(key, entry) {
+    var recordType = this.recordTypeForName(entry.recordType),
+        K = SC.Record,
+        id = entry.id,
+        storeKey, changelog;
+
+    if (!recordType) return;
+
+    if (SC.none(id)) {
+      storeKey = SC.Store.generateStoreKey();
+      SC.Store.replaceRecordTypeFor(storeKey, recordType);
+    } else {
+      storeKey = recordType.storeKeyFor(id);
+    }
+
+    // records loaded since the store was created are more recent
+    if (this.peekStatus(storeKey) !== K.EMPTY) return;
+
+    this.writeDataHash(storeKey, entry.dataHash, entry.status);
+    this.dataHashDidChange(storeKey);
+    this._scps_keys[storeKey] = key;
+
+    if (entry.status & K.DIRTY) {
+      changelog = this.changelog;
+      if (!changelog) changelog = this.changelog = SC.Set.create();
+      changelog.add(storeKey);
+    }
+  },
+
+  /** @private */
+  _scps_restoreQueue: function(queue) {
+    var restored = [], idx, len, commit, records;
+
+    for (idx = 0, len = queue.length; idx < len; idx++) {
+      commit = queue[idx];
+      records = commit.records;
+      restored.push({
+        storeKeys: records ? this._scps_storeKeysForRefs(records) : null,
+        params: commit.params,
+        callbacks: null
+      });
+    }
+
+    // commits saved by the last session were made before any in this one
+    this.set('pendingCommits', restored.concat(this.get('pendingCommits')));
+    this._scps_queueDidChange();
+  },
+
+  /**
+    Writes every record that changed since the last call to the storage
+    adapter.  This is called automatically at the end of the run loop.
+
+    @returns {SC.PersistentStore} receiver
+  */
+  persistChanges: function() {
+    var adapter = this._getStorageAdapter(),
+        changed = this._scps_changed,
+        changes = {},
+        hasChanges = NO,
+        that = this;
+
+    if (!adapter) {
+      changed.clear();
+      return this;
+    }
+
+    changed.forEach(function(storeKey) {
+      that._scps_changesFor(storeKey, changes);
+      hasChanges = YES;
+    });
+    changed.clear();
+
+    if (this._scps_queueIsDirty && this.get('isRestored')) {
+      changes[SC.PersistentStore.QUEUE_KEY] = this._scps_encodeQueue();
+      this._scps_queueIsDirty = NO;
+      hasChanges = YES;
+    }
+
+    if (hasChanges) {
+      adapter.update(changes, function(result) {
+        if (!SC.ok(result)) SC.warn("SC.PersistentStore could not be saved: %@".fmt(result));
+      });
+    }
+
+    return this;
+  },
+
+  /** @private
+    Adds the storage changes for a store key to the passed hash.
+  */
+  _scps_changesFor: function(storeKey, changes) {
+    var keys = this._scps_keys,
+        oldKey = keys[storeKey],
+        recordType = SC.Store.recordTypeFor(storeKey),
+        name = recordType ? this.nameForRecordType(recordType) : null,
+        id = SC.Store.idFor(storeKey),
+        entry = name ? this._scps_entryFor(storeKey, name, id) : null,
+        key;
+
+    if (entry) {
+      if (!SC.none(id)) key = name + ':' + id;
+      else key = oldKey || '%@:@%@.%@'.fmt(name, this._scps_session, storeKey);
+
+      if (oldKey && oldKey !== key) changes[oldKey] = null;
+      changes[key] = entry;
+      keys[storeKey] = key;
+    } else {
+      if (oldKey) changes[oldKey] = null;
+      if (name && !SC.none(id)) changes[name + ':' + id] = null;
+      delete keys[storeKey];
+    }
+  },
+
+  /** @private
+    Returns the value to save for a store key, or null if the record should
+    not be saved.
+  */
+  _scps_entryFor: function(storeKey, name, id) {
+    var K = SC.Record,
+        status = this.peekStatus(storeKey);
+
+    // child records are saved as part of their parent
+    if (this.parentStoreKeyExists(storeKey)) return null;
+
+    // save in-flight records with the status they had before the request
+    if (status & K.BUSY) {
+      switch (status) {
+      case K.BUSY_CREATING:
+        status = K.READY_NEW;
+        break;
+      case K.BUSY_COMMITTING:
+      case K.BUSY_REFRESH_DIRTY:
+        status = K.READY_DIRTY;
+        break;
+      case K.BUSY_REFRESH_CLEAN:
+        status = K.READY_CLEAN;
+        break;
+      case K.BUSY_DESTROYING:
+        status = K.DESTROYED_DIRTY;
+        break;
+      default:
+        return null;
+      }
+    }
+
+    if (status === K.READY_CLEAN && !this.get('persistsCleanRecords')) return null;
+    if (!(status & K.READY) && status !== K.DESTROYED_DIRTY) return null;
+
+    return {
+      recordType: name,
+      id: SC.none(id) ? null : id,
+      dataHash: this.readDataHash(storeKey),
+      status: status
+    };
+  },
+
+  /**
+    Removes everything the store has saved to its storage adapter.  This
+    does not change the records in the store.
+
+    @param {Function} callback invoked with YES or an error when finished
+    @returns {SC.PersistentStore} receiver
+  */
+  clearPersistentData: function(callback) {
+    var adapter = this._getStorageAdapter();
+
+    this._scps_keys = {};
+    this._scps_changed.clear();
+    if (adapter) adapter.clear(callback);
+    else if (callback) callback(YES);
+
+    return this;
+  },
+
+  // ..........................................................
+  // OFFLINE COMMITS
+  //
+
+  /**
+    Overridden to queue the commit in `pendingCommits` while the store is
+    offline.
+
+    @returns {Boolean} if the action was successful.
+  */
+  commitRecords: function(recordTypes, ids, storeKeys, params, callbacks) {
+    if (this.get('isOnline')) return sc_super();
+
+    this._scps_enqueueCommit(recordTypes, ids, storeKeys, params, callbacks);
+    return NO;
+  },
+
+  /**
+    Sends the commits in `pendingCommits` to the data source.  This is called
+    automatically when the store comes back online.
+
+    @returns {SC.PersistentStore} receiver
+  */
+  replayPendingCommits: function() {
+    var pending = this.get('pendingCommits'),
+        commit;
+
+    if (!pending || pending.length === 0) return this;
+
+    this.set('pendingCommits', []);
+    this._scps_queueDidChange();
+
+    // commitRecords() will queue the commit again if we go offline meanwhile
+    while ((commit = pending.shift())) {
+      this.commitRecords(null, null, commit.storeKeys, commit.params, commit.callbacks);
+    }
+
+    return this;
+  },
+
+  /** @private */
+  _scps_enqueueCommit: function(recordTypes, ids, storeKeys, params, callbacks) {
+    var pending = this.get('pendingCommits'),
+        isArray = SC.typeOf(recordTypes) === SC.T_ARRAY,
+        idx, len;
+
+    if (!recordTypes && !ids && !storeKeys) {
+      storeKeys = null;
+
+      // committing every change once is enough
+      if (!params && !callbacks) {
+        for (idx = 0, len = pending.length; idx < len; idx++) {
+          if (!pending[idx].storeKeys && !pending[idx].params && !pending[idx].callbacks) return;
+        }
+      }
+    } else if (storeKeys) {
+      storeKeys = SC.A(storeKeys).slice();
+    } else {
+      storeKeys = SC.A(ids).map(function(id, idx) {
+        var recordType = isArray ? (recordTypes[idx] || SC.Record) : recordTypes;
+        return recordType.storeKeyFor(id);
+      });
+    }
+
+    this.set('pendingCommits', pending.concat([{
+      storeKeys: storeKeys,
+      params: params,
+      callbacks: callbacks
+    }]));
+    this._scps_queueDidChange();
+  },
+
+  /** @private */
+  _scps_queueDidChange: function() {
+    this._scps_queueIsDirty = YES;
+    this.invokeOnce(this.persistChanges);
+  },
+
+  /** @private */
+  _scps_encodeQueue: function() {
+    var that = this;
+
+    return this.get('pendingCommits').map(function(commit) {
+      return {
+        records: commit.storeKeys ? that._scps_refsForStoreKeys(commit.storeKeys) : null,
+        params: commit.params || null
+      };
+    });
+  },
+
+  /** @private
+    Records without an id can not be referenced across sessions, but they are
+    restored into the changelog and so are still committed.
+  */
+  _scps_refsForStoreKeys: function(storeKeys) {
+    var ret = [], idx, len, recordType, name, id;
+
+    for (idx = 0, len = storeKeys.length; idx < len; idx++) {
+      recordType = SC.Store.recordTypeFor(storeKeys[idx]);
+      name = recordType ? this.nameForRecordType(recordType) : null;
+      id = SC.Store.idFor(storeKeys[idx]);
+      if (name && !SC.none(id)) ret.push([name, id]);
+    }
+
+    return ret;
+  },
+
+  /** @private */
+  _scps_storeKeysForRefs: function(refs) {
+    var ret = [], idx, len, recordType;
+
+    for (idx = 0, len = refs.length; idx < len; idx++) {
+      recordType = this.recordTypeForName(refs[idx][0]);
+      if (recordType) ret.push(recordType.storeKeyFor(refs[idx][1]));
+    }
+
+    return ret;
+  },
+
+  /** @private */
+  isOnlineDidChange: function() {
+    if (this.get('isOnline')) this.replayPendingCommits();
+  }.observes('isOnline'),
+
+  // ..........................................................
+  // INTERNAL SUPPORT
+  //
+
+  /** @private */
+  _getStorageAdapter: function() {
+    var ret = this.get('storageAdapter');
+    if (typeof ret === SC.T_STRING) ret = SC.requiredObjectForPropertyPath(ret);
+    if (ret && ret.isClass) ret = ret.create();
+    if (ret !== this.get('storageAdapter')) this.set('storageAdapter', ret);
+    return ret;
+  },
+
+  /** @private
+    Every change to a record's data hash or status passes through here, both
+    for changes made in this store and changes committed from nested stores.
+  */
+  _notifyRecordPropertyChange: function(storeKey, statusOnly, key) {
+    if (!this._scps_isReading) {
+      this._scps_changed.add(storeKey);
+      this.invokeOnce(this.persistChanges);
+    }
+    return sc_super();
+  },
+
+  /** @private */
+  init: function() {
+    var that = this;
+
+    this._scps_changed = SC.CoreSet.create();
+    this._scps_keys = {};
+    this._scps_session = new Date().getTime().toString(36);
+    this.pendingCommits = [];
+
+    sc_super();
+
+    if (this.get('monitorsConnectivity') && typeof window !== 'undefined' && window.addEventListener) {
+      if (window.navigator && window.navigator.onLine !== undefined) {
+        this.set('isOnline', window.navigator.onLine);
+      }
+
+      this._scps_connectivityDidChange = function(evt) {
+        SC.run(function() { that.set('isOnline', evt.type === 'online'); });
+      };
+      window.addEventListener('online', this._scps_connectivityDidChange, false);
+      window.addEventListener('offline', this._scps_connectivityDidChange, false);
+    }
+  },
+
+  /** @private */
+  destroy: function() {
+    var handler = this._scps_connectivityDidChange;
+
+    if (handler) {
+      window.removeEventListener('online', handler, false);
+      window.removeEventListener('offline', handler, false);
+      this._scps_connectivityDidChange = null;
+    }
+
+    return sc_super();
+  }
+
+});
+
+SC.PersistentStore.mixin(
+/** @scope SC.PersistentStore */ {
+
+  /**
+    The storage key the pending commits are saved under.
+
+    @type String
+    @default '@pendingCommits'
+  */
+  QUEUE_KEY: '@pendingCommits',
+
+  /**
+    Standard error thrown if `restore()` is called without a storage adapter.
+
+    @type Error
+  */
+  NO_STORAGE_ADAPTER_ERROR: SC.$error("Storage Adapter Required")
+
+});
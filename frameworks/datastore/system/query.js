@@ -117,6 +117,55 @@ sc_require('core') ;
   queries to represent results filtered by a remote server. Both may be used by a data source to
   load data from a server.
 
+  ## Grouping and Aggregation
+
+  A query with `groupBy` or `aggregates` returns an `SC.AggregateArray` instead of a record array.
+  Each item in the array is an observable object with the group's `groupBy` values, its aggregate
+  values and the `storeKeys` of its records,
+
+      query = SC.Query.local(MyApp.Invoice, {
+        conditions: "isPaid = NO",
+        groupBy: 'customer',
+        aggregates: { count: 'COUNT(*)', total: 'SUM(amount)', largest: 'MAX(amount)' }
+      });
+
+      totals = MyApp.store.find(query);
+      totals.objectAt(0).get('total'); // => 1250
+
+  For local queries, the store computes the groups and keeps them up to date; when records change,
+  only the groups they leave or join are recomputed. Remote queries are passed to your data source
+  as usual, which can either compute the groups on the server and return them with
+  `dataSourceDidFetchAggregates`, or return the matching records with `dataSourceDidFetchQuery` to
+  have them grouped in the client.
+
+  ## Indexes
+
+  When a local query is first run, every loaded record of its type is tested with `contains()`. With
+  many records you can speed this up by marking the attributes you query on as indexed,
+
+      MyApp.Contact = SC.Record.extend({
+        lastName: SC.Record.attr(String, { indexed: YES })
+      });
+
+  Queries that compare an indexed attribute with `=`, `ANY`, `BEGINS_WITH`, `<`, `<=`, `>` or `>=`
+  then only test the records found in the store's `SC.StoreIndex`. Use `indexedCondition` to see
+  which condition a query looks up, and `isIndexBacked` on the record array to see whether an index
+  was used.
+
+  ## Paging
+
+  A remote query with a `pageSize` returns a record array that loads its results one page at a
+  time, so that a list of a million rows only loads the rows that are shown,
+
+      query = SC.Query.remote(MyApp.Message, { pageSize: 50 });
+      messages = MyApp.store.find(query);
+
+  Instead of `fetch()`, the store calls your data source's `fetchRange()` with the range of the
+  page, starting with the first one. Other pages are requested as their records are accessed,
+  for example when an `SC.ListView` showing the record array scrolls to them. Your data source
+  loads the records and passes their store keys and the total number of results to the store's
+  `dataSourceDidFetchRange()`.
+
   ## SproutCore Query Language
 
   Features of the query language:
@@ -247,6 +296,85 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
   */
   orderBy: null,
 
+  /**
+    Optional grouping.  This can be a string of comma-separated property
+    names or an array of property names.  When set, `find()` returns an
+    `SC.AggregateArray` with one entry per distinct combination of values,
+    ordered by those values.
+
+    @type String | Array
+  */
+  groupBy: null,
+
+  /**
+    Optional aggregates to compute for each group.  This is a hash of result
+    property names to aggregate function calls.  The built-in functions are
+    `COUNT`, `SUM`, `AVG`, `MIN` and `MAX`, for example,
+
+        query = SC.Query.local(MyApp.Invoice, {
+          groupBy: 'customer',
+          aggregates: { invoices: 'COUNT(*)', total: 'SUM(amount)' }
+        });
+
+    If you set aggregates without `groupBy`, all matching records form a
+    single group.  You can add your own functions with
+    `SC.Query.registerAggregateFunction()`.
+
+    @type Hash
+  */
+  aggregates: null,
+
+  /**
+    Returns `YES` if the query groups or aggregates its records.
+
+    @property
+    @type Boolean
+  */
+  isAggregate: function() {
+    return !!(this.get('groupBy') || this.get('aggregates'));
+  }.property('groupBy', 'aggregates').cacheable(),
+
+  /**
+    The property names from `groupBy` as an array.
+
+    @property
+    @type Array
+  */
+  groupKeys: function() {
+    var groupBy = this.get('groupBy');
+
+    if (!groupBy) return [];
+    if (SC.typeOf(groupBy) === SC.T_STRING) groupBy = groupBy.split(',');
+
+    return groupBy.map(function(key) { return key.trim(); });
+  }.property('groupBy').cacheable(),
+
+  /**
+    The parsed `aggregates`.  Each item is a hash with the result `key`, the
+    function `name` and the `property` it is applied to, which is `'*'` for
+    the whole record.
+
+    @property
+    @type Array
+  */
+  aggregateDefinitions: function() {
+    var aggregates = this.get('aggregates'),
+        ret = [], key, match;
+
+    for (key in aggregates) {
+      if (!aggregates.hasOwnProperty(key)) continue;
+
+      match = /^\s*([A-Za-z_]+)\s*(?:\(\s*([^\)\s]*)\s*\))?\s*$/.exec(aggregates[key]);
+      if (!match || !SC.Query.aggregateFunctions[match[1].toUpperCase()]) {
+        SC.throw("%@: unknown aggregate %@".fmt(this, aggregates[key]));
+      }
+
+      ret.push({ key: key, name: match[1].toUpperCase(), property: match[2] || '*' });
+    }
+
+    return ret;
+  }.property('aggregates').cacheable(),
+
   /**
     The base record type or types for the query.  This must be specified to
     filter the kinds of records this query will work on.  You may either
@@ -340,6 +468,17 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
   */
   location: 'local', // SC.Query.LOCAL
 
+  /**
+    The number of records per page for a paged remote query.  If set on a
+    remote query, the record array for the query requests its results from
+    the data source one page at a time with `fetchRange()`.  Ignored for
+    local queries.
+
+    @type Number
+    @default null
+  */
+  pageSize: null,
+
   /**
     Another query that will optionally limit the search of records.  This is
     usually configured for you when you do `find()` from another record array.
@@ -360,6 +499,16 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
     return this.get('location') === SC.Query.REMOTE;
   }.property('location').cacheable(),
 
+  /**
+    Returns `YES` if the query is remote and has a `pageSize`.
+
+    @property
+    @type Boolean
+  */
+  isPaged: function() {
+    return this.get('isRemote') && this.get('pageSize') > 0;
+  }.property('isRemote', 'pageSize').cacheable(),
+
   /**
     Returns `YES` if query location is Local.  This is sometimes more
     convenient than checking the location.
@@ -378,6 +527,70 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
   */
   isEditable: NO,
 
+  /**
+    The condition that the store can look up in an index of the record
+    type, or `null` if there is none.  This is a hash with the property
+    `key`, the `operator` and the `value` it is compared to.
+
+    A condition can use an index if it compares an attribute marked
+    `indexed: YES` to a constant or parameter with `=`, `ANY`, `BEGINS_WITH`,
+    `<`, `<=`, `>` or `>=`, and it is either the only condition or joined to
+    the others with `AND`.  If several conditions can use an index, the most
+    selective operator is preferred.
+
+    @property
+    @type Hash
+  */
+  indexedCondition: function() {
+    var recordType = this.get('recordType'),
+        operators = SC.Query.INDEXED_OPERATORS,
+        candidates = [];
+
+    if (!recordType || !this.get('conditions')) return null;
+    if (SC.typeOf(recordType) === SC.T_STRING) recordType = SC.objectForPropertyPath(recordType);
+
+    if (!this._isReady) this.parse();
+    if (!this._isReady) return null;
+
+    this._scq_findIndexedConditions(this._tokenTree, recordType, candidates);
+
+    candidates.sort(function(a, b) {
+      return operators.indexOf(a.operator) - operators.indexOf(b.operator);
+    });
+
+    return candidates[0] || null;
+  }.property('conditions', 'parameters', 'recordType').cacheable(),
+
+  /** @private
+    Collects the comparisons of indexed attributes that are joined with AND.
+  */
+  _scq_findIndexedConditions: function(node, recordType, ret) {
+    var left, right, attribute;
+
+    if (!node) return;
+
+    if (node.tokenType === 'AND') {
+      this._scq_findIndexedConditions(node.leftSide, recordType, ret);
+      this._scq_findIndexedConditions(node.rightSide, recordType, ret);
+      return;
+    }
+
+    if (SC.Query.INDEXED_OPERATORS.indexOf(node.tokenType) < 0) return;
+
+    left = node.leftSide;
+    right = node.rightSide;
+    if (!left || left.tokenType !== 'PROPERTY' || !right || right.tokenType === 'PROPERTY') return;
+
+    attribute = recordType.prototype[left.tokenValue];
+    if (!attribute || !attribute.isRecordAttribute || !attribute.get('indexed')) return;
+
+    ret.push({
+      key: left.tokenValue,
+      operator: node.tokenType,
+      value: right.evaluate(null, this.get('parameters') || {})
+    });
+  },
+
   // ..........................................................
   // PRIMITIVE METHODS
   //
@@ -493,6 +706,54 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
     else return SC.compare(record1.get('storeKey'), record2.get('storeKey'));
   },
 
+  /**
+    Returns the values of the `groupBy` properties for a record.  Records
+    with equal values belong to the same group.
+
+    @param {SC.Record} record the record
+    @returns {Array} the group values
+  */
+  groupValuesFor: function(record) {
+    return this.get('groupKeys').map(function(key) {
+      return /\./.test(key) ? record.getPath(key) : record.get(key);
+    });
+  },
+
+  /**
+    Computes the `aggregates` for a group of records.  This is used when
+    computing a query locally.
+
+    @param {Array} records the records in the group
+    @returns {Hash} the aggregate values by result key
+  */
+  computeAggregates: function(records) {
+    var definitions = this.get('aggregateDefinitions'),
+        ret = {}, idx, len, definition, property, values;
+
+    for (idx = 0, len = definitions.length; idx < len; idx++) {
+      definition = definitions[idx];
+      property = definition.property;
+
+      if (property === '*') values = records.slice();
+      else values = records.map(this._scq_getterFor(property));
+
+      ret[definition.key] = SC.Query.aggregateFunctions[definition.name](values);
+    }
+
+    return ret;
+  },
+
+  /** @private
+    Returns a function that reads the property, or the property path, of a
+    record.
+  */
+  _scq_getterFor: function(property) {
+    if (/\./.test(property)) {
+      return function(record) { return record.getPath(property); };
+    }
+    return function(record) { return record.get(property); };
+  },
+
   /** @private
       Becomes YES once the query has been successfully parsed
   */
@@ -549,7 +810,7 @@ SC.Query = SC.Object.extend(SC.Copyable, SC.Freezable,
   /** @private
     Properties that need to be copied when cloning the query.
   */
-  copyKeys: ['conditions', 'orderBy', 'recordType', 'recordTypes', 'parameters', 'location', 'scope'],
+  copyKeys: ['conditions', 'orderBy', 'groupBy', 'aggregates', 'recordType', 'recordTypes', 'parameters', 'location', 'scope', 'pageSize'],
 
   /** @private */
   concatenatedProperties: ['copyKeys'],
@@ -1341,6 +1602,14 @@ SC.Query.mixin( /** @scope SC.Query */ {
   */
   REMOTE: 'remote',
 
+  /**
+    The operators that can be looked up in an `SC.StoreIndex`, from the
+    most to the least selective.  Used by `SC.Query#indexedCondition`.
+
+    @type Array
+  */
+  INDEXED_OPERATORS: ['=', 'ANY', 'BEGINS_WITH', '<', '<=', '>', '>='],
+
   /**
     Given a query, returns the associated `storeKey`.  For the inverse of this
     method see `SC.Store.queryFor()`.
@@ -1630,6 +1899,59 @@ SC.Query.registerComparison = function(propertyName, comparison) {
 };
 
 
+/** @private
+  Hash of registered aggregate functions by name.
+*/
+SC.Query.aggregateFunctions = {
+
+  /** @private Counts the values that are not null. */
+  COUNT: function(values) {
+    return values.filter(function(value) { return !SC.none(value); }).length;
+  },
+
+  /** @private Adds the values that are not null. */
+  SUM: function(values) {
+    return values.reduce(function(sum, value) {
+      return SC.none(value) ? sum : sum + value;
+    }, 0);
+  },
+
+  /** @private Averages the values that are not null. */
+  AVG: function(values) {
+    var count = SC.Query.aggregateFunctions.COUNT(values);
+    return count ? SC.Query.aggregateFunctions.SUM(values) / count : null;
+  },
+
+  /** @private Returns the smallest value that is not null. */
+  MIN: function(values) {
+    return values.reduce(function(min, value) {
+      return (SC.none(value) || (!SC.none(min) && SC.compare(min, value) <= 0)) ? min : value;
+    }, null);
+  },
+
+  /** @private Returns the largest value that is not null. */
+  MAX: function(values) {
+    return values.reduce(function(max, value) {
+      return (SC.none(value) || (!SC.none(max) && SC.compare(max, value) >= 0)) ? max : value;
+    }, null);
+  }
+
+};
+
+/**
+  Call to register an aggregate function for use in `SC.Query#aggregates`.
+  The function you pass receives an array with the property value of each
+  record in the group, or the records themselves for `'*'`, and returns the
+  aggregate value.
+
+  @param {String} name of the function, such as `'MEDIAN'`
+  @param {Function} aggregate function
+*/
+SC.Query.registerAggregateFunction = function(name, aggregate) {
+  SC.Query.aggregateFunctions[name.toUpperCase()] = aggregate;
+};
+
+
 /**
   Call to register an extension for the query language.
   You should provide a name for your extension and a definition
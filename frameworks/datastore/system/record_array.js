@@ -52,6 +52,11 @@ sc_require('models/record');
   This underlying array can be a real array, or, if you wish to implement
   incremental loading, it may be a `SparseArray`.
 
+  Record arrays for paged queries (see `SC.Query#pageSize`) load their
+  `storeKeys` one page at a time.  Until a page is loaded, its indexes hold
+  no store key and `objectAt()` returns `undefined` after requesting the page
+  from the store.
+
   If the record array is created with an `SC.Query` object (as is almost always the
   case), then the record array will also consult the query for various delegate
   operations such as determining if the record array should update automatically
@@ -209,6 +214,14 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array,
         storeKey, ret ;
 
     if (!storeKeys || !store) return undefined; // nothing to do
+
+    // request the page if needed.  stale records are returned meanwhile.
+    if (this.get('isPaged') && !this.loadedIndexes.contains(idx)) {
+      this.loadRange(idx, 1);
+      storeKeys = this.get('storeKeys');
+      recs = this._scra_records;
+    }
+
     if (recs && (ret=recs[idx])) return ret ; // cached
 
     // not in cache, materialize
@@ -243,7 +256,9 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array,
     for(idx=0;idx<len;idx++) {
       rec = recs[idx];
       if (!rec) {
-        rec = recs[idx] = store.materializeRecord(storeKeys.objectAt(idx));
+        // pages that are not loaded are requested, like in objectAt()
+        if (this.get('isPaged') && !storeKeys.objectAt(idx)) rec = this.objectAt(idx);
+        else rec = recs[idx] = store.materializeRecord(storeKeys.objectAt(idx));
       }
       callback.call(target, rec, idx, this);
     }
@@ -463,8 +478,17 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array,
     @returns {SC.RecordArray} receiver
   */
   storeDidFetchQuery: function(query) {
+    var storeKeys;
+
     // only set to ready clean if the query has been remote and the server fetched it
-    if (query.get('isRemote')) this.setIfChanged('status', SC.Record.READY_CLEAN);
+    if (query.get('isRemote')) {
+      // the data source loaded all the results at once
+      if (this.get('isPaged') && (storeKeys = this.get('storeKeys'))) {
+        this.loadedIndexes.add(0, storeKeys.get('length'));
+        this.notifyPropertyChange('loadedIndexes');
+      }
+      this.setIfChanged('status', SC.Record.READY_CLEAN);
+    }
     else this.flush();
     return this ;
   },
@@ -479,6 +503,7 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array,
   storeDidCancelQuery: function(query) {
     var status = this.get('status'),
         K      = SC.Record;
+    this._scra_clearLoadingIndexes();
     if (status === K.BUSY_LOADING) status = K.EMPTY;
     else if (status === K.BUSY_REFRESH) status = K.READY_CLEAN;
     this.setIfChanged('status', status);
@@ -493,10 +518,81 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array,
     @returns {SC.RecordArray} receiver
   */
   storeDidErrorQuery: function(query) {
+    this._scra_clearLoadingIndexes();
     this.setIfChanged('status', SC.Record.ERROR);
     return this ;
   },
 
+  /** @private
+    Called whenever the store refreshes a paged query.  Marks all pages as
+    stale, so that they are requested again the next time they are
+    accessed, and requests the first page.
+
+    @param {SC.Query} query
+    @returns {SC.RecordArray} receiver
+  */
+  storeWillRefreshPages: function(query) {
+    var storeKeys = this.get('storeKeys'),
+        len       = storeKeys ? storeKeys.get('length') : 0;
+
+    this.loadedIndexes.clear();
+    this.notifyPropertyChange('loadedIndexes');
+    this.storeWillFetchQuery(query);
+    this.loadRange(0, query.get('pageSize'));
+
+    // let views ask for the records they show again, which will request
+    // their pages.
+    if (len && this.get('storeKeys') === storeKeys) {
+      this.arrayContentWillChange(0, len, len);
+      this.arrayContentDidChange(0, len, len);
+    }
+
+    return this ;
+  },
+
+  /** @private
+    Called whenever the data source has loaded a range of a paged query.
+    Puts the store keys in place and updates the length if the total number
+    of results is passed.
+
+    @param {Hash} range the range that was requested
+    @param {Array} storeKeys the store keys of the records in the range
+    @param {Number} length the total number of results, optional
+    @returns {SC.RecordArray} receiver
+  */
+  storeDidFetchRange: function(range, storeKeys, length) {
+    var oldKeys = this.get('storeKeys'),
+        oldLen  = oldKeys ? oldKeys.get('length') : 0,
+        start   = range.start,
+        len     = storeKeys.get('length'),
+        keys;
+
+    if (SC.none(length)) length = Math.max(oldLen, start + len);
+
+    if (oldKeys && oldLen === length) {
+      // replace in place, so that only this range is reported as changed
+      oldKeys.replace(start, len, storeKeys);
+    } else {
+      keys = oldKeys ? oldKeys.slice(0, length) : [];
+      keys.length = length;
+      keys.splice.apply(keys, [start, len].concat(storeKeys));
+      keys.length = length;
+      this.set('storeKeys', keys);
+    }
+
+    if (length < oldLen) this.loadedIndexes.remove(length, oldLen - length);
+    if (len) this.loadedIndexes.add(start, Math.min(len, length - start));
+    this.loadingIndexes.remove(range.start, range.length);
+    this.notifyPropertyChange('loadedIndexes');
+    this.notifyPropertyChange('loadingIndexes');
+
+    if (!this.loadingIndexes.get('length')) {
+      this.setIfChanged('status', SC.Record.READY_CLEAN);
+    }
+
+    return this ;
+  },
+
   /** @private
     Called by the store whenever it changes the state of certain store keys. If
     the receiver cares about these changes, it will mark itself as dirty and add
@@ -571,7 +667,7 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array,
         K         = SC.Record,
         storeKeysToPace = [],
         startDate = new Date(),
-        rec, status, recordType, sourceKeys, scope, included;
+        rec, status, recordType, sourceKeys, indexedKeys, scope, included, isIndexBacked;
 
     // if we have storeKeys already, just look at the changed keys
     var oldStoreKeys = storeKeys;
@@ -615,8 +711,14 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array,
     } else {
 
       // collect the base set of keys.  if query has a parent scope, use that
+      isIndexBacked = NO;
+      indexedKeys = query.get('scope') ? null : store.storeKeysForIndexedQuery(query);
       if (scope = query.get('scope')) {
         sourceKeys = scope.flush().get('storeKeys');
+      // if the query has an indexed condition, only look at the indexed keys
+      } else if (indexedKeys) {
+        sourceKeys = indexedKeys;
+        isIndexBacked = YES;
       // otherwise, lookup all storeKeys for the named recordType...
       } else if (recordType = query.get('expandedRecordTypes')) {
         sourceKeys = SC.IndexSet.create();
@@ -641,6 +743,7 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array,
         }
       });
 
+      this.setIfChanged('isIndexBacked', isIndexBacked);
       didChange = YES ;
     }
 
@@ -694,6 +797,100 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array,
   */
   needsFlush: YES,
 
+  // ..........................................................
+  // PAGING
+  //
+
+  /**
+    `YES` if the record array belongs to a paged query and loads its records
+    one page at a time.  See `SC.Query#pageSize`.
+
+    @property
+    @type Boolean
+  */
+  isPaged: function() {
+    var query = this.get('query');
+    return !!query && query.get('isPaged');
+  }.property('query').cacheable(),
+
+  /**
+    The indexes of a paged record array that have been loaded.
+
+    @type SC.IndexSet
+    @default null
+  */
+  loadedIndexes: null,
+
+  /**
+    The indexes of a paged record array that have been requested from the
+    data source but not loaded yet.
+
+    @type SC.IndexSet
+    @default null
+  */
+  loadingIndexes: null,
+
+  /**
+    Requests every page of a paged record array that covers the passed range
+    and is not loaded or already being loaded.  `objectAt()` calls this for
+    you, but you can use it to load pages ahead of time.
+
+    @param {Number} start the first index
+    @param {Number} length the number of indexes
+    @returns {SC.RecordArray} receiver
+  */
+  loadRange: function(start, length) {
+    if (!this.get('isPaged')) return this;
+
+    var query    = this.get('query'),
+        store    = this.get('store'),
+        pageSize = query.get('pageSize'),
+        storeKeys = this.get('storeKeys'),
+        total    = storeKeys ? storeKeys.get('length') : null,
+        loaded   = this.loadedIndexes,
+        loading  = this.loadingIndexes,
+        page, last, range;
+
+    // until the first page is loaded, the total length is unknown.
+    if (total !== null) length = Math.min(length, total - start);
+    if (length <= 0) return this;
+
+    for (page = Math.floor(start / pageSize), last = Math.floor((start + length - 1) / pageSize); page <= last; page++) {
+      range = { start: page * pageSize, length: pageSize };
+      if (total !== null) range.length = Math.min(pageSize, total - range.start);
+
+      if (loaded.contains(range.start, range.length) || loading.intersects(range.start, range.length)) continue;
+
+      loading.add(range.start, range.length);
+      this.notifyPropertyChange('loadingIndexes');
+      this.storeWillFetchQuery(query);
+      if (!store.fetchQueryRange(query, range)) {
+        loading.remove(range.start, range.length);
+        this.notifyPropertyChange('loadingIndexes');
+        if (!loading.get('length')) this.storeDidCancelQuery(query);
+      }
+    }
+
+    return this;
+  },
+
+  /** @private */
+  _scra_clearLoadingIndexes: function() {
+    if (this.loadingIndexes && this.loadingIndexes.get('length')) {
+      this.loadingIndexes.clear();
+      this.notifyPropertyChange('loadingIndexes');
+    }
+  },
+
+  /**
+    `YES` if the query was last evaluated with an index, i.e. only the
+    records found in an `SC.StoreIndex` were tested instead of every record
+    of the type.  See `SC.Query#indexedCondition`.
+
+    @type Boolean
+  */
+  isIndexBacked: NO,
+
   // ..........................................................
   // EMULATE SC.ERROR API
   //
@@ -813,6 +1010,10 @@ SC.RecordArray = SC.Object.extend(SC.Enumerable, SC.Array,
   /** @private */
   init: function() {
     sc_super();
+    if (this.get('isPaged')) {
+      this.loadedIndexes = SC.IndexSet.create();
+      this.loadingIndexes = SC.IndexSet.create();
+    }
     this._storeKeysDidChange();
   }
 
@@ -69,6 +69,40 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
   */
   commitRecordsAutomatically: NO,
 
+  /**
+    If `YES`, `commitRecords()` refuses new and changed records that are not
+    valid (see `SC.Record#validationErrors`).  Refused records are not sent
+    to the data source and keep their status, so they can be fixed and
+    committed again.
+
+    @type Boolean
+    @default NO
+  */
+  validatesOnCommit: NO,
+
+  /**
+    Indicates whether to record the changes made to this store in `history`.
+    Useful for debugging purposes.
+
+    NOTE: This is only available in debug mode!
+
+    @type Boolean
+    @default NO
+  */
+  historyIsActive: NO,
+
+  /**
+    An `SC.StoreHistory` that records every change made to this store's data
+    hashes and statuses.  History will only be recorded if `historyIsActive`
+    is YES.
+
+    NOTE: This is only available in debug mode!
+
+    @type SC.StoreHistory
+    @default null
+  */
+  history: null,
+
   // ..........................................................
   // DATA SOURCE SUPPORT
   //
@@ -437,6 +471,9 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     @returns {SC.Store} receiver
   */
   writeDataHash: function(storeKey, hash, status) {
+    //@if(debug)
+    var previousStatus = this.peekStatus(storeKey);
+    //@endif
 
     // update dataHashes and optionally status.
     if (hash) this.dataHashes[storeKey] = hash;
@@ -450,6 +487,12 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     // propagate the data to the child records
     this._updateChildRecordHashes(storeKey, hash, status);
 
+    //@if(debug)
+    if (this.get('historyIsActive')) {
+      this.get('history').pushChange(hash ? 'writeDataHash' : 'writeStatus', storeKey, previousStatus);
+    }
+    //@endif
+
     return this ;
   },
 
@@ -546,6 +589,10 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     @returns {SC.Store} receiver
   */
   removeDataHash: function(storeKey, status) {
+    //@if(debug)
+    var previousStatus = this.peekStatus(storeKey);
+    //@endif
+
      // don't use delete -- that will allow parent dataHash to come through
     this.dataHashes[storeKey] = null;
     this.statuses[storeKey] = status || SC.Record.EMPTY;
@@ -554,6 +601,12 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     var editables = this.editables;
     if (editables) editables[storeKey] = 0 ;
 
+    //@if(debug)
+    if (this.get('historyIsActive')) {
+      this.get('history').pushChange('removeDataHash', storeKey, previousStatus);
+    }
+    //@endif
+
     return this ;
   },
 
@@ -657,6 +710,9 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
         K            = SC.Store,
         rec, editState, len, idx, store, status, keys;
 
+    // keep the indexes of the record type up to date
+    if (this._scst_indexes) this._updateIndexes(storeKey);
+
     // pass along to nested stores
     len = nestedStores ? nestedStores.length : 0 ;
     for(idx=0;idx<len;idx++) {
@@ -796,6 +852,7 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     this.changelog = null ;
     this.recordErrors = null;
     this.queryErrors = null;
+    this._scst_indexes = null;
 
     var dataSource = this.get('dataSource');
     if (dataSource && dataSource.reset) { dataSource.reset(); }
@@ -808,7 +865,16 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
       }
     }
 
-    // Also reset all pre-created recordArrays.
+    // Also reset all pre-created aggregateArrays and recordArrays.
+    var aa, aaList = this.get('aggregateArrays');
+    if (aaList) {
+      while ((aa = aaList.pop())) {
+        aa.destroy();
+      }
+      aaList.clear();
+      this.set('aggregateArrays', null);
+    }
+
     var ra, raList = this.get('recordArrays');
     if (raList) {
       while ((ra = raList.pop())) {
@@ -972,6 +1038,7 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
       if (!recordType.isQuery) {
         recordType = SC.Query.local(recordType);
       }
+      if (recordType.get('isAggregate')) return this._findAggregates(recordType, YES);
       return this._findQuery(recordType, YES, YES);
 
     // handle finding a single record
@@ -1006,6 +1073,32 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     return ret ;
   },
 
+  /** @private */
+  _findAggregates: function(query, createIfNeeded) {
+
+    // lookup the local AggregateArray for this query.
+    var cache = this._scst_aggregateArraysByQuery,
+        key   = SC.guidFor(query),
+        ret, aa ;
+    if (!cache) cache = this._scst_aggregateArraysByQuery = {};
+    ret = cache[key];
+
+    // the aggregate array groups the records of an ordinary record array.
+    if (!ret && createIfNeeded) {
+      cache[key] = ret = SC.AggregateArray.create({
+        store: this,
+        query: query,
+        recordArray: this._findQuery(query, YES, YES)
+      });
+
+      aa = this.get('aggregateArrays');
+      if (!aa) this.set('aggregateArrays', aa = SC.Set.create());
+      aa.add(ret);
+    }
+
+    return ret ;
+  },
+
   /** @private */
   _findRecord: function(recordType, id) {
 
@@ -1052,6 +1145,25 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     return this ;
   },
 
+  /**
+    Called by the aggregate array just before it is destroyed.  This will
+    de-register it from receiving future notifications.
+
+    You should never call this method yourself.  Instead call `destroy()` on
+    the `AggregateArray` directly.
+
+    @param {SC.AggregateArray} aggregateArray the aggregate array
+    @returns {SC.Store} receiver
+  */
+  aggregateArrayWillDestroy: function(aggregateArray) {
+    var cache = this._scst_aggregateArraysByQuery,
+        set   = this.get('aggregateArrays');
+
+    if (cache) delete cache[SC.guidFor(aggregateArray.get('query'))];
+    if (set) set.remove(aggregateArray);
+    return this ;
+  },
+
   /**
     Called by the record array whenever it needs the data source to refresh
     its contents.  Nested stores will actually just pass this along to the
@@ -1070,7 +1182,11 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
         recArray = cache ? cache[SC.guidFor(query)] : null,
         source   = this._getDataSource();
 
-    if (source && source.fetch) {
+    // paged queries are fetched one page at a time, starting over.
+    if (source && query.get('isPaged')) {
+      if (!recArray) recArray = this._findQuery(query, YES, NO);
+      recArray.storeWillRefreshPages(query);
+    } else if (source && source.fetch) {
       if (recArray) recArray.storeWillFetchQuery(query);
       source.fetch.call(source, this, query);
     }
@@ -1078,6 +1194,23 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     return this ;
   },
 
+  /**
+    Asks the data source to load a range of the results of a paged query.
+    This is called by the record array of the query as its pages are
+    accessed.
+
+    You should never call this method yourself.  Instead call `loadRange()`
+    on the `RecordArray` directly.
+
+    @param {SC.Query} query the paged query
+    @param {Hash} range the range to load, with `start` and `length`
+    @returns {Boolean} YES if the data source handled the request
+  */
+  fetchQueryRange: function(query, range) {
+    var source = this._getDataSource();
+    return !!(source && source.fetchRange && source.fetchRange.call(source, this, query, range));
+  },
+
   /** @private
     Will ask all record arrays that have been returned from `find`
     with an `SC.Query` to check their arrays with the new `storeKey`s
@@ -1087,13 +1220,22 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     @returns {SC.Store} receiver
   */
   _notifyRecordArrays: function(storeKeys, recordTypes) {
-    var recordArrays = this.get('recordArrays');
+    var recordArrays = this.get('recordArrays'),
+        aggregateArrays = this.get('aggregateArrays');
     if (!recordArrays) return this;
 
     recordArrays.forEach(function(recArray) {
       if (recArray) recArray.storeDidChangeStoreKeys(storeKeys, recordTypes);
     }, this);
 
+    // aggregate arrays group the records of the record arrays above, so they
+    // must be notified after them.
+    if (aggregateArrays) {
+      aggregateArrays.forEach(function(aggArray) {
+        if (aggArray) aggArray.storeDidChangeStoreKeys(storeKeys, recordTypes);
+      }, this);
+    }
+
     return this ;
   },
 
@@ -1220,6 +1362,12 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
       MyApp.store.createRecord(MyApp.Record, { isAttrB: NO, attr_b: YES }).get('attributes');
       > { attr_b: YES }
 
+    If the data hash names related records through a relationship with an
+    `inverse`, the new record is added to the inverse side of the loaded
+    related records as well.  Until the record has an id, it is only added to
+    toMany relationships, with a placeholder id that is replaced once the
+    data source calls `dataSourceDidComplete()` with the new id.
+
     Note that the record will not yet be saved back to the server.  To save
     a record to the server, call `commitChanges()` on the store.
 
@@ -1319,6 +1467,9 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
       this.invokeLast(this.commitRecords);
     }
 
+    // Add the new record to the inverse side of its relationships.
+    this._scst_addToInverses(storeKey);
+
     // Propagate the status to any aggregate records before returning.
     if (ret) ret.propagateToAggregates();
     return ret;
@@ -1356,6 +1507,10 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     If you unload a record that does not exist or an error then an exception
     will be raised.
 
+    Related records through a relationship with an `inverse` keep the record
+    in their data hashes, since the relationship still exists in the data
+    source, but they stop handing out the unloaded record instance.
+
     @param {SC.Record} recordType the recordType
     @param {String} id the record id
     @param {Number} storeKey (optional) if passed, ignores recordType and id
@@ -1363,7 +1518,7 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
   */
   unloadRecord: function(recordType, id, storeKey, newStatus) {
     if (storeKey === undefined) storeKey = recordType.storeKeyFor(id);
-    var status = this.readStatus(storeKey), K = SC.Record;
+    var status = this.readStatus(storeKey), relationships, K = SC.Record;
     newStatus = newStatus || K.EMPTY;
     // handle status - ignore if destroying or destroyed
     if ((status === K.BUSY_DESTROYING) || (status & K.DESTROYED)) {
@@ -1377,10 +1532,19 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     } else status = newStatus ;
 
     // remove the data hash, set the new status and remove the cached record.
+    relationships = this._scst_relationshipsFor(storeKey);
+    if (this.records[storeKey]) {
+      SC.FetchedAttribute._scfa_releaseCounts(this.records[storeKey]);
+      // while the related records can still be found in the data hash
+      SC.DerivedAttribute._scda_releaseObservers(this.records[storeKey]);
+    }
     this.removeDataHash(storeKey, status);
     this.dataHashDidChange(storeKey);
     delete this.records[storeKey];
 
+    // related records must not hand out the unloaded record anymore
+    this._scst_relatedRecordsDidUnload(storeKey, relationships);
+
     // If this record is a parent record, unregister all of its child records.
     var that = this;
     this._propagateToChildren(storeKey, function (storeKey) {
@@ -1454,6 +1618,12 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     already destroyed then this method will have no effect.  If you destroy a
     record that does not exist or an error then an exception will be raised.
 
+    The `destroyRule` of each toOne and toMany relationship of the record is
+    applied to the related records: the `'nullify'` rule removes the record
+    from their `inverse` relationship, the `'cascade'` rule destroys them as
+    well and the `'deny'` rule throws `SC.Record.DESTROY_DENIED_ERROR` before
+    anything is changed.  Relationships without a rule leave them alone.
+
     @param {SC.Record} recordType the recordType
     @param {String} id the record id
     @param {Number} storeKey (optional) if passed, ignores recordType and id
@@ -1461,7 +1631,7 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
   */
   destroyRecord: function(recordType, id, storeKey) {
     if (storeKey === undefined) storeKey = recordType.storeKeyFor(id);
-    var status = this.readStatus(storeKey), changelog, K = SC.Record;
+    var status = this.readStatus(storeKey), changelog, relationships, K = SC.Record;
 
     // handle status - ignore if destroying or destroyed
     if ((status === K.BUSY_DESTROYING) || (status & K.DESTROYED)) {
@@ -1474,9 +1644,15 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     // error out if busy
     } else if (status & K.BUSY) {
       K.BUSY_ERROR.throw();
+    }
+
+    // read the relationships before the data hash goes away.  Records
+    // destroyed by a cascade rule were already checked along with the first.
+    relationships = this._scst_relationshipsFor(storeKey);
+    if (!this._scst_isCascading) this._scst_checkDestroyRules(storeKey);
 
     // if new status, destroy in clean state
-    } else if (status === K.READY_NEW) {
+    if (status === K.READY_NEW) {
       status = K.DESTROYED_CLEAN ;
       this.removeDataHash(storeKey, status) ;
 
@@ -1500,6 +1676,9 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
       this.invokeLast(this.commitRecords);
     }
 
+    // keep the related records consistent
+    this._scst_applyDestroyRules(storeKey, relationships);
+
     var that = this;
     this._propagateToChildren(storeKey, function(storeKey){
       that.destroyRecord(null, null, storeKey);
@@ -1988,7 +2167,8 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
 
     Based on the current state of the record, this will ask the data
     source to perform the appropriate actions
-    on the store keys.
+    on the store keys.  If `validatesOnCommit` is `YES`, invalid records are
+    skipped.
 
     @param {Array} recordTypes the expected record types (SC.Record)
     @param {Array} ids to commit
@@ -2006,6 +2186,8 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
         retCreate= [], retUpdate= [], retDestroy = [],
         rev       = SC.Store.generateStoreKey(),
         K         = SC.Record,
+        validates = this.get('validatesOnCommit'),
+        refused   = [],
         recordType, idx, storeKey, status, ret, len, callback;
 
     // If no params are passed, look up storeKeys in the changelog property.
@@ -2037,7 +2219,15 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
       if (status === K.ERROR) {
         K.NOT_FOUND_ERROR.throw();
       }
+      else if (validates && (status === K.READY_NEW || status === K.READY_DIRTY) &&
+          !this.materializeRecord(storeKey).get('isValid')) {
+        refused.push(storeKey);
+      }
       else {
+        if (status === K.READY_NEW || status === K.READY_DIRTY) {
+          this._scst_persistDerivedAttributes(storeKey);
+        }
+
         if(status === K.READY_NEW) {
           this.writeStatus(storeKey, K.BUSY_CREATING);
           this.dataHashDidChange(storeKey, rev, YES);
@@ -2074,10 +2264,37 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
       else {
         this.changelog.removeEach(storeKeys);
       }
+
+      // refused records still have changes to commit
+      if (refused.length) {
+        if (!this.changelog) this.changelog = SC.Set.create();
+        this.changelog.addEach(refused);
+      }
     }
     return ret ;
   },
 
+  /** @private
+    Writes the current values of the derived attributes of a record that are
+    persisted into its data hash, so that they are sent to the data source.
+  */
+  _scst_persistDerivedAttributes: function(storeKey) {
+    var recordType = SC.Store.recordTypeFor(storeKey),
+        proto      = recordType ? recordType.prototype : null,
+        record, dataHash, key, attr;
+
+    for (key in proto) {
+      attr = proto[key];
+      if (attr && attr.isDerivedAttribute && attr.get('isPersisted')) {
+        if (!record) {
+          record = this.materializeRecord(storeKey);
+          dataHash = this.readEditableDataHash(storeKey);
+        }
+        dataHash[attr.get('key') || key] = attr.fromType(record, key, record.get(key));
+      }
+    }
+  },
+
   /**
     Commits the passed store key or id.  Based on the current state of the
     record, this will ask the data source to perform the appropriate action
@@ -2311,6 +2528,379 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     return errors ? errors[SC.guidFor(query)] : undefined ;
   },
 
+  // ..........................................................
+  // RELATIONSHIPS
+  //
+  // The store keeps both sides of toOne and toMany relationships that name
+  // an `inverse` consistent when records are created, loaded, destroyed or
+  // unloaded.  Changes made through the relationship attributes of a record
+  // are handled by the attributes themselves.
+  //
+
+  /** @private
+    Returns the toOne and toMany relationships of the record that have an
+    `inverse` or a `destroyRule`, each with the relationship attribute, its
+    key and the store keys of the related records named in the data hash.
+  */
+  _scst_relationshipsFor: function(storeKey) {
+    var recordType = SC.Store.recordTypeFor(storeKey),
+        attrs = recordType ? this._scst_relationshipAttributesFor(recordType) : null,
+        ret = [], hash, len, idx, item, relatedType, value;
+
+    if (!attrs || attrs.length === 0) return ret;
+
+    hash = this.readDataHash(storeKey);
+    if (!hash) return ret;
+
+    for (idx = 0, len = attrs.length; idx < len; idx++) {
+      item = attrs[idx];
+      value = hash[item.dataKey];
+      if (SC.none(value)) continue;
+
+      // computed record types can not be related without the record
+      relatedType = item.attr.get('typeClass');
+      if (SC.typeOf(relatedType) !== SC.T_CLASS) continue;
+
+      ret.push({
+        attr: item.attr,
+        key: item.key,
+        storeKeys: this._scst_relatedStoreKeys(relatedType, value)
+      });
+    }
+
+    return ret;
+  },
+
+  /** @private
+    Returns the toOne and toMany attributes of the record type that have an
+    `inverse` or a `destroyRule`, each with its key and the key used in the
+    data hash.  The list is built once per record type.
+  */
+  _scst_relationshipAttributesFor: function(recordType) {
+    var cache = this._scst_relationshipAttributes,
+        guid = SC.guidFor(recordType),
+        proto, ret, key, attr;
+
+    if (!cache) cache = this._scst_relationshipAttributes = {};
+    if (cache[guid]) return cache[guid];
+
+    proto = recordType.prototype;
+    ret = cache[guid] = [];
+
+    for (key in proto) {
+      attr = proto[key];
+      if (!attr || !attr.isRecordAttribute) continue;
+      if (!attr.kindOf(SC.SingleAttribute) && !attr.kindOf(SC.ManyAttribute)) continue;
+      if (!attr.get('inverse') && !attr.get('destroyRule')) continue;
+
+      ret.push({ attr: attr, key: key, dataKey: attr.get('key') || key });
+    }
+
+    return ret;
+  },
+
+  /** @private
+    Returns the store keys of the related records for the id or ids found in
+    a relationship.
+  */
+  _scst_relatedStoreKeys: function(relatedType, value) {
+    return SC.A(value).map(function(id) {
+      return this._scst_storeKeyForRelatedId(relatedType, id);
+    }, this);
+  },
+
+  /** @private
+    Returns the store key for an id found in a relationship, including the
+    placeholder ids that `SC.ManyArray` uses for new records.
+  */
+  _scst_storeKeyForRelatedId: function(recordType, id) {
+    if (typeof id === SC.T_STRING && id.indexOf('_sc_id_placeholder_') === 0) {
+      return parseInt(id.slice(19), 10);
+    }
+    return recordType.storeKeyFor(id);
+  },
+
+  /** @private
+    Throws `SC.Record.DESTROY_DENIED_ERROR` if destroying the record, along
+    with the records its `cascade` rules would destroy, is refused by a `deny`
+    rule.  Throws `SC.Record.BUSY_ERROR` if one of the cascaded records is
+    busy.
+  */
+  _scst_checkDestroyRules: function(storeKey) {
+    var destroying = {}, pending = [storeKey], key, rels, idx;
+
+    // collect the records that will be destroyed
+    while (pending.length) {
+      key = pending.pop();
+      if (destroying[key]) continue;
+      destroying[key] = YES;
+
+      rels = this._scst_relationshipsFor(key);
+      for (idx = 0; idx < rels.length; idx++) {
+        this._scst_collectCascaded(rels[idx], pending);
+      }
+    }
+
+    // refuse if any of them still has related records through a deny rule
+    for (key in destroying) {
+      if (!destroying.hasOwnProperty(key)) continue;
+
+      rels = this._scst_relationshipsFor(parseInt(key, 10));
+      for (idx = 0; idx < rels.length; idx++) {
+        this._scst_checkDenied(rels[idx], destroying);
+      }
+    }
+  },
+
+  /** @private
+    Adds the ready records that a `cascade` relationship would destroy to
+    `pending`.  Throws `SC.Record.BUSY_ERROR` if one of them is busy.
+  */
+  _scst_collectCascaded: function(rel, pending) {
+    var K = SC.Record;
+    if (rel.attr.get('destroyRule') !== 'cascade') return;
+
+    rel.storeKeys.forEach(function(relatedKey) {
+      var status = this.readStatus(relatedKey);
+      if (status & K.BUSY) K.BUSY_ERROR.throw();
+      if (status & K.READY) pending.push(relatedKey);
+    }, this);
+  },
+
+  /** @private
+    Throws `SC.Record.DESTROY_DENIED_ERROR` if a `deny` relationship still
+    points to a record that is neither destroyed nor being destroyed.
+  */
+  _scst_checkDenied: function(rel, destroying) {
+    var K = SC.Record;
+    if (rel.attr.get('destroyRule') !== 'deny') return;
+
+    rel.storeKeys.forEach(function(relatedKey) {
+      if (!destroying[relatedKey] && !(this.readStatus(relatedKey) & K.DESTROYED)) {
+        K.DESTROY_DENIED_ERROR.throw();
+      }
+    }, this);
+  },
+
+  /** @private
+    Applies the destroy rules of a destroyed record to its related records:
+    `cascade` destroys them and `nullify` removes the record from the inverse
+    side of the relationship.
+  */
+  _scst_applyDestroyRules: function(storeKey, relationships) {
+    var K = SC.Record;
+
+    relationships.forEach(function(rel) {
+      var rule = rel.attr.get('destroyRule'),
+          inverseKey = rel.attr.get('inverse');
+
+      rel.storeKeys.forEach(function(relatedKey) {
+        if (!(this.readStatus(relatedKey) & K.READY)) return;
+
+        if (rule === 'cascade') {
+          var wasCascading = this._scst_isCascading;
+          this._scst_isCascading = YES;
+          try {
+            this.destroyRecord(undefined, undefined, relatedKey);
+          } finally {
+            this._scst_isCascading = wasCascading;
+          }
+        } else if (rule === 'nullify' && inverseKey) {
+          this._scst_removeFromInverse(storeKey, relatedKey, inverseKey);
+        }
+      }, this);
+    }, this);
+  },
+
+  /** @private
+    Adds a new record to the inverse side of each of its relationships.  Also
+    called when the new record gets its id, to replace its placeholder id.
+  */
+  _scst_addToInverses: function(storeKey, isLoaded) {
+    this._scst_relationshipsFor(storeKey).forEach(function(rel) {
+      var inverseKey = rel.attr.get('inverse');
+      if (!inverseKey) return;
+
+      rel.storeKeys.forEach(function(relatedKey) {
+        this._scst_addToInverse(storeKey, relatedKey, inverseKey, isLoaded);
+      }, this);
+    }, this);
+  },
+
+  /** @private
+    Adds the record with `storeKey` to the relationship `inverseKey` of the
+    related record.  If the inverse is a toOne relationship that pointed to
+    another record, that record loses the related record in turn.
+
+    A record without an id yet is added to a toMany relationship with the
+    same placeholder id that `SC.ManyArray` uses, and to a toOne relationship
+    once it gets its id.
+  */
+  _scst_addToInverse: function(storeKey, relatedKey, inverseKey, isLoaded) {
+    var inverseAttr = this._scst_inverseAttributeFor(relatedKey, inverseKey),
+        id = this.idFor(storeKey),
+        placeholder = '_sc_id_placeholder_' + storeKey,
+        hash, hashKey, value, idx, oldKey;
+
+    if (!inverseAttr || !(this.readStatus(relatedKey) & SC.Record.READY)) return;
+
+    hashKey = inverseAttr.get('key') || inverseKey;
+    value = this.readDataHash(relatedKey)[hashKey];
+
+    if (inverseAttr.kindOf(SC.ManyAttribute)) {
+      value = SC.A(value);
+      idx = value.indexOf(placeholder);
+
+      if (SC.none(id)) {
+        if (idx >= 0 || !inverseAttr.get('supportNewRecords')) return;
+        value = value.concat(placeholder);
+      } else if (idx >= 0) {
+        value = value.slice();
+        if (value.indexOf(id) < 0) value[idx] = id;
+        else value.splice(idx, 1);
+      } else {
+        if (value.indexOf(id) >= 0) return;
+        value = value.concat(id);
+      }
+
+      hash = this.readEditableDataHash(relatedKey);
+      hash[hashKey] = value;
+
+    } else {
+      if (SC.none(id) || value === id) return;
+      hash = this.readEditableDataHash(relatedKey);
+      hash[hashKey] = id;
+
+      // the record the related record pointed to loses it
+      if (!SC.none(value) && inverseAttr.get('inverse')) {
+        oldKey = this._scst_storeKeyForRelatedId(inverseAttr.get('typeClass'), value);
+        this._scst_removeFromInverse(relatedKey, oldKey, inverseAttr.get('inverse'), isLoaded);
+      }
+    }
+
+    this._scst_inverseDidChange(relatedKey, inverseAttr, inverseKey, isLoaded);
+  },
+
+  /** @private
+    Removes the record with `storeKey` from the relationship `inverseKey` of
+    the related record.
+  */
+  _scst_removeFromInverse: function(storeKey, relatedKey, inverseKey, isLoaded) {
+    var inverseAttr = this._scst_inverseAttributeFor(relatedKey, inverseKey),
+        id = this.idFor(storeKey),
+        placeholder = '_sc_id_placeholder_' + storeKey,
+        hash, hashKey, value;
+
+    if (!inverseAttr || !(this.readStatus(relatedKey) & SC.Record.READY)) return;
+
+    hashKey = inverseAttr.get('key') || inverseKey;
+    value = this.readDataHash(relatedKey)[hashKey];
+
+    if (inverseAttr.kindOf(SC.ManyAttribute)) {
+      if (!value || (value.indexOf(id) < 0 && value.indexOf(placeholder) < 0)) return;
+      hash = this.readEditableDataHash(relatedKey);
+      hash[hashKey] = value.filter(function(relatedId) {
+        return relatedId !== id && relatedId !== placeholder;
+      });
+
+    } else {
+      if (SC.none(value) || (value !== id && value !== placeholder)) return;
+      hash = this.readEditableDataHash(relatedKey);
+      hash[hashKey] = null;
+    }
+
+    this._scst_inverseDidChange(relatedKey, inverseAttr, inverseKey, isLoaded);
+  },
+
+  /** @private
+    Returns the relationship attribute `inverseKey` of the related record.
+  */
+  _scst_inverseAttributeFor: function(relatedKey, inverseKey) {
+    var recordType = SC.Store.recordTypeFor(relatedKey),
+        attr = recordType ? recordType.prototype[inverseKey] : null;
+
+    if (!attr || !attr.isRecordAttribute) return null;
+    return (attr.kindOf(SC.SingleAttribute) || attr.kindOf(SC.ManyAttribute)) ? attr : null;
+  },
+
+  /** @private
+    Records the change to the inverse side of a relationship.  Like edits
+    made through the attribute, this only dirties the related record if the
+    inverse relationship is the master and the change does not come from
+    loaded data.
+  */
+  _scst_inverseDidChange: function(relatedKey, inverseAttr, inverseKey, isLoaded) {
+    // many arrays watch the data hash key, so notify everything if it differs
+    var key = (inverseAttr.get('key') || inverseKey) === inverseKey ? inverseKey : undefined;
+
+    if (inverseAttr.get('isMaster') && !isLoaded) {
+      this.recordDidChange(undefined, undefined, relatedKey, key);
+    } else {
+      this.dataHashDidChange(relatedKey, null, NO, key);
+    }
+  },
+
+  /** @private
+    Called when loaded or pushed data replaced the data hash of a record, with
+    the relationships of the previous data hash.  As with
+    `SC.RelationshipSupport`, the data of the master side of a relationship
+    is what counts, so the changes to the relationships that are the master
+    are mirrored onto the related records, without dirtying them.
+  */
+  _scst_relationshipsDidLoad: function(storeKey, previous) {
+    var current = this._scst_relationshipsFor(storeKey),
+        previousKeys = {}, currentKeys = {};
+
+    previous.forEach(function(rel) { previousKeys[rel.key] = rel.storeKeys; });
+    current.forEach(function(rel) { currentKeys[rel.key] = rel.storeKeys; });
+
+    // the related records the record no longer names lose it
+    previous.forEach(function(rel) {
+      var inverseKey = rel.attr.get('inverse'),
+          storeKeys = currentKeys[rel.key] || [];
+
+      if (!inverseKey || !rel.attr.get('isMaster')) return;
+      rel.storeKeys.forEach(function(relatedKey) {
+        if (storeKeys.indexOf(relatedKey) < 0) this._scst_removeFromInverse(storeKey, relatedKey, inverseKey, YES);
+      }, this);
+    }, this);
+
+    // and the ones it now names gain it
+    current.forEach(function(rel) {
+      var inverseKey = rel.attr.get('inverse'),
+          storeKeys = previousKeys[rel.key] || [];
+
+      if (!inverseKey || !rel.attr.get('isMaster')) return;
+      rel.storeKeys.forEach(function(relatedKey) {
+        if (storeKeys.indexOf(relatedKey) < 0) this._scst_addToInverse(storeKey, relatedKey, inverseKey, YES);
+      }, this);
+    }, this);
+  },
+
+  /** @private
+    Called when a record is unloaded.  The data hashes of the related records
+    are left alone, since the relationships still exist in the data source,
+    but materialized related records stop handing out the unloaded record.
+  */
+  _scst_relatedRecordsDidUnload: function(storeKey, relationships) {
+    relationships.forEach(function(rel) {
+      var inverseKey = rel.attr.get('inverse');
+      if (!inverseKey) return;
+
+      rel.storeKeys.forEach(function(relatedKey) {
+        var record = this.records[relatedKey],
+            inverseAttr = record ? this._scst_inverseAttributeFor(relatedKey, inverseKey) : null;
+
+        if (!inverseAttr) return;
+        if (inverseAttr.kindOf(SC.ManyAttribute)) {
+          record.get(inverseKey).recordDidUnload(storeKey);
+        } else {
+          record.notifyPropertyChange(inverseKey);
+        }
+      }, this);
+    }, this);
+  },
+
   // ..........................................................
   // DATA SOURCE CALLBACKS
   //
@@ -2324,6 +2914,10 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     @returns {SC.Store} receiver
   */
   dataSourceDidCancel: function(storeKey) {
+    //@if(debug)
+    if (this.get('historyIsActive')) this.get('history').pushCallback('dataSourceDidCancel', storeKey);
+    //@endif
+
     var status = this.readStatus(storeKey),
         K      = SC.Record;
 
@@ -2380,7 +2974,12 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     @returns {SC.Store} receiver
   */
   dataSourceDidComplete: function(storeKey, dataHash, newId) {
-    var status = this.readStatus(storeKey), K = SC.Record, statusOnly;
+    //@if(debug)
+    if (this.get('historyIsActive')) this.get('history').pushCallback('dataSourceDidComplete', storeKey, newId);
+    //@endif
+
+    var status = this.readStatus(storeKey), K = SC.Record, statusOnly,
+        relationships, isNew;
 
     // EMPTY, ERROR, READY_CLEAN, READY_NEW, READY_DIRTY, DESTROYED_CLEAN,
     // DESTROYED_DIRTY
@@ -2393,6 +2992,10 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
       K.BAD_STATE_ERROR.throw();
     } else status = K.READY_CLEAN;
 
+    // read the relationships before the data hash is replaced
+    relationships = dataHash ? this._scst_relationshipsFor(storeKey) : null;
+    isNew = newId && SC.none(this.idFor(storeKey));
+
     this.writeStatus(storeKey, status);
     if (dataHash) this.writeDataHash(storeKey, dataHash, status);
     if (newId) { SC.Store.replaceIdFor(storeKey, newId); }
@@ -2400,6 +3003,10 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     statusOnly = dataHash || newId ? NO : YES;
     this.dataHashDidChange(storeKey, null, statusOnly);
 
+    // the related records get the id of a new record and the loaded changes
+    if (isNew) this._scst_addToInverses(storeKey, YES);
+    if (relationships) this._scst_relationshipsDidLoad(storeKey, relationships);
+
     // Force record to refresh its cached properties based on store key
     var record = this.materializeRecord(storeKey);
     if (record !== null) {
@@ -2421,6 +3028,10 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     @returns {SC.Store} receiver
   */
   dataSourceDidDestroy: function(storeKey) {
+    //@if(debug)
+    if (this.get('historyIsActive')) this.get('history').pushCallback('dataSourceDidDestroy', storeKey);
+    //@endif
+
     var status = this.readStatus(storeKey), K = SC.Record;
 
     // EMPTY, ERROR, READY_CLEAN, READY_NEW, READY_DIRTY, DESTROYED_CLEAN,
@@ -2454,6 +3065,10 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     @returns {SC.Store} receiver
   */
   dataSourceDidError: function(storeKey, error) {
+    //@if(debug)
+    if (this.get('historyIsActive')) this.get('history').pushCallback('dataSourceDidError', storeKey, error);
+    //@endif
+
     var status = this.readStatus(storeKey), errors = this.recordErrors, K = SC.Record;
 
     // EMPTY, ERROR, READY_CLEAN, READY_NEW, READY_DIRTY, DESTROYED_CLEAN,
@@ -2490,6 +3105,9 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     Call by the data source whenever you want to push new data out of band
     into the store.
 
+    Changes to the relationships with an `inverse` that are the master are
+    mirrored onto the inverse side of the loaded related records.
+
     @param {Class} recordType the SC.Record subclass
     @param {Object} id the record id or null
     @param {Hash} dataHash data hash to load
@@ -2497,12 +3115,15 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     @returns {Number|Boolean} storeKey if push was allowed, NO if not
   */
   pushRetrieve: function(recordType, id, dataHash, storeKey) {
-    var K = SC.Record, status;
+    var K = SC.Record, status, relationships;
 
     if(storeKey===undefined) storeKey = recordType.storeKeyFor(id);
     status = this.readStatus(storeKey);
     if(status === K.EMPTY || status === K.ERROR || status === K.READY_CLEAN || status === K.DESTROYED_CLEAN) {
 
+      // read the relationships before the data hash is replaced
+      relationships = dataHash === undefined ? null : this._scst_relationshipsFor(storeKey);
+
       status = K.READY_CLEAN;
       if(dataHash === undefined) this.writeStatus(storeKey, status) ;
       else this.writeDataHash(storeKey, dataHash, status) ;
@@ -2516,6 +3137,9 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
       }
       this.dataHashDidChange(storeKey);
 
+      // mirror the pushed relationships onto the related records
+      if (relationships) this._scst_relationshipsDidLoad(storeKey, relationships);
+
       return storeKey;
     }
     //conflicted (ready)
@@ -2662,6 +3286,57 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     return this._scstore_dataSourceDidFetchQuery(query);
   },
 
+  /**
+    Called by your data source when it has loaded a range of the results of a
+    paged query (see `SC.Query#pageSize`).  Load the records into the store
+    first and pass the ordered store keys returned by `loadRecords()`, along
+    with the total number of results of the query,
+
+        storeKeys = store.loadRecords(MyApp.Message, body.messages);
+        store.dataSourceDidFetchRange(query, range, storeKeys, body.total);
+
+    If you leave out the total, the record array grows to fit the loaded
+    range but otherwise keeps its length.
+
+    @param {SC.Query} query The query you fetched
+    @param {Hash} range The range you were asked to load
+    @param {Array} storeKeys Ordered store keys of the records in the range
+    @param {Number} [length] The total number of results
+    @returns {SC.Store} receiver
+  */
+  dataSourceDidFetchRange: function (query, range, storeKeys, length) {
+    var recArray = this._findQuery(query, YES, NO);
+
+    recArray.storeDidFetchRange(range, storeKeys, length);
+
+    return this ;
+  },
+
+  /**
+    Called by your data source when it has computed the groups of a remote
+    query with `groupBy` or `aggregates` itself.  Each row is a hash with the
+    query's `groupBy` properties and `aggregates`, for example,
+
+        store.dataSourceDidFetchAggregates(query, [
+          { customer: 'Acme', count: 3, total: 1250 },
+          { customer: 'Initech', count: 1, total: 300 }
+        ]);
+
+    If you return the matching records with `dataSourceDidFetchQuery()`
+    instead, they are grouped in the client.
+
+    @param {SC.Query} query The query you fetched
+    @param {Array} rows The groups, in order
+    @returns {SC.Store} receiver
+  */
+  dataSourceDidFetchAggregates: function (query, rows) {
+    var aggArray = this._findAggregates(query, YES);
+
+    aggArray.storeDidFetchAggregates(rows);
+
+    return this._scstore_dataSourceDidFetchQuery(query);
+  },
+
   /** @private */
   _scstore_dataSourceDidFetchQuery: function (query) {
     var recArray     = this._findQuery(query, NO, NO),
@@ -2752,8 +3427,21 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
   init: function() {
     sc_super();
     this.reset();
+
+    //@if(debug)
+    this._historyIsActiveDidChange();
+    //@endif
   },
 
+  //@if(debug)
+  /** @private */
+  _historyIsActiveDidChange: function() {
+    if (this.get('historyIsActive') && SC.none(this.get('history'))) {
+      this.set('history', SC.StoreHistory.create({ store: this }));
+    }
+  }.observes('historyIsActive'),
+  //@endif
+
 
   toString: function() {
     // Include the name if the client has specified one.
@@ -2843,6 +3531,75 @@ SC.Store = SC.Object.extend( /** @scope SC.Store.prototype */ {
     return ret;
   },
 
+  /**
+    Returns the index of an attribute marked `indexed: YES`, or `null` if
+    the attribute is not indexed.  The index is built the first time you ask
+    for it and kept up to date whenever a data hash changes.
+
+    @param {SC.Record} recordType the record type
+    @param {String} key the attribute name
+    @returns {SC.StoreIndex} the index or null
+  */
+  indexFor: function(recordType, key) {
+    var attribute = recordType.prototype[key],
+        indexes = this._scst_indexes,
+        byKey, guid;
+
+    if (!attribute || !attribute.isRecordAttribute || !attribute.get('indexed')) return null;
+
+    if (!indexes) indexes = this._scst_indexes = {};
+    guid = SC.guidFor(recordType);
+    byKey = indexes[guid];
+    if (!byKey) byKey = indexes[guid] = {};
+
+    if (!byKey[key]) {
+      byKey[key] = SC.StoreIndex.create({ store: this, recordType: recordType, key: key });
+    }
+
+    return byKey[key];
+  },
+
+  /**
+    Returns the store keys of the records that can match a local query,
+    looked up in the index for the query's `indexedCondition`, or `null` if
+    the query can not use an index.  Record arrays use this to avoid testing
+    every record of the type.
+
+    @param {SC.Query} query the query
+    @returns {Array} store keys or null
+  */
+  storeKeysForIndexedQuery: function(query) {
+    var condition = query.get('indexedCondition'),
+        recordType = query.get('recordType'),
+        index;
+
+    if (!condition) return null;
+    if (SC.typeOf(recordType) === SC.T_STRING) recordType = SC.objectForPropertyPath(recordType);
+
+    index = this.indexFor(recordType, condition.key);
+    return index ? index.storeKeysFor(condition.operator, condition.value) : null;
+  },
+
+  /** @private
+    Updates the indexes of the record type and its superclasses for a
+    changed record.
+  */
+  _updateIndexes: function(storeKey) {
+    var indexes = this._scst_indexes,
+        recordType = SC.Store.recordTypeFor(storeKey),
+        byKey, key;
+
+    while (recordType && recordType !== SC.Record) {
+      byKey = indexes[SC.guidFor(recordType)];
+      if (byKey) {
+        for (key in byKey) {
+          if (byKey.hasOwnProperty(key)) byKey[key].update(storeKey);
+        }
+      }
+      recordType = recordType.superclass;
+    }
+  },
+
   /**
     Finds all `storeKey`s in this store
     and returns an array.
@@ -0,0 +1,420 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+sc_require('models/record');
+
+/**
+  @class
+
+  Describes a record that was changed both in a nested store and in its
+  parent store after the nested store began editing it.
+
+  A conflict is created by `SC.NestedStore#mergeChanges()` with three
+  versions of the record's data hash:
+
+   - `baseDataHash`, the data hash when the nested store began editing it,
+   - `parentDataHash`, the current data hash in the parent store, and
+   - `childDataHash`, the data hash as edited in the nested store.
+
+  Each attribute is merged by comparing the three versions.  An attribute
+  that changed on only one side takes the changed value.  An attribute that
+  changed on both sides to different values is listed in `conflictingKeys`
+  and must be resolved with `resolve()`, `resolveWithParent()` or
+  `resolveWithChild()` before the conflict can be applied:
+
+      var conflicts = nestedStore.mergeChanges();
+
+      conflicts.forEach(function(conflict) {
+        conflict.get('conflictingKeys').forEach(function(key) {
+          // keep the edits the user made in the nested store
+          conflict.resolveWithChild(key);
+        });
+        nestedStore.resolveConflict(conflict);
+      });
+
+      nestedStore.commitChanges();
+
+  If the record was destroyed on one side and edited on the other,
+  `isDestroyConflict` is `YES` and the record as a whole must be resolved by
+  calling `resolveWithParent()` or `resolveWithChild()` without a key.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.StoreConflict = SC.Object.extend(
+/** @scope SC.StoreConflict.prototype */ {
+
+  /**
+    Walk like a duck.
+
+    @type Boolean
+    @default YES
+  */
+  isStoreConflict: YES,
+
+  /**
+    The nested store the conflict was found in.
+
+    @type SC.NestedStore
+    @default null
+  */
+  store: null,
+
+  /**
+    The store key of the conflicting record.
+
+    @type Number
+    @default null
+  */
+  storeKey: null,
+
+  /**
+    The data hash of the record when the nested store began editing it.
+
+    @type Hash
+    @default null
+  */
+  baseDataHash: null,
+
+  /**
+    The data hash of the record in the parent store.
+
+    @type Hash
+    @default null
+  */
+  parentDataHash: null,
+
+  /**
+    The data hash of the record in the nested store.
+
+    @type Hash
+    @default null
+  */
+  childDataHash: null,
+
+  /**
+    The status of the record in the parent store.
+
+    @type Number
+    @default null
+  */
+  parentStatus: null,
+
+  /**
+    The status of the record in the nested store.
+
+    @type Number
+    @default null
+  */
+  childStatus: null,
+
+  /**
+    YES if the record was destroyed on one side and not on the other.
+
+    @type Boolean
+    @default NO
+  */
+  isDestroyConflict: NO,
+
+  /**
+    The attributes that were changed to different values in the parent and
+    nested stores.
+
+    @type Array
+    @default []
+  */
+  conflictingKeys: null,
+
+  /**
+    The data hash with the changes of both stores merged.  Conflicting
+    attributes have the nested store's value until they are resolved.
+
+    @type Hash
+    @default null
+  */
+  mergedDataHash: null,
+
+  /**
+    The record type of the conflicting record.
+
+    @field
+    @type SC.Record
+  */
+  recordType: function() {
+    return SC.Store.recordTypeFor(this.get('storeKey'));
+  }.property('storeKey').cacheable(),
+
+  /**
+    The id of the conflicting record.
+
+    @field
+    @type String
+  */
+  id: function() {
+    return SC.Store.idFor(this.get('storeKey'));
+  }.property('storeKey').cacheable(),
+
+  /**
+    The record instance in the nested store.
+
+    @field
+    @type SC.Record
+  */
+  record: function() {
+    return this.get('store').materializeRecord(this.get('storeKey'));
+  }.property('store', 'storeKey').cacheable(),
+
+  /**
+    The conflicting attributes that have not been resolved yet.
+
+    @field
+    @type Array
+  */
+  unresolvedKeys: function() {
+    var resolutions = this._scsc_resolutions;
+
+    return this.get('conflictingKeys').filter(function(key) {
+      return !resolutions.hasOwnProperty(key);
+    });
+  }.property('conflictingKeys').cacheable(),
+
+  /**
+    YES once every conflicting attribute, or the record as a whole for a
+    destroy conflict, has been resolved.
+
+    @field
+    @type Boolean
+  */
+  isResolved: function() {
+    if (this.get('isDestroyConflict')) return !!this._scsc_side;
+    return this.get('unresolvedKeys').length === 0;
+  }.property('unresolvedKeys', 'isDestroyConflict').cacheable(),
+
+  // ..........................................................
+  // RESOLVING
+  //
+
+  /**
+    Resolves a conflicting attribute with the passed value.
+
+    @param {String} key the attribute
+    @param {Object} value the value to use
+    @returns {SC.StoreConflict} receiver
+  */
+  resolve: function(key, value) {
+    this._scsc_resolutions[key] = value;
+    this.notifyPropertyChange('unresolvedKeys');
+    return this;
+  },
+
+  /**
+    Resolves a conflicting attribute with the value from the parent store.
+    If you do not pass a key, all unresolved attributes are resolved, or for
+    a destroy conflict, the record as a whole.
+
+    @param {String} key (optional) the attribute
+    @returns {SC.StoreConflict} receiver
+  */
+  resolveWithParent: function(key) {
+    return this._scsc_resolveWith(SC.StoreConflict.PARENT, key);
+  },
+
+  /**
+    Resolves a conflicting attribute with the value from the nested store.
+    If you do not pass a key, all unresolved attributes are resolved, or for
+    a destroy conflict, the record as a whole.
+
+    @param {String} key (optional) the attribute
+    @returns {SC.StoreConflict} receiver
+  */
+  resolveWithChild: function(key) {
+    return this._scsc_resolveWith(SC.StoreConflict.CHILD, key);
+  },
+
+  /** @private */
+  _scsc_resolveWith: function(side, key) {
+    var hash = (side === SC.StoreConflict.PARENT) ? this.get('parentDataHash') : this.get('childDataHash'),
+        keys, idx, len;
+
+    if (key !== undefined) return this.resolve(key, hash ? hash[key] : undefined);
+
+    if (this.get('isDestroyConflict')) {
+      this._scsc_side = side;
+      this.notifyPropertyChange('isResolved');
+      return this;
+    }
+
+    keys = this.get('unresolvedKeys');
+    for (idx = 0, len = keys.length; idx < len; idx++) {
+      this._scsc_resolutions[keys[idx]] = hash ? hash[keys[idx]] : undefined;
+    }
+    this.notifyPropertyChange('unresolvedKeys');
+
+    return this;
+  },
+
+  /**
+    Returns the data hash to write to the nested store once the conflict is
+    resolved.
+
+    @returns {Hash} the resolved data hash
+  */
+  resolvedDataHash: function() {
+    var resolutions = this._scsc_resolutions,
+        ret, key;
+
+    if (this.get('isDestroyConflict')) {
+      ret = (this._scsc_side === SC.StoreConflict.PARENT) ? this.get('parentDataHash') : this.get('childDataHash');
+      return ret ? SC.clone(ret, YES) : ret;
+    }
+
+    ret = SC.clone(this.get('mergedDataHash'), YES);
+    for (key in resolutions) {
+      if (!resolutions.hasOwnProperty(key)) continue;
+      if (resolutions[key] === undefined) delete ret[key];
+      else ret[key] = resolutions[key];
+    }
+
+    return ret;
+  },
+
+  /**
+    Returns the status to write to the nested store once the conflict is
+    resolved.
+
+    @returns {Number} the resolved status
+  */
+  resolvedStatus: function() {
+    if (this.get('isDestroyConflict') && this._scsc_side === SC.StoreConflict.PARENT) {
+      return this.get('parentStatus');
+    }
+    return this.get('childStatus');
+  },
+
+  // ..........................................................
+  // MERGING
+  //
+
+  /**
+    Returns YES if two attribute values are equal.  The default
+    implementation compares arrays and hashes by their contents.  Override
+    this to customize how attributes are compared.
+
+    @param {Object} a the first value
+    @param {Object} b the second value
+    @param {String} key the attribute being compared
+    @returns {Boolean}
+  */
+  isEqualValue: function(a, b, key) {
+    var typeA, idx, len, k;
+
+    if (a === b) return YES;
+
+    typeA = SC.typeOf(a);
+    if (typeA !== SC.typeOf(b)) return NO;
+
+    if (typeA === SC.T_ARRAY) {
+      if (a.length !== b.length) return NO;
+      for (idx = 0, len = a.length; idx < len; idx++) {
+        if (!this.isEqualValue(a[idx], b[idx], key)) return NO;
+      }
+      return YES;
+    }
+
+    if (typeA === SC.T_HASH) {
+      for (k in a) {
+        if (a.hasOwnProperty(k) && !this.isEqualValue(a[k], b[k], key)) return NO;
+      }
+      for (k in b) {
+        if (b.hasOwnProperty(k) && !a.hasOwnProperty(k) && b[k] !== undefined) return NO;
+      }
+      return YES;
+    }
+
+    return SC.isEqual(a, b);
+  },
+
+  /** @private
+    Performs the three-way merge.
+  */
+  _scsc_merge: function() {
+    var K = SC.Record,
+        base = this.get('baseDataHash') || {},
+        parent = this.get('parentDataHash'),
+        child = this.get('childDataHash'),
+        parentDestroyed = !!(this.get('parentStatus') & K.DESTROYED),
+        childDestroyed = !!(this.get('childStatus') & K.DESTROYED),
+        conflictingKeys = [],
+        merged = {},
+        keys = {},
+        key, b, p, c;
+
+    if (parentDestroyed !== childDestroyed) {
+      this.set('isDestroyConflict', YES);
+      this.set('conflictingKeys', conflictingKeys);
+      return;
+    }
+
+    parent = parent || {};
+    child = child || {};
+
+    for (key in base) { if (base.hasOwnProperty(key)) keys[key] = YES; }
+    for (key in parent) { if (parent.hasOwnProperty(key)) keys[key] = YES; }
+    for (key in child) { if (child.hasOwnProperty(key)) keys[key] = YES; }
+
+    for (key in keys) {
+      if (!keys.hasOwnProperty(key)) continue;
+      b = base[key];
+      p = parent[key];
+      c = child[key];
+
+      if (this.isEqualValue(p, c, key) || this.isEqualValue(p, b, key)) {
+        // unchanged in the parent, or changed the same way on both sides
+        if (c !== undefined) merged[key] = c;
+      } else if (this.isEqualValue(c, b, key)) {
+        // only changed in the parent
+        if (p !== undefined) merged[key] = p;
+      } else {
+        conflictingKeys.push(key);
+        if (c !== undefined) merged[key] = c;
+      }
+    }
+
+    this.set('conflictingKeys', conflictingKeys);
+    this.set('mergedDataHash', merged);
+  },
+
+  /** @private */
+  init: function() {
+    sc_super();
+    this._scsc_resolutions = {};
+    this._scsc_side = null;
+    this._scsc_merge();
+  }
+
+});
+
+SC.StoreConflict.mixin(
+/** @scope SC.StoreConflict */ {
+
+  /**
+    Resolution that keeps the parent store's version.
+
+    @type String
+    @constant
+  */
+  PARENT: 'parent',
+
+  /**
+    Resolution that keeps the nested store's version.
+
+    @type String
+    @constant
+  */
+  CHILD: 'child'
+
+});
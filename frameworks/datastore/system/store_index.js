@@ -0,0 +1,366 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+sc_require('models/record');
+
+/**
+  @class
+
+  A store index maps the values of one record attribute to the store keys
+  of the records with that value.  Local queries use indexes to find the
+  records that can match a condition without testing every record of the
+  type.
+
+  You do not create indexes yourself.  Mark the attribute as indexed and
+  the store builds the index the first time a query needs it, then keeps it
+  up to date whenever a data hash changes:
+
+      MyApp.Contact = SC.Record.extend({
+        lastName: SC.Record.attr(String, { indexed: YES })
+      });
+
+      MyApp.store.find(SC.Query.local(MyApp.Contact, "lastName BEGINS_WITH 'Mc'"));
+
+  Indexes support the `=`, `ANY`, `BEGINS_WITH`, `<`, `<=`, `>` and `>=`
+  operators.  Values are indexed as the attribute returns them, so String,
+  Number and Boolean attributes and `toOne` relationships work best.  The
+  records found in an index are always tested against the full query, so an
+  index never changes the results of a query, only how fast it runs.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.StoreIndex = SC.Object.extend(
+/** @scope SC.StoreIndex.prototype */ {
+
+  /**
+    Walk like a duck.
+
+    @type Boolean
+    @default YES
+  */
+  isStoreIndex: YES,
+
+  /**
+    The store that maintains the index.
+
+    @type SC.Store
+    @default null
+  */
+  store: null,
+
+  /**
+    The indexed record type.  Records of its subclasses are indexed too.
+
+    @type SC.Record
+    @default null
+  */
+  recordType: null,
+
+  /**
+    The name of the indexed attribute on the record type.
+
+    @type String
+    @default null
+  */
+  key: null,
+
+  /**
+    The indexed attribute.
+
+    @field
+    @type SC.RecordAttribute
+  */
+  attribute: function() {
+    return this.get('recordType').prototype[this.get('key')];
+  }.property('recordType', 'key').cacheable(),
+
+  /**
+    The number of indexed records.
+
+    @field
+    @type Number
+  */
+  length: function() {
+    return this._scsi_length;
+  }.property(),
+
+  /**
+    The distinct values in the index that are not null, in order.
+
+    @field
+    @type Array
+  */
+  values: function() {
+    return this._scsi_values.slice();
+  }.property(),
+
+  // ..........................................................
+  // LOOKUPS
+  //
+
+  /**
+    Returns the store keys of the records whose value can match the passed
+    condition, or null if the operator is not supported.
+
+    @param {String} operator the query operator, such as `'='`
+    @param {Object} value the value on the right side of the condition
+    @returns {Array} store keys or null
+  */
+  storeKeysFor: function(operator, value) {
+    var values = this._scsi_values,
+        ret, idx, len, start, end;
+
+    switch (operator) {
+    case '=':
+      return this._scsi_storeKeysForValues([this.normalize(value)]);
+
+    case 'ANY':
+      if (!value || !value.map) return null;
+      return this._scsi_storeKeysForValues(value.map(this.normalize, this));
+
+    case 'BEGINS_WITH':
+      value = this.normalize(value);
+      if (SC.typeOf(value) !== SC.T_STRING) return null;
+
+      // SC.compare ignores case for strings, so the values with a prefix are
+      // only next to each other in code unit order
+      values = this._scsi_strings;
+      ret = [];
+      for (idx = this._scsi_stringSearch(value), len = values.length; idx < len; idx++) {
+        if (values[idx].indexOf(value) !== 0) break;
+        ret.push(values[idx]);
+      }
+      return this._scsi_storeKeysForValues(ret);
+
+    case '<':
+    case '<=':
+    case '>':
+    case '>=':
+      value = this.normalize(value);
+      if (SC.none(value)) return null;
+
+      if (operator.charAt(0) === '<') {
+        start = 0;
+        end = this._scsi_search(value, operator === '<=');
+      } else {
+        start = this._scsi_search(value, operator === '>');
+        end = values.length;
+      }
+      return this._scsi_storeKeysForValues(values.slice(start, end));
+    }
+
+    return null;
+  },
+
+  /**
+    Converts a value the way the attribute converts the values in the data
+    hash, so that it can be looked up in the index.
+
+    @param {Object} value the value
+    @returns {Object} the indexed value
+  */
+  normalize: function(value) {
+    var attribute = this.get('attribute'),
+        type = attribute.get('typeClass');
+
+    if (SC.none(value)) return null;
+    if (type === String || type === Number || type === Boolean) {
+      return attribute.toType(null, this.get('key'), value);
+    }
+
+    return attribute.fromType(null, this.get('key'), value);
+  },
+
+  // ..........................................................
+  // MAINTENANCE
+  //
+
+  /**
+    Indexes every loaded record of the record type.
+
+    @returns {SC.StoreIndex} receiver
+  */
+  rebuild: function() {
+    var recordTypes = SC.CoreSet.create();
+
+    this._scsi_valueFor = {};
+    this._scsi_storeKeysByValue = {};
+    this._scsi_values = [];
+    this._scsi_strings = [];
+    this._scsi_length = 0;
+
+    function expand(recordType) {
+      recordTypes.add(recordType);
+      if (recordType.subclasses) recordType.subclasses.forEach(expand);
+    }
+    expand(this.get('recordType'));
+
+    this.get('store').storeKeysFor(recordTypes).forEach(this.update, this);
+
+    return this;
+  },
+
+  /**
+    Moves a record to the entry for its current value, or removes it if it
+    is empty or destroyed.  Called by the store whenever the data hash or
+    status of a record of the type changes.
+
+    @param {Number} storeKey the store key
+    @returns {SC.StoreIndex} receiver
+  */
+  update: function(storeKey) {
+    var valueFor = this._scsi_valueFor,
+        status = this.get('store').peekStatus(storeKey),
+        K = SC.Record,
+        isIndexed = valueFor.hasOwnProperty(storeKey),
+        value;
+
+    if ((status & K.EMPTY) || (status & K.DESTROYED) || status === K.BUSY_DESTROYING) {
+      if (isIndexed) this._scsi_remove(storeKey, valueFor[storeKey]);
+      return this;
+    }
+
+    value = this._scsi_valueForStoreKey(storeKey);
+    if (isIndexed) {
+      if (this._scsi_hash(value) === this._scsi_hash(valueFor[storeKey])) return this;
+      this._scsi_remove(storeKey, valueFor[storeKey]);
+    }
+    this._scsi_add(storeKey, value);
+
+    return this;
+  },
+
+  // ..........................................................
+  // INTERNAL SUPPORT
+  //
+
+  /** @private
+    Returns the indexed value of a record, applying the attribute's default
+    value and conversion.
+  */
+  _scsi_valueForStoreKey: function(storeKey) {
+    var store = this.get('store'),
+        attribute = this.get('attribute'),
+        key = this.get('key'),
+        dataHash = store.dataHashes[storeKey],
+        value = dataHash ? dataHash[attribute.get('key') || key] : null,
+        defaultValue, type;
+
+    if (SC.none(value)) {
+      // default values are in the attribute's output type, like query values
+      defaultValue = attribute.get('defaultValue');
+      if (typeof defaultValue === SC.T_FUNCTION) {
+        defaultValue = store.materializeRecord(storeKey).get(key);
+      }
+      return this.normalize(defaultValue);
+    }
+
+    type = attribute.get('typeClass');
+    if (type === String || type === Number || type === Boolean) {
+      value = attribute.toType(null, key, value);
+    }
+
+    return value;
+  },
+
+  /** @private */
+  _scsi_hash: function(value) {
+    return SC.none(value) ? '(null)' : SC.typeOf(value) + ':' + value;
+  },
+
+  /** @private */
+  _scsi_storeKeysForValues: function(values) {
+    var byValue = this._scsi_storeKeysByValue,
+        seen = {},
+        ret = [], idx, len, hash, storeKeys;
+
+    for (idx = 0, len = values.length; idx < len; idx++) {
+      hash = this._scsi_hash(values[idx]);
+      storeKeys = byValue[hash];
+      if (storeKeys && !seen[hash]) ret = ret.concat(storeKeys);
+      seen[hash] = YES;
+    }
+
+    return ret;
+  },
+
+  /** @private
+    Returns the position of the first value that is greater than or equal
+    to the passed value, or greater than it if `after` is YES.
+  */
+  _scsi_search: function(value, after) {
+    var values = this._scsi_values,
+        low = 0, high = values.length, mid, result;
+
+    while (low < high) {
+      mid = (low + high) >> 1;
+      result = SC.compare(values[mid], value);
+      if (result < 0 || (after && result === 0)) low = mid + 1;
+      else high = mid;
+    }
+
+    return low;
+  },
+
+  /** @private
+    Returns the position of the first string value that is greater than or
+    equal to the passed string, in code unit order.
+  */
+  _scsi_stringSearch: function(value) {
+    var strings = this._scsi_strings,
+        low = 0, high = strings.length, mid;
+
+    while (low < high) {
+      mid = (low + high) >> 1;
+      if (strings[mid] < value) low = mid + 1;
+      else high = mid;
+    }
+
+    return low;
+  },
+
+  /** @private */
+  _scsi_add: function(storeKey, value) {
+    var hash = this._scsi_hash(value),
+        byValue = this._scsi_storeKeysByValue;
+
+    if (!byValue[hash]) {
+      byValue[hash] = [];
+      if (!SC.none(value)) this._scsi_values.splice(this._scsi_search(value, NO), 0, value);
+      if (SC.typeOf(value) === SC.T_STRING) this._scsi_strings.splice(this._scsi_stringSearch(value), 0, value);
+    }
+
+    byValue[hash].push(storeKey);
+    this._scsi_valueFor[storeKey] = value;
+    this._scsi_length++;
+  },
+
+  /** @private */
+  _scsi_remove: function(storeKey, value) {
+    var hash = this._scsi_hash(value),
+        byValue = this._scsi_storeKeysByValue,
+        storeKeys = byValue[hash];
+
+    storeKeys.splice(storeKeys.indexOf(storeKey), 1);
+    if (!storeKeys.length) {
+      delete byValue[hash];
+      if (!SC.none(value)) this._scsi_values.splice(this._scsi_search(value, NO), 1);
+      if (SC.typeOf(value) === SC.T_STRING) this._scsi_strings.splice(this._scsi_stringSearch(value), 1);
+    }
+
+    delete this._scsi_valueFor[storeKey];
+    this._scsi_length--;
+  },
+
+  /** @private */
+  init: function() {
+    sc_super();
+    this.rebuild();
+  }
+
+});
@@ -0,0 +1,487 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+//            Portions ©2008-2011 Apple Inc. All rights reserved.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+sc_require('models/record');
+sc_require('system/store_conflict');
+
+/** @class
+
+  Applies the changes that a server pushes over an `SC.WebSocket` to a store.
+
+  Each record type or query you subscribe to is a channel of an
+  `SC.WebSocketProtocol`.  The server sends patches on the channel and the
+  sync applies them with `pushRetrieve()`, `pushDestroy()` and `pushError()`:
+
+      MyApp.sync = SC.StoreSync.create({
+        store: MyApp.store,
+        protocol: SC.WebSocketProtocol.create({ webSocket: MyApp.webSocket })
+      });
+
+      MyApp.sync.subscribe(MyApp.Contact);
+      MyApp.sync.subscribe(SC.Query.local(MyApp.Message, {
+        conditions: 'folder = {folder}',
+        parameters: { folder: 'inbox' }
+      }));
+
+  ## Patches
+
+  The data of a channel message is a patch or an array of patches:
+
+    - `{ op: 'update', id: 3, data: { ... } }` loads the data hash of the
+      record.  With `partial: true`, `data` only has the changed attributes.
+    - `{ op: 'destroy', id: 3 }` destroys the record.
+    - `{ op: 'error', id: 3, error: 'Not allowed' }` puts the record in the
+      `ERROR` state.
+
+  Patches may have a `type`, the property path of the record type (for
+  instance `'MyApp.Contact'`), which defaults to the record type of the
+  subscription, and a `seq` number that increases with each patch of the
+  channel.  If `versionKey` is set, patches with an older version than the
+  record are ignored.
+
+  ## Records Changed Locally
+
+  The server can not change a record that has local changes, or that is
+  being committed, without losing them.  With the default `DEFER` policy, the
+  patches for such a record are kept until it is clean again, once it is
+  committed or its changes are discarded.  With the `MERGE` policy, the
+  changes of the server are merged right away into the records that have
+  local changes: the attributes that were changed on both sides keep their
+  local value.  The sync only knows which attributes were changed locally for
+  records it has already received from the server, so the patches for other
+  records are deferred.  Patches for records being committed are always
+  deferred.
+
+  ## Reconnecting
+
+  The subscriptions are sent again whenever the web socket reconnects.  Since
+  patches may have been missed in the meantime, the sync then calls the
+  `resyncMethod` on the server for each channel with the `channel` and the
+  last `seq` received as `since`.  The server replies with an array of the
+  patches to apply.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.StoreSync = SC.Object.extend(
+/** @scope SC.StoreSync.prototype */ {
+
+  /**
+    The store to apply the patches to.
+
+    @type SC.Store
+    @default null
+  */
+  store: null,
+
+  /**
+    The protocol to receive the patches with.
+
+    @type SC.WebSocketProtocol
+    @default null
+  */
+  protocol: null,
+
+  /**
+    What to do with the patches for records that have local changes, either
+    `SC.StoreSync.DEFER` or `SC.StoreSync.MERGE`.
+
+    @type String
+    @default SC.StoreSync.DEFER
+  */
+  dirtyRecordPolicy: 'defer',
+
+  /**
+    The attribute with the version of the records, if they have one.  Patches
+    with a version that is not newer than the version of the record are
+    ignored.
+
+    @type String
+    @default null
+  */
+  versionKey: null,
+
+  /**
+    The method called on the server to get the patches missed while the web
+    socket was closed.
+
+    @type String
+    @default 'sync'
+  */
+  resyncMethod: 'sync',
+
+  /**
+    The number of records with patches waiting for their local changes to be
+    committed or discarded.
+
+    @type Number
+    @default 0
+  */
+  deferredCount: 0,
+
+  // ..........................................................
+  // METHODS
+  //
+
+  /**
+    Subscribes to the changes of a record type or of the records of a query.
+
+    @param {SC.Record|SC.Query} recordTypeOrQuery the record type or query
+    @param {String} channel the name of the channel (optional, see `channelFor()`)
+    @returns {SC.StoreSync} receiver
+  */
+  subscribe: function(recordTypeOrQuery, channel) {
+    var subscription;
+
+    if (this._scss_subscriptionFor(recordTypeOrQuery)) { return this; }
+
+    subscription = {
+      source: recordTypeOrQuery,
+      recordType: recordTypeOrQuery.isQuery ? recordTypeOrQuery.get('recordType') : recordTypeOrQuery,
+      channel: channel || this.channelFor(recordTypeOrQuery),
+      seq: null
+    };
+    subscription.action = function(protocol, data) { this._scss_didReceive(subscription, data); };
+
+    this._scss_subscriptions.push(subscription);
+    this.get('protocol').subscribe(subscription.channel, this, subscription.action);
+
+    return this;
+  },
+
+  /**
+    Stops receiving the changes of a record type or query.
+
+    @param {SC.Record|SC.Query} recordTypeOrQuery the record type or query
+    @returns {SC.StoreSync} receiver
+  */
+  unsubscribe: function(recordTypeOrQuery) {
+    var subscription = this._scss_subscriptionFor(recordTypeOrQuery);
+
+    if (subscription) {
+      this._scss_subscriptions.removeObject(subscription);
+      this.get('protocol').unsubscribe(subscription.channel, this, subscription.action);
+    }
+
+    return this;
+  },
+
+  /**
+    Returns the name of the channel of a record type or query.  The default
+    uses the name of the record type, followed for queries by the conditions
+    and the JSON encoded parameters, for instance
+    `'MyApp.Message?folder = {folder}&{"folder":"inbox"}'`.
+
+    @param {SC.Record|SC.Query} recordTypeOrQuery the record type or query
+    @returns {String} the name of the channel
+  */
+  channelFor: function(recordTypeOrQuery) {
+    var ret;
+
+    if (!recordTypeOrQuery.isQuery) { return recordTypeOrQuery.toString(); }
+
+    ret = "%@?%@".fmt(recordTypeOrQuery.get('recordType'), recordTypeOrQuery.get('conditions') || '');
+    if (recordTypeOrQuery.get('parameters')) { ret += '&' + SC.json.encode(recordTypeOrQuery.get('parameters')); }
+
+    return ret;
+  },
+
+  /**
+    Applies patches to the store, deferring or merging the ones for records
+    with local changes.
+
+    @param {Array|Hash} patches a patch or an array of patches
+    @param {SC.Record} recordType the record type of the patches without a `type`
+    @returns {SC.StoreSync} receiver
+  */
+  applyPatches: function(patches, recordType) {
+    (SC.isArray(patches) ? patches : [patches]).forEach(function(patch) { this._scss_applyPatch(patch, recordType); }, this);
+    return this;
+  },
+
+  /**
+    Asks the server for the patches missed by each subscription.  Called
+    when the web socket reconnects.
+
+    @returns {SC.StoreSync} receiver
+  */
+  resync: function() {
+    var protocol = this.get('protocol'),
+        method = this.get('resyncMethod');
+
+    this._scss_subscriptions.forEach(function(subscription) {
+      protocol.call(method, { channel: subscription.channel, since: subscription.seq }, this, function(protocol, patches, error) {
+        this._scss_didResync(subscription, patches, error);
+      });
+    }, this);
+
+    return this;
+  },
+
+  /**
+    Stops listening to the web socket and to the records with deferred
+    patches, which are forgotten.
+  */
+  destroy: function() {
+    var protocol = this.get('protocol'),
+        webSocket = protocol ? protocol.get('webSocket') : null,
+        listeners = webSocket ? webSocket.get('listeners') : null,
+        deferred = this._scss_deferred,
+        storeKey;
+
+    this._scss_subscriptions.slice().forEach(function(subscription) { this.unsubscribe(subscription.source); }, this);
+
+    for (storeKey in deferred) {
+      if (deferred.hasOwnProperty(storeKey)) { this._scss_stopDeferring(parseInt(storeKey, 10)); }
+    }
+
+    if (listeners && listeners.onopen) {
+      listeners.onopen = listeners.onopen.filter(function(listener) { return listener.target !== this; }, this);
+    }
+
+    return sc_super();
+  },
+
+  // ..........................................................
+  // PRIVATE
+  //
+
+  /** @private */
+  init: function() {
+    var webSocket = this.getPath('protocol.webSocket');
+
+    sc_super();
+
+    this._scss_subscriptions = [];
+    this._scss_deferred = {};
+    this._scss_baseHashes = {};
+
+    if (webSocket) {
+      this._scss_hasOpened = webSocket.get('isConnected') === true;
+      webSocket.notify('onopen', this, '_scss_webSocketDidOpen');
+    }
+  },
+
+  /** @private */
+  _scss_subscriptionFor: function(recordTypeOrQuery) {
+    return this._scss_subscriptions.find(function(subscription) {
+      return subscription.source === recordTypeOrQuery;
+    });
+  },
+
+  /** @private */
+  _scss_webSocketDidOpen: function() {
+    if (this._scss_hasOpened) { this.resync(); }
+    this._scss_hasOpened = YES;
+    return NO;
+  },
+
+  /** @private */
+  _scss_didReceive: function(subscription, data) {
+    var patches = SC.isArray(data) ? data : [data];
+
+    this.applyPatches(patches, subscription.recordType);
+    patches.forEach(function(patch) {
+      if (!SC.none(patch.seq) && (SC.none(subscription.seq) || patch.seq > subscription.seq)) { subscription.seq = patch.seq; }
+    });
+  },
+
+  /** @private */
+  _scss_didResync: function(subscription, patches, error) {
+    var query = subscription.source;
+
+    if (error) {
+      //@if(debug)
+      SC.warn("Developer Warning: SC.StoreSync could not resync the channel %@: %@".fmt(subscription.channel, error.get('message')));
+      //@endif
+      return;
+    }
+
+    if (patches) { this._scss_didReceive(subscription, patches); }
+
+    // the results of remote queries are only known by the server
+    if (query.isQuery && query.get('isRemote')) { this.get('store').refreshQuery(query); }
+  },
+
+  /** @private
+    Applies, merges or defers a patch depending on the status of its record.
+  */
+  _scss_applyPatch: function(patch, recordType) {
+    var K = SC.Record,
+        store = this.get('store'),
+        storeKey, status;
+
+    if (patch.type) { recordType = SC.objectForPropertyPath(patch.type); }
+
+    if (!recordType) {
+      //@if(debug)
+      SC.warn("Developer Warning: SC.StoreSync received a patch for an unknown record type: %@".fmt(patch.type));
+      //@endif
+      return;
+    }
+
+    storeKey = recordType.storeKeyFor(patch.id);
+    status = store.readStatus(storeKey);
+
+    if (this._scss_isStale(patch, storeKey)) { return; }
+
+    if (status === K.EMPTY || status === K.ERROR || status === K.READY_CLEAN || status === K.DESTROYED_CLEAN) {
+      this._scss_push(patch, recordType, storeKey, status);
+    } else if (!this._scss_merge(patch, storeKey, status)) {
+      this._scss_defer(patch, recordType, storeKey);
+    }
+  },
+
+  /** @private */
+  _scss_isStale: function(patch, storeKey) {
+    var versionKey = this.get('versionKey'),
+        hash = this.get('store').readDataHash(storeKey),
+        version = patch.data ? patch.data[versionKey] : undefined;
+
+    return !!versionKey && !!hash && !SC.none(version) && !SC.none(hash[versionKey]) && version <= hash[versionKey];
+  },
+
+  /** @private */
+  _scss_push: function(patch, recordType, storeKey, status) {
+    var store = this.get('store'),
+        hash;
+
+    switch (patch.op) {
+    case 'update':
+      // there is nothing to patch in a record that is not loaded.
+      if (patch.partial && status === SC.Record.EMPTY) { return; }
+
+      hash = patch.partial ? SC.merge(store.readDataHash(storeKey), patch.data) : SC.clone(patch.data, YES);
+      store.pushRetrieve(recordType, patch.id, hash, storeKey);
+      this._scss_baseHashes[storeKey] = SC.clone(hash, YES);
+      break;
+    case 'destroy':
+      store.pushDestroy(recordType, patch.id, storeKey);
+      delete this._scss_baseHashes[storeKey];
+      break;
+    case 'error':
+      store.pushError(recordType, patch.id, SC.$error(patch.error || "Record error", "Record"), storeKey);
+      break;
+    //@if(debug)
+    default:
+      SC.warn("Developer Warning: SC.StoreSync received an unknown patch: %@".fmt(patch.op));
+    //@endif
+    }
+  },
+
+  /** @private
+    Merges an update into a record with local changes.  Returns NO if the
+    patch must be deferred instead.
+  */
+  _scss_merge: function(patch, storeKey, status) {
+    var store = this.get('store'),
+        base = this._scss_baseHashes[storeKey],
+        serverHash, conflict, hash;
+
+    if (this.get('dirtyRecordPolicy') !== SC.StoreSync.MERGE) { return NO; }
+    if (status !== SC.Record.READY_DIRTY || patch.op !== 'update' || !base) { return NO; }
+
+    serverHash = patch.partial ? SC.merge(base, patch.data) : patch.data;
+    conflict = SC.StoreConflict.create({
+      store: store,
+      storeKey: storeKey,
+      baseDataHash: base,
+      parentDataHash: serverHash,
+      childDataHash: store.readDataHash(storeKey),
+      parentStatus: SC.Record.READY_CLEAN,
+      childStatus: status
+    });
+
+    // the local changes will be committed, so they win.
+    hash = conflict.resolveWithChild().resolvedDataHash();
+    conflict.destroy();
+
+    store.writeDataHash(storeKey, hash);
+    store.dataHashDidChange(storeKey);
+    this._scss_baseHashes[storeKey] = SC.clone(serverHash, YES);
+
+    return YES;
+  },
+
+  /** @private
+    Keeps a patch until its record is clean, combining it with the patches
+    already waiting.
+  */
+  _scss_defer: function(patch, recordType, storeKey) {
+    var deferred = this._scss_deferred,
+        pending = deferred[storeKey],
+        record;
+
+    if (pending && pending.patch.op === 'update' && patch.op === 'update' && patch.partial) {
+      patch = SC.merge(pending.patch, { data: SC.merge(pending.patch.data, patch.data) });
+    }
+
+    if (!pending) {
+      record = this.get('store').materializeRecord(storeKey);
+      record.addObserver('status', this, this._scss_recordStatusDidChange);
+      this.set('deferredCount', this.get('deferredCount') + 1);
+    }
+
+    deferred[storeKey] = { patch: patch, recordType: recordType };
+  },
+
+  /** @private */
+  _scss_stopDeferring: function(storeKey) {
+    var record = this.get('store').materializeRecord(storeKey),
+        pending = this._scss_deferred[storeKey];
+
+    delete this._scss_deferred[storeKey];
+    record.removeObserver('status', this, this._scss_recordStatusDidChange);
+    this.set('deferredCount', this.get('deferredCount') - 1);
+
+    return pending;
+  },
+
+  /** @private
+    Applies the deferred patch once the local changes of the record are
+    committed or discarded.
+  */
+  _scss_recordStatusDidChange: function(record) {
+    var K = SC.Record,
+        storeKey = record.get('storeKey'),
+        status = this.get('store').readStatus(storeKey),
+        pending;
+
+    if (!this._scss_deferred[storeKey] || (status & K.BUSY)) { return; }
+
+    pending = this._scss_stopDeferring(storeKey);
+
+    // the record was destroyed locally, an update would bring it back.
+    if (status === K.DESTROYED_CLEAN && pending.patch.op !== 'destroy') { return; }
+
+    this._scss_applyPatch(pending.patch, pending.recordType);
+  }
+
+});
+
+SC.StoreSync.mixin(
+/** @scope SC.StoreSync */ {
+
+  /**
+    Keeps the patches for records with local changes until the records are
+    clean.
+
+    @type String
+    @constant
+  */
+  DEFER: 'defer',
+
+  /**
+    Merges the patches into records with local changes, keeping the local
+    value of the attributes changed on both sides.
+
+    @type String
+    @constant
+  */
+  MERGE: 'merge'
+
+});
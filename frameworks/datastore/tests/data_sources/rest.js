@@ -0,0 +1,188 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Apple Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test Sample */
+
+var store, ds, requests, responses;
+
+module("SC.RESTDataSource", {
+  setup: function () {
+    SC.RunLoop.begin();
+
+    var Sample = (window.Sample = SC.Object.create());
+
+    Sample.Contact = SC.Record.extend({
+      name: SC.Record.attr(String)
+    });
+
+    Sample.Note = SC.Record.extend({
+      primaryKey: 'noteId'
+    });
+
+    // Completes every request immediately with the next canned response.
+    Sample.CannedResponse = SC.Response.extend({
+      invokeTransport: function () {
+        var canned = responses.shift() || { status: 200, body: '' };
+
+        this.receive(function (proceed) {
+          if (!proceed) { return; }
+          if (canned.status >= 300) {
+            this.set('isError', YES);
+            this.set('errorObject', SC.$error("Failed", "Request", canned.status));
+          }
+          this.set('encodedBody', canned.body);
+          this.set('status', canned.status);
+        }, this);
+      }
+    });
+
+    requests = [];
+    responses = [];
+
+    ds = SC.RESTDataSource.create({
+      rootURL: '/api',
+
+      resources: {
+        'Sample.Contact': '/contacts',
+        'Sample.Note': '/notes'
+      },
+
+      createRequest: function (type, address) {
+        var request = sc_super();
+        request.set('responseClass', Sample.CannedResponse);
+        requests.push(request);
+        return request;
+      }
+    });
+
+    store = SC.Store.create().from(ds);
+  },
+
+  teardown: function () {
+    SC.RunLoop.end();
+    store = ds = requests = responses = null;
+  }
+});
+
+test("urlForRecordType() and urlForRecord()", function () {
+  var Sub = Sample.Contact.extend();
+
+  equals(ds.urlForRecordType(Sample.Contact), '/api/contacts', "mapped record type URL");
+  equals(ds.urlForRecordType(Sub), '/api/contacts', "subclasses use the closest mapped superclass");
+  equals(ds.urlForRecordType(SC.Record.extend()), null, "unmapped record types have no URL");
+  equals(ds.urlForRecord(Sample.Contact, 'a b'), '/api/contacts/a%20b', "record URLs escape the id");
+});
+
+test("encodeQueryParameters()", function () {
+  equals(ds.encodeQueryParameters({ q: 'a&b', page: 2, tags: ['x', 'y'], skip: null }),
+         'q=a%26b&page=2&tags=x&tags=y', "should encode values, expand arrays and skip nulls");
+});
+
+test("fetch() of a local query loads records", function () {
+  responses.push({ status: 200, body: '[{ "guid": "1", "name": "A" }, { "guid": "2", "name": "B" }]' });
+
+  var records = store.find(Sample.Contact);
+
+  equals(requests[0].get('type'), 'GET', "request type");
+  equals(requests[0].get('address'), '/api/contacts', "request address");
+  equals(records.get('status'), SC.Record.READY_CLEAN, "record array should be ready");
+  equals(records.get('length'), 2, "record array should contain the loaded records");
+  equals(store.find(Sample.Contact, '2').get('name'), 'B', "records should be loaded into the store");
+});
+
+test("fetch() of a remote query sends parameters and uses the ordered results", function () {
+  ds.set('recordsKey', 'contacts');
+  responses.push({ status: 200, body: '{ "contacts": [{ "guid": "9" }, { "guid": "3" }] }' });
+
+  var query = SC.Query.remote(Sample.Contact, { parameters: { name: 'A' } }),
+      records = store.find(query);
+
+  equals(requests[0].get('address'), '/api/contacts?name=A', "request address should include the parameters");
+  same(records.map(function (rec) { return rec.get('id'); }), ['9', '3'], "record array should use the server order");
+});
+
+test("fetch() errors put the query into an error state", function () {
+  responses.push({ status: 500, body: '' });
+
+  var records = store.find(Sample.Contact);
+
+  equals(records.get('status'), SC.Record.ERROR, "record array should be in error");
+  ok(store.readQueryError(records.get('query')), "query error should be recorded");
+});
+
+test("fetch() and retrieveRecord() are unhandled for unmapped record types", function () {
+  var Unmapped = SC.Record.extend();
+
+  ok(!ds.fetch(store, SC.Query.local(Unmapped)), "fetch should return NO");
+  ok(!ds.retrieveRecords(store, [Unmapped.storeKeyFor('1')], ['1']), "retrieveRecords should return NO");
+  equals(requests.length, 0, "no requests should be sent");
+});
+
+test("retrieveRecord() loads the record", function () {
+  responses.push({ status: 200, body: '{ "noteId": "n1", "text": "Hello" }' });
+
+  var note = store.find(Sample.Note, 'n1');
+
+  equals(requests[0].get('address'), '/api/notes/n1', "request address");
+  equals(note.get('status'), SC.Record.READY_CLEAN, "record should be ready");
+  equals(note.get('text'), 'Hello', "record should have the returned data");
+});
+
+test("createRecord() posts the record and maps the returned id", function () {
+  var contact = store.createRecord(Sample.Contact, { name: 'New' });
+
+  responses.push({ status: 201, body: '{ "guid": "42", "name": "New" }' });
+  store.commitRecords();
+
+  equals(requests[0].get('type'), 'POST', "request type");
+  equals(requests[0].get('address'), '/api/contacts', "request address");
+  equals(requests[0].get('body').name, 'New', "request body should be the record JSON");
+  equals(contact.get('status'), SC.Record.READY_CLEAN, "record should be ready");
+  equals(contact.get('id'), '42', "record should have the id returned by the server");
+});
+
+test("updateRecord() wraps the body with recordKey", function () {
+  ds.set('recordKey', 'contact');
+  store.loadRecord(Sample.Contact, { guid: '1', name: 'A' });
+
+  var contact = store.find(Sample.Contact, '1');
+  contact.set('name', 'B');
+
+  responses.push({ status: 204, body: '' });
+  store.commitRecords();
+
+  equals(requests[0].get('type'), 'PUT', "request type");
+  equals(requests[0].get('address'), '/api/contacts/1', "request address");
+  equals(requests[0].get('body').contact.name, 'B', "request body should be wrapped");
+  equals(contact.get('status'), SC.Record.READY_CLEAN, "record should be ready");
+  equals(contact.get('name'), 'B', "record should keep its data when the server returns none");
+});
+
+test("destroyRecord() deletes the record", function () {
+  store.loadRecord(Sample.Contact, { guid: '1', name: 'A' });
+
+  var contact = store.find(Sample.Contact, '1');
+  contact.destroy();
+
+  responses.push({ status: 204, body: '' });
+  store.commitRecords();
+
+  equals(requests[0].get('type'), 'DELETE', "request type");
+  equals(requests[0].get('address'), '/api/contacts/1', "request address");
+  equals(contact.get('status'), SC.Record.DESTROYED_CLEAN, "record should be destroyed");
+});
+
+test("errors put the record into an error state", function () {
+  store.loadRecord(Sample.Contact, { guid: '1', name: 'A' });
+
+  var contact = store.find(Sample.Contact, '1');
+  contact.set('name', 'B');
+
+  responses.push({ status: 422, body: '' });
+  store.commitRecords();
+
+  equals(contact.get('status'), SC.Record.ERROR, "record should be in error");
+  equals(store.readError(contact.get('storeKey')).get('errorValue'), 422, "record error should be recorded");
+});
@@ -0,0 +1,166 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Apple Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test DerivedTest */
+
+var store, order, dataSource, computed;
+
+window.DerivedTest = SC.Object.create();
+
+DerivedTest.LineItem = SC.Record.extend({
+  amount: SC.Record.attr(Number)
+});
+
+DerivedTest.Order = SC.Record.extend({
+  firstName: SC.Record.attr(String),
+  lastName: SC.Record.attr(String),
+  lineItems: SC.Record.toMany('DerivedTest.LineItem'),
+
+  fullName: SC.Record.derived(function(record) {
+    computed++;
+    return record.get('firstName') + ' ' + record.get('lastName');
+  }, { dependsOn: ['firstName', 'lastName'] }),
+
+  total: SC.Record.derived(function(record) {
+    return record.get('lineItems').reduce(function(sum, item) {
+      return sum + (item.get('amount') || 0);
+    }, 0);
+  }, { type: Number, dependsOn: ['lineItems.@each.amount'], isPersisted: YES, key: 'order_total' })
+});
+
+DerivedTest.SpecialOrder = DerivedTest.Order.extend({
+  label: SC.Record.derived(function(record) {
+    return record.get('fullName').toUpperCase();
+  }, { dependsOn: 'fullName' })
+});
+
+module("SC.DerivedAttribute", {
+  setup: function() {
+    SC.RunLoop.begin();
+    computed = 0;
+
+    dataSource = SC.DataSource.create({
+      commitRecords: function() { return YES; }
+    });
+
+    store = SC.Store.create().from(dataSource);
+    store.loadRecords(DerivedTest.LineItem, [{ guid: 'i1', amount: 10 }, { guid: 'i2', amount: 5 }, { guid: 'i3', amount: 7 }]);
+    store.loadRecords(DerivedTest.Order, [{ guid: 'o1', firstName: 'Ann', lastName: 'Lee', lineItems: ['i1', 'i2'] }]);
+    store.loadRecords(DerivedTest.SpecialOrder, [{ guid: 'o2', firstName: 'Bob', lastName: 'Ray', lineItems: [] }]);
+    order = store.find(DerivedTest.Order, 'o1');
+  },
+
+  teardown: function() {
+    SC.RunLoop.end();
+    store = order = dataSource = null;
+  }
+});
+
+test("computes the value", function() {
+  equals(order.get('fullName'), 'Ann Lee', "fullName");
+  equals(order.get('total'), 15, "total over a toMany relationship");
+});
+
+test("caches the value until a dependency changes", function() {
+  order.get('fullName');
+  order.get('fullName');
+  equals(computed, 1, "should compute only once");
+
+  order.set('lastName', 'Kim');
+  equals(order.get('fullName'), 'Ann Kim', "should recompute after a change");
+  equals(computed, 2, "should have computed again");
+});
+
+test("is invalidated by changes loaded into the store", function() {
+  var observed = 0;
+  order.addObserver('fullName', function() { observed++; });
+
+  order.get('fullName');
+  store.loadRecords(DerivedTest.Order, [{ guid: 'o1', firstName: 'Ada', lastName: 'Lee', lineItems: ['i1', 'i2'] }]);
+  store.flush();
+
+  ok(observed > 0, "observers should be notified");
+  equals(order.get('fullName'), 'Ada Lee', "should have the new value");
+});
+
+test("is invalidated by changes to related records", function() {
+  equals(order.get('total'), 15, "before");
+
+  store.find(DerivedTest.LineItem, 'i1').set('amount', 20);
+  store.flush();
+  equals(order.get('total'), 25, "after a related record changed");
+
+  order.get('lineItems').pushObject(store.find(DerivedTest.LineItem, 'i3'));
+  equals(order.get('total'), 32, "after a record was added to the relationship");
+
+  store.loadRecords(DerivedTest.LineItem, [{ guid: 'i2', amount: 1 }]);
+  store.flush();
+  equals(order.get('total'), 28, "after a related record was loaded from the data source");
+});
+
+test("stops observing related records when the record is unloaded", function() {
+  var item = store.find(DerivedTest.LineItem, 'i1'),
+      observed = 0;
+
+  order.get('total');
+  order.addObserver('total', function() { observed++; });
+
+  store.unloadRecord(null, null, order.get('storeKey'));
+  store.flush();
+  equals(order._scda_observers, null, "observers should be released");
+
+  observed = 0;
+  item.set('amount', 20);
+  store.flush();
+  equals(observed, 0, "unloaded record should not be notified of related changes");
+});
+
+test("stops observing related records when the record is destroyed", function() {
+  var item = store.find(DerivedTest.LineItem, 'i1'),
+      observed = 0;
+
+  order.get('total');
+  order.addObserver('total', function() { observed++; });
+
+  order.destroy();
+  store.flush();
+  equals(order._scda_observers, null, "observers should be released");
+
+  observed = 0;
+  item.set('amount', 20);
+  store.flush();
+  equals(observed, 0, "destroyed record should not be notified of related changes");
+});
+
+test("subclasses and derived attributes depending on each other", function() {
+  var special = store.find(DerivedTest.SpecialOrder, 'o2');
+
+  equals(special.get('label'), 'BOB RAY', "label");
+  special.set('firstName', 'Rob');
+  equals(special.get('label'), 'ROB RAY', "label should follow fullName");
+  equals(special.get('total'), 0, "inherited derived attribute");
+});
+
+test("derived attributes are read only", function() {
+  order.set('fullName', 'Someone Else');
+  equals(order.get('fullName'), 'Ann Lee', "value should not change");
+  equals(order.readAttribute('fullName'), undefined, "should not be written to the data hash");
+});
+
+test("persisted attributes are written to the data hash on commit", function() {
+  order.set('firstName', 'Ada');
+  order.commitRecord();
+
+  equals(order.readAttribute('order_total'), 15, "persisted attribute should use its key");
+  equals(order.readAttribute('fullName'), undefined, "attributes that are not persisted should not be written");
+  equals(order.get('status'), SC.Record.BUSY_COMMITTING, "record should be committed");
+});
+
+test("normalize() only writes persisted attributes", function() {
+  order.normalize();
+
+  equals(order.readAttribute('order_total'), 15, "persisted attribute");
+  equals(order.readAttribute('fullName'), undefined, "attribute that is not persisted");
+});
@@ -0,0 +1,110 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Apple Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test FetchedTest */
+
+var store, post, dataSource;
+
+window.FetchedTest = SC.Object.create();
+
+FetchedTest.Comment = SC.Record.extend();
+
+FetchedTest.Reply = SC.Record.extend();
+
+FetchedTest.Post = SC.Record.extend({
+  commentCount: SC.Record.fetch('FetchedTest.Comment', { isCount: YES }),
+  replyCount: SC.Record.fetch('FetchedTest.Comment', { isCount: YES, queryKey: 'FetchedTest.Reply' })
+});
+
+module("SC.FetchedAttribute counts", {
+  setup: function() {
+    SC.RunLoop.begin();
+
+    dataSource = SC.DataSource.create({
+      queries: null,
+      fetch: function(store, query) {
+        this.queries.push(query);
+        return YES;
+      }
+    });
+    dataSource.queries = [];
+
+    store = SC.Store.create().from(dataSource);
+    store.loadRecords(FetchedTest.Post, [{ guid: 'p1', commentCount: 'p1-comments' }]);
+    post = store.find(FetchedTest.Post, 'p1');
+  },
+
+  teardown: function() {
+    SC.RunLoop.end();
+    store = post = dataSource = null;
+  }
+});
+
+test("fetches the count lazily", function() {
+  var query;
+
+  equals(dataSource.queries.length, 0, "should not fetch before the attribute is used");
+  equals(post.get('commentCount'), null, "count should be null while loading");
+  equals(dataSource.queries.length, 1, "should fetch the count");
+
+  query = dataSource.queries[0];
+  ok(query.get('isRemote'), "query should be remote");
+  equals(query.get('recordType'), FetchedTest.Comment, "query recordType");
+  same(query.get('aggregates'), { count: 'COUNT(*)' }, "query aggregates");
+  equals(query.get('parameters').link, 'p1-comments', "link param");
+  equals(query.get('parameters').owner, post, "owner param");
+  equals(query.get('parameters').rel, 'commentCount', "rel param");
+
+  post.get('commentCount');
+  equals(dataSource.queries.length, 1, "should not fetch again");
+});
+
+test("notifies when the count arrives", function() {
+  var observed = 0;
+
+  post.get('commentCount');
+  post.addObserver('commentCount', function() { observed++; });
+
+  store.dataSourceDidFetchAggregates(dataSource.queries[0], [{ count: 42 }]);
+  ok(observed > 0, "observers should be notified");
+  equals(post.get('commentCount'), 42, "count");
+
+  store.dataSourceDidFetchAggregates(dataSource.queries[0], []);
+  equals(post.get('commentCount'), 0, "no groups should count as zero");
+});
+
+test("uses the query key as the record type", function() {
+  post.get('replyCount');
+  equals(dataSource.queries[0].get('recordType'), FetchedTest.Reply, "query recordType");
+});
+
+test("stops observing the count when the record is destroyed", function() {
+  var observed = 0, array;
+
+  post.get('commentCount');
+  array = post._scfa_counts.commentCount.array;
+  post.addObserver('commentCount', function() { observed++; });
+
+  post.destroy();
+  store.flush();
+  ok(array.get('isDestroyed'), "count array should be destroyed");
+
+  observed = 0;
+  array.notifyPropertyChange('[]');
+  equals(observed, 0, "record should not observe the count anymore");
+  equals(post.get('commentCount'), null, "destroyed record should not fetch the count again");
+  equals(dataSource.queries.length, 1, "should not fetch again");
+});
+
+test("stops observing the count when the record is unloaded", function() {
+  var array;
+
+  post.get('commentCount');
+  array = post._scfa_counts.commentCount.array;
+
+  store.unloadRecord(null, null, post.get('storeKey'));
+  ok(array.get('isDestroyed'), "count array should be destroyed");
+  equals(post._scfa_counts, null, "counts should be released");
+});
@@ -0,0 +1,189 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Apple Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test ValidationTest */
+
+var store, contact, dataSource;
+
+window.ValidationTest = SC.Object.create();
+
+ValidationTest.Tag = SC.Record.extend({
+  name: SC.Record.attr(String)
+});
+
+ValidationTest.Contact = SC.Record.extend({
+  name: SC.Record.attr(String, { isRequired: YES, errorLabel: 'Name' }),
+  age: SC.Record.attr(Number, { minimum: 0, maximum: 150 }),
+  code: SC.Record.attr(String, { minLength: 2, maxLength: 4, pattern: /^[A-Z]+$/ }),
+  email: SC.Record.attr(String, {
+    validator: SC.Object.create({
+      fieldValueForObject: function(object) { return object ? object.toLowerCase() : ''; },
+      validateSubmit: function(form, field) {
+        return field.get('fieldValue').indexOf('@') > 0 ? YES : SC.$error("Invalid email", field.get('errorLabel'));
+      }
+    })
+  }),
+  nickname: SC.Record.attr(String, {
+    validate: function(record, key, value) {
+      return value !== record.get('name') || "%@ must differ from the name".fmt(key);
+    }
+  }),
+  tags: SC.Record.toMany('ValidationTest.Tag', { maxLength: 2 })
+});
+
+module("SC.Record validation", {
+  setup: function() {
+    SC.RunLoop.begin();
+
+    dataSource = SC.DataSource.create({
+      committed: null,
+      commitRecords: function(store, createStoreKeys, updateStoreKeys, destroyStoreKeys, params) {
+        this.committed = createStoreKeys.concat(updateStoreKeys);
+        return YES;
+      }
+    });
+
+    store = SC.Store.create().from(dataSource);
+    store.loadRecords(ValidationTest.Tag, [{ guid: 't1' }, { guid: 't2' }, { guid: 't3' }]);
+    store.loadRecords(ValidationTest.Contact, [{ guid: '1', name: 'Ann', age: 30, code: 'AB', tags: ['t1'] }]);
+    contact = store.find(ValidationTest.Contact, '1');
+  },
+
+  teardown: function() {
+    SC.RunLoop.end();
+    store = contact = dataSource = null;
+  }
+});
+
+function errorFor(key) {
+  var errors = contact.get('validationErrors');
+  return errors ? errors[key] : null;
+}
+
+test("valid records", function() {
+  equals(contact.get('validationErrors'), null, "validationErrors should be null");
+  ok(contact.get('isValid'), "isValid should be YES");
+});
+
+test("isRequired", function() {
+  contact.set('name', null);
+  ok(errorFor('name').isError, "null should be an error");
+  equals(errorFor('name').get('message'), "Name is required", "error should use the errorLabel");
+  equals(errorFor('name').get('label'), "Name", "error label");
+
+  contact.set('name', '');
+  ok(errorFor('name'), "empty string should be an error");
+  ok(!contact.get('isValid'), "isValid should be NO");
+});
+
+test("missing values are only checked by isRequired", function() {
+  contact.set('age', null);
+  contact.set('code', null);
+  ok(contact.get('isValid'), "missing optional values should be valid");
+});
+
+test("minimum and maximum", function() {
+  contact.set('age', -1);
+  equals(errorFor('age').get('message'), "age must be at least 0", "minimum");
+  equals(errorFor('age').get('errorValue'), -1, "error should have the value");
+
+  contact.set('age', 151);
+  equals(errorFor('age').get('message'), "age must be at most 150", "maximum");
+
+  contact.set('age', 150);
+  equals(errorFor('age'), null, "values at the limit should be valid");
+});
+
+test("minLength, maxLength and pattern", function() {
+  contact.set('code', 'A');
+  equals(errorFor('code').get('message'), "code is too short (minimum is 2)", "minLength");
+
+  contact.set('code', 'ABCDE');
+  equals(errorFor('code').get('message'), "code is too long (maximum is 4)", "maxLength");
+
+  contact.set('code', 'ab');
+  equals(errorFor('code').get('message'), "code is invalid", "pattern");
+});
+
+test("toMany relationships", function() {
+  contact.get('tags').pushObjects([store.find(ValidationTest.Tag, 't2'), store.find(ValidationTest.Tag, 't3')]);
+  equals(errorFor('tags').get('message'), "tags is too long (maximum is 2)", "maxLength should check the number of records");
+
+  contact.get('tags').popObject();
+  equals(errorFor('tags'), null, "should be valid again");
+});
+
+test("validator", function() {
+  contact.set('email', 'ANN@EXAMPLE.COM');
+  equals(errorFor('email'), null, "validator should see the field value");
+
+  contact.set('email', 'ann');
+  equals(errorFor('email').get('message'), "Invalid email", "should return the validator's error");
+});
+
+test("custom validate function", function() {
+  contact.set('nickname', 'Annie');
+  equals(errorFor('nickname'), null, "valid value");
+
+  contact.set('nickname', 'Ann');
+  equals(errorFor('nickname').get('message'), "nickname must differ from the name", "string results should become errors");
+});
+
+test("observing isValid", function() {
+  var observed = 0;
+  contact.addObserver('isValid', function() { observed++; });
+
+  contact.set('age', -5);
+  store.flush();
+  ok(observed > 0, "isValid observers should fire when an attribute changes");
+  ok(!contact.get('isValid'), "isValid should be NO");
+});
+
+test("validationErrors is cached until an attribute changes", function() {
+  var errors = contact.get('validationErrors');
+
+  equals(contact.get('validationErrors'), errors, "should return the cached errors");
+
+  contact.set('age', -1);
+  equals(contact.get('validationErrors').age.get('message'), "age must be at least 0", "should validate again after a change");
+  ok(!contact.get('isValid'), "isValid should follow the errors");
+});
+
+test("subclasses validate their own attributes", function() {
+  var Special, special;
+
+  contact.get('validationErrors');
+  Special = ValidationTest.Contact.extend({
+    rank: SC.Record.attr(Number, { isRequired: YES })
+  });
+  special = store.createRecord(Special, { guid: '3', name: 'Cy' });
+
+  equals(special.get('validationErrors').rank.get('message'), "rank is required", "should validate the attribute of the subclass");
+  ok(!contact.get('validationErrors'), "superclass records should not have the attribute");
+});
+
+test("validatesOnCommit", function() {
+  var created = store.createRecord(ValidationTest.Contact, { guid: '2', name: 'Bob' });
+
+  contact.set('age', -1);
+  store.set('validatesOnCommit', YES);
+  store.commitRecords();
+
+  same(dataSource.committed, [created.get('storeKey')], "should only commit the valid record");
+  equals(contact.get('status'), SC.Record.READY_DIRTY, "refused record should stay dirty");
+  ok(store.changelog.contains(contact.get('storeKey')), "refused record should stay in the changelog");
+
+  contact.set('age', 1);
+  store.commitRecords();
+  same(dataSource.committed, [contact.get('storeKey')], "fixed record should be committed");
+  equals(contact.get('status'), SC.Record.BUSY_COMMITTING, "fixed record should be busy");
+});
+
+test("commitRecords() ignores validation by default", function() {
+  contact.set('age', -1);
+  store.commitRecords();
+
+  same(dataSource.committed, [contact.get('storeKey')], "invalid record should be committed");
+});
@@ -0,0 +1,188 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Apple Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test AggregateTest */
+
+var store, query, groups;
+
+window.AggregateTest = SC.Object.create();
+
+AggregateTest.Invoice = SC.Record.extend({
+  customer: SC.Record.attr(String),
+  amount: SC.Record.attr(Number),
+  isPaid: SC.Record.attr(Boolean)
+});
+
+module("SC.AggregateArray", {
+  setup: function () {
+    SC.RunLoop.begin();
+
+    store = SC.Store.create();
+    store.loadRecords(AggregateTest.Invoice, [
+      { guid: '1', customer: 'Initech', amount: 300, isPaid: NO },
+      { guid: '2', customer: 'Acme', amount: 100, isPaid: NO },
+      { guid: '3', customer: 'Acme', amount: 250, isPaid: YES },
+      { guid: '4', customer: 'Acme', amount: null, isPaid: NO }
+    ]);
+
+    query = SC.Query.local(AggregateTest.Invoice, {
+      groupBy: 'customer',
+      aggregates: { count: 'COUNT(*)', amounts: 'COUNT(amount)', total: 'SUM(amount)', average: 'AVG(amount)', smallest: 'MIN(amount)', largest: 'MAX(amount)' }
+    });
+    groups = store.find(query);
+  },
+
+  teardown: function () {
+    SC.RunLoop.end();
+    store = query = groups = null;
+  }
+});
+
+function groupValues(key) {
+  return groups.map(function (group) { return group.get(key); });
+}
+
+test("query properties", function () {
+  ok(query.get('isAggregate'), "query with groupBy should be an aggregate query");
+  ok(!SC.Query.local(AggregateTest.Invoice).get('isAggregate'), "plain query should not be an aggregate query");
+  same(SC.Query.local(AggregateTest.Invoice, { groupBy: 'customer, isPaid' }).get('groupKeys'), ['customer', 'isPaid'], "groupKeys should split a string");
+  same(query.copy().get('aggregates'), query.get('aggregates'), "copy should keep aggregates");
+  same(query.copy().get('groupBy'), 'customer', "copy should keep groupBy");
+
+  should_throw(function () {
+    SC.Query.local(AggregateTest.Invoice, { aggregates: { x: 'MEDIAN(amount)' } }).get('aggregateDefinitions');
+  }, null, "unknown aggregate functions should throw");
+});
+
+test("find() returns groups ordered by their values", function () {
+  ok(groups.isAggregateArray, "should return an aggregate array");
+  same(groupValues('customer'), ['Acme', 'Initech'], "groups");
+  equals(groups.get('status'), SC.Record.READY_CLEAN, "should be ready");
+  same(groupValues('count'), [3, 1], "COUNT(*)");
+  same(groupValues('amounts'), [2, 1], "COUNT(amount) should skip nulls");
+  same(groupValues('total'), [350, 300], "SUM");
+  same(groupValues('average'), [175, 300], "AVG should skip nulls");
+  same(groupValues('smallest'), [100, 300], "MIN");
+  same(groupValues('largest'), [250, 300], "MAX");
+  equals(groups.objectAt(1).get('storeKeys')[0], AggregateTest.Invoice.storeKeyFor('1'), "groups should have their store keys");
+  equals(store.find(query), groups, "find() should return the same aggregate array again");
+});
+
+test("conditions are applied before grouping", function () {
+  var unpaid = store.find(SC.Query.local(AggregateTest.Invoice, {
+    conditions: 'isPaid = NO',
+    groupBy: 'customer',
+    aggregates: { total: 'SUM(amount)' }
+  }));
+
+  same(unpaid.map(function (group) { return group.get('total'); }), [100, 300], "should only sum matching records");
+});
+
+test("aggregates without groupBy form a single group", function () {
+  var totals = store.find(SC.Query.local(AggregateTest.Invoice, { aggregates: { count: 'COUNT', total: 'SUM(amount)' } })),
+      none = store.find(SC.Query.local(AggregateTest.Invoice, { conditions: 'amount > 1000', aggregates: { count: 'COUNT' } }));
+
+  equals(totals.get('length'), 1, "should have one group");
+  equals(totals.objectAt(0).get('count'), 4, "COUNT");
+  equals(totals.objectAt(0).get('total'), 650, "SUM");
+  equals(none.get('length'), 1, "should have one group even without records");
+  equals(none.objectAt(0).get('count'), 0, "COUNT of no records");
+});
+
+test("changed records update only their groups", function () {
+  var acme = groups.objectAt(0),
+      initech = groups.objectAt(1),
+      arrayChanges = 0,
+      observer = SC.Object.create({ didChange: function () { arrayChanges++; } });
+
+  groups.addArrayObservers({ target: observer, willChange: function () {}, didChange: observer.didChange });
+
+  store.find(AggregateTest.Invoice, '1').set('amount', 500);
+  store.flush();
+
+  equals(initech.get('total'), 500, "changed group should be recomputed");
+  equals(acme.get('total'), 350, "other groups should be unchanged");
+  equals(groups.objectAt(1), initech, "group objects should be reused");
+  equals(arrayChanges, 0, "changing values should not change the array");
+
+  store.find(AggregateTest.Invoice, '3').set('customer', 'Initech');
+  store.flush();
+
+  same(groupValues('count'), [2, 2], "records should move between groups");
+  same(groupValues('total'), [100, 750], "both groups should be recomputed");
+
+  store.loadRecords(AggregateTest.Invoice, [{ guid: '5', customer: 'Globex', amount: 50 }]);
+  store.flush();
+
+  same(groupValues('customer'), ['Acme', 'Globex', 'Initech'], "new groups should be inserted in order");
+  equals(arrayChanges, 1, "adding a group should change the array");
+
+  store.find(AggregateTest.Invoice, '5').destroy();
+  store.flush();
+
+  same(groupValues('customer'), ['Acme', 'Initech'], "empty groups should be removed");
+  equals(arrayChanges, 2, "removing a group should change the array");
+});
+
+test("group aggregates are observable", function () {
+  var acme = groups.objectAt(0),
+      observed = null;
+
+  acme.addObserver('total', function () { observed = acme.get('total'); });
+
+  store.loadRecords(AggregateTest.Invoice, [{ guid: '6', customer: 'Acme', amount: 1 }]);
+  store.flush();
+
+  equals(observed, 351, "observers of the group should be notified");
+});
+
+test("registerAggregateFunction()", function () {
+  SC.Query.registerAggregateFunction('range', function (values) {
+    var numbers = values.filter(function (value) { return !SC.none(value); });
+    return Math.max.apply(Math, numbers) - Math.min.apply(Math, numbers);
+  });
+
+  var ranges = store.find(SC.Query.local(AggregateTest.Invoice, { groupBy: 'customer', aggregates: { range: 'RANGE(amount)' } }));
+
+  equals(ranges.objectAt(0).get('range'), 150, "should use the registered function");
+  ranges.destroy();
+  delete SC.Query.aggregateFunctions.RANGE;
+});
+
+test("remote queries are passed to the data source", function () {
+  var fetched = [],
+      remoteStore = SC.Store.create().from(SC.DataSource.create({
+        fetch: function (store, query) { fetched.push(query); return YES; }
+      })),
+      remoteQuery = SC.Query.remote(AggregateTest.Invoice, { groupBy: 'customer', aggregates: { total: 'SUM(amount)' } }),
+      remoteGroups = remoteStore.find(remoteQuery);
+
+  equals(fetched[0], remoteQuery, "data source should receive the query");
+  equals(remoteGroups.get('status'), SC.Record.BUSY_LOADING, "should be loading");
+  equals(remoteGroups.get('length'), 0, "should have no groups yet");
+
+  remoteStore.dataSourceDidFetchAggregates(remoteQuery, [{ customer: 'Acme', total: 10 }, { customer: 'Initech', total: 20 }]);
+
+  equals(remoteGroups.get('status'), SC.Record.READY_CLEAN, "should be ready");
+  same(remoteGroups.map(function (group) { return group.get('total'); }), [10, 20], "should use the rows from the data source");
+
+  var storeKeys = remoteStore.loadRecords(AggregateTest.Invoice, [
+    { guid: '1', customer: 'Acme', amount: 5 },
+    { guid: '2', customer: 'Acme', amount: 7 }
+  ]);
+  remoteStore.dataSourceDidFetchQuery(remoteQuery, storeKeys);
+
+  same(remoteGroups.map(function (group) { return group.get('total'); }), [12], "records from the data source should be grouped in the client");
+});
+
+test("destroy() deregisters the aggregate array", function () {
+  var recordArray = groups.get('recordArray');
+
+  groups.destroy();
+
+  ok(recordArray.get('isDestroyed'), "record array should be destroyed");
+  ok(!store.get('aggregateArrays').contains(groups), "store should forget the aggregate array");
+  ok(store.find(query) !== groups, "find() should return a new aggregate array");
+});
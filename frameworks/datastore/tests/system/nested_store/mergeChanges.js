@@ -0,0 +1,186 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Apple Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test MyApp */
+
+var parent, store, storeKey;
+
+module("SC.NestedStore#mergeChanges", {
+  setup: function() {
+    SC.RunLoop.begin();
+
+    MyApp = SC.Object.create();
+    MyApp.Contact = SC.Record.extend({
+      name: SC.Record.attr(String),
+      email: SC.Record.attr(String),
+      tags: SC.Record.attr(Array)
+    });
+
+    parent = SC.Store.create();
+    parent.loadRecord(MyApp.Contact, { guid: '1', name: 'Joe', email: 'joe@example.com', tags: ['a'] });
+    storeKey = MyApp.Contact.storeKeyFor('1');
+
+    // reading the record locks it in the nested store
+    store = parent.chain({ mergesConflicts: YES });
+    store.find(MyApp.Contact, '1').get('name');
+
+    SC.RunLoop.end();
+  },
+
+  teardown: function() {
+    store.destroy();
+    parent.destroy();
+    parent = store = storeKey = null;
+  }
+});
+
+/** Edits the record in the parent store after the nested store locked it. */
+function editParent(attrs) {
+  var hash = SC.clone(parent.readDataHash(storeKey), YES);
+  SC.mixin(hash, attrs);
+  parent.writeDataHash(storeKey, hash, SC.Record.READY_DIRTY);
+  parent.dataHashDidChange(storeKey);
+}
+
+test("changes to different attributes are merged", function() {
+  SC.RunLoop.begin();
+  editParent({ email: 'joe@example.org' });
+  store.find(MyApp.Contact, '1').set('name', 'Joseph');
+  SC.RunLoop.end();
+
+  same(store.get('conflictedStoreKeys'), [storeKey], "precond - record should conflict");
+  same(store.mergeChanges(), [], "mergeChanges() should return no conflicts");
+  equals(store.get('conflictedStoreKeys'), null, "record should no longer conflict");
+  equals(store.readDataHash(storeKey).email, 'joe@example.org', "parent change should be merged");
+  equals(store.readDataHash(storeKey).name, 'Joseph', "nested change should be kept");
+});
+
+test("commitChanges() merges before committing", function() {
+  SC.RunLoop.begin();
+  editParent({ email: 'joe@example.org' });
+  store.find(MyApp.Contact, '1').set('name', 'Joseph');
+  store.commitChanges();
+  SC.RunLoop.end();
+
+  equals(parent.readDataHash(storeKey).email, 'joe@example.org', "parent change should be kept");
+  equals(parent.readDataHash(storeKey).name, 'Joseph', "nested change should be committed");
+  equals(store.get('hasChanges'), NO, "nested store should have no changes");
+});
+
+test("identical changes on both sides do not conflict", function() {
+  SC.RunLoop.begin();
+  editParent({ tags: ['a', 'b'] });
+  store.find(MyApp.Contact, '1').set('tags', ['a', 'b']);
+  SC.RunLoop.end();
+
+  same(store.mergeChanges(), [], "mergeChanges() should return no conflicts");
+});
+
+test("changes to the same attribute are returned as conflicts", function() {
+  var conflicts, conflict;
+
+  SC.RunLoop.begin();
+  editParent({ name: 'Joey', email: 'joe@example.org' });
+  store.find(MyApp.Contact, '1').set('name', 'Joseph');
+  store.commitChanges();
+  SC.RunLoop.end();
+
+  equals(store.get('hasChanges'), YES, "commitChanges() should keep the changes");
+  equals(parent.readDataHash(storeKey).name, 'Joey', "parent should not be changed");
+
+  conflicts = store.get('conflicts');
+  equals(conflicts.length, 1, "there should be one conflict");
+
+  conflict = conflicts[0];
+  equals(conflict.get('storeKey'), storeKey, "conflict.storeKey");
+  equals(conflict.get('recordType'), MyApp.Contact, "conflict.recordType");
+  equals(conflict.get('id'), '1', "conflict.id");
+  same(conflict.get('conflictingKeys'), ['name'], "conflict.conflictingKeys");
+  equals(conflict.get('baseDataHash').name, 'Joe', "conflict.baseDataHash");
+  equals(conflict.get('parentDataHash').name, 'Joey', "conflict.parentDataHash");
+  equals(conflict.get('childDataHash').name, 'Joseph', "conflict.childDataHash");
+  equals(conflict.get('mergedDataHash').email, 'joe@example.org', "non-conflicting changes should be merged");
+  equals(conflict.get('isResolved'), NO, "conflict.isResolved");
+  equals(store.resolveConflict(conflict), NO, "unresolved conflicts should not be applied");
+});
+
+test("resolving conflicts attribute by attribute", function() {
+  var conflict;
+
+  SC.RunLoop.begin();
+  editParent({ name: 'Joey', email: 'joey@example.com' });
+  store.find(MyApp.Contact, '1').set('name', 'Joseph').set('email', 'joseph@example.com');
+  SC.RunLoop.end();
+
+  conflict = store.mergeChanges()[0];
+  same(conflict.get('conflictingKeys'), ['name', 'email'], "both attributes should conflict");
+
+  conflict.resolveWithParent('name');
+  same(conflict.get('unresolvedKeys'), ['email'], "conflict.unresolvedKeys");
+  equals(conflict.get('isResolved'), NO, "conflict.isResolved");
+
+  conflict.resolve('email', 'jo@example.com');
+  equals(conflict.get('isResolved'), YES, "conflict.isResolved");
+
+  SC.RunLoop.begin();
+  ok(store.resolveConflict(conflict), "resolveConflict() should apply the conflict");
+  equals(store.get('conflicts'), null, "store.conflicts should be empty");
+  store.commitChanges();
+  SC.RunLoop.end();
+
+  equals(parent.readDataHash(storeKey).name, 'Joey', "parent value should be used");
+  equals(parent.readDataHash(storeKey).email, 'jo@example.com', "resolved value should be used");
+});
+
+test("the conflict delegate can resolve conflicts", function() {
+  var delegate = SC.Object.create(SC.StoreConflictDelegate, {
+    storeDidDetectConflicts: function(nestedStore, conflicts) {
+      this.conflicts = conflicts;
+      conflicts.invoke('resolveWithChild');
+    }
+  });
+
+  SC.RunLoop.begin();
+  store.set('conflictDelegate', delegate);
+  editParent({ name: 'Joey' });
+  store.find(MyApp.Contact, '1').set('name', 'Joseph');
+  store.commitChanges();
+  SC.RunLoop.end();
+
+  equals(delegate.conflicts.length, 1, "delegate should receive the conflicts");
+  equals(store.get('hasChanges'), NO, "changes should be committed");
+  equals(parent.readDataHash(storeKey).name, 'Joseph', "nested value should be used");
+});
+
+test("destroying a record edited in the parent is a destroy conflict", function() {
+  var conflict;
+
+  SC.RunLoop.begin();
+  editParent({ name: 'Joey' });
+  store.find(MyApp.Contact, '1').destroy();
+  SC.RunLoop.end();
+
+  conflict = store.mergeChanges()[0];
+  equals(conflict.get('isDestroyConflict'), YES, "conflict.isDestroyConflict");
+
+  conflict.resolveWithParent();
+  SC.RunLoop.begin();
+  ok(store.resolveConflict(conflict), "resolveConflict() should apply the conflict");
+  SC.RunLoop.end();
+
+  equals(store.peekStatus(storeKey), SC.Record.READY_DIRTY, "record should have the parent status");
+  equals(store.readDataHash(storeKey).name, 'Joey', "record should have the parent data");
+});
+
+test("commitChanges(YES) still overwrites the parent", function() {
+  SC.RunLoop.begin();
+  editParent({ name: 'Joey', email: 'joe@example.org' });
+  store.find(MyApp.Contact, '1').set('name', 'Joseph');
+  store.commitChanges(YES);
+  SC.RunLoop.end();
+
+  equals(parent.readDataHash(storeKey).name, 'Joseph', "nested value should be used");
+  equals(parent.readDataHash(storeKey).email, 'joe@example.com', "parent change should be overwritten");
+});
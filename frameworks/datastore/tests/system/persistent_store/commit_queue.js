@@ -0,0 +1,137 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Apple Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test Sample */
+
+var store, adapter, commits;
+
+module("SC.PersistentStore offline commits", {
+  setup: function() {
+    var Sample = (window.Sample = SC.Object.create());
+
+    Sample.Contact = SC.Record.extend({
+      name: SC.Record.attr(String)
+    });
+
+    Sample.Store = SC.PersistentStore.extend({
+      monitorsConnectivity: NO,
+
+      nameForRecordType: function(recordType) {
+        return recordType === Sample.Contact ? 'Contact' : null;
+      },
+
+      recordTypeForName: function(name) {
+        return name === 'Contact' ? Sample.Contact : null;
+      }
+    });
+
+    // records every commit that reaches the data source
+    Sample.DataSource = SC.DataSource.extend({
+      commitRecords: function(store, createStoreKeys, updateStoreKeys, destroyStoreKeys, params) {
+        commits.push({
+          created: createStoreKeys.length,
+          updated: updateStoreKeys.length,
+          destroyed: destroyStoreKeys.length,
+          params: params
+        });
+        return YES;
+      }
+    });
+
+    commits = [];
+    adapter = SC.MemoryStorageAdapter.create();
+
+    SC.RunLoop.begin();
+    store = Sample.Store.create({ storageAdapter: adapter, isRestored: YES }).from(Sample.DataSource.create());
+    store.loadRecords(Sample.Contact, [
+      { guid: '1', name: 'A' },
+      { guid: '2', name: 'B' }
+    ]);
+    SC.RunLoop.end();
+  },
+
+  teardown: function() {
+    store.destroy();
+    store = adapter = commits = null;
+  }
+});
+
+test("commitRecords() queues the commit while offline", function() {
+  var storeKey = Sample.Contact.storeKeyFor('1');
+
+  SC.RunLoop.begin();
+  store.set('isOnline', NO);
+  store.find(Sample.Contact, '1').set('name', 'Changed');
+  store.commitRecords();
+  store.commitRecord(Sample.Contact, '1', undefined, { force: YES });
+  SC.RunLoop.end();
+
+  equals(commits.length, 0, "data source should not be called");
+  equals(store.peekStatus(storeKey), SC.Record.READY_DIRTY, "record should stay dirty");
+  equals(store.get('pendingCommits').length, 2, "commits should be queued");
+  same(store.get('pendingCommits')[1].storeKeys, [storeKey], "queued commit should have the store keys");
+  same(adapter.entries[SC.PersistentStore.QUEUE_KEY], [
+    { records: null, params: null },
+    { records: [['Contact', '1']], params: { force: YES } }
+  ], "queue should be saved");
+});
+
+test("commits of every change are only queued once", function() {
+  SC.RunLoop.begin();
+  store.set('isOnline', NO);
+  store.commitRecords();
+  store.commitRecords();
+  SC.RunLoop.end();
+
+  equals(store.get('pendingCommits').length, 1, "commits should be coalesced");
+});
+
+test("queued commits are replayed in order when the store comes back online", function() {
+  SC.RunLoop.begin();
+  store.set('isOnline', NO);
+  store.find(Sample.Contact, '1').set('name', 'Changed');
+  store.commitRecords(null, null, [Sample.Contact.storeKeyFor('1')], { first: YES });
+  store.createRecord(Sample.Contact, { name: 'New' });
+  store.commitRecords();
+  SC.RunLoop.end();
+
+  SC.RunLoop.begin();
+  store.set('isOnline', YES);
+  SC.RunLoop.end();
+
+  equals(commits.length, 2, "data source should receive both commits");
+  equals(commits[0].updated, 1, "first commit should update the changed record");
+  ok(commits[0].params.first, "first commit should have its params");
+  equals(commits[1].created, 1, "second commit should create the new record");
+  equals(store.get('pendingCommits').length, 0, "queue should be empty");
+  same(adapter.entries[SC.PersistentStore.QUEUE_KEY], [], "saved queue should be empty");
+});
+
+test("saved commits are replayed after restore()", function() {
+  var restored;
+
+  SC.RunLoop.begin();
+  store.set('isOnline', NO);
+  store.find(Sample.Contact, '1').set('name', 'Changed');
+  store.commitRecords(Sample.Contact, ['1']);
+  SC.RunLoop.end();
+
+  // simulate a page reload
+  SC.RunLoop.begin();
+  restored = Sample.Store.create({ storageAdapter: adapter, isOnline: NO }).from(Sample.DataSource.create());
+  restored.restore();
+  SC.RunLoop.end();
+
+  same(restored.get('pendingCommits')[0].storeKeys, [Sample.Contact.storeKeyFor('1')], "queued commit should be restored");
+
+  SC.RunLoop.begin();
+  restored.set('isOnline', YES);
+  SC.RunLoop.end();
+
+  equals(commits.length, 1, "restored commit should be sent");
+  equals(commits[0].updated, 1, "restored commit should update the changed record");
+
+  restored.destroy();
+});
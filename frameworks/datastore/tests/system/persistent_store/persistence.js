@@ -0,0 +1,167 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Apple Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test Sample */
+
+var store, adapter;
+
+module("SC.PersistentStore persistence", {
+  setup: function() {
+    var Sample = (window.Sample = SC.Object.create());
+
+    Sample.Contact = SC.Record.extend({
+      name: SC.Record.attr(String)
+    });
+
+    // record types are looked up by name when the store is restored
+    Sample.Store = SC.PersistentStore.extend({
+      monitorsConnectivity: NO,
+
+      nameForRecordType: function(recordType) {
+        return recordType === Sample.Contact ? 'Contact' : null;
+      },
+
+      recordTypeForName: function(name) {
+        return name === 'Contact' ? Sample.Contact : null;
+      }
+    });
+
+    adapter = SC.MemoryStorageAdapter.create();
+
+    SC.RunLoop.begin();
+    store = Sample.Store.create({ storageAdapter: adapter });
+    store.loadRecords(Sample.Contact, [
+      { guid: '1', name: 'A' },
+      { guid: '2', name: 'B' }
+    ]);
+    SC.RunLoop.end();
+  },
+
+  teardown: function() {
+    store.destroy();
+    store = adapter = null;
+  }
+});
+
+test("loaded records are saved at the end of the run loop", function() {
+  var entry = adapter.entries['Contact:1'];
+
+  ok(entry, "record should be saved under its record type and id");
+  equals(entry.recordType, 'Contact', "entry.recordType");
+  equals(entry.id, '1', "entry.id");
+  equals(entry.dataHash.name, 'A', "entry.dataHash");
+  equals(entry.status, SC.Record.READY_CLEAN, "entry.status");
+});
+
+test("persistsCleanRecords: NO only saves records with local changes", function() {
+  SC.RunLoop.begin();
+  store.clearPersistentData();
+  store.set('persistsCleanRecords', NO);
+  store.loadRecord(Sample.Contact, { guid: '3', name: 'C' });
+  store.find(Sample.Contact, '1').set('name', 'Changed');
+  SC.RunLoop.end();
+
+  ok(!adapter.entries['Contact:3'], "clean record should not be saved");
+  equals(adapter.entries['Contact:1'].status, SC.Record.READY_DIRTY, "dirty record should be saved");
+});
+
+test("destroyed and unloaded records are removed", function() {
+  SC.RunLoop.begin();
+  store.find(Sample.Contact, '1').destroy();
+  store.unloadRecord(Sample.Contact, '2');
+  SC.RunLoop.end();
+
+  equals(adapter.entries['Contact:1'].status, SC.Record.DESTROYED_DIRTY, "destroyed record should be saved until committed");
+  ok(!adapter.entries['Contact:2'], "unloaded record should be removed");
+
+  SC.RunLoop.begin();
+  store.writeStatus(Sample.Contact.storeKeyFor('1'), SC.Record.BUSY_DESTROYING);
+  store.dataSourceDidDestroy(Sample.Contact.storeKeyFor('1'));
+  SC.RunLoop.end();
+
+  ok(!adapter.entries['Contact:1'], "record should be removed once the destroy completes");
+});
+
+test("new records move to their id key once they have an id", function() {
+  var contact, storeKey, keys;
+
+  SC.RunLoop.begin();
+  contact = store.createRecord(Sample.Contact, { name: 'New' });
+  storeKey = contact.get('storeKey');
+  SC.RunLoop.end();
+
+  keys = SC.keys(adapter.entries).filter(function(key) { return key.indexOf('Contact:@') === 0; });
+  equals(keys.length, 1, "new record should be saved under a temporary key");
+  equals(adapter.entries[keys[0]].status, SC.Record.READY_NEW, "entry.status");
+
+  SC.RunLoop.begin();
+  store.writeStatus(storeKey, SC.Record.BUSY_CREATING);
+  store.dataSourceDidComplete(storeKey, null, '5');
+  SC.RunLoop.end();
+
+  ok(!adapter.entries[keys[0]], "temporary key should be removed");
+  equals(adapter.entries['Contact:5'].status, SC.Record.READY_CLEAN, "record should be saved under its new id");
+});
+
+test("records that are in flight are saved with the status they had before the request", function() {
+  SC.RunLoop.begin();
+  store.find(Sample.Contact, '1').set('name', 'Changed');
+  store.writeStatus(Sample.Contact.storeKeyFor('1'), SC.Record.BUSY_COMMITTING);
+  store.dataHashDidChange(Sample.Contact.storeKeyFor('1'));
+  SC.RunLoop.end();
+
+  equals(adapter.entries['Contact:1'].status, SC.Record.READY_DIRTY, "committing record should be saved as dirty");
+});
+
+test("changes committed from a nested store are saved", function() {
+  var nested;
+
+  SC.RunLoop.begin();
+  nested = store.chain();
+  nested.find(Sample.Contact, '2').set('name', 'Nested');
+  nested.commitChanges();
+  nested.destroy();
+  SC.RunLoop.end();
+
+  equals(adapter.entries['Contact:2'].dataHash.name, 'Nested', "entry.dataHash");
+  equals(adapter.entries['Contact:2'].status, SC.Record.READY_DIRTY, "entry.status");
+});
+
+test("restore() reads the saved records back into a store", function() {
+  var restored, callbackResult;
+
+  SC.RunLoop.begin();
+  store.find(Sample.Contact, '1').set('name', 'Changed');
+  store.createRecord(Sample.Contact, { name: 'New' });
+  SC.RunLoop.end();
+
+  // simulate a page reload
+  restored = Sample.Store.create({ storageAdapter: adapter, isOnline: NO });
+  restored.restore(function(result) { callbackResult = result; });
+
+  equals(callbackResult, YES, "callback should be invoked");
+  equals(restored.get('isRestored'), YES, "isRestored");
+  equals(restored.find(Sample.Contact, '2').get('status'), SC.Record.READY_CLEAN, "clean record should be restored");
+  equals(restored.find(Sample.Contact, '1').get('name'), 'Changed', "dirty record should have its changes");
+  equals(restored.get('changelog').get('length'), 2, "dirty and new records should be in the changelog");
+  equals(restored.get('hasChanges'), YES, "hasChanges");
+
+  restored.destroy();
+});
+
+test("restore() does not replace records loaded since the store was created", function() {
+  var restored;
+
+  SC.RunLoop.begin();
+  restored = Sample.Store.create({ storageAdapter: adapter });
+  restored.loadRecord(Sample.Contact, { guid: '1', name: 'Fresh' });
+  restored.restore();
+  SC.RunLoop.end();
+
+  equals(restored.find(Sample.Contact, '1').get('name'), 'Fresh', "loaded record should be kept");
+  equals(adapter.entries['Contact:1'].dataHash.name, 'Fresh', "loaded record should be saved");
+
+  restored.destroy();
+});
@@ -0,0 +1,174 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Apple Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test PagingTest */
+
+var store, dataSource, query;
+
+window.PagingTest = SC.Object.create();
+
+PagingTest.Row = SC.Record.extend({
+  name: SC.Record.attr(String)
+});
+
+// answers fetchRange() requests later, when respond() is called.
+PagingTest.DataSource = SC.DataSource.extend({
+  total: 1000000,
+  requests: null,
+
+  fetchRange: function(store, query, range) {
+    this.requests.push({ store: store, query: query, range: range });
+    return YES;
+  },
+
+  respond: function(count) {
+    var requests = this.requests.splice(0, count || this.requests.length);
+
+    requests.forEach(function(request) {
+      var range = request.range,
+          end = Math.min(range.start + range.length, this.total),
+          hashes = [], idx, storeKeys;
+
+      for (idx = range.start; idx < end; idx++) hashes.push({ guid: 'row' + idx, name: 'Row ' + idx });
+      storeKeys = request.store.loadRecords(PagingTest.Row, hashes);
+      request.store.dataSourceDidFetchRange(request.query, range, storeKeys, this.total);
+    }, this);
+  },
+
+  init: function() {
+    sc_super();
+    this.requests = [];
+  }
+});
+
+module("SC.RecordArray paging", {
+  setup: function() {
+    SC.RunLoop.begin();
+    dataSource = PagingTest.DataSource.create();
+    store = SC.Store.create().from(dataSource);
+    query = SC.Query.remote(PagingTest.Row, { pageSize: 50 });
+  },
+
+  teardown: function() {
+    SC.RunLoop.end();
+    store = dataSource = query = null;
+  }
+});
+
+function ranges() {
+  return dataSource.requests.map(function(request) { return [request.range.start, request.range.length]; });
+}
+
+test("isPaged", function() {
+  ok(query.get('isPaged'), "remote queries with a pageSize should be paged");
+  ok(!SC.Query.remote(PagingTest.Row).get('isPaged'), "remote queries without a pageSize");
+  ok(!SC.Query.local(PagingTest.Row, { pageSize: 50 }).get('isPaged'), "local queries");
+  equals(query.copy().get('pageSize'), 50, "copy() should keep the pageSize");
+});
+
+test("find() requests the first page", function() {
+  var records = store.find(query);
+
+  ok(records.get('isPaged'), "record array should be paged");
+  same(ranges(), [[0, 50]], "should request the first page");
+  equals(records.get('status'), SC.Record.BUSY_LOADING, "status while loading");
+  ok(records.get('loadingIndexes').isEqual(SC.IndexSet.create(0, 50)), "loadingIndexes");
+
+  dataSource.respond();
+  equals(records.get('length'), 1000000, "length should be the total length");
+  equals(records.get('status'), SC.Record.READY_CLEAN, "status after loading");
+  ok(records.get('loadedIndexes').isEqual(SC.IndexSet.create(0, 50)), "loadedIndexes");
+  equals(records.get('loadingIndexes').get('length'), 0, "no indexes should be loading");
+  equals(records.objectAt(49).get('name'), 'Row 49', "records of the page should be available");
+});
+
+test("objectAt() requests missing pages", function() {
+  var records = store.find(query);
+  dataSource.respond();
+
+  equals(records.objectAt(500010), undefined, "records that are not loaded should be undefined");
+  equals(records.objectAt(500020), undefined, "second access");
+  same(ranges(), [[500000, 50]], "should request the page only once");
+  equals(records.get('status'), SC.Record.BUSY_REFRESH, "status while loading a page");
+
+  dataSource.respond();
+  equals(records.objectAt(500010).get('name'), 'Row 500010', "record should be loaded");
+  equals(records.objectAt(0).get('name'), 'Row 0', "first page should still be loaded");
+  equals(records.get('status'), SC.Record.READY_CLEAN, "status after loading the page");
+});
+
+test("the last page is shorter", function() {
+  var records = store.find(query);
+  dataSource.respond();
+
+  records.objectAt(999999);
+  same(ranges(), [[999950, 50]], "last page");
+
+  dataSource.total = 999990;
+  dataSource.respond();
+  equals(records.get('length'), 999990, "length should change with the total");
+  ok(!records.get('loadedIndexes').contains(999990), "indexes past the end should not be loaded");
+  equals(records.objectAt(999989).get('name'), 'Row 999989', "last record");
+});
+
+test("loadRange()", function() {
+  var records = store.find(query);
+  dataSource.respond();
+
+  records.loadRange(20, 200);
+  same(ranges(), [[50, 50], [100, 50], [150, 50], [200, 50]], "should request the missing pages in the range");
+
+  records.loadRange(0, 250);
+  equals(dataSource.requests.length, 4, "should not request pages again while they load");
+
+  dataSource.respond(1);
+  ok(records.get('loadedIndexes').isEqual(SC.IndexSet.create(0, 100)), "loadedIndexes");
+  ok(records.get('loadingIndexes').isEqual(SC.IndexSet.create(100, 150)), "loadingIndexes");
+  equals(records.get('status'), SC.Record.BUSY_REFRESH, "should stay busy while pages are loading");
+});
+
+test("range observers see the loaded range", function() {
+  var records = store.find(query), changes = [];
+  dataSource.respond();
+
+  records.addArrayObservers({
+    target: this,
+    willChange: function() {},
+    didChange: function(start, removed, added) { changes.push([start, removed, added]); }
+  });
+
+  records.objectAt(300);
+  dataSource.respond();
+  same(changes, [[300, 50, 50]], "only the loaded range should change");
+});
+
+test("refresh() discards the pages", function() {
+  var records = store.find(query), row;
+  dataSource.respond();
+  records.objectAt(500);
+  dataSource.respond();
+
+  row = records.objectAt(510);
+  records.refresh();
+  same(ranges(), [[0, 50]], "should request the first page again");
+  equals(records.get('length'), 1000000, "should keep the length");
+  equals(records.objectAt(510), row, "should keep stale records while they reload");
+  same(ranges(), [[0, 50], [500, 50]], "should request stale pages when they are accessed");
+});
+
+test("errors", function() {
+  var records = store.find(query);
+  store.dataSourceDidErrorQuery(query);
+
+  equals(records.get('status'), SC.Record.ERROR, "status");
+  equals(records.get('loadingIndexes').get('length'), 0, "no indexes should be loading");
+});
+
+test("data sources that do not handle paged queries", function() {
+  var records = SC.Store.create().from(SC.DataSource.create()).find(query);
+
+  equals(records.get('status'), SC.Record.EMPTY, "status should not be busy");
+  equals(records.get('loadingIndexes').get('length'), 0, "no indexes should be loading");
+});
@@ -0,0 +1,130 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Apple Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test HistoryTest */
+
+var store, storeHistory, storeKey, historyTest;
+
+historyTest = SC.Object.create({
+  Contact: SC.Record.extend({
+    name: SC.Record.attr(String)
+  })
+});
+
+module("SC.Store history", {
+  setup: function() {
+    // record types must be reachable by name for exporting
+    window.HistoryTest = historyTest;
+
+    SC.RunLoop.begin();
+    store = SC.Store.create({ historyIsActive: YES });
+    storeHistory = store.get('history');
+    store.loadRecord(HistoryTest.Contact, { guid: '1', name: 'Joe' });
+    storeKey = HistoryTest.Contact.storeKeyFor('1');
+    SC.RunLoop.end();
+  },
+
+  teardown: function() {
+    store.destroy();
+    store = storeHistory = storeKey = null;
+    delete window.HistoryTest;
+  }
+});
+
+test("a history is only created when historyIsActive is YES", function() {
+  ok(storeHistory && storeHistory.isObject, "store should have a history");
+  equals(storeHistory.get('store'), store, "storeHistory.store");
+  equals(SC.Store.create().get('history'), null, "stores have no history by default");
+});
+
+test("changes are recorded with the record type, id and statuses", function() {
+  var entry = storeHistory.get('entries')[0];
+
+  equals(storeHistory.get('length'), 1, "history should have one entry");
+  equals(entry.action, 'writeDataHash', "entry.action");
+  equals(entry.isChange, YES, "entry.isChange");
+  equals(entry.recordType, HistoryTest.Contact, "entry.recordType");
+  equals(entry.id, '1', "entry.id");
+  equals(entry.previousStatus, SC.Record.EMPTY, "entry.previousStatus");
+  equals(entry.status, SC.Record.READY_CLEAN, "entry.status");
+  equals(entry.dataHash.name, 'Joe', "entry.dataHash");
+  ok(entry.timestamp > 0, "entry.timestamp");
+});
+
+test("data source callbacks are recorded before the changes they cause", function() {
+  var contact = store.find(HistoryTest.Contact, '1'),
+      entries;
+
+  SC.RunLoop.begin();
+  contact.set('name', 'Joseph');
+  store.writeStatus(storeKey, SC.Record.BUSY_COMMITTING);
+  store.dataSourceDidError(storeKey, SC.Error.desc("Invalid name"));
+  SC.RunLoop.end();
+
+  entries = storeHistory.entriesFor(contact);
+  same(entries.getEach('action'), ['writeDataHash', 'writeStatus', 'writeStatus', 'dataSourceDidError', 'writeStatus'], "recorded actions");
+  equals(entries[1].status, SC.Record.READY_DIRTY, "editing should make the record dirty");
+  equals(entries[1].dataHash.name, 'Joseph', "entry should have the edited data hash");
+  equals(entries[3].isChange, NO, "callbacks are not changes");
+  equals(entries[3].info, 'Invalid name', "callback entry should have the error message");
+  equals(entries[4].status, SC.Record.ERROR, "record should be in error");
+});
+
+test("explain() describes the changes to a record", function() {
+  SC.RunLoop.begin();
+  store.find(HistoryTest.Contact, '1').set('name', 'Joseph');
+  SC.RunLoop.end();
+
+  var lines = storeHistory.explain(HistoryTest.Contact, '1').split('\n');
+
+  equals(lines.length, 2, "there should be one line per entry");
+  ok(lines[0].match(/^0 \d\d:\d\d:\d\d\.\d\d\d writeDataHash EMPTY -> READY_CLEAN$/), "first line should describe the load");
+  ok(lines[1].match(/writeStatus READY_CLEAN -> READY_DIRTY$/), "second line should describe the edit");
+});
+
+test("storeAt() rebuilds the store at an earlier entry", function() {
+  var earlier;
+
+  SC.RunLoop.begin();
+  store.find(HistoryTest.Contact, '1').set('name', 'Joseph');
+  store.createRecord(HistoryTest.Contact, { name: 'New' }, '2');
+  SC.RunLoop.end();
+
+  earlier = storeHistory.storeAt(0);
+  equals(earlier.find(HistoryTest.Contact, '1').get('name'), 'Joe', "record should have its earlier data");
+  equals(earlier.find(HistoryTest.Contact, '1').get('status'), SC.Record.READY_CLEAN, "record should have its earlier status");
+  equals(earlier.peekStatus(HistoryTest.Contact.storeKeyFor('2')), SC.Record.EMPTY, "later records should not exist");
+
+  equals(storeHistory.storeAt().find(HistoryTest.Contact, '2').get('status'), SC.Record.READY_NEW, "storeAt() without an index should rebuild the latest state");
+  equals(storeHistory.get('length'), 3, "replaying should not add entries");
+});
+
+test("maxLength limits the number of entries", function() {
+  storeHistory.set('maxLength', 2);
+
+  SC.RunLoop.begin();
+  store.find(HistoryTest.Contact, '1').set('name', 'A').set('name', 'B');
+  SC.RunLoop.end();
+
+  equals(storeHistory.get('length'), 2, "history should be limited");
+  equals(storeHistory.get('entries')[0].index, 1, "oldest entries should be dropped");
+});
+
+test("exportJSON() and importJSON()", function() {
+  var json, imported;
+
+  SC.RunLoop.begin();
+  store.find(HistoryTest.Contact, '1').set('name', 'Joseph');
+  SC.RunLoop.end();
+
+  json = storeHistory.exportJSON();
+  equals(SC.typeOf(json), SC.T_STRING, "exportJSON() should return a string");
+  equals(SC.json.decode(json)[0].recordType, 'HistoryTest.Contact', "record types should be exported by name");
+
+  imported = SC.StoreHistory.create().importJSON(json);
+  equals(imported.get('length'), 2, "entries should be imported");
+  equals(imported.get('entries')[0].recordType, HistoryTest.Contact, "record types should be imported");
+  equals(imported.storeAt().find(HistoryTest.Contact, '1').get('name'), 'Joseph', "imported entries should be replayable");
+});
@@ -0,0 +1,178 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Apple Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test IndexTest */
+
+var store, index;
+
+window.IndexTest = SC.Object.create();
+
+IndexTest.Contact = SC.Record.extend({
+  lastName: SC.Record.attr(String, { indexed: YES }),
+  age: SC.Record.attr(Number, { indexed: YES }),
+  city: SC.Record.attr(String, { indexed: YES, key: 'town', defaultValue: 'Nowhere' }),
+  firstName: SC.Record.attr(String)
+});
+
+IndexTest.Employee = IndexTest.Contact.extend();
+
+module("SC.Store indexes", {
+  setup: function () {
+    SC.RunLoop.begin();
+
+    store = SC.Store.create();
+    store.loadRecords(IndexTest.Contact, [
+      { guid: '1', lastName: 'McAdams', age: 30, town: 'Oslo', firstName: 'Ann' },
+      { guid: '2', lastName: 'McBride', age: 42, town: 'Rome', firstName: 'Bob' },
+      { guid: '3', lastName: 'Smith', age: 25, town: 'Oslo', firstName: 'Cid' },
+      { guid: '4', lastName: 'Jones', age: '42', firstName: 'Dan' }
+    ]);
+    store.loadRecords(IndexTest.Employee, [
+      { guid: '5', lastName: 'McCoy', age: 50, town: 'Rome', firstName: 'Eve' }
+    ]);
+
+    index = store.indexFor(IndexTest.Contact, 'lastName');
+  },
+
+  teardown: function () {
+    SC.RunLoop.end();
+    store = index = null;
+  }
+});
+
+function ids(storeKeys) {
+  return storeKeys.map(function (storeKey) { return SC.Store.idFor(storeKey); }).sort();
+}
+
+function find(conditions, parameters) {
+  return store.find(SC.Query.local(IndexTest.Contact, { conditions: conditions, parameters: parameters, orderBy: 'firstName' }));
+}
+
+function names(records) {
+  return records.map(function (record) { return record.get('firstName'); });
+}
+
+test("indexFor()", function () {
+  ok(index.isStoreIndex, "should return an index for indexed attributes");
+  equals(store.indexFor(IndexTest.Contact, 'lastName'), index, "should return the same index again");
+  equals(store.indexFor(IndexTest.Contact, 'firstName'), null, "should return null for attributes that are not indexed");
+  equals(index.get('length'), 5, "should index records of the type and its subclasses");
+  same(index.get('values'), ['Jones', 'McAdams', 'McBride', 'McCoy', 'Smith'], "values should be ordered");
+});
+
+test("storeKeysFor()", function () {
+  var ageIndex = store.indexFor(IndexTest.Contact, 'age'),
+      cityIndex = store.indexFor(IndexTest.Contact, 'city');
+
+  same(ids(index.storeKeysFor('=', 'Smith')), ['3'], "=");
+  same(ids(index.storeKeysFor('ANY', ['Smith', 'Jones', 'Smith'])), ['3', '4'], "ANY");
+  same(ids(index.storeKeysFor('BEGINS_WITH', 'Mc')), ['1', '2', '5'], "BEGINS_WITH");
+  same(ids(ageIndex.storeKeysFor('<', 42)), ['1', '3'], "<");
+  same(ids(ageIndex.storeKeysFor('<=', 42)), ['1', '2', '3', '4'], "<= should include values converted by the attribute");
+  same(ids(ageIndex.storeKeysFor('>', 42)), ['5'], ">");
+  same(ids(ageIndex.storeKeysFor('>=', '42')), ['2', '4', '5'], ">= should convert the value");
+  same(ids(cityIndex.storeKeysFor('=', 'Nowhere')), ['4'], "should index default values and use the attribute key");
+  equals(index.storeKeysFor('CONTAINS', 'c'), null, "unsupported operators should return null");
+});
+
+test("BEGINS_WITH finds mixed-case values", function () {
+  var records;
+
+  store.loadRecords(IndexTest.Contact, [
+    { guid: '10', lastName: 'Mcb', firstName: 'Gil' },
+    { guid: '11', lastName: 'mca', firstName: 'Hal' },
+    { guid: '12', lastName: 'Mc', firstName: 'Ida' },
+    { guid: '13', lastName: 'Mca', firstName: 'Joe' }
+  ]);
+
+  same(ids(index.storeKeysFor('BEGINS_WITH', 'Mc')), ['1', '10', '12', '13', '2', '5'], "values with the prefix should be found whatever their order");
+  same(ids(index.storeKeysFor('BEGINS_WITH', 'mc')), ['11'], "prefix should be case sensitive");
+
+  records = find("lastName BEGINS_WITH 'Mc'");
+  same(names(records), ['Ann', 'Bob', 'Eve', 'Gil', 'Ida', 'Joe'], "query should have the same results as without the index");
+
+  store.unloadRecord(IndexTest.Contact, '13');
+  same(ids(index.storeKeysFor('BEGINS_WITH', 'Mc')), ['1', '10', '12', '2', '5'], "removed value should not be found");
+});
+
+test("indexes are updated when data hashes change", function () {
+  var smith = store.find(IndexTest.Contact, '3');
+
+  smith.set('lastName', 'McSmith');
+  same(ids(index.storeKeysFor('BEGINS_WITH', 'Mc')), ['1', '2', '3', '5'], "changed record should be moved");
+  same(index.storeKeysFor('=', 'Smith'), [], "old value should be removed");
+
+  store.loadRecords(IndexTest.Contact, [{ guid: '6', lastName: 'McNew' }]);
+  same(ids(index.storeKeysFor('BEGINS_WITH', 'Mc')), ['1', '2', '3', '5', '6'], "loaded record should be added");
+
+  smith.destroy();
+  same(ids(index.storeKeysFor('BEGINS_WITH', 'Mc')), ['1', '2', '5', '6'], "destroyed record should be removed");
+
+  store.unloadRecord(IndexTest.Contact, '6');
+  same(ids(index.storeKeysFor('BEGINS_WITH', 'Mc')), ['1', '2', '5'], "unloaded record should be removed");
+});
+
+test("indexedCondition", function () {
+  var query = SC.Query.local(IndexTest.Contact, { conditions: "firstName = 'Ann' AND lastName BEGINS_WITH 'Mc' AND age = {age}", parameters: { age: 30 } });
+
+  same(query.get('indexedCondition'), { key: 'age', operator: '=', value: 30 }, "should prefer the most selective indexed condition");
+  equals(SC.Query.local(IndexTest.Contact, { conditions: "firstName = 'Ann'" }).get('indexedCondition'), null, "conditions on attributes that are not indexed");
+  equals(SC.Query.local(IndexTest.Contact, { conditions: "lastName = 'Smith' OR age = 3" }).get('indexedCondition'), null, "conditions joined with OR");
+  equals(SC.Query.local(IndexTest.Contact, { conditions: "lastName = firstName" }).get('indexedCondition'), null, "comparisons of two properties");
+  equals(SC.Query.local(IndexTest.Contact).get('indexedCondition'), null, "queries without conditions");
+});
+
+test("local queries use indexes", function () {
+  var records = find("lastName BEGINS_WITH 'Mc' AND age > 35");
+
+  same(names(records), ['Bob', 'Eve'], "should find the matching records");
+  ok(records.get('isIndexBacked'), "should be index backed");
+
+  records = find("lastName ANY {names}", { names: ['Smith', 'Jones'] });
+  same(names(records), ['Cid', 'Dan'], "ANY");
+  ok(records.get('isIndexBacked'), "ANY should be index backed");
+
+  records = find("firstName BEGINS_WITH 'A'");
+  same(names(records), ['Ann'], "should find the matching records without an index");
+  ok(!records.get('isIndexBacked'), "should not be index backed");
+});
+
+test("index backed record arrays stay up to date", function () {
+  var records = find("lastName BEGINS_WITH 'Mc'");
+
+  same(names(records), ['Ann', 'Bob', 'Eve'], "before");
+
+  store.find(IndexTest.Contact, '3').set('lastName', 'McSmith');
+  store.loadRecords(IndexTest.Contact, [{ guid: '7', lastName: 'McNew', firstName: 'Fay' }]);
+  store.find(IndexTest.Contact, '1').destroy();
+  store.flush();
+
+  same(names(records), ['Bob', 'Cid', 'Eve', 'Fay'], "after");
+
+  records.reload();
+  same(names(records), ['Bob', 'Cid', 'Eve', 'Fay'], "after reload");
+  ok(records.get('isIndexBacked'), "reload should use the index");
+});
+
+test("reset() drops the indexes", function () {
+  store.reset();
+  store.loadRecords(IndexTest.Contact, [{ guid: '8', lastName: 'Other' }]);
+
+  var newIndex = store.indexFor(IndexTest.Contact, 'lastName');
+  ok(newIndex !== index, "should build a new index");
+  same(newIndex.get('values'), ['Other'], "new index should only have the loaded records");
+});
+
+test("nested stores have their own indexes", function () {
+  var nested = store.chain(),
+      nestedIndex = nested.indexFor(IndexTest.Contact, 'lastName');
+
+  nested.find(IndexTest.Contact, '3').set('lastName', 'McSmith');
+  same(ids(nestedIndex.storeKeysFor('BEGINS_WITH', 'Mc')), ['1', '2', '3', '5'], "nested index should have the change");
+  same(ids(index.storeKeysFor('BEGINS_WITH', 'Mc')), ['1', '2', '5'], "parent index should not");
+
+  store.loadRecords(IndexTest.Contact, [{ guid: '9', lastName: 'McParent' }]);
+  same(ids(nestedIndex.storeKeysFor('BEGINS_WITH', 'Mc')), ['1', '2', '3', '5', '9'], "nested index should get changes from the parent store");
+});
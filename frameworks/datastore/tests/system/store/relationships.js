@@ -0,0 +1,240 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Apple Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module ok equals same test RelTest */
+
+var store;
+
+window.RelTest = SC.Object.create();
+
+RelTest.Author = SC.Record.extend({
+  books: SC.Record.toMany('RelTest.Book', { inverse: 'author', isMaster: NO, destroyRule: 'nullify' })
+});
+
+RelTest.Book = SC.Record.extend({
+  author: SC.Record.toOne('RelTest.Author', { inverse: 'books', isMaster: YES, destroyRule: 'nullify' }),
+  tags: SC.Record.toMany('RelTest.Tag', { inverse: 'books', isMaster: YES, destroyRule: 'nullify' })
+});
+
+RelTest.Tag = SC.Record.extend({
+  books: SC.Record.toMany('RelTest.Book', { inverse: 'tags', isMaster: NO })
+});
+
+RelTest.Shelf = SC.Record.extend({
+  items: SC.Record.toMany('RelTest.Item', { inverse: 'shelf', destroyRule: 'cascade' })
+});
+
+RelTest.Item = SC.Record.extend({
+  shelf: SC.Record.toOne('RelTest.Shelf', { inverse: 'items', isMaster: NO }),
+  loans: SC.Record.toMany('RelTest.Loan', { inverse: 'item', destroyRule: 'deny' })
+});
+
+RelTest.Loan = SC.Record.extend({
+  item: SC.Record.toOne('RelTest.Item', { inverse: 'loans', isMaster: NO, destroyRule: 'nullify' })
+});
+
+module("SC.Store relationships", {
+  setup: function() {
+    SC.RunLoop.begin();
+    store = SC.Store.create();
+
+    store.loadRecords(RelTest.Author, [{ guid: 'a1', books: ['b1', 'b2'] }, { guid: 'a2', books: [] }]);
+    store.loadRecords(RelTest.Book, [{ guid: 'b1', author: 'a1', tags: ['t1'] }, { guid: 'b2', author: 'a1', tags: ['t1', 't2'] }]);
+    store.loadRecords(RelTest.Tag, [{ guid: 't1', books: ['b1', 'b2'] }, { guid: 't2', books: ['b2'] }]);
+
+    store.loadRecords(RelTest.Shelf, [{ guid: 's1', items: ['i1', 'i2'] }]);
+    store.loadRecords(RelTest.Item, [{ guid: 'i1', shelf: 's1', loans: [] }, { guid: 'i2', shelf: 's1', loans: [] }]);
+  },
+
+  teardown: function() {
+    SC.RunLoop.end();
+    store = null;
+  }
+});
+
+function find(recordType, id, inStore) {
+  return (inStore || store).find(recordType, id);
+}
+
+function ids(records) {
+  return records.getEach('id');
+}
+
+test("creating a record adds it to the inverse toMany", function() {
+  var author = find(RelTest.Author, 'a2');
+
+  store.createRecord(RelTest.Book, { guid: 'b3', author: 'a2', tags: ['t2'] });
+  store.flush();
+
+  same(ids(author.get('books')), ['b3'], "author should have the new book");
+  same(ids(find(RelTest.Tag, 't2').get('books')), ['b2', 'b3'], "tag should have the new book");
+  equals(author.get('status'), SC.Record.READY_CLEAN, "inverse that is not the master should stay clean");
+});
+
+test("creating a record adds it to the inverse toOne and takes it from the previous owner", function() {
+  var author = store.createRecord(RelTest.Author, { guid: 'a3', books: ['b2'] });
+  store.flush();
+
+  equals(find(RelTest.Book, 'b2').get('author'), author, "book should point to the new author");
+  equals(find(RelTest.Book, 'b2').get('status'), SC.Record.READY_DIRTY, "master inverse should be dirty");
+  same(ids(find(RelTest.Author, 'a1').get('books')), ['b1'], "previous author should lose the book");
+});
+
+test("creating a record without an id adds it to the inverse toMany until it gets its id", function() {
+  var author = find(RelTest.Author, 'a2'),
+      book = store.createRecord(RelTest.Book, { author: 'a2' }),
+      storeKey = book.get('storeKey');
+
+  store.flush();
+  equals(author.get('books').objectAt(0), book, "author should have the new book");
+
+  store.writeStatus(storeKey, SC.Record.BUSY_CREATING);
+  store.dataSourceDidComplete(storeKey, null, 'b3');
+  store.flush();
+
+  same(store.readDataHash(author.get('storeKey')).books, ['b3'], "placeholder should be replaced by the id");
+  same(ids(author.get('books')), ['b3'], "author should still have the book");
+});
+
+test("creating a record without an id adds it to the inverse toOne when it gets its id", function() {
+  var book = find(RelTest.Book, 'b2'),
+      author = store.createRecord(RelTest.Author, { books: ['b2'] }),
+      storeKey = author.get('storeKey');
+
+  store.flush();
+  equals(book.get('author'), find(RelTest.Author, 'a1'), "book should keep its author until the new one has an id");
+
+  store.writeStatus(storeKey, SC.Record.BUSY_CREATING);
+  store.dataSourceDidComplete(storeKey, null, 'a3');
+  store.flush();
+
+  equals(book.get('author'), author, "book should point to the new author");
+  same(ids(find(RelTest.Author, 'a1').get('books')), ['b1'], "previous author should lose the book");
+});
+
+test("loading a record mirrors the changes of its master relationships", function() {
+  var author1 = find(RelTest.Author, 'a1'), author2 = find(RelTest.Author, 'a2');
+
+  store.loadRecords(RelTest.Book, [{ guid: 'b1', author: 'a2', tags: ['t1', 't2'] }]);
+  store.flush();
+
+  same(ids(author1.get('books')), ['b2'], "previous author should lose the book");
+  same(ids(author2.get('books')), ['b1'], "new author should have the book");
+  same(ids(find(RelTest.Tag, 't2').get('books')), ['b2', 'b1'], "tag should have the book");
+  equals(author2.get('status'), SC.Record.READY_CLEAN, "related records should stay clean");
+
+  store.pushRetrieve(RelTest.Book, 'b2', { guid: 'b2', author: 'a2', tags: [] });
+  store.flush();
+  same(ids(author2.get('books')), ['b1', 'b2'], "pushed data should be mirrored");
+  same(ids(find(RelTest.Tag, 't1').get('books')), ['b1'], "removed relationships should be mirrored");
+
+  store.loadRecords(RelTest.Author, [{ guid: 'a2', books: [] }]);
+  store.flush();
+  equals(find(RelTest.Book, 'b1').get('author'), author2, "relationships that are not the master should not be mirrored");
+});
+
+test("destroying a record without a destroy rule leaves related records alone", function() {
+  find(RelTest.Tag, 't2').destroy();
+  store.flush();
+
+  same(store.readDataHash(find(RelTest.Book, 'b2').get('storeKey')).tags, ['t1', 't2'], "book should be unchanged");
+  equals(find(RelTest.Book, 'b2').get('status'), SC.Record.READY_CLEAN, "book should stay clean");
+});
+
+test("destroying a record nullifies the inverse toMany", function() {
+  var author = find(RelTest.Author, 'a1'), books = author.get('books');
+
+  equals(books.get('length'), 2, "precond - author has two books");
+  find(RelTest.Book, 'b1').destroy();
+  store.flush();
+
+  same(ids(books), ['b2'], "author should lose the destroyed book");
+  same(store.readDataHash(author.get('storeKey')).books, ['b2'], "data hash should be updated");
+  equals(author.get('status'), SC.Record.READY_CLEAN, "inverse that is not the master should stay clean");
+  same(ids(find(RelTest.Tag, 't1').get('books')), ['b2'], "many-to-many inverse should lose the book");
+});
+
+test("destroying a record nullifies the inverse toOne", function() {
+  var book1 = find(RelTest.Book, 'b1'), book2 = find(RelTest.Book, 'b2');
+
+  find(RelTest.Author, 'a1').destroy();
+  store.flush();
+
+  equals(book1.get('author'), null, "book should lose its author");
+  equals(book2.get('author'), null, "other book should lose its author");
+  equals(book1.get('status'), SC.Record.READY_DIRTY, "master inverse should be dirty");
+  ok(store.changelog.contains(book1.get('storeKey')), "master inverse should be in the changelog");
+});
+
+test("the cascade rule destroys related records", function() {
+  find(RelTest.Shelf, 's1').destroy();
+
+  equals(find(RelTest.Item, 'i1').get('status'), SC.Record.DESTROYED_DIRTY, "first item should be destroyed");
+  equals(find(RelTest.Item, 'i2').get('status'), SC.Record.DESTROYED_DIRTY, "second item should be destroyed");
+});
+
+test("the deny rule refuses to destroy records with related records", function() {
+  var item = find(RelTest.Item, 'i1'), error;
+
+  store.createRecord(RelTest.Loan, { guid: 'l1', item: 'i1' });
+  equals(item.get('loans').get('length'), 1, "precond - item has a loan");
+
+  try {
+    item.destroy();
+  } catch (e) {
+    error = e.message;
+  }
+
+  equals(error, SC.Record.DESTROY_DENIED_ERROR.toString(), "should throw DESTROY_DENIED_ERROR");
+  equals(item.get('status'), SC.Record.READY_DIRTY, "item should not be destroyed");
+
+  find(RelTest.Loan, 'l1').destroy();
+  equals(item.get('loans').get('length'), 0, "destroying the loan should remove it from the item");
+  item.destroy();
+  equals(item.get('status'), SC.Record.DESTROYED_DIRTY, "item without loans can be destroyed");
+});
+
+test("the deny rule is checked for cascaded records before anything changes", function() {
+  var shelf = find(RelTest.Shelf, 's1'), error;
+
+  store.createRecord(RelTest.Loan, { guid: 'l1', item: 'i2' });
+
+  try {
+    shelf.destroy();
+  } catch (e) {
+    error = e.message;
+  }
+
+  equals(error, SC.Record.DESTROY_DENIED_ERROR.toString(), "should throw DESTROY_DENIED_ERROR");
+  equals(shelf.get('status'), SC.Record.READY_CLEAN, "shelf should not be destroyed");
+  equals(find(RelTest.Item, 'i1').get('status'), SC.Record.READY_CLEAN, "items should not be destroyed");
+});
+
+test("nested stores", function() {
+  var nested = store.chain(),
+      author = find(RelTest.Author, 'a1');
+
+  find(RelTest.Book, 'b1', nested).destroy();
+  nested.flush();
+
+  same(ids(find(RelTest.Author, 'a1', nested).get('books')), ['b2'], "nested store should be updated");
+  same(ids(author.get('books')), ['b1', 'b2'], "parent store should not change before commit");
+
+  nested.commitChanges();
+  store.flush();
+  same(ids(author.get('books')), ['b2'], "parent store should have the change after commit");
+  equals(find(RelTest.Book, 'b1').get('status'), SC.Record.DESTROYED_DIRTY, "book should be destroyed");
+});
+
+test("unloading a record keeps the relationship but drops the record instance", function() {
+  var books = find(RelTest.Author, 'a1').get('books'),
+      book = books.objectAt(0);
+
+  store.unloadRecord(RelTest.Book, 'b1');
+
+  same(store.readDataHash(find(RelTest.Author, 'a1').get('storeKey')).books, ['b1', 'b2'], "data hash should be unchanged");
+  ok(books.objectAt(0) !== book, "many array should not return the unloaded instance");
+  equals(books.objectAt(0), store.materializeRecord(book.get('storeKey')), "should return the current record");
+});
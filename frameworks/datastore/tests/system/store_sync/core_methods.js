@@ -0,0 +1,192 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module, test, ok, equals, same, SyncTest */
+
+var store, webSocket, protocol, sync, sent;
+
+window.SyncTest = SC.Object.create();
+
+SyncTest.Contact = SC.Record.extend({
+  name: SC.Record.attr(String),
+  email: SC.Record.attr(String)
+});
+
+function open() {
+  SC.run(function() {
+    webSocket.socket = { readyState: SC.WebSocket.OPEN, send: function(data) { sent.push(JSON.parse(data)); } };
+    webSocket.onOpen({ type: 'open' });
+  });
+}
+
+function close() {
+  SC.run(function() { webSocket.onClose({ type: 'close' }); });
+}
+
+function receive(message) {
+  SC.run(function() { webSocket.onMessage({ data: JSON.stringify(message) }); });
+}
+
+function patch(data) {
+  receive({ type: 'message', channel: 'contacts', data: data });
+}
+
+function contact(id) {
+  return store.find(SyncTest.Contact, id);
+}
+
+module("SC.StoreSync", {
+  setup: function() {
+    sent = [];
+    store = SC.Store.create().from(SC.DataSource.create({
+      commitRecords: function() { return YES; }
+    }));
+    webSocket = SC.WebSocket.create({ server: 'ws://server', autoReconnect: NO });
+    protocol = SC.WebSocketProtocol.create({ webSocket: webSocket });
+    sync = SC.StoreSync.create({ store: store, protocol: protocol });
+    sync.subscribe(SyncTest.Contact, 'contacts');
+
+    SC.run(function() {
+      store.loadRecords(SyncTest.Contact, [
+        { guid: 1, name: 'Joe', email: 'joe@example.com' },
+        { guid: 2, name: 'Ann', email: 'ann@example.com' }
+      ]);
+    });
+
+    open();
+  },
+
+  teardown: function() {
+    sync.destroy();
+    protocol.destroy();
+    webSocket.destroy();
+    store.destroy();
+    store = webSocket = protocol = sync = sent = null;
+  }
+});
+
+test("channelFor()", function() {
+  var query = SC.Query.local(SyncTest.Contact, { conditions: 'name = {name}', parameters: { name: 'Joe' } });
+
+  equals(sync.channelFor(SyncTest.Contact), 'SyncTest.Contact', "record types should use their name");
+  equals(sync.channelFor(query), 'SyncTest.Contact?name = {name}&{"name":"Joe"}', "queries should add their conditions and parameters");
+});
+
+test("subscriptions", function() {
+  same(sent, [{ type: 'subscribe', channel: 'contacts' }], "channel should be subscribed");
+
+  sync.unsubscribe(SyncTest.Contact);
+  same(sent[1], { type: 'unsubscribe', channel: 'contacts' }, "channel should be unsubscribed");
+  same(protocol.get('channels'), [], "channels");
+});
+
+test("patches are pushed to the store", function() {
+  patch([
+    { op: 'update', id: 1, data: { guid: 1, name: 'Joseph', email: 'joe@example.com' } },
+    { op: 'update', id: 2, data: { name: 'Anne' }, partial: true },
+    { op: 'update', id: 3, data: { guid: 3, name: 'Bob' } },
+    { op: 'update', id: 4, data: { name: 'Nobody' }, partial: true }
+  ]);
+
+  equals(contact(1).get('name'), 'Joseph', "full updates should replace the record");
+  equals(contact(2).get('name'), 'Anne', "partial updates should change the record");
+  equals(contact(2).get('email'), 'ann@example.com', "partial updates should keep the other attributes");
+  equals(contact(3).get('status'), SC.Record.READY_CLEAN, "new records should be loaded");
+  equals(store.readStatus(SyncTest.Contact.storeKeyFor(4)), SC.Record.EMPTY, "partial updates of records that are not loaded should be ignored");
+
+  patch({ op: 'destroy', id: 3 });
+  equals(contact(3).get('status'), SC.Record.DESTROYED_CLEAN, "destroy");
+
+  patch({ op: 'error', id: 2, error: 'Not allowed' });
+  equals(contact(2).get('status'), SC.Record.ERROR, "error");
+  equals(store.readError(contact(2).get('storeKey')).get('message'), 'Not allowed', "error message");
+});
+
+test("patches of records with local changes are deferred", function() {
+  var record = contact(1),
+      storeKey = record.get('storeKey');
+
+  SC.run(function() { record.set('name', 'Jo'); });
+
+  patch({ op: 'update', id: 1, data: { email: 'joe@work.com' }, partial: true });
+  patch({ op: 'update', id: 1, data: { name: 'Joey' }, partial: true });
+
+  equals(record.get('name'), 'Jo', "local changes should be kept");
+  equals(sync.get('deferredCount'), 1, "deferredCount");
+
+  SC.run(function() { store.commitRecord(SyncTest.Contact, 1); });
+  equals(record.get('email'), 'joe@example.com', "patches should still wait while the record is committed");
+
+  SC.run(function() { store.dataSourceDidComplete(storeKey); });
+  equals(record.get('email'), 'joe@work.com', "deferred patches should be applied once the record is clean");
+  equals(record.get('name'), 'Joey', "deferred patches should be combined");
+  equals(record.get('status'), SC.Record.READY_CLEAN, "status");
+  equals(sync.get('deferredCount'), 0, "deferredCount");
+});
+
+test("deferred updates are dropped if the record is destroyed locally", function() {
+  var record = contact(2);
+
+  SC.run(function() { record.destroy(); });
+  patch({ op: 'update', id: 2, data: { name: 'Anne' }, partial: true });
+
+  SC.run(function() {
+    store.commitRecord(SyncTest.Contact, 2);
+    store.dataSourceDidDestroy(record.get('storeKey'));
+  });
+
+  equals(record.get('status'), SC.Record.DESTROYED_CLEAN, "record should stay destroyed");
+  equals(sync.get('deferredCount'), 0, "deferredCount");
+});
+
+test("MERGE policy", function() {
+  var record = contact(1),
+      other = contact(2);
+
+  sync.set('dirtyRecordPolicy', SC.StoreSync.MERGE);
+
+  // the sync knows the server version of records it received
+  patch({ op: 'update', id: 1, data: { guid: 1, name: 'Joe', email: 'joe@example.com' } });
+  SC.run(function() {
+    record.set('name', 'Jo');
+    other.set('name', 'Annie');
+  });
+
+  patch([
+    { op: 'update', id: 1, data: { name: 'Joseph', email: 'joe@work.com' }, partial: true },
+    { op: 'update', id: 2, data: { email: 'ann@work.com' }, partial: true }
+  ]);
+
+  equals(record.get('email'), 'joe@work.com', "attributes changed on the server should be merged");
+  equals(record.get('name'), 'Jo', "attributes changed on both sides should keep the local value");
+  equals(record.get('status'), SC.Record.READY_DIRTY, "record should still have local changes");
+  equals(other.get('email'), 'ann@example.com', "patches of records the sync did not receive should be deferred");
+  equals(sync.get('deferredCount'), 1, "deferredCount");
+});
+
+test("versionKey", function() {
+  sync.set('versionKey', 'version');
+
+  patch({ op: 'update', id: 1, data: { guid: 1, name: 'Joseph', version: 3 } });
+  patch({ op: 'update', id: 1, data: { guid: 1, name: 'Old', version: 2 } });
+
+  equals(contact(1).get('name'), 'Joseph', "older versions should be ignored");
+});
+
+test("resync after reconnecting", function() {
+  patch({ op: 'update', id: 1, data: { name: 'Joseph' }, partial: true, seq: 41 });
+  patch({ op: 'update', id: 1, data: { name: 'Joey' }, partial: true, seq: 42 });
+
+  close();
+  sent = [];
+  open();
+
+  equals(sent[0].type, 'subscribe', "channel should be subscribed again");
+  same(sent[1].params, { channel: 'contacts', since: 42 }, "missed patches should be asked for");
+  equals(sent[1].method, 'sync', "resyncMethod");
+
+  receive({ type: 'reply', id: sent[1].id, result: [{ op: 'update', id: 2, data: { name: 'Anne' }, partial: true, seq: 43 }] });
+  equals(contact(2).get('name'), 'Anne', "missed patches should be applied");
+});
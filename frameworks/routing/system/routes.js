@@ -28,6 +28,17 @@
   documentation, and the syntax for adding handlers is described in the
   add method documentation.
 
+  Routes can be given a name, and the location of a named route can be built
+  from its parameters with urlFor:
+
+      SC.routes.add({ name: 'note', route: 'notes/:id', constraints: { id: 'number' } }, MyApp, MyApp.showNote);
+
+      SC.routes.urlFor('note', { id: 4, format: 'xml' }); // 'notes/4?format=xml'
+
+  Routes can also guard the location changes with beforeLeave and beforeEnter
+  hooks, which can cancel a change or make it wait, for example to keep
+  unsaved changes or to load data first (see the add method).
+
   Browsers keep track of the locations in their history, so when the user
   presses the 'back' or 'forward' button, the location is changed, SC.route
   catches it and calls your handler. Except for Internet Explorer versions 7
@@ -76,6 +87,15 @@ SC.routes = SC.Object.create(
   */
   usesHistory: null,
 
+  /**
+    A read-only boolean indicating whether or not a location change is waiting
+    for a beforeLeave or beforeEnter hook (see the add method).
+
+    @property
+    @type {Boolean}
+  */
+  isTransitioning: NO,
+
   /**
     The base URI used to resolve routes (which are relative URLs). Only used
     when usesHistory is equal to YES.
@@ -124,6 +144,43 @@ SC.routes = SC.Object.create(
   */
   _firstRoute: null,
 
+  /** @private
+    The named routes, by name. Each one is a hash with the 'route' and the
+    'constraints' it was added with.
+
+    @property
+    @type {Hash}
+  */
+  _namedRoutes: null,
+
+  /** @private
+    The last location that was accepted by the route hooks, and the route and
+    parameters it matched.
+  */
+  _acceptedLocation: null,
+  _currentRoute: null,
+  _currentParams: null,
+
+  /** @private
+    The location that is in the browser, and the location that is waiting to
+    be put there once it is accepted.
+  */
+  _browserLocation: null,
+  _unpublishedLocation: undefined,
+
+  /** @private
+    The location change that is waiting for the route hooks.
+  */
+  _pendingTransition: null,
+
+  /** @private
+    The position of the current location in the browser history, when using
+    HTML5 history. Each history entry added by SC.routes has its position in
+    its state, so that a location change that is cancelled after the 'back'
+    or 'forward' button was pressed can go back to where it was.
+  */
+  _historyIndex: 0,
+
   /** @private
     Internal method used to extract and merge the parameters of a URL.
 
@@ -234,7 +291,7 @@ SC.routes = SC.Object.create(
   }.property(),
 
   _extractLocation: function(key, value) {
-    var crumbs, encodedValue;
+    var crumbs;
 
     if (value !== undefined) {
       if (value === null) {
@@ -247,18 +304,15 @@ SC.routes = SC.Object.create(
       }
 
       // Only update the browser if this event triggered from within the app, rather
-      // than from the browser back or forward buttons.
+      // than from the browser back or forward buttons. Locations that trigger
+      // the routes are put in the browser once the route hooks accept them.
       if (!this._exogenous) {
         if (!SC.empty(value) || (this._location && this._location !== value)) {
-          encodedValue = encodeURI(value);
-
-          if (this.usesHistory) {
-            if (encodedValue.length > 0) {
-              encodedValue = '/' + encodedValue;
-            }
-            window.history.pushState(null, null, this.get('baseURI') + encodedValue);
+          if (this._skipRoute) {
+            this._acceptedLocation = value;
+            this._publishLocation(value);
           } else {
-            window.location.hash = encodedValue;
+            this._unpublishedLocation = value;
           }
         }
       }
@@ -270,6 +324,63 @@ SC.routes = SC.Object.create(
     return this._location;
   },
 
+  /** @private
+    Returns the location as it is in the browser. The characters that can not
+    be in a URL are escaped, but the escape sequences of the location are
+    kept: like the locations built by urlFor, the locations are only decoded
+    once, part by part, when they are routed.
+  */
+  _encodeLocation: function(value) {
+    if (SC.none(value)) return value;
+    return encodeURI(value).replace(/%25([0-9A-Fa-f]{2})/g, '%$1');
+  },
+
+  /** @private
+    Puts the location in the browser, adding an entry to its history.
+  */
+  _publishLocation: function(value) {
+    var encodedValue = this._encodeLocation(value);
+
+    if (this.usesHistory) {
+      if (encodedValue.length > 0) {
+        encodedValue = '/' + encodedValue;
+      }
+      window.history.pushState({ scIndex: ++this._historyIndex }, null, this.get('baseURI') + encodedValue);
+    } else {
+      window.location.hash = encodedValue;
+    }
+
+    this._browserLocation = this._encodeLocation(value);
+  },
+
+  /** @private
+    Puts back the location in the browser after a location change coming from
+    the browser was cancelled, without adding an entry to its history.
+  */
+  _restoreBrowserLocation: function(value, historyIndex) {
+    var encodedValue = this._encodeLocation(value),
+        href;
+
+    if (this.usesHistory) {
+      if (historyIndex !== undefined && historyIndex !== this._historyIndex) {
+        // go back to the entry that was left with the 'back' or 'forward'
+        // button; the popstate event finds the location unchanged
+        window.history.go(this._historyIndex - historyIndex);
+      } else {
+        if (encodedValue.length > 0) {
+          encodedValue = '/' + encodedValue;
+        }
+        window.history.replaceState({ scIndex: this._historyIndex }, null, this.get('baseURI') + encodedValue);
+      }
+    } else {
+      href = window.location.href;
+      if (href.indexOf('#') >= 0) href = href.slice(0, href.indexOf('#'));
+      window.location.replace(href + '#' + encodedValue);
+    }
+
+    this._browserLocation = this._encodeLocation(value);
+  },
+
   /**
     You usually don't need to call this method. It is done automatically after
     the application has been initialized.
@@ -278,7 +389,7 @@ SC.routes = SC.Object.create(
     timer that looks for location changes every 150ms.
   */
   ping: function() {
-    var that;
+    var that, state;
 
     if (!this._didSetup) {
       this._didSetup = YES;
@@ -286,6 +397,11 @@ SC.routes = SC.Object.create(
       if (this.get('wantsHistory') && SC.platform.supportsHistory) {
         this.usesHistory = YES;
 
+        // a reloaded page keeps the position of its history entry
+        state = window.history.state;
+        if (state && state.scIndex !== undefined) this._historyIndex = state.scIndex;
+        else window.history.replaceState({ scIndex: this._historyIndex }, null);
+
         this.popState();
         SC.Event.add(window, 'popstate', this, this.popState);
 
@@ -321,15 +437,15 @@ SC.routes = SC.Object.create(
 
     var loc = window.location.hash;
 
-    // Remove the '#' prefix
+    // Remove the '#' prefix. The location is not decoded here, the routes
+    // decode its parts (some browsers return it decoded, see
+    // https://bugzilla.mozilla.org/show_bug.cgi?id=483304).
     loc = (loc && loc.length > 0) ? loc.slice(1, loc.length) : '';
+    loc = this._encodeLocation(loc);
 
-    if (!(SC.browser.isMozilla && SC.browser.compare(SC.browser.mozilla, "41.0") > 0)) {
-      // because of bug https://bugzilla.mozilla.org/show_bug.cgi?id=483304
-      loc = decodeURI(loc);
-    }
+    this._browserLocation = loc;
 
-    if (this.get('location') !== loc && !this._skipRoute) {
+    if (this._encodeLocation(this.get('location')) !== loc && !this._skipRoute) {
       SC.run(function() {
         this.set('location', loc);
       }, this);
@@ -345,17 +461,25 @@ SC.routes = SC.Object.create(
     this._exogenous = YES;
 
     var base = this.get('baseURI'),
-        loc = document.location.href;
+        loc = document.location.href,
+        state;
 
     if (loc.slice(0, base.length) === base) {
 
       // Remove the base prefix and the extra '/'
-      loc = loc.slice(base.length + 1, loc.length);
+      loc = this._encodeLocation(loc.slice(base.length + 1, loc.length));
+
+      this._browserLocation = loc;
+
+      if (this._encodeLocation(this.get('location')) !== loc && !this._skipRoute) {
+        state = event ? event.state : null;
+        this._popStateIndex = state ? state.scIndex : undefined;
 
-      if (this.get('location') !== loc && !this._skipRoute) {
         SC.run(function() {
           this.set('location', loc);
         }, this);
+
+        this._popStateIndex = undefined;
       }
     }
 
@@ -379,17 +503,84 @@ SC.routes = SC.Object.create(
      - ':controller/show/:id'
      - ':controller/*url'
 
-    @param {String} route the route to be registered
+    Instead of the route, you can pass a hash with the following properties:
+
+     - 'route', the route,
+     - 'name', a name to build the location of the route with urlFor,
+     - 'constraints', a hash of the values allowed for the dynamic and
+       wildcard parts of the route. The route only matches the locations
+       where every constrained part is allowed.
+
+    Each constraint can be:
+
+     - 'number', to allow numbers only, which are passed to the handler as
+       numbers instead of strings,
+     - an array of the allowed values,
+     - a regular expression that must match the whole part,
+     - a function that is called with the value and the parameters and
+       returns YES to allow the value.
+
+    For example:
+
+        SC.routes.add({
+          name: 'notes',
+          route: 'notes/:view/:id',
+          constraints: { view: ['list', 'grid'], id: 'number' }
+        }, MyApp, MyApp.showNotes);
+
+    matches 'notes/grid/4', but not 'notes/table/4' or 'notes/grid/new'.
+
+    The hash can also have guard hooks, which are functions or names of
+    methods of the target:
+
+     - 'beforeLeave' is called with the parameters of the route and the new
+       location before leaving a location that matched the route,
+     - 'beforeEnter' is called with the parameters of the route and the
+       previous location before calling the method for a new location.
+
+    A hook returns NO to cancel the location change, which puts back the
+    previous location, including in the browser when the 'back' or 'forward'
+    button was pressed, without adding an entry to the browser history. It can
+    also return a promise to make the location change wait; the change goes on
+    if the promise is resolved with anything but NO. While it waits,
+    isTransitioning is YES, and a newer location change replaces it.
+
+        SC.routes.add({
+          route: 'notes/:id/edit',
+          beforeEnter: function(params) {
+            return MyApp.loadNote(params.id); // a promise
+          },
+          beforeLeave: function(params, location) {
+            return !MyApp.noteController.get('hasChanges') || window.confirm("Discard your changes?");
+          }
+        }, MyApp, MyApp.editNote);
+
+    @param {String|Hash} route the route to be registered, or a hash with the
+      route, name, constraints and hooks
     @param {Object} target the object on which the method will be called, or
       directly the function to be called to handle the route
     @param {Function} method the method to be called on target to handle the
       route, can be a function or a string
   */
   add: function(route, target, method) {
+    var constraints = null,
+        hooks = null,
+        leaf;
+
     if (!this._didSetup) {
       this.invokeNext(this.ping);
     }
 
+    if (SC.typeOf(route) === SC.T_HASH) {
+      constraints = route.constraints || null;
+      hooks = route;
+      if (route.name) {
+        if (!this._namedRoutes) this._namedRoutes = {};
+        this._namedRoutes[route.name] = { route: route.route, constraints: constraints };
+      }
+      route = route.route;
+    }
+
     if (method === undefined && SC.typeOf(target) === SC.T_FUNCTION) {
       method = target;
       target = null;
@@ -398,17 +589,112 @@ SC.routes = SC.Object.create(
     }
 
     if (!this._firstRoute) this._firstRoute = this._Route.create();
-    this._firstRoute.add(route.split('/'), target, method);
+    leaf = this._firstRoute.add(route.split('/'), target, method, constraints);
+    leaf.beforeEnter = hooks ? hooks.beforeEnter || null : null;
+    leaf.beforeLeave = hooks ? hooks.beforeLeave || null : null;
 
     return this;
   },
 
+  /**
+    Returns the location of a named route with the passed parameters. The
+    dynamic and wildcard parts of the route are replaced with the escaped
+    parameters of the same name, and the other parameters are added as the
+    query string, which the handler of the route gets back as parameters
+    (see deparam).
+
+        SC.routes.add({ name: 'note', route: 'notes/:id' }, MyApp, MyApp.showNote);
+
+        SC.routes.urlFor('note', { id: 4 });                  // 'notes/4'
+        SC.routes.urlFor('note', { id: 'a/b', tab: 'info' }); // 'notes/a%2Fb?tab=info'
+
+    The location can be set as is:
+
+        SC.routes.set('location', SC.routes.urlFor('note', { id: 4 }));
+
+    @param {String} name the name of the route
+    @param {Hash} params the parameters
+    @returns {String} the location
+  */
+  urlFor: function(name, params) {
+    var namedRoute = this._namedRoutes ? this._namedRoutes[name] : null,
+        constraints, query = {}, used = {}, parts, key, ret;
+
+    if (!namedRoute) {
+      throw new Error("Developer Error: There is no route named '%@'.".fmt(name));
+    }
+
+    params = params || {};
+    constraints = namedRoute.constraints || {};
+
+    parts = namedRoute.route.split('/').map(function(part) {
+      var type = part.slice(0, 1), value;
+
+      if (type !== ':' && type !== '*') return part;
+
+      key = part.slice(1);
+      value = params[key];
+      used[key] = YES;
+
+      if (SC.none(value)) {
+        throw new Error("Developer Error: The route '%@' needs the '%@' parameter.".fmt(name, key));
+      }
+      if (constraints[key] && !this._matchesConstraint(constraints[key], '' + value, params)) {
+        throw new Error("Developer Error: '%@' is not allowed for the '%@' parameter of the route '%@'.".fmt(value, key, name));
+      }
+
+      // wildcard parts keep their slashes
+      return type === '*' ? ('' + value).split('/').map(encodeURIComponent).join('/') : encodeURIComponent(value);
+    }, this);
+
+    for (key in params) {
+      if (params.hasOwnProperty(key) && !used[key] && params[key] !== undefined) query[key] = params[key];
+    }
+
+    // arrays are serialized as repeated keys, which deparam reads back
+    ret = parts.join('/');
+    query = $.param(query, true);
+    if (query) ret += '?' + query;
+
+    return ret;
+  },
+
+  /** @private
+    Returns YES if the value of a part of a route is allowed by the
+    constraint.
+  */
+  _matchesConstraint: function(constraint, value, params) {
+    switch (SC.typeOf(constraint)) {
+    case SC.T_STRING:
+      //@if(debug)
+      if (constraint !== 'number') SC.warn("Developer Warning: Unknown route constraint '%@'.".fmt(constraint));
+      //@endif
+      return constraint === 'number' && /^-?\d+(\.\d+)?$/.test(value);
+    case SC.T_ARRAY:
+      return constraint.indexOf(value) >= 0;
+    case SC.T_FUNCTION:
+      return !!constraint(value, params);
+    default:
+      // a regular expression must match the whole part
+      return new RegExp('^(?:' + constraint.source + ')$', constraint.ignoreCase ? 'i' : '').test(value);
+    }
+  },
+
   /**
     Observer of the 'location' property that calls the correct route handler
     when the location changes.
   */
   locationDidChange: function() {
-    this.trigger();
+    var transition = this._pendingTransition;
+
+    // the accepted location is not routed again, whether it is put back by
+    // _cancelTransition or the location goes back to it while a change waits
+    // for the route hooks, in which case the change is dropped
+    if (this.get('location') === this._acceptedLocation) {
+      if (transition) this._cancelTransition(transition);
+    } else {
+      this.trigger();
+    }
   }.observes('location'),
 
   /**
@@ -417,21 +703,116 @@ SC.routes = SC.Object.create(
 
     If the location is not the same as the supplied location, this simply lets "location"
     handle it (which ends up coming back to here).
+
+    The beforeLeave hook of the current route and the beforeEnter hook of the
+    new route are called first, and can cancel or delay the route (see add).
   */
   trigger: function() {
     var firstRoute = this._firstRoute,
         location = this.get('location'),
-        params, route;
+        current = this._currentRoute,
+        from = this._acceptedLocation,
+        params, path, route, transition;
 
     if (firstRoute) {
       params = this._extractParametersAndRoute({ route: location });
-      location = params.route;
+      path = params.route;
       delete params.route;
       delete params.params;
-      route = firstRoute.routeForParts(location.split('/'), params);
-      if (route && route.method) {
-        route.method.call(route.target || this, params);
-      }
+      route = firstRoute.routeForParts(path.split('/'), params);
+    }
+
+    transition = this._pendingTransition = {
+      location: location,
+      route: route || null,
+      params: params || null,
+      publish: this._unpublishedLocation,
+      historyIndex: this._popStateIndex
+    };
+    this._unpublishedLocation = undefined;
+
+    // leave the current route, if the location changed, and enter the new one
+    this._runHook(transition, current && from !== location ? current : null, 'beforeLeave', [this._currentParams, location], function(didAccept) {
+      if (!didAccept) return this._cancelTransition(transition);
+
+      this._runHook(transition, route, 'beforeEnter', [params, from], function(didAccept) {
+        if (didAccept) this._completeTransition(transition);
+        else this._cancelTransition(transition);
+      });
+    });
+  },
+
+  /** @private
+    Calls a beforeLeave or beforeEnter hook of the route, then calls back with
+    YES if the hook accepts the transition. Promises returned by the hook are
+    waited for, unless a newer transition starts in the meantime.
+  */
+  _runHook: function(transition, route, hookName, args, callback) {
+    var hook = route ? route[hookName] : null,
+        target, ret, self = this;
+
+    if (!hook) return callback.call(this, YES);
+
+    target = route.target || this;
+    if (SC.typeOf(hook) === SC.T_STRING) hook = target[hook];
+
+    ret = hook.apply(target, args);
+
+    if (ret && SC.typeOf(ret.then) === SC.T_FUNCTION) {
+      this.set('isTransitioning', YES);
+
+      ret.then(function(value) {
+        SC.run(function() {
+          if (self._pendingTransition === transition) callback.call(self, value !== NO);
+        });
+      }, function() {
+        SC.run(function() {
+          if (self._pendingTransition === transition) callback.call(self, NO);
+        });
+      });
+    } else {
+      callback.call(this, ret !== NO);
+    }
+  },
+
+  /** @private
+    Accepts the location of the transition and calls its route.
+  */
+  _completeTransition: function(transition) {
+    var route = transition.route;
+
+    this._pendingTransition = null;
+    if (this.get('isTransitioning')) this.set('isTransitioning', NO);
+
+    this._acceptedLocation = transition.location;
+    this._currentRoute = route;
+    this._currentParams = transition.params;
+    if (transition.historyIndex !== undefined) this._historyIndex = transition.historyIndex;
+    if (transition.publish !== undefined) this._publishLocation(transition.publish);
+
+    if (route && route.method) {
+      route.method.call(route.target || this, transition.params);
+    }
+  },
+
+  /** @private
+    Puts back the previous location after a hook cancelled the transition.
+  */
+  _cancelTransition: function(transition) {
+    var previous = this._acceptedLocation || '';
+
+    // the location that is put back is not routed, even the first time
+    this._acceptedLocation = previous;
+    this._pendingTransition = null;
+    this._unpublishedLocation = undefined;
+    if (this.get('isTransitioning')) this.set('isTransitioning', NO);
+
+    this._exogenous = YES;
+    this.set('location', previous);
+    this._exogenous = NO;
+
+    if (this._browserLocation !== null && this._browserLocation !== this._encodeLocation(previous)) {
+      this._restoreBrowserLocation(previous, transition.historyIndex);
     }
   },
 
@@ -519,7 +900,13 @@ SC.routes = SC.Object.create(
 
     wildcardRoutes: null,
 
-    add: function(parts, target, method) {
+    constraints: null,
+
+    beforeEnter: null,
+
+    beforeLeave: null,
+
+    add: function(parts, target, method, constraints) {
       var part, nextRoute;
 
       // clone the parts array because we are going to alter it
@@ -528,6 +915,8 @@ SC.routes = SC.Object.create(
       if (!parts || parts.length === 0) {
         this.target = target;
         this.method = method;
+        this.constraints = constraints || null;
+        return this;
 
       } else {
         part = parts.shift();
@@ -558,19 +947,19 @@ SC.routes = SC.Object.create(
         }
 
         // recursively add the rest of the route
-        if (nextRoute) nextRoute.add(parts, target, method);
+        if (nextRoute) return nextRoute.add(parts, target, method, constraints);
       }
     },
 
     routeForParts: function(parts, params) {
-      var part, key, route;
+      var part, key, route, previous;
 
       // clone the parts array because we are going to alter it
       parts = SC.clone(parts);
 
       // if parts is empty, we are done
       if (!parts || parts.length === 0) {
-        return this.method ? this : null;
+        return (this.method && this.matchesConstraints(params)) ? this : null;
 
       } else {
         part = parts.shift();
@@ -581,26 +970,73 @@ SC.routes = SC.Object.create(
 
         } else {
 
-          // else, try to match a dynamic route
+          // else, try to match a dynamic route. The parameter is set before
+          // going on so that the constraints can be checked.
           for (key in this.dynamicRoutes) {
+            previous = params[key];
+            params[key] = this.decodePart(part);
             route = this.dynamicRoutes[key].routeForParts(parts, params);
-            if (route) {
-              params[key] = part;
-              return route;
-            }
+            if (route) return route;
+
+            if (previous === undefined) delete params[key];
+            else params[key] = previous;
           }
 
           // else, try to match a wildcard route
           for (key in this.wildcardRoutes) {
             parts.unshift(part);
-            params[key] = parts.join('/');
-            return this.wildcardRoutes[key].routeForParts(null, params);
+            previous = params[key];
+            params[key] = parts.map(this.decodePart).join('/');
+            route = this.wildcardRoutes[key].routeForParts(null, params);
+            if (!route) {
+              if (previous === undefined) delete params[key];
+              else params[key] = previous;
+            }
+            return route;
           }
 
           // if nothing was found, it means that there is no match
           return null;
         }
       }
+    },
+
+    /**
+      Returns YES if the parameters are allowed by the constraints of the
+      route, and converts the 'number' parameters to numbers.
+    */
+    matchesConstraints: function(params) {
+      var constraints = this.constraints,
+          key;
+
+      if (!constraints) return YES;
+
+      for (key in constraints) {
+        if (constraints.hasOwnProperty(key) && params[key] !== undefined &&
+            !SC.routes._matchesConstraint(constraints[key], params[key], params)) {
+          return NO;
+        }
+      }
+
+      for (key in constraints) {
+        if (constraints[key] === 'number' && params[key] !== undefined) params[key] = +params[key];
+      }
+
+      return YES;
+    },
+
+    /**
+      Decodes a part of a location, built by urlFor for instance. This is the
+      only place the parts are decoded, the locations coming from the browser
+      keep their escape sequences. Parts that are not valid escaped strings
+      are left as is.
+    */
+    decodePart: function(part) {
+      try {
+        return decodeURIComponent(part);
+      } catch (e) {
+        return part;
+      }
     }
 
   })
@@ -0,0 +1,162 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module, test, ok, equals, same */
+
+var router;
+
+module('SC.routes named routes', {
+
+  setup: function() {
+    router = SC.Object.create({
+      calls: [],
+      route: function(params) {
+        this.calls.push(params);
+      }
+    });
+  },
+
+  teardown: function() {
+    SC.routes.set('location', null);
+    router = null;
+  }
+
+});
+
+test('urlFor() fills the parts of the route', function() {
+  SC.routes.add({ name: 'namedNote', route: 'named/notes/:id/*path' }, router, 'route');
+
+  equals(SC.routes.urlFor('namedNote', { id: 4, path: 'edit/title' }), 'named/notes/4/edit/title', "location");
+  equals(SC.routes.urlFor('namedNote', { id: 'a/b?c', path: 'x y/é' }), 'named/notes/a%2Fb%3Fc/x%20y/%C3%A9', "parts should be escaped");
+});
+
+test('urlFor() adds the other parameters as the query string', function() {
+  var params;
+
+  SC.routes.add({ name: 'namedSearch', route: 'named/search/:kind' }, router, 'route');
+
+  equals(SC.routes.urlFor('namedSearch', { kind: 'notes', q: 'a&b', page: 2 }), 'named/search/notes?q=a%26b&page=2', "location");
+
+  params = SC.routes.deparam(SC.routes.urlFor('namedSearch', { kind: 'notes', tags: ['a', 'b'] }).split('?')[1]);
+  same(params.tags, ['a', 'b'], "arrays should use the deparam conventions");
+});
+
+test('urlFor() round-trips through the route handler', function() {
+  var params;
+
+  SC.routes.add({ name: 'namedRoundTrip', route: 'named/round/:id' }, router, 'route');
+  SC.routes.set('location', SC.routes.urlFor('namedRoundTrip', { id: 'a/b c', format: 'xml' }));
+
+  params = router.calls[0];
+  equals(params.id, 'a/b c', "escaped part should be decoded");
+  equals(params.format, 'xml', "query parameter");
+});
+
+test('urlFor() round-trips escape sequences through the browser', function() {
+  var location;
+
+  SC.run(function() { SC.routes.ping(); });
+  SC.routes.add({ name: 'namedPercent', route: 'named/percent/:id' }, router, 'route');
+  location = SC.routes.urlFor('namedPercent', { id: '%41', q: '100%' });
+  equals(location, 'named/percent/%2541?q=100%25', "location");
+
+  SC.run(function() { SC.routes.set('location', location); });
+  equals(router.calls[0].id, '%41', "part should be decoded once");
+  equals(router.calls[0].q, '100%', "query parameter should be decoded once");
+
+  if (!SC.routes.get('usesHistory')) {
+    equals(window.location.hash, '#' + location, "location should be in the browser as is");
+
+    SC.routes.set('location', null);
+    window.location.hash = location;
+    SC.routes.hashChange();
+    equals(SC.routes.get('location'), location, "location from the browser");
+    equals(router.calls[router.calls.length - 1].id, '%41', "part from the browser should be decoded once");
+  }
+});
+
+test('urlFor() errors', function() {
+  SC.routes.add({ name: 'namedErrors', route: 'named/errors/:id', constraints: { id: 'number' } }, router, 'route');
+
+  [
+    ['namedUnknown', {}, "unknown routes should throw"],
+    ['namedErrors', {}, "missing parameters should throw"],
+    ['namedErrors', { id: 'new' }, "parameters that are not allowed should throw"]
+  ].forEach(function(args) {
+    var didThrow = NO;
+
+    try {
+      SC.routes.urlFor(args[0], args[1]);
+    } catch (e) {
+      didThrow = YES;
+    }
+    ok(didThrow, args[2]);
+  });
+});
+
+module('SC.routes constraints', {
+
+  setup: function() {
+    router = SC.Object.create({
+      calls: [],
+      route: function(params) {
+        this.calls.push(params);
+      }
+    });
+  },
+
+  teardown: function() {
+    SC.routes.set('location', null);
+    router = null;
+  }
+
+});
+
+test('numbers', function() {
+  SC.routes.add({ route: 'constrained/number/:id', constraints: { id: 'number' } }, router, 'route');
+
+  SC.routes.set('location', 'constrained/number/new');
+  equals(router.calls.length, 0, "route should not match other values");
+
+  SC.routes.set('location', 'constrained/number/42');
+  equals(router.calls.length, 1, "route should match numbers");
+  equals(router.calls[0].id, 42, "parameter should be a number");
+});
+
+test('enums, regular expressions and functions', function() {
+  SC.routes.add({
+    route: 'constrained/:view/:slug/:page',
+    constraints: {
+      view: ['list', 'grid'],
+      slug: /[a-z\-]+/,
+      page: function(value) { return value !== '0'; }
+    }
+  }, router, 'route');
+
+  SC.routes.set('location', 'constrained/table/my-note/1');
+  SC.routes.set('location', 'constrained/list/my-note-2/1');
+  SC.routes.set('location', 'constrained/list/my-note/0');
+  equals(router.calls.length, 0, "route should not match values that are not allowed");
+
+  SC.routes.set('location', 'constrained/grid/my-note/1');
+  equals(router.calls.length, 1, "route should match allowed values");
+  equals(router.calls[0].view, 'grid', "parameter");
+  equals(router.calls[0].page, '1', "other parameters should stay strings");
+});
+
+test('other routes are tried when the constraints do not match', function() {
+  var r = SC.routes._Route.create(),
+      params = {};
+
+  r.add('items/:id'.split('/'), router, 'byId', { id: 'number' });
+  r.add('items/:name'.split('/'), router, 'byName');
+
+  equals(r.routeForParts(['items', '7'], params).method, 'byId', "numeric ids");
+  same(params, { id: 7 }, "params");
+
+  params = {};
+  equals(r.routeForParts(['items', 'seven'], params).method, 'byName', "other values");
+  same(params, { name: 'seven' }, "parameters of the rejected route should be removed");
+});
@@ -0,0 +1,192 @@
+// ==========================================================================
+// Project:   SproutCore - JavaScript Application Framework
+// Copyright: ©2006-2011 Strobe Inc. and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+/*globals module, test, ok, equals, same, stop, start, Promise */
+
+var router;
+
+module('SC.routes route hooks', {
+
+  setup: function() {
+    router = SC.Object.create({
+      calls: [],
+      leaves: [],
+      enters: [],
+      canLeave: YES,
+      enterResult: YES,
+
+      show: function(params) {
+        this.calls.push(params.id);
+      },
+
+      willLeave: function(params, location) {
+        this.leaves.push([params.id, location]);
+        return this.canLeave;
+      },
+
+      willEnter: function(params, location) {
+        this.enters.push([params.id, location]);
+        return this.enterResult;
+      }
+    });
+
+    SC.run(function() {
+      SC.routes.ping();
+      SC.routes.add({ route: 'guarded/:id', beforeLeave: 'willLeave', beforeEnter: 'willEnter' }, router, 'show');
+      SC.routes.set('location', 'unguarded');
+    });
+  },
+
+  teardown: function() {
+    router.canLeave = YES;
+    router.enterResult = YES;
+    SC.routes.set('location', null);
+    router = null;
+  }
+
+});
+
+test('beforeLeave and beforeEnter are called with the other location', function() {
+  SC.routes.set('location', 'guarded/1');
+  SC.routes.set('location', 'guarded/2');
+
+  same(router.enters, [['1', 'unguarded'], ['2', 'guarded/1']], "beforeEnter should get the previous location");
+  same(router.leaves, [['1', 'guarded/2']], "beforeLeave should get the new location");
+  same(router.calls, ['1', '2'], "routes should be called");
+});
+
+test('beforeLeave can cancel a location change', function() {
+  SC.routes.set('location', 'guarded/1');
+
+  router.canLeave = NO;
+  SC.routes.set('location', 'guarded/2');
+  same(router.calls, ['1'], "route should not be called");
+  equals(SC.routes.get('location'), 'guarded/1', "previous location should be put back");
+  same(router.enters.length, 1, "beforeEnter should not be called for the cancelled location");
+
+  router.canLeave = YES;
+  SC.routes.set('location', 'unguarded');
+  equals(SC.routes.get('location'), 'unguarded', "location should change once beforeLeave accepts it");
+});
+
+test('beforeEnter can make a location change wait', function() {
+  var resolve;
+
+  router.enterResult = new Promise(function(r) { resolve = r; });
+  SC.routes.set('location', 'guarded/3');
+
+  same(router.calls, [], "route should wait");
+  equals(SC.routes.get('isTransitioning'), YES, "isTransitioning");
+
+  stop(1000);
+  resolve();
+  router.enterResult.then(function() {
+    setTimeout(function() {
+      same(router.calls, ['3'], "route should be called once the promise is resolved");
+      equals(SC.routes.get('isTransitioning'), NO, "isTransitioning");
+      window.start();
+    }, 0);
+  });
+});
+
+test('promises resolved with NO or rejected cancel the location change', function() {
+  var rejected = Promise.reject(new Error('Not found'));
+
+  rejected.then(null, function() {});
+  router.enterResult = Promise.resolve(NO);
+  SC.routes.set('location', 'guarded/4');
+
+  stop(1000);
+  setTimeout(function() {
+    same(router.calls, [], "route should not be called");
+    equals(SC.routes.get('location'), 'unguarded', "previous location should be put back");
+
+    router.enterResult = rejected;
+    SC.run(function() { SC.routes.set('location', 'guarded/5'); });
+
+    setTimeout(function() {
+      same(router.calls, [], "route should not be called");
+      equals(SC.routes.get('location'), 'unguarded', "previous location should be put back");
+      window.start();
+    }, 0);
+  }, 0);
+});
+
+test('a newer location change replaces a waiting one', function() {
+  var resolve;
+
+  router.enterResult = new Promise(function(r) { resolve = r; });
+  SC.routes.set('location', 'guarded/6');
+
+  router.enterResult = YES;
+  SC.routes.set('location', 'guarded/7');
+  same(router.calls, ['7'], "newer location should be routed");
+
+  stop(1000);
+  resolve();
+  setTimeout(function() {
+    same(router.calls, ['7'], "waiting location should be dropped");
+    equals(SC.routes.get('location'), 'guarded/7', "location");
+    window.start();
+  }, 0);
+});
+
+test('a cancelled location change from the browser is put back without a history entry', function() {
+  var length;
+
+  if (!SC.routes.get('usesHistory')) {
+    SC.routes.set('location', 'guarded/8');
+    equals(window.location.hash, '#guarded/8', "accepted location should be in the browser");
+
+    router.canLeave = NO;
+    window.location.hash = 'guarded/9';
+    length = window.history.length;
+    SC.routes.hashChange();
+
+    equals(SC.routes.get('location'), 'guarded/8', "previous location should be put back");
+    equals(window.location.hash, '#guarded/8', "previous location should be put back in the browser");
+    equals(window.history.length, length, "no history entry should be added");
+    same(router.calls, ['8'], "route should not be called");
+  }
+});
+
+test('a cancelled location change that keeps the location does not block later changes', function() {
+  SC.routes.set('location', 'guarded/10');
+
+  router.enterResult = NO;
+  SC.routes.trigger();
+  same(router.calls, ['10'], "route should not be called again");
+
+  router.enterResult = YES;
+  SC.routes.set('location', 'guarded/11');
+  same(router.calls, ['10', '11'], "next location should be routed");
+});
+
+test('going back to the accepted location drops a waiting location change', function() {
+  var resolve;
+
+  SC.routes.set('location', 'guarded/12');
+
+  router.enterResult = new Promise(function(r) { resolve = r; });
+  SC.routes.set('location', 'guarded/13');
+  equals(SC.routes.get('isTransitioning'), YES, "precond - isTransitioning");
+
+  SC.routes.set('location', 'guarded/12');
+  equals(SC.routes.get('isTransitioning'), NO, "isTransitioning");
+  same(router.enters, [['12', 'unguarded'], ['13', 'guarded/12']], "beforeEnter should not be called again for the accepted location");
+  same(router.calls, ['12'], "route should not be called again");
+
+  stop(1000);
+  resolve();
+  setTimeout(function() {
+    same(router.calls, ['12'], "waiting location should be dropped");
+    equals(SC.routes.get('location'), 'guarded/12', "location");
+
+    router.enterResult = YES;
+    SC.routes.set('location', 'guarded/14');
+    same(router.calls, ['12', '14'], "next location should be routed");
+    window.start();
+  }, 0);
+});
@@ -0,0 +1,280 @@
+// ==========================================================================
+// Project:   SC.Statechart - A Statechart Framework for SproutCore
+// Copyright: ©2010, 2011 Michael Cohen, and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+/*globals SC */
+
+sc_require('system/statechart');
+sc_require('debug/monitor');
+
+/**
+  @class
+
+  A pane that shows the states of a statechart while the application runs,
+  for debugging.
+
+  The pane shows the state hierarchy as a tree, where the current states and
+  the entered states are highlighted as they change, and the events recently
+  sent to the statechart with the states that handled them. It also lets you
+  send events to the statechart, either by name or with the buttons for the
+  events declared by the entered states, and go to a state by clicking its
+  arrow in the tree.
+
+  To inspect a statechart, append an inspector for it:
+
+      MyApp.inspector = SC.StatechartInspectorPane.create({
+        statechart: MyApp.statechart
+      }).append();
+
+  The inspector turns the statechart's monitor on to record the sent events.
+  Like the monitor, it is only available in debug mode.
+
+  @extends SC.Pane
+  @since SproutCore 2.0
+*/
+SC.StatechartInspectorPane = SC.Pane.extend(
+  /** @scope SC.StatechartInspectorPane.prototype */{
+
+  /** @private */
+  classNames: ['sc-statechart-inspector'],
+
+  /** @private */
+  layout: { top: 0, right: 0, bottom: 0, width: 320 },
+
+  /**
+    The statechart to inspect.
+
+    @type SC.StatechartManager
+  */
+  statechart: null,
+
+  /**
+    The number of recent events to list.
+
+    @type Number
+    @default 25
+  */
+  maxSentEvents: 25,
+
+  /** @private */
+  displayProperties: ['maxSentEvents'],
+
+  /** @private */
+  init: function() {
+    sc_super();
+    this.statechartDidChange();
+  },
+
+  /** @private */
+  destroy: function() {
+    this.set('statechart', null);
+    this.statechartDidChange();
+    sc_super();
+  },
+
+  /**
+    Sends an event to the statechart.
+
+    @param {String} event the event
+  */
+  sendStatechartEvent: function(event) {
+    var statechart = this.get('statechart');
+    if (statechart && event) statechart.sendEvent(event);
+  },
+
+  /**
+    Makes the statechart go to a state.
+
+    @param {String} path the full path of the state
+  */
+  gotoStatechartState: function(path) {
+    var statechart = this.get('statechart'),
+        state = statechart ? statechart.getState(path) : null;
+
+    // go from the current states that are related to the state
+    if (state) state.gotoState(state);
+  },
+
+  /** @private
+    Observes the statechart and its monitor.
+  */
+  statechartDidChange: function() {
+    var statechart = this.get('statechart'),
+        previous = this._sc_statechart;
+
+    if (statechart === previous) return;
+
+    if (previous) {
+      previous.removeObserver('currentStates', this, this.displayDidChange);
+      previous.removeObserver('enteredStates', this, this.displayDidChange);
+      previous.removeObserver('monitor.sentEvents', this, this.displayDidChange);
+    }
+
+    this._sc_statechart = statechart;
+
+    if (statechart) {
+      statechart.set('monitorIsActive', YES);
+      statechart.addObserver('currentStates', this, this.displayDidChange);
+      statechart.addObserver('enteredStates', this, this.displayDidChange);
+      statechart.addObserver('monitor.sentEvents', this, this.displayDidChange);
+    }
+
+    this.displayDidChange();
+  }.observes('statechart'),
+
+  // ..........................................................
+  // Rendering
+  //
+
+  /** @private */
+  render: function(context) {
+    context.push('<div class="sc-statechart-inspector-states">', this._sc_statesHTML(), '</div>');
+    context.push('<div class="sc-statechart-inspector-controls">',
+      '<input type="text" class="sc-statechart-inspector-event" placeholder="Event"/>',
+      '<button class="sc-statechart-inspector-send">Send</button>',
+      '<div class="sc-statechart-inspector-shortcuts">', this._sc_shortcutsHTML(), '</div>',
+      '</div>');
+    context.push('<ol class="sc-statechart-inspector-events">', this._sc_sentEventsHTML(), '</ol>');
+  },
+
+  /** @private
+    Updates the lists but not the controls, to keep the typed event.
+  */
+  update: function(jqEl) {
+    jqEl.find('.sc-statechart-inspector-states').html(this._sc_statesHTML());
+    jqEl.find('.sc-statechart-inspector-shortcuts').html(this._sc_shortcutsHTML());
+    jqEl.find('.sc-statechart-inspector-events').html(this._sc_sentEventsHTML());
+  },
+
+  /** @private */
+  _sc_statesHTML: function() {
+    var statechart = this.get('statechart'),
+        root = statechart ? statechart.get('rootState') : null,
+        html = [];
+
+    if (!root) return '';
+
+    html.push('<div class="sc-statechart-inspector-name">', SC.RenderContext.escapeHTML(statechart.get('name') || statechart.toString()), '</div>');
+    this._sc_substatesHTML(root, html);
+
+    return html.join('');
+  },
+
+  /** @private */
+  _sc_substatesHTML: function(state, html) {
+    var substates = (state.get('substates') || []).filter(function(substate) {
+      return !SC.kindOf(substate, SC.EmptyState);
+    });
+
+    if (substates.length === 0) return;
+
+    html.push('<ul>');
+    substates.forEach(function(substate) {
+      var path = SC.RenderContext.escapeHTML(substate.get('fullPath')),
+          classNames = ['sc-statechart-inspector-state'];
+
+      if (substate.get('isCurrentState')) classNames.push('current');
+      else if (substate.get('isEnteredState')) classNames.push('entered');
+      if (substate.get('substatesAreConcurrent')) classNames.push('concurrent');
+
+      html.push('<li class="%@" data-path="%@">'.fmt(classNames.join(' '), path),
+        '<span class="sc-statechart-inspector-state-name">', SC.RenderContext.escapeHTML(substate.get('name')), '</span>',
+        '<span class="sc-statechart-inspector-goto" data-goto="%@" title="Go to state">&rarr;</span>'.fmt(path));
+      this._sc_substatesHTML(substate, html);
+      html.push('</li>');
+    }, this);
+    html.push('</ul>');
+  },
+
+  /** @private
+    Lists the events that the entered states declare transitions or event
+    handlers for.
+  */
+  _sc_shortcutsHTML: function() {
+    var statechart = this.get('statechart'),
+        events = [];
+
+    if (!statechart || !statechart.get('statechartIsInitialized')) return '';
+
+    statechart.get('enteredStates').forEach(function(state) {
+      while (state) {
+        events.pushObjects(state.get('declaredTransitions').getEach('event'));
+        events.pushObjects(SC.keys(state._registeredStringEventHandlers));
+        state = state.get('parentState');
+      }
+    });
+
+    return events.uniq().sort().map(function(event) {
+      event = SC.RenderContext.escapeHTML(event);
+      return '<button data-event="%@">%@</button>'.fmt(event.replace(/"/g, '&quot;'), event);
+    }).join('');
+  },
+
+  /** @private */
+  _sc_sentEventsHTML: function() {
+    var sentEvents = this.getPath('statechart.monitor.sentEvents') || [],
+        max = this.get('maxSentEvents');
+
+    return sentEvents.slice(-max).reverse().map(function(sentEvent) {
+      var states = sentEvent.states.getEach('fullPath').join(', ');
+
+      return '<li class="%@"><span class="sc-statechart-inspector-sent-event">%@</span> %@</li>'.fmt(
+        states ? 'handled' : 'unhandled',
+        SC.RenderContext.escapeHTML(sentEvent.event),
+        states ? '&rarr; ' + SC.RenderContext.escapeHTML(states) : 'not handled');
+    }).join('');
+  },
+
+  // ..........................................................
+  // Events
+  //
+
+  /** @private */
+  mouseDown: function(evt) {
+    // let the event field get the focus
+    if (evt.target.tagName === 'INPUT') {
+      this.becomeKeyPane();
+      evt.allowDefault();
+    }
+
+    return YES;
+  },
+
+  /** @private */
+  mouseUp: function(evt) {
+    var target = SC.$(evt.target),
+        path = target.closest('[data-goto]').attr('data-goto'),
+        event = target.closest('[data-event]').attr('data-event');
+
+    if (path) this.gotoStatechartState(path);
+    else if (event) this.sendStatechartEvent(event);
+    else if (target.closest('.sc-statechart-inspector-send').length) this._sc_sendTypedEvent();
+
+    return YES;
+  },
+
+  /** @private */
+  keyDown: function(evt) {
+    if (evt.keyCode === SC.Event.KEY_RETURN && evt.target.tagName === 'INPUT') {
+      this._sc_sendTypedEvent();
+      return YES;
+    }
+
+    evt.allowDefault();
+    return sc_super();
+  },
+
+  /** @private */
+  _sc_sendTypedEvent: function() {
+    var input = this.$('.sc-statechart-inspector-event'),
+        event = (input.val() || '').trim();
+
+    if (event) {
+      this.sendStatechartEvent(event);
+      input.val('');
+    }
+  }
+
+});
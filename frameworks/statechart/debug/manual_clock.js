@@ -0,0 +1,114 @@
+// ==========================================================================
+// Project:   SC.Statechart - A Statechart Framework for SproutCore
+// Copyright: ©2010, 2011 Michael Cohen, and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+/*globals SC */
+
+sc_require('system/statechart_clock');
+
+/**
+  @class
+
+  A statechart clock whose time only passes when you advance it, to test the
+  timers of states without waiting:
+
+      statechart = MyApp.Statechart.create({
+        statechartClock: SC.StatechartManualClock.create()
+      });
+
+      statechart.get('statechartClock').advance(30000);
+      ok(statechart.stateIsCurrentState('timedOut'));
+
+  @extends SC.StatechartClock
+  @since SproutCore 2.0
+*/
+SC.StatechartManualClock = SC.StatechartClock.extend(
+  /** @scope SC.StatechartManualClock.prototype */{
+
+  /**
+    The current time in milliseconds, starting at 0.
+
+    @type Number
+  */
+  now: 0,
+
+  /**
+    The number of timers that have not fired or been invalidated yet.
+
+    @type Number
+  */
+  timerCount: function() {
+    return this._timers.filterProperty('isValid').length;
+  }.property('now'),
+
+  /** @private */
+  init: function() {
+    sc_super();
+    this._timers = [];
+  },
+
+  /** @private */
+  schedule: function(target, action, interval, repeats) {
+    var timer = {
+      target: target,
+      action: action,
+      interval: interval,
+      repeats: repeats,
+      fireTime: this.get('now') + interval,
+      isValid: YES,
+      invalidate: function() { this.isValid = NO; }
+    };
+
+    this._timers.push(timer);
+    this.notifyPropertyChange('timerCount');
+
+    return timer;
+  },
+
+  /**
+    Moves the time forward, and fires the timers that are due in order.
+
+    @param {Number} ms the number of milliseconds
+  */
+  advance: function(ms) {
+    var end = this.get('now') + ms,
+        timer;
+
+    while ((timer = this._nextTimer(end))) {
+      this.set('now', timer.fireTime);
+
+      if (timer.repeats) timer.fireTime += timer.interval;
+      else timer.isValid = NO;
+
+      this._fireTimer(timer);
+    }
+
+    this.set('now', end);
+  },
+
+  /** @private
+    Calls the action of the timer in a run loop.
+  */
+  _fireTimer: function(timer) {
+    SC.run(function() {
+      timer.action.call(timer.target, timer);
+    });
+  },
+
+  /** @private
+    Returns the first timer that is due by the given time.
+  */
+  _nextTimer: function(end) {
+    var ret = null;
+
+    this._timers = this._timers.filterProperty('isValid');
+    this._timers.forEach(function(timer) {
+      if (timer.fireTime <= end && (!ret || timer.fireTime < ret.fireTime)) ret = timer;
+    });
+
+    return ret;
+  }
+
+});
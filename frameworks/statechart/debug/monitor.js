@@ -13,6 +13,15 @@ SC.StatechartMonitor = SC.Object.extend({
   
   sequence: null,
   
+  /**
+    The events sent to the statechart, with the states that handled them.
+    Each item is a hash with the event, its arguments as arg1 and arg2, and
+    the array of states that handled it.
+    
+    @type Array
+  */
+  sentEvents: null,
+  
   init: function() {
     sc_super();
     this.reset();
@@ -22,6 +31,7 @@ SC.StatechartMonitor = SC.Object.extend({
     this.propertyWillChange('length');
     this.sequence = [];
     this.propertyDidChange('length');
+    this.set('sentEvents', []);
   },
   
   length: function() {
@@ -40,6 +50,12 @@ SC.StatechartMonitor = SC.Object.extend({
     this.propertyDidChange('length');
   },
   
+  pushSentEvent: function(event, arg1, arg2, states) {
+    this.propertyWillChange('sentEvents');
+    this.sentEvents.push({ event: event, arg1: arg1, arg2: arg2, states: states });
+    this.propertyDidChange('sentEvents');
+  },
+  
   matchSequence: function() {
     return SC.StatechartSequenceMatcher.create({
       statechartMonitor: this
@@ -0,0 +1,677 @@
+// ==========================================================================
+// Project:   SC.Statechart - A Statechart Framework for SproutCore
+// Copyright: ©2010, 2011 Michael Cohen, and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+/*globals SC, DOMParser, XMLSerializer */
+
+sc_require('system/statechart');
+sc_require('system/history_state');
+sc_require('system/empty_state');
+
+/**
+  @namespace
+
+  Reads and writes statecharts in the State Chart XML format (SCXML, see
+  http://www.w3.org/TR/scxml/), so that they can be modeled and reviewed
+  with SCXML tools.
+
+  To build a statechart from an SCXML document, use createStatechart:
+
+      MyApp.statechart = SC.SCXML.createStatechart(MyApp.EDITOR_SCXML, {
+        conditions: {
+          hasChanges: function(event) { return MyApp.noteController.get('hasChanges'); }
+        },
+        actions: {
+          save: function(element, event) { MyApp.noteController.save(); }
+        },
+        states: {
+          editing: {
+            enterState: function(context) {
+              sc_super(); // runs the <onentry> content
+              MyApp.getPath('mainPage.editor').becomeFirstResponder();
+            }
+          }
+        }
+      }, { owner: MyApp.appController });
+
+  The SCXML elements are mapped as follows:
+
+   - `<state>` is a state named after its id, and `<parallel>` is a state
+     with substatesAreConcurrent set to YES. Entering a `<final>` state sends
+     the 'done.state.<parent id>' event.
+   - The `initial` attribute or `<initial>` element sets initialSubstate.
+     Without one, the first substate is the initial substate.
+   - A `<history>` element that is the initial substate of its parent is an
+     SC.HistoryState. Transitions to a `<history>` element call
+     gotoHistoryState, recursively if its type is 'deep'.
+   - `<transition>` elements are event handlers that run their content and
+     call gotoState with their target. The event descriptors match the events
+     that are equal to them or start with them followed by a '.', and '*'
+     matches every event. The first transition whose `cond` is true handles
+     the event, otherwise the event goes on to the parent state. Transitions
+     without an event are taken when their state is entered.
+   - `<onentry>` and `<onexit>` content is run by enterState and exitState.
+
+  Expressions are not evaluated. A `cond` is the name of one of the passed
+  conditions, or else a property path on the owner of the statechart, which
+  is called if it is a function. It can be negated with a '!'. 'true' and
+  'false' are also allowed. In executable content, `<raise>` and `<send>`
+  send their event to the statechart, `<log>` logs its label and expr, and
+  other elements call the passed action of the same name.
+
+  To write the structure of a statechart as SCXML, for instance to review
+  and diff it, use stringify.
+
+  @since SproutCore 2.0
+*/
+SC.SCXML = /** @scope SC.SCXML */{
+
+  /**
+    The SCXML namespace.
+
+    @type String
+  */
+  NAMESPACE: 'http://www.w3.org/2005/07/scxml',
+
+  /**
+    Creates and initializes a statechart from an SCXML document.
+
+    The options can have the following properties:
+
+     - conditions, a hash of functions called on the state with the event and
+       its arguments, named by the `cond` attributes,
+     - actions, a hash of functions called on the state with the element, the
+       event and its arguments, named by the executable content elements,
+     - states, a hash of the properties to add to the states, by id. The
+       methods can call sc_super() to run the SCXML content.
+
+    @param {String|Document|Element} document the SCXML document
+    @param {Hash} [options] the conditions, actions and states
+    @param {Hash} [attrs] properties of the statechart, like owner or delegate
+    @returns {SC.Statechart} the statechart
+  */
+  createStatechart: function(document, options, attrs) {
+    var element = this._scxmlElementFor(document),
+        statechart;
+
+    attrs = SC.mixin({ rootState: this.rootStateFor(element, options) }, attrs);
+    if (attrs.name === undefined && element.getAttribute('name')) attrs.name = element.getAttribute('name');
+
+    statechart = SC.Statechart.create(attrs);
+    statechart.initStatechart();
+
+    return statechart;
+  },
+
+  /**
+    Returns a root state class built from an SCXML document, to assign to the
+    rootState of a statechart.
+
+    @param {String|Document|Element} document the SCXML document
+    @param {Hash} [options] the conditions, actions and states (see createStatechart)
+    @returns {SC.State} the root state class
+  */
+  rootStateFor: function(document, options) {
+    var element = this._scxmlElementFor(document),
+        context = { options: options || {}, ids: {} },
+        children = this._childElements(element);
+
+    this._registerIds(element, [], context);
+
+    // a single parallel element named after the root state is a concurrent root
+    if (children.length === 1 && children[0].localName === 'parallel' && children[0].getAttribute('id') === SC.ROOT_STATE_NAME) {
+      element = children[0];
+      this._registerIds(element, [], context);
+    }
+
+    return SC.State.design(this._stateHashFor(element, [], context));
+  },
+
+  /**
+    Returns the structure of a statechart as an SCXML document: its states,
+    initial substates and history states, the declared transitions of the
+    states, and the transitions and content of the states that were read from
+    SCXML. Guards are written as conditions when they are property paths.
+
+    The states are identified by their SCXML id if they were read from SCXML,
+    or else by their full path.
+
+    @param {SC.StatechartManager} statechart an initialized statechart
+    @returns {String} the SCXML document
+  */
+  stringify: function(statechart) {
+    var root = statechart.get('rootState'),
+        name = statechart.get('name'),
+        lines = ['<?xml version="1.0" encoding="UTF-8"?>'],
+        attrs = ' xmlns="%@" version="1.0"'.fmt(this.NAMESPACE),
+        initial = root.get('initialSubstate');
+
+    if (name) attrs += ' name="%@"'.fmt(this._escape(name));
+
+    if (root.get('substatesAreConcurrent')) {
+      lines.push('<scxml%@>'.fmt(attrs));
+      this._writeState(root, '  ', lines, SC.ROOT_STATE_NAME);
+    } else {
+      if (initial && !SC.kindOf(initial, SC.HistoryState)) attrs += ' initial="%@"'.fmt(this._escape(this._idFor(initial)));
+      lines.push('<scxml%@>'.fmt(attrs));
+      this._substatesOf(root).forEach(function(state) {
+        this._writeState(state, '  ', lines);
+      }, this);
+    }
+
+    lines.push('</scxml>');
+
+    return lines.join('\n') + '\n';
+  },
+
+  // ..........................................................
+  // Reading
+  //
+
+  /** @private
+    Returns the scxml element of a document, which can be a string.
+  */
+  _scxmlElementFor: function(document) {
+    var element = document;
+
+    if (SC.typeOf(document) === SC.T_STRING) {
+      document = new DOMParser().parseFromString(document, 'application/xml');
+      if (document.getElementsByTagName('parsererror').length > 0) {
+        SC.throw("Unable to read SCXML document: %@".fmt(document.getElementsByTagName('parsererror')[0].textContent), "SCXML");
+      }
+    }
+
+    if (document && document.documentElement) element = document.documentElement;
+
+    if (!element || element.localName !== 'scxml') {
+      SC.throw("Unable to read SCXML document: the root element must be <scxml>", "SCXML");
+    }
+
+    return element;
+  },
+
+  /** @private */
+  _childElements: function(element) {
+    var ret = [],
+        node = element.firstChild;
+
+    while (node) {
+      if (node.nodeType === 1) ret.push(node);
+      node = node.nextSibling;
+    }
+
+    return ret;
+  },
+
+  /** @private
+    Returns the name of the state for an element. State names can not
+    contain dots, so the ids written by stringify are read back as the last
+    part of the path.
+  */
+  _nameFor: function(element, index) {
+    var id = element.getAttribute('id'),
+        name;
+
+    if (!id) return '_%@%@'.fmt(element.localName, index);
+
+    name = id.split('.').pop().replace(/\W/g, '_');
+    if (SC.State.prototype[name] !== undefined) {
+      SC.throw("Unable to read SCXML document: '%@' can not be used as a state name".fmt(id), "SCXML");
+    }
+
+    return name;
+  },
+
+  /** @private
+    Records the path of each state, and the parent state of each history
+    element, by id.
+  */
+  _registerIds: function(element, path, context) {
+    this._childElements(element).forEach(function(child, index) {
+      var id = child.getAttribute('id'),
+          childPath, transition;
+
+      switch (child.localName) {
+      case 'state':
+      case 'parallel':
+      case 'final':
+        childPath = path.concat(this._nameFor(child, index));
+        if (id) context.ids[id] = { path: childPath.join('.') };
+        this._registerIds(child, childPath, context);
+        break;
+
+      case 'history':
+        transition = this._childElements(child).filter(function(el) { return el.localName === 'transition'; })[0];
+        if (id) {
+          context.ids[id] = {
+            isHistory: YES,
+            path: path.join('.'),
+            isRecursive: child.getAttribute('type') === 'deep',
+            defaultId: transition ? transition.getAttribute('target') : null
+          };
+        }
+        break;
+      }
+    }, this);
+  },
+
+  /** @private */
+  _targetFor: function(target, context) {
+    var ids = target.trim().split(/\s+/),
+        info = context.ids[ids[0]];
+
+    if (!info) {
+      SC.throw("Unable to read SCXML document: there is no state with the id '%@'".fmt(ids[0]), "SCXML");
+    }
+
+    //@if(debug)
+    if (ids.length > 1) SC.warn("Developer Warning: SCXML transitions can only go to one state. Going to '%@' instead of '%@'.".fmt(ids[0], target));
+    //@endif
+
+    return info;
+  },
+
+  /** @private
+    Builds the hash of properties of the state class for an element.
+  */
+  _stateHashFor: function(element, path, context) {
+    var hash = {
+          scxmlId: element.localName === 'scxml' ? null : element.getAttribute('id'),
+          scxmlIsFinal: element.localName === 'final',
+          scxmlTransitions: [],
+          scxmlOnEntry: [],
+          scxmlOnExit: [],
+          scxmlHistory: [],
+          scxmlOptions: context.options
+        },
+        substates = [],
+        events = [],
+        initial, info, klass, extension;
+
+    if (element.localName === 'parallel') hash.substatesAreConcurrent = YES;
+
+    this._childElements(element).forEach(function(child, index) {
+      var name, transition, target;
+
+      switch (child.localName) {
+      case 'state':
+      case 'parallel':
+      case 'final':
+        name = this._nameFor(child, index);
+        klass = SC.State.design(this._stateHashFor(child, path.concat(name), context));
+        extension = child.getAttribute('id') ? (context.options.states || {})[child.getAttribute('id')] : null;
+        hash[name] = extension ? klass.extend(extension) : klass;
+        substates.push(name);
+        break;
+
+      case 'transition':
+        target = child.getAttribute('target');
+        transition = {
+          event: child.getAttribute('event'),
+          cond: child.getAttribute('cond'),
+          target: target,
+          type: child.getAttribute('type'),
+          content: this._childElements(child),
+          targetInfo: target ? this._targetFor(target, context) : null
+        };
+        if (transition.targetInfo && transition.targetInfo.defaultId) {
+          transition.defaultPath = this._targetFor(transition.targetInfo.defaultId, context).path;
+        }
+        transition.events = transition.event ? transition.event.trim().split(/\s+/).map(function(descriptor) {
+          return descriptor.replace(/\.?\*$/, '') || '*';
+        }) : null;
+        if (transition.events) events = events.concat(transition.events);
+        hash.scxmlTransitions.push(transition);
+        break;
+
+      case 'onentry':
+        hash.scxmlOnEntry = hash.scxmlOnEntry.concat(this._childElements(child));
+        break;
+
+      case 'onexit':
+        hash.scxmlOnExit = hash.scxmlOnExit.concat(this._childElements(child));
+        break;
+
+      case 'history':
+        info = context.ids[child.getAttribute('id')];
+        hash.scxmlHistory.push({
+          id: child.getAttribute('id'),
+          type: child.getAttribute('type') || 'shallow',
+          target: info ? info.defaultId : null
+        });
+        break;
+
+      case 'initial':
+        transition = this._childElements(child).filter(function(el) { return el.localName === 'transition'; })[0];
+        if (transition) initial = transition.getAttribute('target');
+        break;
+      }
+    }, this);
+
+    if (!initial) initial = element.getAttribute('initial');
+
+    if (initial && !hash.substatesAreConcurrent) {
+      info = this._targetFor(initial, context);
+      if (info.isHistory) {
+        hash.initialSubstate = SC.HistoryState.design({
+          scxmlId: initial.trim(),
+          defaultState: info.defaultId ? this._substateNameFor(this._targetFor(info.defaultId, context).path, path) : substates[0],
+          isRecursive: info.isRecursive
+        });
+      } else {
+        hash.initialSubstate = this._substateNameFor(info.path, path);
+      }
+    } else if (substates.length > 0 && !hash.substatesAreConcurrent) {
+      hash.initialSubstate = substates[0];
+    }
+
+    if (events.length > 0) hash._scxmlHandleEvent = this._eventHandlerFor(events);
+
+    hash.enterState = function(context) {
+      SC.SCXML._didEnterState(this, context);
+    };
+
+    hash.exitState = function(context) {
+      SC.SCXML._execute(this, this.scxmlOnExit);
+    };
+
+    return hash;
+  },
+
+  /** @private
+    Returns the name of the substate of the state at path that contains the
+    state at targetPath. Initial substates can only be immediate substates.
+  */
+  _substateNameFor: function(targetPath, path) {
+    var parts = targetPath.split('.');
+
+    //@if(debug)
+    if (parts.length > path.length + 1) {
+      SC.warn("Developer Warning: SCXML initial states can only be immediate substates. Entering '%@' instead of '%@'.".fmt(parts[path.length], targetPath));
+    }
+    //@endif
+
+    return parts[path.length];
+  },
+
+  /** @private
+    Creates the event handler of a state for its transitions' events.
+  */
+  _eventHandlerFor: function(descriptors) {
+    var events = [],
+        handler = function(event, arg1, arg2) {
+          return SC.SCXML._handleEvent(this, event, arg1, arg2);
+        };
+
+    descriptors.uniq().forEach(function(descriptor) {
+      if (descriptor === '*') {
+        events.push(/.*/);
+      } else {
+        // the descriptor and the events that start with it
+        events.push(descriptor);
+        events.push(new RegExp('^' + descriptor.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&') + '\\.'));
+      }
+    });
+
+    return handler.handleEvents.apply(handler, events);
+  },
+
+  // ..........................................................
+  // Running
+  //
+
+  /** @private
+    Takes the first transition of the state that matches the event and whose
+    condition is true.
+  */
+  _handleEvent: function(state, event, arg1, arg2) {
+    var transitions = state.scxmlTransitions,
+        len = transitions.length,
+        i, transition;
+
+    for (i = 0; i < len; i++) {
+      transition = transitions[i];
+      if (transition.events && this._eventMatches(transition.events, event) &&
+          this._conditionIsTrue(state, transition.cond, event, arg1, arg2)) {
+        this._takeTransition(state, transition, event, arg1, arg2);
+        return YES;
+      }
+    }
+
+    return NO;
+  },
+
+  /** @private */
+  _eventMatches: function(descriptors, event) {
+    return descriptors.some(function(descriptor) {
+      return descriptor === '*' || descriptor === event || event.indexOf(descriptor + '.') === 0;
+    });
+  },
+
+  /** @private */
+  _conditionIsTrue: function(state, cond, event, arg1, arg2) {
+    var conditions = state.scxmlOptions.conditions,
+        negate, owner, ret;
+
+    if (!cond) return YES;
+
+    cond = cond.trim();
+    negate = cond.charAt(0) === '!';
+    if (negate) cond = cond.slice(1).trim();
+
+    if (cond === 'true' || cond === 'false') {
+      ret = cond === 'true';
+    } else if (conditions && conditions[cond]) {
+      ret = conditions[cond].call(state, event, arg1, arg2);
+    } else {
+      owner = state.get('owner');
+      ret = SC.objectForPropertyPath(cond, owner);
+      if (SC.typeOf(ret) === SC.T_FUNCTION) ret = ret.call(owner, event, arg1, arg2);
+    }
+
+    return negate ? !ret : !!ret;
+  },
+
+  /** @private */
+  _takeTransition: function(state, transition, event, arg1, arg2) {
+    var info = transition.targetInfo,
+        statechart = state.get('statechart'),
+        target;
+
+    this._execute(state, transition.content, event, arg1, arg2);
+
+    if (!info) return;
+
+    target = info.path ? statechart.getState(info.path) : statechart.get('rootState');
+    if (info.isHistory) {
+      // without history, go to the default state of the history element
+      if (!target.get('historyState') && transition.defaultPath) {
+        state.gotoState(statechart.getState(transition.defaultPath));
+      } else {
+        state.gotoHistoryState(target, info.isRecursive);
+      }
+    } else {
+      state.gotoState(target);
+    }
+  },
+
+  /** @private
+    Called by the enterState method of the states read from SCXML.
+  */
+  _didEnterState: function(state, context) {
+    var transitions = state.scxmlTransitions || [],
+        parent = state.get('parentState'),
+        i, transition;
+
+    this._execute(state, state.scxmlOnEntry || []);
+
+    if (state.scxmlIsFinal && parent && parent.scxmlId) {
+      state.get('statechart').sendEvent('done.state.%@'.fmt(parent.scxmlId));
+    }
+
+    // take the first transition without an event whose condition is true
+    for (i = 0; i < transitions.length; i++) {
+      transition = transitions[i];
+      if (!transition.events && this._conditionIsTrue(state, transition.cond)) {
+        this._takeTransition(state, transition);
+        break;
+      }
+    }
+  },
+
+  /** @private
+    Runs SCXML executable content.
+  */
+  _execute: function(state, elements, event, arg1, arg2) {
+    var actions = state.scxmlOptions ? state.scxmlOptions.actions : null;
+
+    elements.forEach(function(element) {
+      var name = element.localName,
+          label;
+
+      switch (name) {
+      case 'raise':
+      case 'send':
+        // the statechart queues the events sent while it is busy
+        if (element.getAttribute('event')) state.get('statechart').sendEvent(element.getAttribute('event'), arg1, arg2);
+        break;
+
+      case 'log':
+        label = element.getAttribute('label');
+        SC.Logger.log((label ? label + ': ' : '') + (element.getAttribute('expr') || ''));
+        break;
+
+      default:
+        if (actions && actions[name]) {
+          actions[name].call(state, element, event, arg1, arg2);
+        } else {
+          state.stateLogWarning("SCXML <%@> element in state %@ is not supported and has no action".fmt(name, state));
+        }
+      }
+    });
+  },
+
+  // ..........................................................
+  // Writing
+  //
+
+  /** @private */
+  _escape: function(value) {
+    return ('' + value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  },
+
+  /** @private */
+  _idFor: function(state) {
+    return state.scxmlId || state.get('fullPath');
+  },
+
+  /** @private */
+  _substatesOf: function(state) {
+    return (state.get('substates') || []).filter(function(substate) {
+      return !SC.kindOf(substate, SC.EmptyState);
+    });
+  },
+
+  /** @private */
+  _serialize: function(element) {
+    return new XMLSerializer().serializeToString(element).replace(' xmlns="%@"'.fmt(this.NAMESPACE), '');
+  },
+
+  /** @private */
+  _writeContent: function(tag, elements, indent, lines) {
+    if (elements.length === 0) return;
+
+    lines.push('%@<%@>'.fmt(indent, tag));
+    elements.forEach(function(element) {
+      lines.push(indent + '  ' + this._serialize(element));
+    }, this);
+    lines.push('%@</%@>'.fmt(indent, tag));
+  },
+
+  /** @private */
+  _writeState: function(state, indent, lines, id) {
+    var substates = this._substatesOf(state),
+        initial = state.get('initialSubstate'),
+        isConcurrent = state.get('substatesAreConcurrent'),
+        tag = isConcurrent ? 'parallel' : (state.scxmlIsFinal ? 'final' : 'state'),
+        attrs = ' id="%@"'.fmt(this._escape(id || this._idFor(state))),
+        history = (state.scxmlHistory || []).slice(),
+        inner = indent + '  ',
+        start = lines.length,
+        isHistory = SC.kindOf(initial, SC.HistoryState),
+        historyId;
+
+    if (isHistory) {
+      historyId = initial.scxmlId || this._idFor(state) + '.history';
+      if (!history.findProperty('id', historyId)) {
+        history.push({
+          id: historyId,
+          type: initial.get('isRecursive') ? 'deep' : 'shallow',
+          target: initial.get('defaultState') ? this._idFor(initial.get('defaultState')) : null
+        });
+      }
+    }
+
+    if (substates.length > 0 && !isConcurrent && initial) {
+      attrs += ' initial="%@"'.fmt(this._escape(isHistory ? historyId : this._idFor(initial)));
+    }
+
+    this._writeContent('onentry', state.scxmlOnEntry || [], inner, lines);
+    this._writeContent('onexit', state.scxmlOnExit || [], inner, lines);
+
+    (state.scxmlTransitions || []).forEach(function(transition) {
+      var transitionAttrs = '';
+
+      if (transition.event) transitionAttrs += ' event="%@"'.fmt(this._escape(transition.event));
+      if (transition.cond) transitionAttrs += ' cond="%@"'.fmt(this._escape(transition.cond));
+      if (transition.target) transitionAttrs += ' target="%@"'.fmt(this._escape(transition.target));
+      if (transition.type) transitionAttrs += ' type="%@"'.fmt(this._escape(transition.type));
+
+      if (transition.content.length > 0) {
+        lines.push('%@<transition%@>'.fmt(inner, transitionAttrs));
+        transition.content.forEach(function(element) {
+          lines.push(inner + '  ' + this._serialize(element));
+        }, this);
+        lines.push('%@</transition>'.fmt(inner));
+      } else {
+        lines.push('%@<transition%@/>'.fmt(inner, transitionAttrs));
+      }
+    }, this);
+
+    // declared transitions, with their guards if they are property paths
+    (state.get('declaredTransitions') || []).forEach(function(transition) {
+      var transitionAttrs = ' event="%@"'.fmt(this._escape(transition.event));
+
+      if (SC.typeOf(transition.guard) === SC.T_STRING) transitionAttrs += ' cond="%@"'.fmt(this._escape(transition.guard));
+      if (transition.target) transitionAttrs += ' target="%@"'.fmt(this._escape(this._idFor(transition.target)));
+
+      lines.push('%@<transition%@/>'.fmt(inner, transitionAttrs));
+    }, this);
+
+    history.forEach(function(entry) {
+      var historyAttrs = ' id="%@" type="%@"'.fmt(this._escape(entry.id), entry.type);
+
+      if (entry.target) {
+        lines.push('%@<history%@>'.fmt(inner, historyAttrs));
+        lines.push('%@  <transition target="%@"/>'.fmt(inner, this._escape(entry.target)));
+        lines.push('%@</history>'.fmt(inner));
+      } else {
+        lines.push('%@<history%@/>'.fmt(inner, historyAttrs));
+      }
+    }, this);
+
+    substates.forEach(function(substate) {
+      this._writeState(substate, inner, lines);
+    }, this);
+
+    if (lines.length === start) {
+      lines.push('%@<%@%@/>'.fmt(indent, tag, attrs));
+    } else {
+      lines.splice(start, 0, '%@<%@%@>'.fmt(indent, tag, attrs));
+      lines.push('%@</%@>'.fmt(indent, tag));
+    }
+  }
+
+};
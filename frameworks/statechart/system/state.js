@@ -174,6 +174,92 @@ SC.State = SC.Object.extend(
   */
   representRoute: null,
 
+  /**
+    Can optionally declare the transitions this state takes when it handles
+    events, by event name, instead of writing event handlers that call
+    gotoState.
+
+    Each transition is a hash with the following properties, all optional:
+
+     - target, the state to go to, as a state path expression relative to
+       this state (see {@link #getState}),
+     - guard, a function called on this state with the event and its
+       arguments that returns YES to allow the transition, or the property
+       path of a property or method of the owner,
+     - action, a function or the name of a method of this state, called with
+       the event and its arguments before going to the target.
+
+    A string is a transition to that target, and an array lists the
+    transitions to try in order. For example:
+
+        SC.State.design({
+
+          transitions: {
+            cancel: 'viewing',
+
+            save: [
+              { guard: '!noteController.isValid', action: 'showErrors' },
+              { target: 'saving', guard: 'noteController.hasChanges' },
+              { target: 'viewing' }
+            ],
+
+            next: {
+              target: 'lastPage',
+              guard: function(event, sender, page) {
+                return page === this.getPath('owner.pageCount');
+              }
+            }
+          }
+
+        })
+
+    A guard property path can start with '!' to allow the transition when
+    the value is false. When an event is sent, the first transition for the
+    event whose guard allows it is taken before trying the event handlers of
+    this state. If no transition is allowed, the event handlers are tried as
+    usual.
+
+    @type Hash
+
+    @see #declaredTransitions
+    @see #transitionForEvent
+  */
+  transitions: null,
+
+  /**
+    Can optionally declare events to send to the statechart once this state
+    has been entered for a given time, by number of milliseconds. For
+    example, to send the 'timeout' event after 30 seconds in this state:
+
+        after: { 30000: 'timeout' }
+
+    The timers are scheduled when this state is entered and cancelled when
+    it is exited, including when it is reentered, so that the time starts
+    over. The value can also be an array of events. The events are sent with
+    this state as their first argument.
+
+    The timers are scheduled by the statechart's statechartClock, which can
+    be an SC.StatechartManualClock in tests.
+
+    @type Hash
+
+    @see #every
+  */
+  after: null,
+
+  /**
+    Can optionally declare events to send to the statechart repeatedly while
+    this state is entered, by number of milliseconds. For example, to send
+    the 'poll' event every 5 seconds in this state:
+
+        every: { 5000: 'poll' }
+
+    @type Hash
+
+    @see #after
+  */
+  every: null,
+
   /**
     Indicates who the owner is of this state. If not set on the statechart
     then the owner is the statechart, otherwise it is the assigned
@@ -242,6 +328,7 @@ SC.State = SC.Object.extend(
     this._registeredStateObserveHandlers = {};
     this._registeredSubstatePaths = {};
     this._registeredSubstates = [];
+    this._transitionTable = {};
     this._isEnteringState = NO;
     this._isExitingState = NO;
 
@@ -282,6 +369,7 @@ SC.State = SC.Object.extend(
     }
 
     this._teardownAllStateObserveHandlers();
+    this._cancelStateTimers();
 
     this.set('substates', null);
     this.set('currentSubstates', null);
@@ -303,6 +391,7 @@ SC.State = SC.Object.extend(
     this._registeredStateObserveHandlers = null;
     this._registeredSubstatePaths = null;
     this._registeredSubstates = null;
+    this._transitionTable = null;
 
     sc_super();
   },
@@ -388,6 +477,8 @@ SC.State = SC.Object.extend(
       }
     }
 
+    this._setupTransitions();
+
     this.notifyPropertyChange('substates');
     this.set('currentSubstates', []);
     this.set('enteredSubstates', []);
@@ -452,6 +543,10 @@ SC.State = SC.Object.extend(
         del = this.get('statechartDelegate'),
         loc = this.get('location');
 
+    // The state was already entered for this location when the statechart's
+    // configuration was restored.
+    if (sc._stateDidRestoreRoute(this, loc)) return;
+
     var attr = {
       state: this,
       location: loc,
@@ -495,6 +590,49 @@ SC.State = SC.Object.extend(
     this.gotoState(this, context);
   },
 
+  /** @private
+
+    Normalizes the declared transitions into arrays of transition hashes by
+    event.
+  */
+  _setupTransitions: function() {
+    var transitions = this.get('transitions'),
+        table = this._transitionTable,
+        event, declared, idx;
+
+    if (!transitions) return;
+
+    for (event in transitions) {
+      if (!transitions.hasOwnProperty(event)) continue;
+
+      declared = SC.A(transitions[event]);
+      table[event] = [];
+      for (idx = 0; idx < declared.length; idx++) {
+        table[event].push(this._normalizeTransition(event, declared[idx]));
+      }
+
+      if (this._registeredEventHandlers[event] || this._registeredStateObserveHandlers[event]) {
+        this.stateLogWarning("state %@ can not declare transitions for '%@' since it is a registered handler".fmt(this, event));
+      }
+    }
+  },
+
+  /** @private
+
+    Returns the transition hash for a declared transition, which is either a
+    hash or the name of the target state.
+  */
+  _normalizeTransition: function(event, transition) {
+    if (SC.typeOf(transition) === SC.T_STRING) transition = { target: transition };
+
+    return {
+      event: event,
+      target: transition.target || null,
+      guard: transition.guard || null,
+      action: transition.action || null
+    };
+  },
+
   /** @private */
   _addEmptyInitialSubstateIfNeeded: function() {
     var initialSubstate = this.get('initialSubstate'),
@@ -1063,10 +1201,11 @@ SC.State = SC.Object.extend(
 
     There is a particular order in how an event is handled by a state:
 
-     1. Basic function whose name matches the event
-     2. Registered event handler that is associated with an event represented as a string
-     3. Registered event handler that is associated with events matching a regular expression
-     4. The unknownEvent function
+     1. First declared transition for the event whose guard allows it (see transitions)
+     2. Basic function whose name matches the event
+     3. Registered event handler that is associated with an event represented as a string
+     4. Registered event handler that is associated with events matching a regular expression
+     5. The unknownEvent function
 
     Use of event handlers that are associated with events matching a regular expression may
     incur a performance hit, so they should be used sparingly.
@@ -1075,10 +1214,16 @@ SC.State = SC.Object.extend(
     you should be careful when using unknownEvent since it can be either abused or cause unexpected
     behavior.
 
-    Example of a state using all four event handling techniques:
+    Example of a state using all five event handling techniques:
 
         SC.State.extend({
 
+          // Transition taken for event 'foo' while the owner allows it,
+          // otherwise the basic function below handles it
+          transitions: {
+            foo: { target: 'fooing', guard: 'canFoo' }
+          },
+
           // Basic function handling event 'foo'
           foo: function(arg1, arg2) { ... },
 
@@ -1121,6 +1266,18 @@ SC.State = SC.Object.extend(
       return NO;
     }
 
+    // Try the first declared transition for the event that is allowed
+    var transition = this.transitionForEvent(event, arg1, arg2);
+    if (transition) {
+      //@if(debug)
+      if (trace) this.stateLogTrace("will take transition for event '%@'".fmt(event), SC.TRACE_STATECHART_STYLE.actionInfo);
+      //@endif
+      sc.stateWillTryToHandleEvent(this, event, 'transitions');
+      this._takeTransition(transition, event, arg1, arg2);
+      sc.stateDidTryToHandleEvent(this, event, 'transitions', YES);
+      return YES;
+    }
+
     // Now begin by trying a basic method on the state to respond to the event
     if (SC.typeOf(this[event]) === SC.T_FUNCTION) {
       //@if(debug)
@@ -1178,6 +1335,102 @@ SC.State = SC.Object.extend(
     return NO;
   },
 
+  /**
+    Returns the first transition declared for the given event whose guard
+    allows it, or null if there is none.
+
+    @param {String} event the event
+    @param {Object} [arg1] the first argument of the event
+    @param {Object} [arg2] the second argument of the event
+    @returns {Hash} the transition, with its event, target, guard and action
+
+    @see #transitions
+  */
+  transitionForEvent: function(event, arg1, arg2) {
+    var transitions = this._transitionTable[event],
+        len = transitions ? transitions.length : 0,
+        i;
+
+    for (i = 0; i < len; i++) {
+      if (this._transitionIsAllowed(transitions[i], event, arg1, arg2)) return transitions[i];
+    }
+
+    return null;
+  },
+
+  /**
+    The transitions declared by this state, so that tools can list or draw
+    them. Each transition is a hash with the event, the state that declares
+    it as source, the target state or null, the guard and the action.
+
+    @type Array
+
+    @see #transitions
+    @see SC.StatechartManager#declaredTransitions
+  */
+  declaredTransitions: function() {
+    var table = this._transitionTable,
+        ret = [],
+        event, transitions, transition, idx;
+
+    for (event in table) {
+      if (!table.hasOwnProperty(event)) continue;
+
+      transitions = table[event];
+      for (idx = 0; idx < transitions.length; idx++) {
+        transition = transitions[idx];
+        ret.push({
+          event: event,
+          source: this,
+          target: transition.target ? this.getState(transition.target) : null,
+          guard: transition.guard,
+          action: transition.action
+        });
+      }
+    }
+
+    return ret;
+  }.property('stateIsInitialized').cacheable(),
+
+  /** @private */
+  _transitionIsAllowed: function(transition, event, arg1, arg2) {
+    var guard = transition.guard,
+        owner, path, target, idx, value, negate;
+
+    if (!guard) return YES;
+
+    if (SC.typeOf(guard) === SC.T_FUNCTION) return !!guard.call(this, event, arg1, arg2);
+
+    negate = guard.charAt(0) === '!';
+    path = negate ? guard.slice(1) : guard;
+
+    // call methods on the object that has them
+    owner = this.get('owner');
+    idx = path.lastIndexOf('.');
+    target = idx < 0 ? owner : SC.getPath(owner, path.slice(0, idx));
+    value = SC.get(target, path.slice(idx + 1));
+    if (SC.typeOf(value) === SC.T_FUNCTION) value = value.call(target, event, arg1, arg2);
+
+    return negate ? !value : !!value;
+  },
+
+  /** @private */
+  _takeTransition: function(transition, event, arg1, arg2) {
+    var action = transition.action;
+
+    if (SC.typeOf(action) === SC.T_STRING) {
+      if (SC.typeOf(this[action]) === SC.T_FUNCTION) {
+        this[action](event, arg1, arg2);
+      } else {
+        this.stateLogError("state %@ has no action %@ for event '%@'".fmt(this, action, event));
+      }
+    } else if (action) {
+      action.call(this, event, arg1, arg2);
+    }
+
+    if (transition.target) this.gotoState(transition.target);
+  },
+
   /**
     Called whenever this state is to be entered during a state transition process. This
     is useful when you want the state to perform some initial set up procedures.
@@ -1235,6 +1488,7 @@ SC.State = SC.Object.extend(
   */
   stateDidBecomeEntered: function(context) {
     this._setupAllStateObserveHandlers();
+    this._scheduleStateTimers();
     this._isEnteringState = NO;
   },
 
@@ -1274,6 +1528,7 @@ SC.State = SC.Object.extend(
   stateWillBecomeExited: function(context) {
     this._isExitingState = YES;
     this._teardownAllStateObserveHandlers();
+    this._cancelStateTimers();
   },
 
   /**
@@ -1289,6 +1544,69 @@ SC.State = SC.Object.extend(
     this._isExitingState = NO;
   },
 
+  /** @private
+
+    Used to schedule the timers declared by the after and every properties.
+    Should be done when the state has been entered.
+  */
+  _scheduleStateTimers: function() {
+    var clock = this.getPath('statechart.statechartClock'),
+        timers = this._stateTimers = [],
+        hashes = { after: this.get('after'), every: this.get('every') },
+        key, hash, interval, ms, events, idx;
+
+    for (key in hashes) {
+      hash = hashes[key];
+      if (!hash) continue;
+
+      for (interval in hash) {
+        if (!hash.hasOwnProperty(interval)) continue;
+
+        ms = +interval;
+        if (isNaN(ms) || ms <= 0) {
+          this.stateLogError("state %@ can not schedule events %@ %@ since it is not a number of milliseconds".fmt(this, key, interval));
+          continue;
+        }
+
+        events = SC.A(hash[interval]);
+        for (idx = 0; idx < events.length; idx++) {
+          timers.push(this._scheduleStateTimer(clock, events[idx], ms, key === 'every'));
+        }
+      }
+    }
+  },
+
+  /** @private
+    Schedules a timer with the clock that sends the event to the statechart.
+  */
+  _scheduleStateTimer: function(clock, event, ms, repeats) {
+    return clock.schedule(this, function(timer) {
+      this._stateTimerDidFire(timer, event);
+    }, ms, repeats);
+  },
+
+  /** @private */
+  _cancelStateTimers: function() {
+    var timers = this._stateTimers;
+
+    if (!timers) return;
+
+    this._stateTimers = null;
+    timers.invoke('invalidate');
+  },
+
+  /** @private */
+  _stateTimerDidFire: function(timer, event) {
+    // ignore timers that fire after they have been cancelled
+    if (!this._stateTimers || this._stateTimers.indexOf(timer) < 0) return;
+
+    //@if(debug)
+    if (this.get('trace')) this.stateLogTrace("timer will send event '%@'".fmt(event), SC.TRACE_STATECHART_STYLE.actionInfo);
+    //@endif
+
+    this.get('statechart').sendEvent(event, this);
+  },
+
   /** @private
 
     Used to setup all the state observer handlers. Should be done when
@@ -1375,6 +1693,7 @@ SC.State = SC.Object.extend(
   */
   respondsToEvent: function(event) {
     if (this._registeredEventHandlers[event]) return false;
+    if (this._transitionTable[event]) return true;
     if (SC.typeOf(this[event]) === SC.T_FUNCTION) return true;
     if (this._registeredStringEventHandlers[event]) return true;
     if (this._registeredStateObserveHandlers[event]) return false;
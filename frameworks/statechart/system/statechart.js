@@ -9,6 +9,7 @@
 
 sc_require('system/state');
 sc_require('mixins/statechart_delegate');
+sc_require('system/statechart_clock');
 
 /**
   @class
@@ -433,6 +434,19 @@ SC.StatechartManager = /** @scope SC.StatechartManager.prototype */{
   */
   initialState: null,
 
+  /**
+    A state configuration, returned by {@link #serializeStateConfiguration}, to restore when the
+    statechart is initialized instead of going to the root state. Use it to bring the statechart
+    back to where it was, for example when the app is reloaded.
+
+    If the configuration does not match the statechart, the root state is gone to as usual.
+
+    @type Hash|String
+
+    @see #restoreStateConfiguration
+  */
+  initialStateConfiguration: null,
+
   /**
     Indicates if properties on this object representing states are concurrent to each other.
     If YES then they are concurrent, otherwise they are not. If the YES, then the
@@ -494,6 +508,16 @@ SC.StatechartManager = /** @scope SC.StatechartManager.prototype */{
   */
   delegate: null,
 
+  /**
+    The clock that schedules the timers of the states (see SC.State#after and SC.State#every). If
+    not set when the statechart is initialized, an SC.StatechartClock is used.
+
+    To control time in tests, assign an SC.StatechartManualClock.
+
+    @type SC.StatechartClock
+  */
+  statechartClock: null,
+
   /**
     Computed property that returns an objects that adheres to the
     {@link SC.StatechartDelegate} mixin. If the {@link #delegate} is not
@@ -539,6 +563,8 @@ SC.StatechartManager = /** @scope SC.StatechartManager.prototype */{
     this._pendingStateTransitions = [];
     this._pendingSentEvents = [];
 
+    if (!this.get('statechartClock')) this.set('statechartClock', SC.StatechartClock.create());
+
     this.sendAction = this.sendEvent;
 
     //@if(debug)
@@ -593,7 +619,11 @@ SC.StatechartManager = /** @scope SC.StatechartManager.prototype */{
     }
 
     this.set('statechartIsInitialized', YES);
-    this.gotoState(rootState);
+
+    var configuration = this.get('initialStateConfiguration');
+    if (SC.none(configuration) || !this.restoreStateConfiguration(configuration)) {
+      this.gotoState(rootState);
+    }
 
     //@if(debug)
     if (trace) this.statechartLogTrace("END initialize statechart", SC.TRACE_STATECHART_STYLE.init);
@@ -667,6 +697,27 @@ SC.StatechartManager = /** @scope SC.StatechartManager.prototype */{
     return this.get('rootState').stateIsEnteredSubstate(state);
   },
 
+  /**
+    Returns the transitions declared by all the states of this statechart,
+    from the root state down, so that tools can list or draw the graph of
+    possible transitions.
+
+    @returns {Array} the transitions
+
+    @see SC.State#declaredTransitions
+  */
+  declaredTransitions: function () {
+    var ret = [],
+        collect = function (state) {
+          ret.pushObjects(state.get('declaredTransitions'));
+          (state.get('substates') || []).forEach(collect);
+        };
+
+    collect(this.get('rootState'));
+
+    return ret;
+  }.property(),
+
   /**
     Checks if the given value represents a state is this statechart
 
@@ -1167,6 +1218,269 @@ SC.StatechartManager = /** @scope SC.StatechartManager.prototype */{
     }
   },
 
+  /**
+    Returns the statechart's active configuration as a hash that can be
+    converted to JSON, saved and later given to {@link #restoreStateConfiguration}
+    or {@link #initialStateConfiguration}. The hash has the following
+    properties:
+
+      - currentStates -- the full paths of the current states
+      - historyStates -- the full path of each state's history state, by the
+        full path of the state (the root state's path is SC.ROOT_STATE_NAME)
+      - location -- the app's location, if an entered state represents a route
+
+    @returns {Hash} the configuration or null if the statechart is not initialized
+  */
+  serializeStateConfiguration: function () {
+    if (!this.get('statechartIsInitialized')) return null;
+
+    var rootState = this.get('rootState'),
+        historyStates = {},
+        configuration;
+
+    configuration = {
+      currentStates: this.get('currentStates').map(this._pathForState, this),
+      historyStates: historyStates
+    };
+
+    this._collectHistoryStates(rootState, historyStates);
+
+    if (this.get('enteredStates').find(this._stateRepresentsRoute)) {
+      configuration.location = this.get('statechartDelegate').statechartAcquireLocationForState(this, rootState);
+    }
+
+    return configuration;
+  },
+
+  /**
+    Makes the statechart's current states the states of a configuration returned
+    by {@link #serializeStateConfiguration}.
+
+    All the entered states below the root state are exited, including the ones
+    that are also in the configuration, then the states of the configuration are
+    entered from the root state down, without taking the transitions or following
+    the initial substates that led to them. The history states are restored before
+    any state is entered. States that the configuration does not give a current
+    substate for are entered as they would be by gotoState.
+
+    If the configuration has a location, the app's location is set to it when there
+    is no location yet, and a route triggered for that location while its state is
+    entered will not make the state be entered again.
+
+    @param configuration {Hash|String} the configuration or its JSON
+    @param context {Hash} Optional. A context object that will be passed to all exited and entered states
+    @returns {Boolean} YES if the configuration was restored, NO if it does not match this statechart
+  */
+  restoreStateConfiguration: function (configuration, context) {
+    var rootState = this.get('rootState'),
+        targets = {},
+        gotoStateActions = [],
+        del, location, other, i, len, state, chain;
+
+    if (!this.get('statechartIsInitialized')) {
+      this.statechartLogError("can not restore state configuration. statechart has not yet been initialized");
+      return NO;
+    }
+
+    if (this.get('isDestroyed')) {
+      this.statechartLogError("can not restore state configuration. statechart is destroyed");
+      return NO;
+    }
+
+    if (this._gotoStateLocked) {
+      this.statechartLogError("can not restore state configuration during a state transition");
+      return NO;
+    }
+
+    if (SC.typeOf(configuration) === SC.T_STRING) configuration = SC.json.decode(configuration);
+
+    if (!configuration || !SC.isArray(configuration.currentStates) || configuration.currentStates.length === 0) {
+      this.statechartLogError("can not restore state configuration %@. it has no current states".fmt(SC.inspect(configuration)));
+      return NO;
+    }
+
+    // Mark the current states and their ancestors, making sure a state without
+    // concurrent substates has only one of its substates marked.
+    for (i = 0, len = configuration.currentStates.length; i < len; i += 1) {
+      state = this._stateForPath(configuration.currentStates[i]);
+
+      if (!state) {
+        this.statechartLogError("can not restore state configuration. %@ is not a recognized state in statechart".fmt(configuration.currentStates[i]));
+        return NO;
+      }
+
+      chain = this._createStateChain(state);
+      while (chain.length > 1) {
+        state = chain.shift();
+        other = targets[SC.guidFor(chain[0])];
+        if (other && other !== state && !chain[0].get('substatesAreConcurrent')) {
+          this.statechartLogError("can not restore state configuration. %@ and %@ can not be current at the same time".fmt(other, state));
+          return NO;
+        }
+        targets[SC.guidFor(chain[0])] = state;
+        targets[SC.guidFor(state)] = targets[SC.guidFor(state)] || YES;
+      }
+    }
+
+    // Restore the history states first so that the states entered by default
+    // follow them.
+    this._restoreHistoryStates(configuration.historyStates);
+
+    this._gotoStateLocked = YES;
+
+    //@if(debug)
+    if (this.get('allowStatechartTracing')) {
+      this.statechartLogTrace("BEGIN restoreStateConfiguration: %@".fmt(configuration.currentStates.join(', ')), SC.TRACE_STATECHART_STYLE.gotoState);
+    }
+    //@endif
+
+    // The root state is only exited when it is the configuration's current state.
+    if (!targets[SC.guidFor(rootState)]) {
+      if (rootState.get('isEnteredState')) this._traverseStatesToExit(rootState, [], null, gotoStateActions);
+      this._traverseStatesToEnter(rootState, null, null, NO, gotoStateActions);
+    } else {
+      if (rootState.get('isEnteredState')) {
+        this._traverseCurrentStatesToExit(rootState, gotoStateActions);
+      } else {
+        gotoStateActions.push({ action: SC.ENTER_STATE, state: rootState, currentState: NO });
+      }
+
+      this._traverseSubstatesToRestore(rootState, targets, gotoStateActions);
+    }
+
+    location = configuration.location;
+    if (!SC.none(location)) {
+      this._restoredLocation = location;
+      del = this.get('statechartDelegate');
+      if (!del.statechartAcquireLocationForState(this, rootState)) {
+        del.statechartUpdateLocationForState(this, location, rootState);
+      }
+    }
+
+    this._gotoStateActions = gotoStateActions;
+    this._executeGotoStateActions(rootState, gotoStateActions, null, context);
+
+    return YES;
+  },
+
+  /** @private
+
+    Returns the full path of the state, where the root state's path is SC.ROOT_STATE_NAME.
+  */
+  _pathForState: function (state) {
+    return state === this.get('rootState') ? SC.ROOT_STATE_NAME : state.get('fullPath');
+  },
+
+  /** @private
+
+    Returns the state for a full path returned by _pathForState.
+  */
+  _stateForPath: function (path) {
+    var rootState = this.get('rootState');
+
+    if (path === SC.ROOT_STATE_NAME) return rootState;
+    if (SC.typeOf(path) !== SC.T_STRING) return null;
+
+    return rootState.getState(path);
+  },
+
+  /** @private */
+  _stateRepresentsRoute: function (state) {
+    return !SC.none(state.get('representRoute'));
+  },
+
+  /** @private */
+  _collectHistoryStates: function (state, historyStates) {
+    var historyState = state.get('historyState');
+
+    if (historyState) historyStates[this._pathForState(state)] = this._pathForState(historyState);
+
+    (state.get('substates') || []).forEach(function (substate) {
+      this._collectHistoryStates(substate, historyStates);
+    }, this);
+  },
+
+  /** @private */
+  _restoreHistoryStates: function (historyStates) {
+    var path, state, historyState;
+
+    for (path in historyStates) {
+      if (!historyStates.hasOwnProperty(path)) continue;
+
+      state = this._stateForPath(path);
+      historyState = this._stateForPath(historyStates[path]);
+
+      if (state && historyState && historyState.get('parentState') === state) {
+        state.set('historyState', historyState);
+      } else {
+        this.statechartLogWarning("ignoring history state %@ of %@. not a recognized substate".fmt(historyStates[path], path));
+      }
+    }
+  },
+
+  /** @private
+
+    Collects the actions to exit all the entered states below the given state.
+  */
+  _traverseCurrentStatesToExit: function (state, gotoStateActions) {
+    var currentSubstates = state.get('currentSubstates'),
+        currentState, chain, i, len;
+
+    for (i = 0, len = currentSubstates.length; i < len; i += 1) {
+      currentState = currentSubstates[i];
+      if (currentState === state || currentState._traverseStatesToExit_skipState === YES) continue;
+      chain = this._createStateChain(currentState);
+      this._traverseStatesToExit(chain.shift(), chain, state, gotoStateActions);
+    }
+  },
+
+  /** @private
+
+    Collects the actions to enter the substates of the given state that are marked as
+    current or the ancestors of current states, and enters the other substates that need
+    to be entered by default.
+  */
+  _traverseSubstatesToRestore: function (state, targets, gotoStateActions) {
+    var target = targets[SC.guidFor(state)],
+        substates = state.get('substates');
+
+    if (state.get('substatesAreConcurrent')) {
+      substates.forEach(function (substate) {
+        this._traverseStateToRestore(substate, targets, gotoStateActions);
+      }, this);
+    } else {
+      this._traverseStateToRestore(target, targets, gotoStateActions);
+    }
+  },
+
+  /** @private */
+  _traverseStateToRestore: function (state, targets, gotoStateActions) {
+    var target = targets[SC.guidFor(state)];
+
+    // a current state of the configuration or a state it does not mention
+    if (!target || target === YES) {
+      this._traverseStatesToEnter(state, null, null, NO, gotoStateActions);
+      return;
+    }
+
+    gotoStateActions.push({ action: SC.ENTER_STATE, state: state, currentState: NO });
+    this._traverseSubstatesToRestore(state, targets, gotoStateActions);
+  },
+
+  /** @private
+
+    Returns YES, once, if the location was restored by restoreStateConfiguration and
+    the given state, whose route was triggered for it, is still entered.
+  */
+  _stateDidRestoreRoute: function (state, location) {
+    var restoredLocation = this._restoredLocation;
+
+    if (restoredLocation === undefined) return NO;
+    delete this._restoredLocation;
+
+    return restoredLocation === location && state.get('isEnteredState');
+  },
+
   /**
     Sends a given event to all the statechart's current states.
 
@@ -1201,6 +1515,10 @@ SC.StatechartManager = /** @scope SC.StatechartManager.prototype */{
         i = 0,
         state = null;
 
+    //@if(debug)
+    var handlingStates = [];
+    //@endif
+
     if (this._sendEventLocked || this._gotoStateLocked) {
       // Want to prevent any actions from being processed by the states until
       // they have had a chance to handle the most immediate action or completed
@@ -1233,8 +1551,14 @@ SC.StatechartManager = /** @scope SC.StatechartManager.prototype */{
           eventHandled = state.tryToHandleEvent(event, arg1, arg2);
           checkedStates[state.get('fullPath')] = YES;
         }
-        if (!eventHandled) state = state.get('parentState');
-        else statechartHandledEvent = YES;
+        if (!eventHandled) {
+          state = state.get('parentState');
+        } else {
+          statechartHandledEvent = YES;
+          //@if(debug)
+          handlingStates.push(state);
+          //@endif
+        }
       }
     }
 
@@ -1247,6 +1571,8 @@ SC.StatechartManager = /** @scope SC.StatechartManager.prototype */{
       if (!statechartHandledEvent) this.statechartLogTrace("No state was able to handle event %@".fmt(event), SC.TRACE_STATECHART_STYLE.action);
       this.statechartLogTrace("END sendEvent: '%@'".fmt(event), SC.TRACE_STATECHART_STYLE.action);
     }
+
+    if (this.get('monitorIsActive')) this.get('monitor').pushSentEvent(event, arg1, arg2, handlingStates);
     //@endif
 
     // Check if the flags are unlocked. These means any pending events
@@ -1619,7 +1945,7 @@ SC.StatechartManager = /** @scope SC.StatechartManager.prototype */{
   //@if(debug)
   _monitorIsActiveDidChange: function () {
     if (this.get('monitorIsActive') && SC.none(this.get('monitor'))) {
-      this.set('monitor', SC.StatechartMonitor.create());
+      this.set('monitor', SC.StatechartMonitor.create({ statechart: this }));
     }
   }.observes('monitorIsActive'),
   //@endif
@@ -0,0 +1,42 @@
+// ==========================================================================
+// Project:   SC.Statechart - A Statechart Framework for SproutCore
+// Copyright: ©2010, 2011 Michael Cohen, and contributors.
+// License:   Licensed under MIT license (see license.js)
+// ==========================================================================
+
+/*globals SC */
+
+/**
+  @class
+
+  Schedules the timers of the states of a statechart (see SC.State#after and
+  SC.State#every). The default clock uses SC.Timer. To control time in tests,
+  assign an SC.StatechartManualClock to the statechartClock property of the
+  statechart.
+
+  @extends SC.Object
+  @since SproutCore 2.0
+*/
+SC.StatechartClock = SC.Object.extend(
+  /** @scope SC.StatechartClock.prototype */{
+
+  /**
+    Schedules a timer that calls the action on the target, with the timer,
+    after the interval, and then at every interval if it repeats.
+
+    @param {Object} target the target of the action
+    @param {Function} action the function to call
+    @param {Number} interval the interval in milliseconds
+    @param {Boolean} repeats whether the timer repeats
+    @returns {Object} the timer, which can be cancelled with its invalidate method
+  */
+  schedule: function(target, action, interval, repeats) {
+    return SC.Timer.schedule({
+      target: target,
+      action: action,
+      interval: interval,
+      repeats: repeats
+    });
+  }
+
+});
@@ -0,0 +1,123 @@
+// ==========================================================================
+// SC.StatechartInspectorPane Unit Test
+// ==========================================================================
+/*globals SC */
+
+var statechart, pane;
+
+module("SC.StatechartInspectorPane", {
+
+  setup: function() {
+    statechart = SC.Statechart.create({
+
+      name: 'editor',
+
+      rootState: SC.State.design({
+
+        initialSubstate: 'viewing',
+
+        viewing: SC.State.design({
+          transitions: { edit: 'editing' },
+
+          open: function() {}
+        }),
+
+        editing: SC.State.design({
+          substatesAreConcurrent: YES,
+
+          stopEditing: function() { this.gotoState('viewing'); }.handleEvents('cancel', 'close'),
+
+          text: SC.State.design(),
+
+          toolbar: SC.State.design()
+        })
+
+      })
+
+    });
+
+    statechart.initStatechart();
+
+    SC.run(function() {
+      pane = SC.StatechartInspectorPane.create({ statechart: statechart }).append();
+    });
+  },
+
+  teardown: function() {
+    SC.run(function() {
+      pane.remove();
+      pane.destroy();
+    });
+    statechart.destroy();
+    statechart = pane = null;
+  }
+
+});
+
+function stateElement(path) {
+  return pane.$('[data-path="%@"]'.fmt(path));
+}
+
+function click(el) {
+  SC.run(function() {
+    pane.mouseDown({ target: el });
+    pane.mouseUp({ target: el });
+  });
+}
+
+test("states are shown as a tree", function() {
+  equals(pane.$('.sc-statechart-inspector-name').text(), 'editor', "statechart name");
+  equals(pane.$('.sc-statechart-inspector-state').length, 4, "all the states should be shown");
+  equals(stateElement('editing').find('[data-path="editing.text"]').length, 1, "substates should be nested");
+  ok(stateElement('editing').hasClass('concurrent'), "concurrent states should be marked");
+  ok(stateElement('viewing').hasClass('current'), "current state should be highlighted");
+});
+
+test("current and entered states are updated", function() {
+  SC.run(function() { statechart.sendEvent('edit'); });
+
+  ok(!stateElement('viewing').hasClass('current'), "exited state should not be highlighted");
+  ok(stateElement('editing').hasClass('entered'), "entered state should be highlighted");
+  ok(stateElement('editing.text').hasClass('current'), "current states should be highlighted");
+  ok(stateElement('editing.toolbar').hasClass('current'), "current states should be highlighted");
+});
+
+test("sent events are listed with the states that handled them", function() {
+  var items;
+
+  SC.run(function() {
+    statechart.sendEvent('edit');
+    statechart.sendEvent('unknown');
+    statechart.sendEvent('close');
+  });
+
+  items = pane.$('.sc-statechart-inspector-events li');
+  equals(items.length, 3, "events should be listed");
+  equals(items.eq(0).text(), 'close → editing', "latest event should be first, with the state that handled it");
+  ok(items.eq(1).hasClass('unhandled'), "events that were not handled should be marked");
+  equals(items.eq(2).text(), 'edit → viewing', "event");
+
+  SC.run(function() { pane.set('maxSentEvents', 2); });
+  equals(pane.$('.sc-statechart-inspector-events li').length, 2, "events should be limited");
+});
+
+test("events can be sent from the pane", function() {
+  var input = pane.$('.sc-statechart-inspector-event');
+
+  same(pane.$('.sc-statechart-inspector-shortcuts button').map(function() { return this.getAttribute('data-event'); }).get(), ['edit'], "events declared by the entered states should be shown");
+
+  click(pane.$('[data-event="edit"]')[0]);
+  ok(statechart.stateIsCurrentState('text'), "shortcut should send the event");
+  same(pane.$('.sc-statechart-inspector-shortcuts button').map(function() { return this.getAttribute('data-event'); }).get(), ['cancel', 'close'], "shortcuts should be updated");
+
+  input.val('cancel');
+  click(pane.$('.sc-statechart-inspector-send')[0]);
+  ok(statechart.stateIsCurrentState('viewing'), "typed event should be sent");
+  equals(input.val(), '', "event field should be cleared");
+});
+
+test("states can be entered from the pane", function() {
+  click(stateElement('editing.toolbar').find('.sc-statechart-inspector-goto')[0]);
+  ok(statechart.stateIsCurrentState('toolbar'), "state should be entered");
+  ok(stateElement('editing.toolbar').hasClass('current'), "state should be highlighted");
+});
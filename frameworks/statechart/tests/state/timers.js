@@ -0,0 +1,138 @@
+// ==========================================================================
+// SC.State Unit Test
+// ==========================================================================
+/*globals SC */
+
+var statechart, clock;
+
+module("SC.State: after and every Tests", {
+
+  setup: function() {
+    clock = SC.StatechartManualClock.create();
+
+    statechart = SC.Statechart.create({
+
+      statechartClock: clock,
+
+      rootState: SC.State.design({
+
+        initialSubstate: 'idle',
+
+        idle: SC.State.design({
+          edit: function() { this.gotoState('editing'); }
+        }),
+
+        editing: SC.State.design({
+
+          after: { 30000: 'timeout', 10000: ['remind', 'save'] },
+
+          every: { 5000: 'poll' },
+
+          polls: 0,
+
+          reminders: 0,
+
+          poll: function(state) {
+            this.polls += 1;
+            this.pollSender = state;
+          },
+
+          remind: function() { this.reminders += 1; },
+
+          save: function() {},
+
+          timeout: function() { this.gotoState('idle'); },
+
+          cancel: function() { this.gotoState('idle'); }
+
+        })
+
+      })
+
+    });
+
+    statechart.initStatechart();
+  },
+
+  teardown: function() {
+    statechart.destroy();
+    statechart = clock = null;
+  }
+
+});
+
+test("check events are sent after a time", function() {
+  var editing = statechart.getState('editing');
+
+  clock.advance(60000);
+  ok(statechart.stateIsCurrentState('idle'), "timers should not be scheduled before the state is entered");
+
+  statechart.sendEvent('edit');
+  clock.advance(29999);
+  ok(statechart.stateIsCurrentState('editing'), "event should not be sent before the time");
+  equals(editing.reminders, 1, "shorter timer should fire first");
+
+  clock.advance(1);
+  ok(statechart.stateIsCurrentState('idle'), "event should be sent after the time");
+  equals(clock.get('timerCount'), 0, "timers should be cancelled on exit");
+});
+
+test("check events are sent repeatedly", function() {
+  var editing = statechart.getState('editing');
+
+  statechart.sendEvent('edit');
+  clock.advance(12000);
+  equals(editing.polls, 2, "event should be sent every interval");
+  equals(editing.pollSender, editing, "event should be sent with the state");
+
+  statechart.sendEvent('cancel');
+  clock.advance(12000);
+  equals(editing.polls, 2, "event should not be sent once the state is exited");
+});
+
+test("check reentering the state starts the time over", function() {
+  var editing = statechart.getState('editing');
+
+  statechart.sendEvent('edit');
+  clock.advance(25000);
+  editing.reenter();
+
+  clock.advance(25000);
+  ok(statechart.stateIsCurrentState('editing'), "event should not be sent at the previous time");
+  equals(editing.reminders, 2, "timers should be scheduled once per entry");
+  equals(editing.polls, 10, "repeating timers should not be duplicated");
+
+  clock.advance(5000);
+  ok(statechart.stateIsCurrentState('idle'), "event should be sent at the new time");
+});
+
+test("check intervals that are not numbers of milliseconds are ignored", function() {
+  var chart = SC.Statechart.create({
+    statechartClock: clock,
+    rootState: SC.State.design({
+      after: { '10s': 'done', 0: 'done', '2e3': 'done' },
+      every: { '-5': 'done', ' ': 'done' },
+      done: function() {}
+    })
+  });
+
+  chart.initStatechart();
+  equals(clock.get('timerCount'), 1, "only the numeric interval should be scheduled");
+  chart.destroy();
+});
+
+test("check the default clock", function() {
+  var chart = SC.Statechart.create({
+    rootState: SC.State.design({
+      after: { 10: 'done' },
+      done: function() {
+        ok(YES, "event should be sent");
+        window.start();
+      }
+    })
+  });
+
+  stop(1000);
+  SC.run(function() { chart.initStatechart(); });
+  ok(SC.kindOf(chart.get('statechartClock'), SC.StatechartClock), "statechart should have a clock");
+});
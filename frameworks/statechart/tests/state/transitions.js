@@ -0,0 +1,160 @@
+// ==========================================================================
+// SC.State Unit Test
+// ==========================================================================
+/*globals SC */
+
+var statechart, owner;
+
+module("SC.State: transitions Tests", {
+
+  setup: function() {
+    owner = SC.Object.create({
+      noteController: SC.Object.create({
+        isValid: YES,
+        hasChanges: YES
+      }),
+
+      canPublish: function(event, sender, note) {
+        return note.isPublic;
+      }
+    });
+
+    statechart = SC.Statechart.create({
+
+      owner: owner,
+
+      rootState: SC.State.design({
+
+        initialSubstate: 'viewing',
+
+        viewing: SC.State.design({
+
+          transitions: {
+            edit: 'editing',
+            publish: { target: 'published', guard: 'canPublish' }
+          },
+
+          publish: function() {
+            this.publishMethodInvoked = YES;
+          }
+
+        }),
+
+        editing: SC.State.design({
+
+          errors: 0,
+
+          transitions: {
+            cancel: 'viewing',
+
+            save: [
+              { guard: '!noteController.isValid', action: 'showErrors' },
+              { target: 'saving', guard: 'noteController.hasChanges' },
+              { target: 'viewing' }
+            ],
+
+            preview: {
+              target: 'previewing',
+              guard: function(event, sender, page) {
+                return page === this.getPath('owner.pageCount');
+              },
+              action: function(event, sender, page) {
+                this.previewed = [event, sender, page];
+              }
+            }
+          },
+
+          showErrors: function(event, sender) {
+            this.errors += 1;
+          },
+
+          initialSubstate: 'text',
+
+          text: SC.State.design(),
+
+          previewing: SC.State.design()
+
+        }),
+
+        saving: SC.State.design(),
+
+        published: SC.State.design()
+
+      })
+
+    });
+
+    statechart.initStatechart();
+  },
+
+  teardown: function() {
+    statechart.destroy();
+    statechart = owner = null;
+  }
+
+});
+
+test("check transitions", function() {
+  statechart.sendEvent('edit');
+  ok(statechart.stateIsCurrentState('text'), "string transition should go to the target");
+
+  statechart.sendEvent('cancel');
+  ok(statechart.stateIsCurrentState('viewing'), "target should be found relative to the state");
+
+  statechart.sendEvent('edit');
+  statechart.sendEvent('save');
+  ok(statechart.stateIsCurrentState('saving'), "first transition whose guard allows it should be taken");
+});
+
+test("check guards", function() {
+  var editing = statechart.getState('editing');
+
+  statechart.sendEvent('edit');
+
+  owner.setPath('noteController.isValid', NO);
+  statechart.sendEvent('save');
+  ok(statechart.stateIsCurrentState('text'), "transition without a target should not change states");
+  equals(editing.errors, 1, "action should be called");
+
+  owner.setPath('noteController.isValid', YES);
+  owner.setPath('noteController.hasChanges', NO);
+  statechart.sendEvent('save');
+  ok(statechart.stateIsCurrentState('viewing'), "last transition should be taken");
+
+  statechart.sendEvent('edit');
+  owner.pageCount = 3;
+  statechart.sendEvent('preview', null, 2);
+  ok(statechart.stateIsCurrentState('text'), "guard should get the event arguments");
+
+  statechart.sendEvent('preview', 'button', 3);
+  ok(statechart.stateIsCurrentState('previewing'), "guard should be able to read the owner");
+  same(editing.previewed, ['preview', 'button', 3], "action should get the event and its arguments");
+});
+
+test("check methods are tried when no transition is allowed", function() {
+  var viewing = statechart.getState('viewing');
+
+  ok(viewing.respondsToEvent('edit'), "state should respond to events with transitions");
+
+  statechart.sendEvent('publish', null, { isPublic: NO });
+  ok(statechart.stateIsCurrentState('viewing'), "transition should not be taken");
+  ok(viewing.publishMethodInvoked, "method should handle the event");
+
+  statechart.sendEvent('publish', null, { isPublic: YES });
+  ok(statechart.stateIsCurrentState('published'), "guard method of the owner should get the event arguments");
+});
+
+test("check declared transitions", function() {
+  var transitions = statechart.get('declaredTransitions'),
+      editing = statechart.getState('editing');
+
+  equals(transitions.length, 7, "all the transitions should be listed");
+
+  transitions = editing.get('declaredTransitions').filterProperty('event', 'save');
+  equals(transitions.length, 3, "transitions for event");
+  equals(transitions[1].source, editing, "source");
+  equals(transitions[1].target, statechart.getState('saving'), "target should be the state");
+  equals(transitions[1].guard, 'noteController.hasChanges', "guard");
+  equals(transitions[0].target, null, "transitions without a target");
+  equals(transitions[0].action, 'showErrors', "action");
+});
@@ -0,0 +1,186 @@
+// ==========================================================================
+// SC.Statechart Unit Test
+// ==========================================================================
+/*globals SC */
+
+var statechart, del, monitor;
+
+function createStatechart(attrs) {
+  return SC.Statechart.create({
+
+    monitorIsActive: YES,
+
+    delegate: del,
+
+    rootState: SC.State.design({
+
+      initialSubstate: 'viewing',
+
+      viewing: SC.State.design({
+        representRoute: 'notes'
+      }),
+
+      editing: SC.State.design({
+
+        substatesAreConcurrent: YES,
+
+        document: SC.State.design({
+          initialSubstate: 'text',
+          text: SC.State.design(),
+          preview: SC.State.design()
+        }),
+
+        toolbar: SC.State.design({
+          initialSubstate: 'collapsed',
+          collapsed: SC.State.design(),
+          expanded: SC.State.design()
+        })
+
+      }),
+
+      settings: SC.State.design({
+        initialSubstate: SC.HistoryState.design({ defaultState: 'general' }),
+        general: SC.State.design(),
+        account: SC.State.design()
+      })
+
+    })
+
+  }, attrs || {});
+}
+
+function currentStatePaths(chart) {
+  return chart.get('currentStates').getEach('fullPath').sort();
+}
+
+module("SC.Statechart: state configuration Tests", {
+  setup: function() {
+    del = SC.Object.create(SC.StatechartDelegate, {
+
+      location: null,
+
+      handlers: {},
+
+      statechartUpdateLocationForState: function(statechart, location, state) {
+        this.set('location', location);
+      },
+
+      statechartAcquireLocationForState: function(statechart, state) {
+        return this.get('location');
+      },
+
+      statechartBindStateToRoute: function(statechart, state, route, handler) {
+        this.handlers[route] = { state: state, handler: handler };
+      }
+
+    });
+
+    statechart = createStatechart();
+    statechart.initStatechart();
+    monitor = statechart.get('monitor');
+  },
+
+  teardown: function() {
+    statechart.destroy();
+    statechart = del = monitor = null;
+  }
+});
+
+test("check serializing the configuration", function() {
+  var configuration;
+
+  statechart.gotoState('settings');
+  statechart.gotoState('account');
+  statechart.gotoState('preview');
+  statechart.gotoState('expanded');
+
+  configuration = statechart.serializeStateConfiguration();
+  same(configuration.currentStates.sort(), ['editing.document.preview', 'editing.toolbar.expanded'], "current states");
+  same(configuration.historyStates, {
+    __ROOT_STATE__: 'editing',
+    'editing.document': 'editing.document.preview',
+    'editing.toolbar': 'editing.toolbar.expanded',
+    settings: 'settings.account'
+  }, "history states");
+  ok(!('location' in configuration), "location should not be serialized when no entered state represents a route");
+
+  same(SC.json.decode(SC.json.encode(configuration)), configuration, "configuration should be JSON");
+});
+
+test("check restoring the configuration", function() {
+  var configuration = {
+    currentStates: ['editing.document.preview', 'editing.toolbar.expanded'],
+    historyStates: { settings: 'settings.account' }
+  };
+
+  monitor.reset();
+  ok(statechart.restoreStateConfiguration(configuration), "should restore the configuration");
+
+  ok(monitor.matchSequence().begin()
+    .exited('viewing')
+    .entered('editing', 'document', 'preview', 'toolbar', 'expanded')
+    .end(), "only the states of the configuration should be entered");
+  same(currentStatePaths(statechart), configuration.currentStates, "current states");
+
+  statechart.gotoState('settings');
+  ok(statechart.stateIsCurrentState('account'), "history state should be restored");
+
+  monitor.reset();
+  statechart.restoreStateConfiguration(SC.json.encode({ currentStates: ['editing.document.text'] }));
+  ok(monitor.matchSequence().begin()
+    .exited('account', 'settings')
+    .entered('editing', 'document', 'text', 'toolbar', 'collapsed')
+    .end(), "concurrent states without current substates in the configuration should be entered by default");
+});
+
+test("check restoring a configuration that does not match", function() {
+  monitor.reset();
+
+  equals(statechart.restoreStateConfiguration({ currentStates: ['viewing', 'general'] }), NO, "should not restore states that can not be current together");
+  equals(statechart.restoreStateConfiguration({ currentStates: ['missing'] }), NO, "should not restore unknown states");
+  equals(statechart.restoreStateConfiguration({}), NO, "should not restore a configuration without current states");
+
+  equals(monitor.get('length'), 0, "no state should be exited or entered");
+  ok(statechart.stateIsCurrentState('viewing'), "current state should not change");
+});
+
+test("check the initial configuration", function() {
+  var chart = createStatechart({
+    initialStateConfiguration: { currentStates: ['settings.account'], historyStates: {} }
+  });
+
+  chart.initStatechart();
+  ok(chart.get('monitor').matchSequence().begin()
+    .entered(SC.ROOT_STATE_NAME, 'settings', 'account')
+    .end(), "configuration should be restored instead of going to the initial substate");
+  chart.destroy();
+
+  chart = createStatechart({ initialStateConfiguration: { currentStates: ['missing'] } });
+  chart.initStatechart();
+  ok(chart.stateIsCurrentState('viewing'), "initial substate should be entered when the configuration does not match");
+  chart.destroy();
+});
+
+test("check restoring the location", function() {
+  var configuration, chart, handler;
+
+  del.set('location', 'notes');
+  configuration = statechart.serializeStateConfiguration();
+  equals(configuration.location, 'notes', "location should be serialized when an entered state represents a route");
+
+  del.set('location', null);
+  del.handlers = {};
+  chart = createStatechart({ initialStateConfiguration: configuration });
+  chart.initStatechart();
+  equals(del.get('location'), 'notes', "location should be restored");
+
+  handler = del.handlers['notes'];
+  monitor = chart.get('monitor');
+  monitor.reset();
+  handler.handler.call(handler.state, {});
+  equals(monitor.get('length'), 0, "route triggered for the restored location should not enter the state again");
+
+  handler.handler.call(handler.state, {});
+  ok(monitor.matchSequence().begin().exited('viewing').entered('viewing').end(), "later routes should be handled");
+  chart.destroy();
+});
@@ -0,0 +1,215 @@
+// ==========================================================================
+// SC.SCXML Unit Test
+// ==========================================================================
+/*globals SC */
+
+var statechart, owner, scxmlDocument;
+
+scxmlDocument = [
+  '<scxml xmlns="http://www.w3.org/2005/07/scxml" version="1.0" name="editor" initial="idle">',
+  '  <state id="idle">',
+  '    <onentry><log label="enter" expr="idle"/></onentry>',
+  '    <transition event="edit" cond="canEdit" target="editing"/>',
+  '    <transition event="open.*" target="viewing"/>',
+  '  </state>',
+  '  <state id="viewing">',
+  '    <transition event="close" target="idle"/>',
+  '  </state>',
+  '  <state id="editing">',
+  '    <initial><transition target="editing_history"/></initial>',
+  '    <history id="editing_history" type="shallow"><transition target="text"/></history>',
+  '    <onentry><track name="editing"/></onentry>',
+  '    <onexit><raise event="didStopEditing"/></onexit>',
+  '    <transition event="cancel" target="idle"/>',
+  '    <transition event="save" cond="!isValid" target="invalid"/>',
+  '    <transition event="save" target="idle"><track name="saved"/></transition>',
+  '    <state id="text"><transition event="toImage" target="image"/></state>',
+  '    <state id="image"/>',
+  '    <state id="invalid"/>',
+  '  </state>',
+  '  <parallel id="exporting">',
+  '    <state id="upload"/>',
+  '    <state id="progress"/>',
+  '  </parallel>',
+  '  <state id="checking">',
+  '    <transition cond="isValid" target="exporting"/>',
+  '    <transition target="idle"/>',
+  '  </state>',
+  '</scxml>'
+].join('\n');
+
+module("SC.SCXML: createStatechart", {
+  setup: function() {
+    owner = SC.Object.create({
+      canEdit: YES,
+      isValid: function(event) { return this.valid; },
+      valid: YES,
+      tracked: []
+    });
+
+    statechart = SC.SCXML.createStatechart(scxmlDocument, {
+      actions: {
+        track: function(element, event) {
+          owner.tracked.push([element.getAttribute('name'), event]);
+        }
+      },
+      states: {
+        viewing: {
+          isExtended: YES
+        },
+        idle: {
+          didStopEditing: function() { owner.tracked.push(['didStopEditing']); }
+        }
+      }
+    }, { owner: owner });
+  },
+
+  teardown: function() {
+    statechart.destroy();
+    statechart = owner = null;
+  }
+});
+
+test("states and initial states", function() {
+  var root = statechart.get('rootState');
+
+  equals(statechart.get('name'), 'editor', "name should come from the document");
+  ok(statechart.stateIsCurrentState('idle'), "initial state should be current");
+  equals(root.getSubstate('exporting').get('substatesAreConcurrent'), YES, "<parallel> should have concurrent substates");
+  ok(SC.kindOf(root.getSubstate('editing').get('initialSubstate'), SC.HistoryState), "<history> initial state should be a history state");
+  equals(root.getSubstate('viewing').get('isExtended'), YES, "states should be extended with the passed properties");
+});
+
+test("transitions", function() {
+  statechart.sendEvent('open.readOnly');
+  ok(statechart.stateIsCurrentState('viewing'), "descriptor should match the events starting with it");
+
+  statechart.sendEvent('close');
+  statechart.sendEvent('opening');
+  ok(statechart.stateIsCurrentState('idle'), "descriptor should not match other events");
+
+  owner.set('canEdit', NO);
+  statechart.sendEvent('edit');
+  ok(statechart.stateIsCurrentState('idle'), "transition should not be taken when the condition is false");
+
+  owner.set('canEdit', YES);
+  statechart.sendEvent('edit');
+  ok(statechart.stateIsCurrentState('text'), "default history state should be entered");
+
+  statechart.sendEvent('toImage');
+  statechart.sendEvent('cancel');
+  ok(statechart.stateIsCurrentState('idle'), "parent state transitions should handle the event");
+
+  statechart.sendEvent('edit');
+  ok(statechart.stateIsCurrentState('image'), "history state should be entered");
+});
+
+test("conditions are tried in document order", function() {
+  statechart.sendEvent('edit');
+
+  owner.valid = NO;
+  statechart.sendEvent('save');
+  ok(statechart.stateIsCurrentState('invalid'), "first transition whose condition is true should be taken");
+
+  owner.valid = YES;
+  statechart.sendEvent('save');
+  ok(statechart.stateIsCurrentState('idle'), "other transition should be taken");
+});
+
+test("executable content", function() {
+  statechart.sendEvent('edit');
+  same(owner.tracked, [['editing', undefined]], "<onentry> content should run");
+
+  statechart.sendEvent('save');
+  same(owner.tracked[1], ['saved', 'save'], "transition content should run with the event");
+  same(owner.tracked[2], ['didStopEditing'], "<onexit> content should raise the event");
+});
+
+test("transitions without an event", function() {
+  statechart.gotoState('checking');
+  ok(statechart.stateIsCurrentState('upload') && statechart.stateIsCurrentState('progress'), "transition should be taken when the condition is true");
+
+  owner.valid = NO;
+  statechart.gotoState('checking');
+  ok(statechart.stateIsCurrentState('idle'), "next transition should be taken");
+});
+
+test("invalid documents", function() {
+  [
+    ['<scxml', "unreadable documents should throw"],
+    ['<root/>', "documents that are not SCXML should throw"],
+    ['<scxml initial="nowhere"><state id="a"/></scxml>', "unknown targets should throw"],
+    ['<scxml><state id="enterState"/></scxml>', "reserved names should throw"]
+  ].forEach(function(args) {
+    var didThrow = NO;
+
+    try {
+      SC.SCXML.rootStateFor(args[0]);
+    } catch (e) {
+      didThrow = YES;
+    }
+    ok(didThrow, args[1]);
+  });
+});
+
+module("SC.SCXML: stringify");
+
+test("documents are written back", function() {
+  var chart = SC.SCXML.createStatechart(scxmlDocument, { actions: { track: function() {} } }),
+      xml = SC.SCXML.stringify(chart),
+      copy = SC.SCXML.createStatechart(xml, { actions: { track: function() {} } });
+
+  ok(xml.indexOf('<scxml xmlns="http://www.w3.org/2005/07/scxml" version="1.0" name="editor" initial="idle">') >= 0, "scxml element");
+  ok(xml.indexOf('<state id="editing" initial="editing_history">') >= 0, "initial history state");
+  ok(xml.indexOf('<transition event="save" target="idle">\n      <track name="saved"/>\n    </transition>') >= 0, "transition content");
+  ok(xml.indexOf('<onexit>\n      <raise event="didStopEditing"/>\n    </onexit>') >= 0, "<onexit> content");
+  ok(xml.indexOf('<parallel id="exporting">') >= 0, "parallel state");
+  equals(SC.SCXML.stringify(copy), xml, "document should be read back as the same statechart");
+});
+
+test("statecharts that were not read from SCXML", function() {
+  var chart = SC.Statechart.create({
+        autoInitStatechart: NO,
+        rootState: SC.State.design({
+          initialSubstate: 'a',
+          a: SC.State.design({
+            initialSubstate: SC.HistoryState.design({ defaultState: 'c', isRecursive: YES }),
+            b: SC.State.design(),
+            c: SC.State.design()
+          }),
+          d: SC.State.design({
+            substatesAreConcurrent: YES,
+            transitions: { reset: { target: 'a', guard: 'isDirty' } },
+            e: SC.State.design(),
+            f: SC.State.design()
+          })
+        })
+      }),
+      xml;
+
+  chart.initStatechart();
+  xml = SC.SCXML.stringify(chart);
+
+  equals(xml, [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<scxml xmlns="http://www.w3.org/2005/07/scxml" version="1.0" initial="a">',
+    '  <state id="a" initial="a.history">',
+    '    <history id="a.history" type="deep">',
+    '      <transition target="a.c"/>',
+    '    </history>',
+    '    <state id="a.b"/>',
+    '    <state id="a.c"/>',
+    '  </state>',
+    '  <parallel id="d">',
+    '    <transition event="reset" cond="isDirty" target="a"/>',
+    '    <state id="d.e"/>',
+    '    <state id="d.f"/>',
+    '  </parallel>',
+    '</scxml>',
+    ''
+  ].join('\n'), "states should be identified by their paths");
+
+  chart = SC.SCXML.createStatechart(xml);
+  ok(chart.stateIsCurrentState('c'), "document should be read back");
+  equals(SC.SCXML.stringify(chart).indexOf('<state id="a.c"/>') >= 0, YES, "ids should be kept");
+});